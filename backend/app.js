@@ -0,0 +1,254 @@
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import { setAnalyticsClient } from "./services/googleAnalytics.js";
+import { setSearchConsoleClient, setSitemapFetcher } from "./services/googleSearchConsole.js";
+import { createRateLimitStore } from "./services/rateLimit.js";
+import { createCacheStore, createReportCache } from "./services/reportCache.js";
+import { JOBS } from "./services/jobs.js";
+import { createScheduler, parseJobSchedules } from "./services/scheduler.js";
+import { createSiteRegistry, parseSites } from "./services/sites.js";
+import { buildOpenApiDocument } from "./services/openapi.js";
+import { READINESS, createDependencyChecks, createReadinessCheck } from "./services/health.js";
+import { logger } from "./services/logger.js";
+import { createRequestContextMiddleware } from "./middleware/requestContext.js";
+import { createMetricsMiddleware } from "./middleware/metrics.js";
+import { createAuthMiddleware } from "./middleware/auth.js";
+import { createAuthRoutes } from "./routes/auth.js";
+import { createAdminAccountRoutes } from "./routes/adminAccounts.js";
+import { createApiKeyRoutes } from "./routes/apiKeys.js";
+import { createAuditRoutes } from "./routes/audit.js";
+import { createAnalyticsRoutes } from "./routes/analytics.js";
+import { createSearchConsoleRoutes } from "./routes/searchConsole.js";
+import { createVisitorRoutes } from "./routes/visitors.js";
+import { createUserRoutes } from "./routes/users.js";
+import { createCustomerRoutes } from "./routes/customers.js";
+import { createCacheRoutes } from "./routes/cache.js";
+import { createJobRoutes } from "./routes/jobs.js";
+import { createSiteRoutes } from "./routes/sites.js";
+import { createOpenApiRoutes } from "./routes/openapi.js";
+import { createMetricsRoutes } from "./routes/metrics.js";
+
+/**
+ * Express "trust proxy" setting from TRUST_PROXY: how many proxies sit in front of the app
+ * (a hop count, default 1 for Railway's edge), "false", or Express's address list form
+ * ("loopback", "10.0.0.0/8"). req.ip - and with it every per-IP limit - is read from
+ * X-Forwarded-For past that many hops, so trusting more hops than there are lets a
+ * client pick its own IP.
+ * @param {string} [value]
+ * @returns {number|boolean|string}
+ */
+export const parseTrustProxy = (value = process.env.TRUST_PROXY) => {
+  if (value === undefined || value.trim() === "") return 1;
+  if (/^\d+$/.test(value.trim())) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+};
+
+/**
+ * Build the Express app around the clients it talks to
+ * Nothing here reads credentials, connects or listens - server.js does that and
+ * passes the real clients in; tests pass in-memory stand-ins. The job scheduler is
+ * built but not started: server.js calls app.locals.scheduler.start(). The OpenAPI
+ * document is in app.locals.openApi, the readiness check (services/health.js) in
+ * app.locals.readiness.
+ *
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {Object|Function} [options.mongoDb] - MongoDB database, or a function returning it
+ *   (null while the connection is still being made)
+ * @param {Object|null} [options.analyticsClient] - GA Data API client; kept as-is when omitted
+ * @param {Object|null} [options.searchConsoleClient] - Search Console client; kept as-is when omitted
+ * @param {Function} [options.fetchSitemap] - (url) => Promise of the sitemap XML; kept as-is when omitted
+ * @param {Object} [options.config]
+ * @param {string} [options.config.frontendUrl] - CORS origin
+ * @param {string} [options.config.cronSecret] - Legacy cron secret, defaults to CRON_SECRET
+ * @param {Object} [options.config.rateLimitStore] - Defaults to the store picked by createRateLimitStore
+ * @param {Object} [options.config.reportCacheStore] - Defaults to the store picked by createCacheStore
+ * @param {Object[]} [options.config.sites] - Sites to report on, defaults to parseSites() (SITES)
+ * @param {Object[]} [options.config.jobs] - Scheduled jobs, defaults to services/jobs.js
+ * @param {Object<string, string>} [options.config.jobSchedules] - Schedule overrides, defaults to JOB_SCHEDULES
+ * @param {boolean} [options.config.logRequests=true] - Log each request (see middleware/requestContext.js)
+ * @param {string} [options.config.metricsToken] - Bearer token for GET /metrics, defaults to METRICS_TOKEN
+ * @param {boolean} [options.config.exposeErrorStacks] - Include stacks in 500 responses
+ * @param {Object} [options.config.readiness] - { timeoutMs, cacheMs } of the readiness check
+ * @param {number|boolean|string} [options.config.trustProxy] - Defaults to parseTrustProxy() (TRUST_PROXY)
+ * @returns {Promise<express.Application>}
+ */
+export const createApp = async ({
+  supabase,
+  mongoDb = null,
+  analyticsClient,
+  searchConsoleClient,
+  fetchSitemap,
+  config = {},
+}) => {
+  const {
+    frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173",
+    cronSecret,
+    metricsToken,
+    logRequests = true,
+    exposeErrorStacks = process.env.NODE_ENV === "development",
+    trustProxy = parseTrustProxy(),
+  } = config;
+
+  const getDb = typeof mongoDb === "function" ? mongoDb : () => mongoDb;
+
+  // The Google services keep their client at module level
+  if (analyticsClient !== undefined) setAnalyticsClient(analyticsClient);
+  if (searchConsoleClient !== undefined) setSearchConsoleClient(searchConsoleClient);
+  if (fetchSitemap !== undefined) setSitemapFetcher(fetchSitemap);
+
+  // Shared rate-limit counters (Supabase, Redis or memory - see services/rateLimit.js)
+  const rateLimitStore = config.rateLimitStore || (await createRateLimitStore({ supabase }));
+
+  // GA4 / Search Console responses shared by every instance (see services/reportCache.js)
+  const reportCache = createReportCache(config.reportCacheStore || createCacheStore({ supabase }));
+
+  // GA property, Search Console property and sitemaps of each site (see services/sites.js)
+  const sites = createSiteRegistry(config.sites || parseSites());
+
+  // Named background jobs; slots are claimed through the shared rate-limit store
+  const scheduler = createScheduler({
+    jobs: config.jobs || JOBS,
+    schedules: config.jobSchedules || parseJobSchedules(),
+    context: { supabase, reportCache, sites },
+    lockStore: rateLimitStore,
+  });
+
+  // Supabase, MongoDB, GA and Search Console, checked by GET /api/health/ready
+  const readiness = createReadinessCheck({
+    checks: createDependencyChecks({ supabase, getDb, sites }),
+    ...config.readiness,
+  });
+
+  const app = express();
+  app.locals.scheduler = scheduler;
+  app.locals.readiness = readiness;
+
+  // Request ID on every log line and error response, one log line per request
+  app.use(createRequestContextMiddleware({ logRequests }));
+  app.use(createMetricsMiddleware());
+
+  // Middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", "data:", "https:"],
+      },
+    },
+  }));
+
+  // Client IPs from X-Forwarded-For, past the proxies we actually sit behind
+  app.set("trust proxy", trustProxy);
+
+  app.use(
+    cors({
+      origin: frontendUrl,
+      credentials: true,
+    })
+  );
+  app.use(express.json());
+
+  // Every /api route requires a session unless allowlisted in middleware/auth.js
+  app.use("/api", createAuthMiddleware({ supabase, cronSecret }));
+
+  // Root endpoint - API information
+  app.get("/", (req, res) => {
+    res.json({
+      success: true,
+      message: "Admin Dashboard API Server",
+      version: "1.0.0",
+      endpoints: {
+        health: "/api/health",
+        ready: "/api/health/ready",
+        analytics: "/api/analytics/*",
+        visitors: "/api/visitors/*",
+        searchConsole: "/api/search-console/*",
+        users: "/api/users/*",
+        customers: "/api/customers/*",
+        jobs: "/api/jobs/*",
+        sites: "/api/sites",
+        openapi: "/api/openapi.json",
+        metrics: "/metrics",
+      },
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Favicon handler (return 204 No Content to avoid 404)
+  app.get("/favicon.ico", (req, res) => {
+    res.status(204).end();
+  });
+
+  // Health check endpoint (liveness: the process answers)
+  app.get("/api/health", (req, res) => {
+    res.json({
+      status: "ok",
+      message: "Admin Dashboard API is running",
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Readiness: 503 while Supabase is down or the server is shutting down, 200 otherwise
+  app.get("/api/health/ready", async (req, res) => {
+    const result = await readiness.check();
+    res.status(result.status === READINESS.UNHEALTHY ? 503 : 200).json(result);
+  });
+
+  const deps = { supabase, getDb, rateLimitStore, reportCache, scheduler, sites };
+
+  const routers = [
+    ["/api/auth", createAuthRoutes(deps)],
+    ["/api/admin-accounts", createAdminAccountRoutes(deps)],
+    ["/api/api-keys", createApiKeyRoutes(deps)],
+    ["/api/audit", createAuditRoutes(deps)],
+    ["/api/analytics", createAnalyticsRoutes(deps)],
+    ["/api/search-console", createSearchConsoleRoutes(deps)],
+    ["/api/visitors", createVisitorRoutes(deps)],
+    ["/api/users", createUserRoutes(deps)],
+    ["/api/customers", createCustomerRoutes(deps)],
+    ["/api/cache", createCacheRoutes(deps)],
+    ["/api/jobs", createJobRoutes(deps)],
+    ["/api/sites", createSiteRoutes(deps)],
+    ["/api", createOpenApiRoutes({ getDocument: () => app.locals.openApi })],
+  ];
+  routers.forEach(([prefix, router]) => app.use(prefix, router));
+
+  // Read off the routers above, so it is built once they are all mounted (see services/openapi.js)
+  app.locals.openApi = buildOpenApiDocument({ app, routers });
+
+  // Prometheus scrape endpoint, outside /api and the OpenAPI document
+  app.use(createMetricsRoutes({ token: metricsToken }));
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: "Route not found",
+    });
+  });
+
+  // Error handler (must be after all routes)
+  app.use((err, req, res, next) => {
+    logger.error("Unhandled request error", { error: err });
+
+    // Don't send response if headers already sent
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    res.status(err.status || 500).json({
+      success: false,
+      error: err.message || "Something went wrong!",
+      ...(exposeErrorStacks && { stack: err.stack }),
+    });
+  });
+
+  return app;
+};
+
+export default createApp;
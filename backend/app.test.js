@@ -0,0 +1,691 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createApp, parseTrustProxy } from "./app.js";
+import { createAdminAccount } from "./services/adminAccounts.js";
+import { createSession } from "./services/sessions.js";
+import { createMemoryRateLimitStore } from "./services/rateLimit.js";
+import { createMemoryCacheStore } from "./services/reportCache.js";
+import { addDays, todayIn } from "./services/dateRange.js";
+import { createGaGuard, getGaGuard, setGaGuard } from "./services/gaGuard.js";
+import { DEFAULT_FIXTURES_DIR, FIXTURE_MODES, withGoogleFixtures } from "./services/googleFixtures.js";
+import { createFakeSupabase } from "./testUtils/fakeSupabase.js";
+import { createFakeMongo } from "./testUtils/fakeMongo.js";
+
+process.env.SESSION_SECRET = "test-session-secret";
+
+const SITES = [
+  {
+    id: "example",
+    name: "Example",
+    gaPropertyId: "123456",
+    searchConsoleSiteUrl: "sc-domain:example.com",
+    sitemapUrls: [],
+    hostname: "example.com",
+    brandTerms: ["example"],
+  },
+  {
+    id: "sister",
+    name: "Sister",
+    gaPropertyId: "654321",
+    searchConsoleSiteUrl: "sc-domain:sister.example",
+    sitemapUrls: [],
+    hostname: "sister.example",
+    brandTerms: ["sister"],
+  },
+];
+
+const ADMIN = { id: "acc-1", email: "admin@example.com", role: "admin", status: "active" };
+const PACKER = { id: "acc-2", email: "packer@example.com", role: "packer", status: "active" };
+
+// GA Data API stand-in answering every report with the same overview row (100 active
+// users over a paired comparison range), or failing with `failure` while it is set
+const createFakeAnalyticsClient = () => {
+  const requests = [];
+  const client = {
+    requests,
+    failure: null,
+    properties: {
+      getMetadata: async () => {
+        if (client.failure) throw client.failure;
+        return { data: { dimensions: [], metrics: [] } };
+      },
+      runReport: async (request) => {
+        requests.push(request);
+        if (client.failure) throw client.failure;
+        const row = (values) => ({ metricValues: values.map((value) => ({ value })) });
+        const { dateRanges } = request.requestBody;
+        // Paired ranges come back as one row each, named in the dateRange dimension
+        const rows =
+          dateRanges.length > 1
+            ? dateRanges.map(({ name }, index) => ({
+                ...row([index ? "100" : "120", "150", "400", "65.5", "0.42", "3"]),
+                dimensionValues: [{ value: name }],
+              }))
+            : [row(["120", "150", "400", "65.5", "0.42", "3"])];
+        return {
+          data: {
+            rows,
+            propertyQuota: { tokensPerDay: { consumed: 195000, remaining: 5000 } },
+          },
+        };
+      },
+    },
+  };
+  return client;
+};
+
+const fakeSearchConsoleClient = {
+  sites: {
+    get: async ({ siteUrl }) => ({ data: { siteUrl, permissionLevel: "siteOwner" } }),
+  },
+  searchanalytics: {
+    query: async () => ({
+      data: {
+        rows: [
+          { keys: ["2024-05-01"], clicks: 10, impressions: 200, ctr: 0.05, position: 4 },
+          { keys: ["2024-05-02"], clicks: 30, impressions: 300, ctr: 0.1, position: 6 },
+        ],
+      },
+    }),
+  },
+};
+
+/**
+ * Start the real app against in-memory clients
+ * @param {Object} [options]
+ * @param {Object} [options.mongoDb]
+ * @param {Object} [options.google] - Google clients to use instead of the fakes
+ * @returns {Promise<{ baseUrl, supabase, mongo, analyticsClient, request, close }>}
+ */
+const startApp = async ({ mongoDb, google } = {}) => {
+  const supabase = createFakeSupabase({
+    admin_users: [ADMIN, PACKER],
+    admin_sessions: [],
+    admin_audit_log: [],
+    api_keys: [],
+    users: [],
+    job_runs: [],
+    index_sync_jobs: [],
+    google_index_pages: [],
+  });
+  const mongo =
+    mongoDb === undefined
+      ? createFakeMongo({
+          customers: [
+            { _id: "c1", firstName: "Ada", lastName: "Lovelace", stripe_status: "active" },
+            { _id: "c2", firstName: "Old", lastName: "Customer", stripe_status: "canceled" },
+          ],
+          draftboxes: [{ customerID: "cus_1", month: 1125, Packed: false, snacks: [] }],
+        })
+      : mongoDb;
+  const analyticsClient = createFakeAnalyticsClient();
+
+  const app = await createApp({
+    supabase,
+    mongoDb: mongo,
+    analyticsClient,
+    searchConsoleClient: fakeSearchConsoleClient,
+    ...google,
+    config: {
+      rateLimitStore: createMemoryRateLimitStore(),
+      reportCacheStore: createMemoryCacheStore(),
+      sites: SITES,
+      jobs: [{ name: "noop", description: "Does nothing", schedule: "0 * * * *", run: async () => ({ ok: true }) }],
+      logRequests: false,
+      metricsToken: "test-metrics-token",
+      readiness: { cacheMs: 0 },
+    },
+  });
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body && JSON.stringify(body),
+    });
+    return {
+      status: response.status,
+      cache: response.headers.get("x-cache"),
+      retryAfter: response.headers.get("retry-after"),
+      requestId: response.headers.get("x-request-id"),
+      body: await response.json(),
+    };
+  };
+
+  return { app, baseUrl, supabase, mongo, analyticsClient, request, close: () => server.close() };
+};
+
+describe("createApp", () => {
+  let ctx;
+  let adminToken;
+  let packerToken;
+
+  before(async () => {
+    ctx = await startApp();
+    adminToken = (await createSession(ctx.supabase, ADMIN)).token;
+    packerToken = (await createSession(ctx.supabase, PACKER)).token;
+  });
+
+  after(() => ctx.close());
+
+  it("serves the health check and requires a session everywhere else", async () => {
+    assert.equal((await ctx.request("GET", "/api/health")).status, 200);
+    assert.equal((await ctx.request("GET", "/api/analytics/overview")).status, 401);
+    assert.equal((await ctx.request("GET", "/api/nope", { token: adminToken })).status, 404);
+  });
+
+  it("gives each request an ID and echoes it in error responses", async () => {
+    const ok = await ctx.request("GET", "/api/health");
+    assert.match(ok.requestId, /^[0-9a-f-]{36}$/);
+    assert.equal(ok.body.requestId, undefined);
+
+    const missing = await ctx.request("GET", "/api/nope", { token: adminToken });
+    assert.equal(missing.body.requestId, missing.requestId);
+    assert.notEqual(missing.requestId, ok.requestId);
+
+    const traced = await ctx.request("GET", "/api/nope", { headers: { "X-Request-Id": "edge-1234abcd" } });
+    assert.equal(traced.status, 401);
+    assert.equal(traced.requestId, "edge-1234abcd");
+    assert.equal(traced.body.requestId, "edge-1234abcd");
+
+    const forged = await ctx.request("GET", "/api/health", { headers: { "X-Request-Id": "bad id\"}" } });
+    assert.notEqual(forged.requestId, "bad id\"}");
+  });
+
+  it("signs in with a password and verifies the new session", async () => {
+    await createAdminAccount(ctx.supabase, {
+      email: "new@example.com",
+      password: "correct horse battery",
+      role: "analyst",
+    });
+
+    const wrong = await ctx.request("POST", "/api/auth/login", {
+      body: { email: "new@example.com", password: "wrong password!" },
+    });
+    assert.equal(wrong.status, 401);
+
+    const login = await ctx.request("POST", "/api/auth/login", {
+      body: { email: "new@example.com", password: "correct horse battery" },
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.account.role, "analyst");
+
+    const verify = await ctx.request("GET", "/api/auth/verify", { token: login.body.token });
+    assert.equal(verify.status, 200);
+    assert.equal(verify.body.account.email, "new@example.com");
+  });
+
+  it("records sessions ended by logging out or from another device", async () => {
+    const other = await createSession(ctx.supabase, ADMIN);
+    const current = await createSession(ctx.supabase, ADMIN);
+
+    const revoked = await ctx.request("DELETE", `/api/auth/sessions/${other.session.id}`, { token: current.token });
+    assert.equal(revoked.status, 200);
+    assert.equal((await ctx.request("POST", "/api/auth/logout", { token: current.token })).status, 200);
+
+    const events = ctx.supabase.tables.admin_audit_log.filter((event) => event.action === "session.revoke");
+    assert.deepEqual(
+      events.map((event) => [event.target_id, event.metadata.reason, event.actor_id]),
+      [
+        [other.session.id, "signed_out_device", ADMIN.id],
+        [current.session.id, "logout", ADMIN.id],
+      ]
+    );
+  });
+
+  it("serves a cached audience profile for a range including today only while it is fresh", async () => {
+    const today = todayIn(undefined);
+    const cached = (startDate, endDate, minutesOld) => ({
+      site_id: SITES[0].id,
+      date_range: `${startDate}..${endDate}`,
+      payload: { cached: true },
+      updated_at: new Date(Date.now() - minutesOld * 60 * 1000).toISOString(),
+    });
+    const audience = (startDate, endDate) =>
+      ctx.request("GET", `/api/analytics/audience?startDate=${startDate}&endDate=${endDate}`, { token: adminToken });
+    ctx.supabase.tables.audience_profile_cache = [
+      cached(addDays(today, -9), today, 5),
+      cached(addDays(today, -8), today, 120),
+      cached(addDays(today, -8), addDays(today, -2), 600),
+    ];
+
+    assert.equal((await audience(addDays(today, -9), today)).body.fromCache, true);
+    const stale = await audience(addDays(today, -8), today);
+    assert.equal(stale.body.fromCache, false);
+    assert.notEqual(stale.body.data.cached, true);
+    assert.equal((await audience(addDays(today, -8), addDays(today, -2))).body.fromCache, true);
+  });
+
+  it("records audience cache refreshes", async () => {
+    const refreshed = await ctx.request("POST", "/api/analytics/audience/refresh", { token: adminToken });
+    assert.equal(refreshed.status, 200);
+
+    const [event] = ctx.supabase.tables.admin_audit_log.filter((row) => row.action === "audience_cache.refresh");
+    assert.equal(event.actor_id, ADMIN.id);
+    assert.equal(event.target_id, SITES[0].id);
+    assert.equal(event.metadata.site, SITES[0].id);
+    assert.equal(event.metadata.ranges.length, 3);
+  });
+
+  it("rate-limits logins by the IP the proxy saw, whatever the client forwards", async () => {
+    // A new email each time, so the per-account lockout stays out of it
+    const login = (spoofed) =>
+      ctx.request("POST", "/api/auth/login", {
+        body: { email: `nobody-${spoofed}@example.com`, password: "wrong password!" },
+        headers: { "X-Forwarded-For": `${spoofed}, 203.0.113.7` },
+      });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      assert.equal((await login(`10.0.0.${attempt}`)).status, 401);
+    }
+    const limited = await login("10.0.0.99");
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.retryAfter) > 0);
+  });
+
+  it("locks out MFA settings changes after repeated wrong codes", async () => {
+    const account = { id: "acc-mfa", email: "mfa@example.com", role: "admin", status: "active" };
+    ctx.supabase.tables.admin_users.push({ ...account, mfa_enabled: true, mfa_secret: "JBSWY3DPEHPK3PXP" });
+    const { token } = await createSession(ctx.supabase, account);
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const wrong = await ctx.request("POST", "/api/auth/mfa/disable", { token, body: { code: "000000" } });
+      assert.equal(wrong.status, 400);
+      assert.equal(wrong.body.attemptsRemaining, 5 - attempt);
+    }
+    const last = await ctx.request("POST", "/api/auth/mfa/recovery-codes", { token, body: { code: "000000" } });
+    assert.match(last.body.error, /locked/);
+
+    const locked = await ctx.request("POST", "/api/auth/mfa/recovery-codes", { token, body: { code: "123456" } });
+    assert.equal(locked.status, 429);
+    assert.equal(ctx.supabase.tables.admin_users.find((row) => row.id === account.id).mfa_enabled, true);
+  });
+
+  it("runs GA reports through the injected analytics client", async () => {
+    const response = await ctx.request("GET", "/api/analytics/overview?startDate=7daysAgo", {
+      token: adminToken,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.activeUsers, 120);
+    assert.equal(response.body.data.bounceRate, 42);
+
+    const today = todayIn("UTC");
+    const [report] = ctx.analyticsClient.requests.slice(-1);
+    assert.equal(report.property, "properties/123456");
+    assert.deepEqual(report.requestBody.dateRanges, [{ startDate: addDays(today, -7), endDate: today }]);
+    assert.deepEqual(response.body.range, {
+      startDate: addDays(today, -7),
+      endDate: today,
+      preset: null,
+      timeZone: "UTC",
+      days: 8,
+      comparison: null,
+    });
+
+    const invalid = await ctx.request("GET", "/api/analytics/overview?startDate=yesterweek", {
+      token: adminToken,
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("resolves date presets and rejects ranges ending before they start", async () => {
+    const today = todayIn("UTC");
+    const preset = await ctx.request("GET", "/api/analytics/overview?preset=yesterday", { token: adminToken });
+    assert.equal(preset.status, 200);
+    assert.deepEqual(preset.body.range, {
+      startDate: addDays(today, -1),
+      endDate: addDays(today, -1),
+      preset: "yesterday",
+      timeZone: "UTC",
+      days: 1,
+      comparison: null,
+    });
+
+    // A preset and the same days given as dates share one cache entry
+    const byDates = await ctx.request("GET", `/api/analytics/overview?startDate=${addDays(today, -1)}&endDate=yesterday`, {
+      token: adminToken,
+    });
+    assert.equal(byDates.cache, "HIT");
+    assert.equal(byDates.body.range.preset, null);
+
+    const backwards = await ctx.request("GET", "/api/analytics/overview?startDate=today&endDate=yesterday", {
+      token: adminToken,
+    });
+    assert.equal(backwards.status, 400);
+    assert.deepEqual(backwards.body.errors, [
+      { location: "query", field: "startDate", message: "must be on or before endDate" },
+    ]);
+    assert.equal((await ctx.request("GET", "/api/analytics/overview?preset=lastDecade", { token: adminToken })).status, 400);
+  });
+
+  it("compares a report with the previous period in one GA request, each range cached on its own", async () => {
+    const today = todayIn("UTC");
+    const sent = ctx.analyticsClient.requests.length;
+    const compared = await ctx.request("GET", "/api/analytics/overview?preset=last90Days&compare=previous_period", {
+      token: adminToken,
+    });
+    assert.equal(compared.status, 200);
+    assert.deepEqual(
+      ctx.analyticsClient.requests.slice(sent).map(({ requestBody }) => requestBody.dateRanges.map(({ startDate }) => startDate)),
+      [[addDays(today, -90), addDays(today, -181)]]
+    );
+    assert.deepEqual(compared.body.range.comparison, {
+      startDate: addDays(today, -181),
+      endDate: addDays(today, -91),
+      compare: "previous_period",
+      days: 91,
+    });
+    assert.equal(compared.body.comparison.data.activeUsers, 100);
+    assert.deepEqual(compared.body.comparison.changes.activeUsers, { current: 120, previous: 100, change: 20, percentChange: 20 });
+
+    const uncompared = await ctx.request("GET", "/api/analytics/overview?preset=last90Days", { token: adminToken });
+    assert.equal(uncompared.cache, "HIT");
+    assert.equal(uncompared.body.comparison, undefined);
+
+    const custom = await ctx.request("GET", "/api/analytics/overview?compare=custom&compareStartDate=2024-01-01", {
+      token: adminToken,
+    });
+    assert.equal(custom.status, 400);
+    assert.equal(custom.body.errors[0].field, "compareEndDate");
+  });
+
+  it("checks daily traffic and search for anomalies", async () => {
+    const response = await ctx.request("GET", "/api/analytics/anomalies?preset=last7Days", { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, { anomalies: [], baselineWeeks: 4, unavailable: [] });
+    assert.equal(response.body.range.preset, "last7Days");
+  });
+
+  it("lists the sites and scopes reports to the one asked for", async () => {
+    const sites = await ctx.request("GET", "/api/sites", { token: packerToken });
+    assert.equal(sites.status, 200);
+    assert.deepEqual(sites.body.data, [
+      { id: "example", name: "Example", hostname: "example.com", isDefault: true },
+      { id: "sister", name: "Sister", hostname: "sister.example", isDefault: false },
+    ]);
+
+    const path = "/api/analytics/overview?startDate=6daysAgo";
+    assert.equal((await ctx.request("GET", path, { token: adminToken })).cache, "MISS");
+    assert.equal(ctx.analyticsClient.requests.at(-1).property, "properties/123456");
+
+    const sister = await ctx.request("GET", `${path}&site=sister`, { token: adminToken });
+    assert.equal(sister.status, 200);
+    assert.equal(sister.cache, "MISS", "each site has its own cached report");
+    assert.equal(ctx.analyticsClient.requests.at(-1).property, "properties/654321");
+    assert.equal((await ctx.request("GET", `${path}&site=example`, { token: adminToken })).cache, "HIT");
+
+    const unknown = await ctx.request("GET", `${path}&site=nope`, { token: adminToken });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Sites: example, sister/);
+  });
+
+  it("serves the OpenAPI document to any signed-in account", async () => {
+    const response = await ctx.request("GET", "/api/openapi.json", { token: packerToken });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapi, "3.0.3");
+    assert.equal(response.body.paths["/api/sites"].get.operationId, "listSites");
+    assert.equal(response.body.paths["/api/customers"].get["x-permission"], "orders:read");
+  });
+
+  it("exposes request, GA and cache metrics to a scraper with the metrics token", async () => {
+    await ctx.request("GET", "/api/visitors/v-1?startDate=7daysAgo", { token: adminToken });
+    await ctx.request("GET", "/api/analytics/overview?startDate=9daysAgo", { token: adminToken });
+
+    assert.equal((await fetch(`${ctx.baseUrl}/metrics`)).status, 401);
+    const response = await fetch(`${ctx.baseUrl}/metrics`, { headers: { Authorization: "Bearer test-metrics-token" } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+
+    const text = await response.text();
+    assert.match(text, /http_requests_total\{method="GET",route="\/api\/visitors\/:visitorId",status="\d+"\} 1/);
+    assert.match(text, /http_request_duration_seconds_count\{method="GET",route="\/api\/analytics\/overview"\} \d+/);
+    assert.match(text, /google_api_requests_total\{api="ga",report="analytics:overview",outcome="ok"\} \d+/);
+    assert.match(text, /report_cache_lookups_total\{report="analytics:overview",cache="MISS"\} \d+/);
+    assert.doesNotMatch(text, /v-1/);
+  });
+
+  it("caches reports and purges them by prefix", async () => {
+    const path = "/api/analytics/overview?startDate=2024-05-01&endDate=2024-05-07";
+    const before = ctx.analyticsClient.requests.length;
+
+    const first = await ctx.request("GET", path, { token: adminToken });
+    assert.equal(first.cache, "MISS");
+    assert.ok(first.body.updatedAt);
+
+    const second = await ctx.request("GET", path, { token: adminToken });
+    assert.equal(second.cache, "HIT");
+    assert.equal(second.body.updatedAt, first.body.updatedAt);
+    assert.equal(ctx.analyticsClient.requests.length, before + 1);
+
+    const forbidden = await ctx.request("POST", "/api/cache/purge", {
+      token: packerToken,
+      body: { prefix: "analytics:" },
+    });
+    assert.equal(forbidden.status, 403);
+
+    const purge = await ctx.request("POST", "/api/cache/purge", {
+      token: adminToken,
+      body: { prefix: "analytics:overview?endDate=2024-05-07" },
+    });
+    assert.equal(purge.body.data.removed, 1);
+    assert.equal((await ctx.request("GET", path, { token: adminToken })).cache, "MISS");
+  });
+
+  it("reports the GA quota and holds off GA while it is failing", async () => {
+    const guard = getGaGuard();
+    setGaGuard(createGaGuard({ retry: { attempts: 1 }, circuit: { failureThreshold: 1 } }));
+
+    try {
+      await ctx.request("GET", "/api/analytics/overview?startDate=3daysAgo", { token: adminToken });
+      const quota = await ctx.request("GET", "/api/analytics/quota", { token: adminToken });
+      assert.equal(quota.status, 200);
+      assert.equal(quota.body.data.quotas.tokensPerDay.remaining, 5000);
+      assert.deepEqual(quota.body.data.low, ["tokensPerDay"]);
+      assert.equal(ctx.analyticsClient.requests.at(-1).requestBody.returnPropertyQuota, true);
+
+      ctx.analyticsClient.failure = Object.assign(new Error("Backend Error"), { code: 503 });
+      const failed = await ctx.request("GET", "/api/analytics/overview?startDate=4daysAgo", { token: adminToken });
+      assert.equal(failed.status, 503);
+      assert.ok(Number(failed.retryAfter) > 0);
+      assert.equal(failed.body.requestId, failed.requestId);
+
+      const requests = ctx.analyticsClient.requests.length;
+      const held = await ctx.request("GET", "/api/analytics/overview?startDate=5daysAgo", { token: adminToken });
+      assert.equal(held.status, 503);
+      assert.match(held.body.error, /unavailable/);
+      assert.equal(ctx.analyticsClient.requests.length, requests);
+
+      const cached = await ctx.request("GET", "/api/analytics/overview?startDate=3daysAgo", { token: adminToken });
+      assert.equal(cached.status, 200);
+
+      const status = await ctx.request("GET", "/api/analytics/quota", { token: adminToken });
+      assert.equal(status.body.data.circuit.state, "open");
+    } finally {
+      ctx.analyticsClient.failure = null;
+      setGaGuard(guard);
+    }
+  });
+
+  it("lists jobs and runs one on demand", async () => {
+    const listed = await ctx.request("GET", "/api/jobs", { token: adminToken });
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.schedulerRunning, false);
+    assert.deepEqual(listed.body.data.map((job) => [job.name, job.schedule, job.lastRun]), [
+      ["noop", "0 * * * *", null],
+    ]);
+
+    assert.equal((await ctx.request("POST", "/api/jobs/noop/run", { token: packerToken })).status, 403);
+    assert.equal((await ctx.request("POST", "/api/jobs/missing/run", { token: adminToken })).status, 404);
+
+    const started = await ctx.request("POST", "/api/jobs/noop/run", { token: adminToken });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.data.triggered_by, "admin@example.com");
+
+    const runs = await ctx.request("GET", "/api/jobs/runs?job=noop", { token: adminToken });
+    assert.equal(runs.body.data[0].status, "succeeded");
+    assert.deepEqual(runs.body.data[0].result, { ok: true });
+    assert.ok(ctx.supabase.tables.admin_audit_log.some((event) => event.action === "job.run"));
+  });
+
+  it("runs Search Console reports through the injected client", async () => {
+    const response = await ctx.request("GET", "/api/search-console/performance", {
+      token: adminToken,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.totalClicks, 40);
+    assert.equal(response.body.data.totalImpressions, 500);
+  });
+
+  it("tracks index syncs started from the Sitemap page", async () => {
+    const invalid = await ctx.request("POST", "/api/search-console/sync-index-status", {
+      token: adminToken,
+      body: { mode: "everything" },
+    });
+    assert.equal(invalid.status, 400);
+
+    const started = await ctx.request("POST", "/api/search-console/sync-index-status", {
+      token: adminToken,
+      body: {},
+    });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.data.mode, "not_indexed");
+    assert.equal(started.body.data.started_by, "admin@example.com");
+
+    const status = await ctx.request("GET", `/api/search-console/sync-index-status/${started.body.data.id}`, {
+      token: adminToken,
+    });
+    assert.equal(status.body.data.id, started.body.data.id);
+    assert.equal((await ctx.request("GET", "/api/search-console/sync-index-status", { token: packerToken })).status, 403);
+  });
+
+  it("manages users in Supabase and records the change", async () => {
+    const created = await ctx.request("POST", "/api/users", {
+      token: adminToken,
+      body: { name: "Grace", email: "grace@example.com" },
+    });
+    assert.equal(created.status, 201);
+
+    const listed = await ctx.request("GET", "/api/users", { token: adminToken });
+    assert.deepEqual(listed.body.data.map((user) => user.email), ["grace@example.com"]);
+    assert.ok(ctx.supabase.tables.admin_audit_log.some((event) => event.action === "user.create"));
+
+    const forbidden = await ctx.request("GET", "/api/users", { token: packerToken });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it("reads and updates orders in the injected Mongo database", async () => {
+    const customers = await ctx.request("GET", "/api/customers", { token: packerToken });
+    assert.equal(customers.status, 200);
+    assert.deepEqual(customers.body.data.map((customer) => customer.fullName), ["Ada Lovelace"]);
+
+    const packed = await ctx.request("PATCH", "/api/customers/cus_1/draftbox/1125/packed", {
+      token: packerToken,
+      body: { packed: true },
+    });
+    assert.equal(packed.status, 200);
+    assert.equal(ctx.mongo.collections.draftboxes[0].Packed, true);
+
+    const missing = await ctx.request("PATCH", "/api/customers/cus_2/draftbox/1125/packed", {
+      token: packerToken,
+      body: { packed: true },
+    });
+    assert.equal(missing.status, 404);
+  });
+
+  it("reports readiness per dependency without a session", async () => {
+    const ready = await ctx.request("GET", "/api/health/ready");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, "healthy");
+    assert.deepEqual(
+      Object.entries(ready.body.dependencies).map(([name, { status, critical }]) => [name, status, critical]),
+      [
+        ["supabase", "up", true],
+        ["mongodb", "up", false],
+        ["googleAnalytics", "up", false],
+        ["searchConsole", "up", false],
+      ]
+    );
+    assert.equal(typeof ready.body.dependencies.mongodb.latencyMs, "number");
+  });
+
+  it("answers 503 for order routes until Mongo is connected", async () => {
+    let db = null;
+    const pending = await startApp({ mongoDb: () => db });
+    const { token } = await createSession(pending.supabase, PACKER);
+
+    try {
+      assert.equal((await pending.request("GET", "/api/customers", { token })).status, 503);
+      const degraded = await pending.request("GET", "/api/health/ready");
+      assert.equal(degraded.status, 200);
+      assert.equal(degraded.body.status, "degraded");
+      assert.deepEqual(degraded.body.dependencies.mongodb, {
+        status: "down",
+        critical: false,
+        latencyMs: degraded.body.dependencies.mongodb.latencyMs,
+      });
+
+      db = createFakeMongo({ customers: [] });
+      assert.equal((await pending.request("GET", "/api/customers", { token })).status, 200);
+      assert.equal((await pending.request("GET", "/api/health/ready")).body.status, "healthy");
+
+      pending.app.locals.readiness.startDraining();
+      const draining = await pending.request("GET", "/api/health/ready");
+      assert.equal(draining.status, 503);
+      assert.equal(draining.body.status, "unhealthy");
+      assert.equal(draining.body.draining, true);
+    } finally {
+      pending.close();
+    }
+  });
+});
+
+describe("offline mode", () => {
+  let ctx;
+  let token;
+
+  before(async () => {
+    const google = withGoogleFixtures(
+      FIXTURE_MODES.REPLAY,
+      { analyticsClient: null, searchConsoleClient: null, fetchSitemap: () => assert.fail("fetched over HTTP") },
+      { dir: DEFAULT_FIXTURES_DIR, sites: SITES }
+    );
+    ctx = await startApp({ google });
+    token = (await createSession(ctx.supabase, ADMIN)).token;
+  });
+
+  after(() => ctx.close());
+
+  it("serves the sample reports from the committed fixtures", async () => {
+    const sessions = await ctx.request("GET", "/api/analytics/sessions?startDate=30daysAgo&endDate=today", { token });
+    assert.equal(sessions.status, 200);
+    assert.ok(sessions.body.data.activeUsers > 0);
+
+    const today = todayIn(undefined);
+    const trends = await ctx.request("GET", "/api/visitors/daily-trends?startDate=30daysAgo&endDate=today", { token });
+    assert.ok(trends.body.data.length > 0);
+    const days = trends.body.data.map(({ date }) => `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`);
+    assert.ok(days.every((day) => day >= addDays(today, -30) && day <= today));
+
+    const search = await ctx.request("GET", "/api/search-console/performance?startDate=30daysAgo&endDate=today", { token });
+    assert.equal(search.status, 200);
+    assert.ok(search.body.data.totalClicks > 0);
+    assert.equal(search.body.data.dailyData.at(-1).date, today);
+  });
+});
+
+describe("parseTrustProxy", () => {
+  it("trusts one proxy hop unless TRUST_PROXY says otherwise", () => {
+    assert.equal(parseTrustProxy(undefined), 1);
+    assert.equal(parseTrustProxy("2"), 2);
+    assert.equal(parseTrustProxy("false"), false);
+    assert.equal(parseTrustProxy("loopback, 10.0.0.0/8"), "loopback, 10.0.0.0/8");
+  });
+});
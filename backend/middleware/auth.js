@@ -0,0 +1,122 @@
+import crypto from "crypto";
+import { getBearerToken, verifySessionToken } from "../services/sessions.js";
+import { isApiKey, verifyApiKey } from "../services/apiKeys.js";
+import { logger } from "../services/logger.js";
+
+// Routes reachable without a session token
+export const PUBLIC_API_PATHS = [
+  "/api/health",
+  "/api/health/ready",
+  "/api/auth/login",
+  // Second login step - authenticated by the short-lived challenge token in the body
+  "/api/auth/login/mfa",
+  "/api/auth/login/mfa/setup",
+  "/api/auth/login/mfa/activate",
+];
+
+// Routes that still accept the legacy CRON_SECRET (prefer an API key with the cache:refresh scope)
+export const CRON_API_PATHS = ["/api/analytics/audience/refresh"];
+
+// Constant-time comparison of a bearer token with a configured secret
+export const matchesSecret = (token, secret) => {
+  if (!token || !secret) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Build the authentication middleware mounted in front of every /api route
+ * Rejects requests without a valid session or API key by default; only the
+ * allowlisted paths get through unauthenticated. On success sets req.auth:
+ *   { type: "session", account, session, expiresAt }, { type: "api_key", apiKey } or { type: "cron" }
+ * What the caller may then do is decided per route by requirePermission.
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client used to look up sessions
+ * @param {string} [options.cronSecret] - Shared secret accepted on cronPaths
+ * @param {string[]} [options.publicPaths]
+ * @param {string[]} [options.cronPaths]
+ * @returns {Function} Express middleware
+ */
+export const createAuthMiddleware = ({
+  supabase,
+  cronSecret = process.env.CRON_SECRET,
+  publicPaths = PUBLIC_API_PATHS,
+  cronPaths = CRON_API_PATHS,
+}) => {
+  const publicPathSet = new Set(publicPaths);
+  const cronPathSet = new Set(cronPaths);
+
+  return async (req, res, next) => {
+    const path = `${req.baseUrl}${req.path}`.replace(/\/+$/, "") || "/";
+
+    if (publicPathSet.has(path)) {
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      });
+    }
+
+    if (cronPathSet.has(path) && matchesSecret(token, cronSecret)) {
+      req.auth = { type: "cron" };
+      return next();
+    }
+
+    try {
+      if (isApiKey(token)) {
+        const apiKey = await verifyApiKey(supabase, token);
+        if (!apiKey) {
+          return res.status(401).json({
+            success: false,
+            error: "Invalid, expired or revoked API key",
+          });
+        }
+
+        req.auth = { type: "api_key", apiKey };
+        return next();
+      }
+
+      const auth = await verifySessionToken(supabase, token);
+      if (!auth) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid or expired session",
+        });
+      }
+
+      req.auth = { type: "session", ...auth };
+      next();
+    } catch (error) {
+      logger.error("Error verifying session", { error });
+      res.status(500).json({
+        success: false,
+        error: "Could not verify session",
+      });
+    }
+  };
+};
+
+/**
+ * Route middleware for endpoints about the signed-in user themselves
+ * (verify, refresh, logout, 2FA) - API keys and the cron secret have no user.
+ */
+export const requireSession = (req, res, next) => {
+  if (req.auth?.type !== "session") {
+    return res.status(403).json({
+      success: false,
+      error: "This endpoint requires a signed-in user",
+    });
+  }
+  next();
+};
+requireSession.openapi = {
+  "x-session-only": true,
+  responses: { 403: { $ref: "#/components/responses/Forbidden" } },
+};
+
+export default createAuthMiddleware;
@@ -0,0 +1,142 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createAuthMiddleware } from "./auth.js";
+import { PERMISSIONS } from "./permissions.js";
+import { createSession, revokeSession, signToken } from "../services/sessions.js";
+import { createApiKey, revokeApiKey } from "../services/apiKeys.js";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+
+process.env.SESSION_SECRET = "test-session-secret";
+
+const CRON_SECRET = "test-cron-secret";
+
+// One representative request per route family in routes/
+const PROTECTED_ROUTES = [
+  ["GET", "/api/auth/verify"],
+  ["POST", "/api/auth/refresh"],
+  ["POST", "/api/auth/logout"],
+  ["GET", "/api/auth/sessions"],
+  ["DELETE", "/api/auth/sessions/sess-1"],
+  ["GET", "/api/auth/mfa"],
+  ["POST", "/api/auth/mfa/disable"],
+  ["POST", "/api/admin-accounts/acc-1/mfa/reset"],
+  ["GET", "/api/analytics/overview"],
+  ["GET", "/api/analytics/audience"],
+  ["GET", "/api/analytics/quota"],
+  ["POST", "/api/analytics/audience/refresh"],
+  ["GET", "/api/search-console/performance"],
+  ["GET", "/api/search-console/page-index"],
+  ["POST", "/api/search-console/sync-index-status"],
+  ["GET", "/api/search-console/sync-index-status"],
+  ["POST", "/api/search-console/sync-index-status/00000000-0000-0000-0000-000000000000/cancel"],
+  ["POST", "/api/cache/purge"],
+  ["GET", "/api/jobs"],
+  ["GET", "/api/sites"],
+  ["GET", "/api/openapi.json"],
+  ["POST", "/api/jobs/audience-cache-refresh/run"],
+  ["GET", "/api/visitors"],
+  ["GET", "/api/visitors/power-users"],
+  ["GET", "/api/users"],
+  ["POST", "/api/users"],
+  ["PUT", "/api/users/123"],
+  ["DELETE", "/api/users/123"],
+  ["GET", "/api/customers"],
+  ["GET", "/api/customers/cus_1/draftbox"],
+  ["PATCH", "/api/customers/cus_1/draftbox/1125/packed"],
+  ["POST", "/api/customers/cus_1/create-box"],
+  ["PUT", "/api/customers/cus_1/draftbox/1125/replace-snack"],
+  ["GET", "/api/does-not-exist"],
+];
+
+const account = { id: "acc-1", email: "jane@example.com", status: "active" };
+
+describe("auth middleware", () => {
+  let server;
+  let baseUrl;
+  let supabase;
+
+  before(async () => {
+    supabase = createFakeSupabase({ admin_users: [account], api_keys: [] });
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api", createAuthMiddleware({ supabase, cronSecret: CRON_SECRET }));
+    // Anything that gets past the middleware succeeds
+    app.use((req, res) => res.json({ success: true, auth: req.auth?.type }));
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const request = (method, path, token) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+  for (const [method, path] of PROTECTED_ROUTES) {
+    it(`rejects ${method} ${path} without a token`, async () => {
+      const response = await request(method, path);
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).success, false);
+    });
+  }
+
+  it("allows the health check and login without a token", async () => {
+    assert.equal((await request("GET", "/api/health")).status, 200);
+    assert.equal((await request("POST", "/api/auth/login")).status, 200);
+    // The 2FA step carries its own challenge token in the body
+    assert.equal((await request("POST", "/api/auth/login/mfa")).status, 200);
+  });
+
+  it("accepts a valid session token", async () => {
+    const { token } = await createSession(supabase, account);
+    const response = await request("GET", "/api/customers", token);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).auth, "session");
+  });
+
+  it("rejects a revoked session", async () => {
+    const { token, session } = await createSession(supabase, account);
+    await revokeSession(supabase, session.id);
+    assert.equal((await request("GET", "/api/customers", token)).status, 401);
+  });
+
+  it("rejects forged and legacy base64 tokens", async () => {
+    const legacy = Buffer.from(
+      JSON.stringify({ timestamp: Date.now(), random: "abc", expiresAt: Date.now() + 1000 })
+    ).toString("base64");
+    assert.equal((await request("GET", "/api/users", legacy)).status, 401);
+
+    const { session } = await createSession(supabase, account);
+    const [payload] = signToken({ sid: session.id, jti: session.token_id, exp: Date.now() + 1000 }).split(".");
+    assert.equal((await request("GET", "/api/users", `${payload}.forged`)).status, 401);
+  });
+
+  it("accepts live API keys and rejects revoked ones", async () => {
+    const { apiKey, key } = await createApiKey(supabase, {
+      name: "Index sync script",
+      scopes: [PERMISSIONS.INDEX_SYNC],
+    });
+
+    const response = await request("POST", "/api/search-console/sync-index-status", key);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).auth, "api_key");
+
+    await revokeApiKey(supabase, apiKey.id);
+    assert.equal((await request("POST", "/api/search-console/sync-index-status", key)).status, 401);
+  });
+
+  it("accepts CRON_SECRET only on cron endpoints", async () => {
+    const cronResponse = await request("POST", "/api/analytics/audience/refresh", CRON_SECRET);
+    assert.equal(cronResponse.status, 200);
+    assert.equal((await cronResponse.json()).auth, "cron");
+
+    assert.equal((await request("GET", "/api/customers", CRON_SECRET)).status, 401);
+    assert.equal((await request("DELETE", "/api/users/123", CRON_SECRET)).status, 401);
+  });
+});
@@ -0,0 +1,84 @@
+import { resolveDateRange as resolve } from "../services/dateRange.js";
+import { compareReports } from "../services/comparison.js";
+import { pairGaRanges } from "../services/gaReport.js";
+
+/**
+ * Route middleware resolving a report's date range, placed after validate() with a
+ * DATE_RANGE_QUERY shape (routes/shapes.js)
+ *
+ * The preset and dates in req.query become absolute days in the site's time zone
+ * (services/dateRange.js): req.query keeps only startDate and endDate, as YYYY-MM-DD, so
+ * services and report cache keys see the actual days. The resolved range is in
+ * req.dateRange and added to successful JSON responses as `range`. A start after the end
+ * answers 400 like validate() does.
+ *
+ * With ?compare=, range.comparison holds the comparison range. Handlers load their report
+ * through req.cachedRangeReport(report, params, load), which runs load({ startDate, endDate })
+ * for both ranges, each cached as its own report. The two loads are paired
+ * (services/gaReport.js pairGaRanges), so full GA reports ask for both ranges in one
+ * request; reports with a limit and Search Console queries still make one per range. The
+ * response then gets
+ * `comparison: { data, changes }`: the report over the comparison range, and data's shape
+ * with each number as { current, previous, change, percentChange } (services/comparison.js).
+ *
+ * Usage:
+ *   router.get("/overview", validate({ query: DATE_RANGE_QUERY }), resolveDateRange, handler)
+ */
+export const resolveDateRange = (req, res, next) => {
+  let range;
+  try {
+    range = resolve(req.query, { timeZone: req.site?.timeZone });
+  } catch (error) {
+    if (error.status !== 400) return next(error);
+    return res.status(400).json({
+      success: false,
+      error: `Invalid request: ${error.message}`,
+      errors: [{ location: "query", field: error.field, message: error.reason }],
+    });
+  }
+
+  // Comparison fields stay out of req.query, so the current range shares its cache entry
+  const query = { ...req.query, startDate: range.startDate, endDate: range.endDate };
+  for (const field of ["preset", "compare", "compareStartDate", "compareEndDate"]) delete query[field];
+  req.query = query;
+  req.dateRange = range;
+
+  let previous;
+  req.cachedRangeReport = async (report, params, load) => {
+    const over = ({ startDate, endDate }, run = (loader) => loader()) =>
+      req.cachedReport(report, { ...params, startDate, endDate }, () => run(() => load({ startDate, endDate })));
+    if (!range.comparison) return over(range);
+
+    const pair = pairGaRanges(range, range.comparison);
+    const [data, previousData] = await Promise.all([
+      over(range, pair.current).finally(pair.settle),
+      over(range.comparison, pair.comparison),
+    ]);
+    previous = { data: previousData };
+    return data;
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!body?.success) return json(body);
+    const comparison = previous && {
+      data: previous.data,
+      changes: compareReports(body.data, previous.data, {
+        currentStart: range.startDate,
+        previousStart: range.comparison.startDate,
+      }),
+    };
+    return json(comparison ? { ...body, range, comparison } : { ...body, range });
+  };
+  next();
+};
+
+// Adds `range` and `comparison` to the route's success response in the OpenAPI document (services/openapi.js)
+resolveDateRange.openapi = {
+  fields: {
+    range: { $ref: "#/components/schemas/DateRange" },
+    comparison: { $ref: "#/components/schemas/Comparison" },
+  },
+};
+
+export default resolveDateRange;
@@ -0,0 +1,22 @@
+import { httpRequestDuration, httpRequestsTotal } from "../services/metrics.js";
+
+/**
+ * Count and time each request by its route template
+ * Routes are labelled as registered ("/api/visitors/:visitorId"), so IDs in the URL do not
+ * create a series each; requests no route matched are labelled "unmatched".
+ *
+ * @returns {Function} Express middleware
+ */
+export const createMetricsMiddleware = () => (req, res, next) => {
+  const end = httpRequestDuration.startTimer({ method: req.method });
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}` || "/" : "unmatched";
+    end({ route });
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+};
+
+export default createMetricsMiddleware;
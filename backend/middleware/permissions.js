@@ -0,0 +1,86 @@
+export const ROLES = ["admin", "analyst", "packer"];
+
+export const PERMISSIONS = {
+  ANALYTICS_READ: "analytics:read",
+  SEARCH_CONSOLE_READ: "search-console:read",
+  INDEX_SYNC: "index:sync",
+  CACHE_REFRESH: "cache:refresh",
+  ORDERS_READ: "orders:read",
+  ORDERS_PACK: "orders:pack",
+  ORDERS_WRITE: "orders:write",
+  USERS_MANAGE: "users:manage",
+  ACCOUNTS_MANAGE: "accounts:manage",
+  AUDIT_READ: "audit:read",
+  API_KEYS_MANAGE: "api-keys:manage",
+  JOBS_MANAGE: "jobs:manage",
+};
+
+// What each role may do. Admins get everything.
+export const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  analyst: [
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.SEARCH_CONSOLE_READ,
+    PERMISSIONS.INDEX_SYNC,
+  ],
+  packer: [PERMISSIONS.ORDERS_READ, PERMISSIONS.ORDERS_PACK],
+};
+
+// The legacy CRON_SECRET caller can only refresh caches
+const CRON_PERMISSIONS = [PERMISSIONS.CACHE_REFRESH];
+
+// Permissions an API key may be granted; account, user and key management stay session-only
+export const API_KEY_SCOPES = [
+  PERMISSIONS.CACHE_REFRESH,
+  PERMISSIONS.INDEX_SYNC,
+  PERMISSIONS.ORDERS_READ,
+  PERMISSIONS.ANALYTICS_READ,
+  PERMISSIONS.SEARCH_CONSOLE_READ,
+];
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Get the permissions of the caller authenticated by middleware/auth.js
+ * @param {Object} auth - req.auth
+ * @returns {string[]}
+ */
+export const getAuthPermissions = (auth) => {
+  if (!auth) return [];
+  if (auth.type === "cron") return CRON_PERMISSIONS;
+  if (auth.type === "api_key") {
+    return (auth.apiKey?.scopes || []).filter((scope) => API_KEY_SCOPES.includes(scope));
+  }
+  return getRolePermissions(auth.account?.role);
+};
+
+/**
+ * Route middleware: 403 unless the caller holds the given permission
+ * Usage: app.get("/api/customers", requirePermission(PERMISSIONS.ORDERS_READ), handler)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!getAuthPermissions(req.auth).includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `You do not have permission to perform this action (${permission})`,
+      });
+    }
+    next();
+  };
+  // Listed in the API docs (services/openapi.js)
+  middleware.openapi = {
+    "x-permission": permission,
+    responses: { 403: { $ref: "#/components/responses/Forbidden" } },
+  };
+  return middleware;
+};
+
+export default requirePermission;
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PERMISSIONS, getAuthPermissions, requirePermission } from "./permissions.js";
+
+const sessionFor = (role) => ({ type: "session", account: { id: "acc-1", role } });
+
+const run = (permission, auth) => {
+  let status = 200;
+  let nextCalled = false;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  requirePermission(permission)({ auth }, res, () => {
+    nextCalled = true;
+  });
+  return nextCalled ? 200 : status;
+};
+
+describe("requirePermission", () => {
+  it("lets packers toggle packed but not create boxes or read analytics", () => {
+    const packer = sessionFor("packer");
+    assert.equal(run(PERMISSIONS.ORDERS_PACK, packer), 200);
+    assert.equal(run(PERMISSIONS.ORDERS_READ, packer), 200);
+    assert.equal(run(PERMISSIONS.ORDERS_WRITE, packer), 403);
+    assert.equal(run(PERMISSIONS.ANALYTICS_READ, packer), 403);
+  });
+
+  it("lets analysts read GA and Search Console but not orders or users", () => {
+    const analyst = sessionFor("analyst");
+    assert.equal(run(PERMISSIONS.ANALYTICS_READ, analyst), 200);
+    assert.equal(run(PERMISSIONS.SEARCH_CONSOLE_READ, analyst), 200);
+    assert.equal(run(PERMISSIONS.ORDERS_READ, analyst), 403);
+    assert.equal(run(PERMISSIONS.USERS_MANAGE, analyst), 403);
+  });
+
+  it("gives admins every permission", () => {
+    const admin = sessionFor("admin");
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.equal(run(permission, admin), 200);
+    }
+  });
+
+  it("limits API keys to their scopes and never grants management", () => {
+    const apiKey = {
+      type: "api_key",
+      apiKey: { id: "key-1", scopes: [PERMISSIONS.ORDERS_READ, PERMISSIONS.USERS_MANAGE] },
+    };
+    assert.equal(run(PERMISSIONS.ORDERS_READ, apiKey), 200);
+    assert.equal(run(PERMISSIONS.ORDERS_PACK, apiKey), 403);
+    assert.equal(run(PERMISSIONS.USERS_MANAGE, apiKey), 403);
+  });
+
+  it("denies unknown roles and limits cron to cache refresh", () => {
+    assert.deepEqual(getAuthPermissions(sessionFor("intern")), []);
+    assert.equal(run(PERMISSIONS.CACHE_REFRESH, { type: "cron" }), 200);
+    assert.equal(run(PERMISSIONS.USERS_MANAGE, { type: "cron" }), 403);
+  });
+});
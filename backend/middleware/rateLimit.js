@@ -0,0 +1,66 @@
+import { logger } from "../services/logger.js";
+
+/**
+ * Default limiter key: the caller's session or API key, otherwise their IP
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export const getRateLimitKey = (req) => {
+  if (req.auth?.session?.id) return `session:${req.auth.session.id}`;
+  if (req.auth?.apiKey?.id) return `api-key:${req.auth.apiKey.id}`;
+  return `ip:${req.ip || req.connection?.remoteAddress || "unknown"}`;
+};
+
+/**
+ * Route middleware limiting each caller to `max` requests per `windowMs`
+ * Counters live in the shared store (services/rateLimit.js). If the store is
+ * unreachable the request is let through rather than taking the endpoint down.
+ *
+ * Usage: app.get("/api/expensive", createRateLimiter({ store, name: "expensive", windowMs: 60000, max: 20 }), handler)
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Rate-limit store
+ * @param {string} options.name - Limiter name, part of the counter key
+ * @param {number} options.windowMs
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - (req) => string, defaults to getRateLimitKey
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = ({
+  store,
+  name,
+  windowMs,
+  max,
+  keyGenerator = getRateLimitKey,
+}) => {
+  const middleware = async (req, res, next) => {
+    let result;
+    try {
+      result = await store.increment(`${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      logger.error("Rate limiter unavailable", { limiter: name, error: error.message });
+      return next();
+    }
+
+    const secondsToReset = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - result.count, 0)));
+    res.set("RateLimit-Reset", String(secondsToReset));
+
+    if (result.count > max) {
+      res.set("Retry-After", String(secondsToReset));
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Please try again in ${secondsToReset} second(s).`,
+      });
+    }
+    next();
+  };
+  middleware.openapi = {
+    "x-rate-limit": { max, windowMs },
+    responses: { 429: { $ref: "#/components/responses/TooManyRequests" } },
+  };
+  return middleware;
+};
+
+export default createRateLimiter;
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createMemoryRateLimitStore } from "../services/rateLimit.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+describe("createRateLimiter", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const store = createMemoryRateLimitStore();
+    const failingStore = {
+      increment: async () => {
+        throw new Error("store down");
+      },
+    };
+
+    const app = express();
+    // Stand-in for the auth middleware: the x-session header picks the session
+    app.use((req, res, next) => {
+      const sessionId = req.get("x-session");
+      req.auth = sessionId ? { type: "session", session: { id: sessionId } } : undefined;
+      next();
+    });
+    app.get(
+      "/limited",
+      createRateLimiter({ store, name: "limited", windowMs: 60000, max: 2 }),
+      (req, res) => res.json({ success: true })
+    );
+    app.get(
+      "/store-down",
+      createRateLimiter({ store: failingStore, name: "down", windowMs: 60000, max: 1 }),
+      (req, res) => res.json({ success: true })
+    );
+
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const request = (path, session) =>
+    fetch(`${baseUrl}${path}`, { headers: session ? { "x-session": session } : {} });
+
+  it("returns 429 with Retry-After once a session exceeds the limit", async () => {
+    assert.equal((await request("/limited", "s1")).status, 200);
+    const second = await request("/limited", "s1");
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get("ratelimit-remaining"), "0");
+
+    const third = await request("/limited", "s1");
+    assert.equal(third.status, 429);
+    assert.ok(Number(third.headers.get("retry-after")) > 0);
+    assert.equal((await third.json()).success, false);
+  });
+
+  it("counts each session separately from others and from anonymous IPs", async () => {
+    assert.equal((await request("/limited", "s2")).status, 200);
+    assert.equal((await request("/limited")).status, 200);
+  });
+
+  it("lets requests through when the store is unavailable", async () => {
+    assert.equal((await request("/store-down", "s1")).status, 200);
+    assert.equal((await request("/store-down", "s1")).status, 200);
+  });
+});
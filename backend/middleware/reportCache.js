@@ -0,0 +1,51 @@
+import { CACHE_STATUS } from "../services/reportCache.js";
+
+// When a response is built from several reports, it is only as fresh as the least fresh one
+const CACHE_STATUS_RANK = [CACHE_STATUS.HIT, CACHE_STATUS.MISS, CACHE_STATUS.STALE];
+
+/**
+ * Router middleware giving handlers req.cachedReport(report, params, load)
+ * Successful JSON responses that used it get an X-Cache header (HIT, MISS or STALE)
+ * and an updatedAt field with the time the oldest report in them was fetched. Errors
+ * carrying retryAfter (GA held off by services/gaGuard.js) set the Retry-After header.
+ * Behind middleware/site.js, reports are cached per req.site.
+ *
+ * Usage:
+ *   router.use(createReportCacheMiddleware(reportCache));
+ *   const data = await req.cachedReport("analytics:overview", req.query, () => getOverviewMetrics(req.site, startDate, endDate));
+ *
+ * @param {Object} reportCache - From services/reportCache.js createReportCache
+ * @returns {Function} Express middleware
+ */
+export const createReportCacheMiddleware = (reportCache) => (req, res, next) => {
+  const used = [];
+
+  req.cachedReport = async (report, params, load) => {
+    let result;
+    try {
+      result = await reportCache.get(report, req.site ? { ...params, site: req.site.id } : params, load);
+    } catch (error) {
+      if (error.retryAfter && !res.headersSent) res.set("Retry-After", String(error.retryAfter));
+      throw error;
+    }
+    used.push(result);
+    return result.value;
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (used.length > 0 && body?.success && !res.headersSent) {
+      const status = used
+        .map((result) => result.cache)
+        .sort((a, b) => CACHE_STATUS_RANK.indexOf(b) - CACHE_STATUS_RANK.indexOf(a))[0];
+      const updatedAt = Math.min(...used.map((result) => result.updatedAt));
+      res.set("X-Cache", status);
+      return json({ ...body, updatedAt: new Date(updatedAt).toISOString() });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+export default createReportCacheMiddleware;
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+import { logger, runWithLogContext } from "../services/logger.js";
+
+// Accept IDs from a proxy or client (e.g. Railway's X-Request-Id), but nothing that could break a log line
+const INCOMING_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Give each request an ID and log it when it finishes
+ * The ID is req.id, the X-Request-Id response header and the requestId of every log line
+ * written while the request runs (see services/logger.js). Error responses carry it as
+ * requestId so the UI can show it and it can be looked up in the logs.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.logRequests=true] - Log method, path, status and duration of each request
+ * @param {Object} [options.log] - Defaults to the shared logger
+ * @returns {Function} Express middleware
+ */
+export const createRequestContextMiddleware = ({ logRequests = true, log = logger } = {}) => (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && INCOMING_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body?.success === false && !body.requestId) {
+      return json({ ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+
+  if (logRequests) {
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      const fields = {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        ...(req.auth?.account && { accountId: req.auth.account.id }),
+        ...(req.auth?.apiKey && { apiKeyId: req.auth.apiKey.id }),
+      };
+      if (res.statusCode >= 500) log.error("Request failed", fields);
+      else log.info("Request completed", fields);
+    });
+  }
+
+  runWithLogContext({ requestId: req.id }, next);
+};
+
+export default createRequestContextMiddleware;
@@ -0,0 +1,44 @@
+/**
+ * Router middleware resolving the ?site= query parameter to req.site
+ * Requests without one get the default site; unknown ids answer 400. Mount it before
+ * createReportCacheMiddleware so cached reports are kept per site.
+ *
+ * Usage:
+ *   router.use(createSiteMiddleware(sites));
+ *   const data = await getOverviewMetrics(req.site, startDate, endDate);
+ *
+ * @param {Object} sites - Site registry from services/sites.js createSiteRegistry
+ * @returns {Function} Express middleware
+ */
+export const createSiteMiddleware = (sites) => {
+  const middleware = (req, res, next) => {
+    const requested = req.query.site;
+    const site = typeof requested === "string" || requested === undefined ? sites.get(requested) : null;
+
+    if (!site) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown site "${requested}". Sites: ${sites.all.map(({ id }) => id).join(", ")}`,
+      });
+    }
+
+    req.site = site;
+    next();
+  };
+  // Every route behind it takes ?site= (services/openapi.js)
+  middleware.openapi = {
+    parameters: [
+      {
+        name: "site",
+        in: "query",
+        required: false,
+        description: "Site to report on (GET /api/sites); the default site when omitted",
+        schema: { type: "string", pattern: "^[a-z0-9][a-z0-9-]{0,39}$" },
+      },
+    ],
+    responses: { 400: { $ref: "#/components/responses/BadRequest" } },
+  };
+  return middleware;
+};
+
+export default createSiteMiddleware;
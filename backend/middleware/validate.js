@@ -0,0 +1,242 @@
+/**
+ * Declarative validation for route params, query strings and bodies
+ *
+ * Each location is described by a shape of field types built with `v`. Values are
+ * coerced (numeric strings to numbers, "true"/"false" to booleans, timestamps to ISO
+ * strings), defaults are filled in and unknown fields are dropped, so handlers only
+ * ever see the fields they declared. Any failure answers 400 with every field error:
+ *
+ *   { success: false, error: "Invalid request: limit must be at most 1000",
+ *     errors: [{ location: "query", field: "limit", message: "must be at most 1000" }] }
+ *
+ * Usage:
+ *   app.get("/api/x", validate({ query: { limit: v.integer({ min: 1, max: 100, default: 10 }) } }), handler)
+ *
+ * The same shapes describe the route in the OpenAPI document (services/openapi.js):
+ * each type carries its JSON schema and validate() exposes the parameters and body.
+ */
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+const ok = (value) => ({ value });
+const fail = (message) => ({ error: message });
+
+// Drop the schema keywords a type was not given
+const compact = (schema) =>
+  Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== undefined));
+
+/**
+ * Wrap a type's parser with the options every type shares
+ * @param {Function} parse - (value) => { value } | { error }, only called with a present value
+ * @param {Object} options
+ * @param {boolean} [options.required]
+ * @param {*} [options.default] - Used when the value is missing
+ * @param {Object} [schema] - JSON schema of the accepted values
+ */
+const field = (parse, { required = false, default: defaultValue } = {}, schema = {}) => {
+  const check = (value) => {
+    if (isMissing(value)) {
+      if (defaultValue !== undefined) return ok(defaultValue);
+      return required ? fail("is required") : ok(undefined);
+    }
+    return parse(value);
+  };
+  check.required = required;
+  check.schema = compact({ ...schema, default: defaultValue });
+  return check;
+};
+
+const checkRange = (value, { min, max }) => {
+  if (min !== undefined && value < min) return fail(`must be at least ${min}`);
+  if (max !== undefined && value > max) return fail(`must be at most ${max}`);
+  return ok(value);
+};
+
+const string = ({ min, max, pattern, oneOf, trim = true, ...options } = {}) =>
+  field((raw) => {
+    if (typeof raw !== "string") return fail("must be a string");
+    const value = trim ? raw.trim() : raw;
+    if (min !== undefined && value.length < min) return fail(`must be at least ${min} characters`);
+    if (max !== undefined && value.length > max) return fail(`must be at most ${max} characters`);
+    if (oneOf && !oneOf.includes(value)) return fail(`must be one of: ${oneOf.join(", ")}`);
+    if (pattern && !pattern.test(value)) return fail("has an invalid format");
+    return ok(value);
+  }, options, compact({ type: "string", minLength: min, maxLength: max, enum: oneOf, pattern: pattern?.source }));
+
+const integer = ({ min, max, ...options } = {}) =>
+  field((raw) => {
+    const value = typeof raw === "string" && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    if (!Number.isSafeInteger(value)) return fail("must be a whole number");
+    return checkRange(value, { min, max });
+  }, options, compact({ type: "integer", minimum: min, maximum: max }));
+
+const number = ({ min, max, ...options } = {}) =>
+  field((raw) => {
+    const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a number");
+    return checkRange(value, { min, max });
+  }, options, compact({ type: "number", minimum: min, maximum: max }));
+
+const BOOLEAN_STRINGS = { true: true, false: false, 1: true, 0: false };
+
+const boolean = (options) =>
+  field((raw) => {
+    if (typeof raw === "boolean") return ok(raw);
+    if (typeof raw === "string" && raw.toLowerCase() in BOOLEAN_STRINGS) {
+      return ok(BOOLEAN_STRINGS[raw.toLowerCase()]);
+    }
+    return fail("must be true or false");
+  }, options, { type: "boolean" });
+
+// Anything Date can parse; handed to the handler as an ISO string
+const timestamp = (options) =>
+  field((raw) => {
+    const date = typeof raw === "string" || typeof raw === "number" ? new Date(raw) : null;
+    if (!date || Number.isNaN(date.getTime())) return fail("must be a valid date");
+    return ok(date.toISOString());
+  }, options, { type: "string", format: "date-time" });
+
+const GA_RELATIVE_DATE = /^(today|yesterday|\d{1,4}daysAgo)$/;
+const ISO_DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Google Analytics / Search Console dates: YYYY-MM-DD, today, yesterday or NdaysAgo
+const gaDate = (options) =>
+  field((raw) => {
+    if (typeof raw !== "string") return fail("must be a date");
+    if (GA_RELATIVE_DATE.test(raw)) return ok(raw);
+    const match = raw.match(ISO_DAY);
+    const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    if (!date || date.toISOString().slice(0, 10) !== raw) {
+      return fail("must be YYYY-MM-DD, today, yesterday or NdaysAgo");
+    }
+    return ok(raw);
+  }, options, { type: "string", description: "YYYY-MM-DD, today, yesterday or NdaysAgo" });
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Supabase primary keys
+const uuid = (options) =>
+  field((raw) => {
+    if (typeof raw !== "string" || !UUID.test(raw)) return fail("must be a valid id");
+    return ok(raw.toLowerCase());
+  }, options, { type: "string", format: "uuid" });
+
+// Mongo ids that may be stored as strings or numbers; passed through untouched
+const id = ({ max = 200, ...options } = {}) =>
+  field((raw) => {
+    if (typeof raw === "number" && Number.isFinite(raw)) return ok(raw);
+    if (typeof raw !== "string" || raw.length > max) return fail("must be a valid id");
+    return ok(raw);
+  }, options, { oneOf: [{ type: "string", maxLength: max }, { type: "number" }] });
+
+const array = (item, { min, max, ...options } = {}) =>
+  field((raw) => {
+    if (!Array.isArray(raw)) return fail("must be a list");
+    if (min !== undefined && raw.length < min) return fail(`must have at least ${min} item(s)`);
+    if (max !== undefined && raw.length > max) return fail(`must have at most ${max} items`);
+    const values = [];
+    for (const [index, entry] of raw.entries()) {
+      const result = item(entry);
+      if (result.error) return fail(`item ${index + 1} ${result.error}`);
+      values.push(result.value);
+    }
+    return ok(values);
+  }, options, compact({ type: "array", items: item.schema, minItems: min, maxItems: max }));
+
+/** Field types for validate() schemas */
+export const v = { string, integer, number, boolean, timestamp, gaDate, uuid, id, array };
+
+/**
+ * Validate one location against its shape
+ * @param {Object} shape - { field: type }
+ * @param {*} input - req.params, req.query or req.body
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }}
+ */
+export const parseShape = (shape, input) => {
+  if (input !== undefined && (typeof input !== "object" || input === null || Array.isArray(input))) {
+    return { value: {}, errors: [{ field: "(root)", message: "must be an object" }] };
+  }
+
+  const value = {};
+  const errors = [];
+  for (const [name, type] of Object.entries(shape)) {
+    const result = type(input?.[name]);
+    if (result.error) {
+      errors.push({ field: name, message: result.error });
+    } else if (result.value !== undefined) {
+      value[name] = result.value;
+    }
+  }
+  return { value, errors };
+};
+
+/**
+ * JSON schema of a shape, e.g. a request body
+ * @param {Object} shape - { field: type }
+ * @returns {Object}
+ */
+export const shapeToJsonSchema = (shape) => {
+  const required = Object.keys(shape).filter((name) => shape[name].required);
+  return compact({
+    type: "object",
+    properties: Object.fromEntries(Object.entries(shape).map(([name, type]) => [name, type.schema])),
+    required: required.length > 0 ? required : undefined,
+  });
+};
+
+// The part of an OpenAPI operation a validate() call describes
+const toOpenApi = (schemas) => {
+  const parameters = [["params", "path"], ["query", "query"]].flatMap(([location, where]) =>
+    Object.entries(schemas[location] || {}).map(([name, type]) => ({
+      name,
+      in: where,
+      required: where === "path" || type.required,
+      schema: type.schema,
+    }))
+  );
+  const body = schemas.body && {
+    required: Object.values(schemas.body).some((type) => type.required),
+    content: { "application/json": { schema: shapeToJsonSchema(schemas.body) } },
+  };
+  return compact({
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: body,
+    responses: { 400: { $ref: "#/components/responses/BadRequest" } },
+  });
+};
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Route middleware validating and coercing the request before the handler runs
+ * @param {Object} schemas
+ * @param {Object} [schemas.params] - Shape for req.params
+ * @param {Object} [schemas.query] - Shape for req.query
+ * @param {Object} [schemas.body] - Shape for req.body
+ * @returns {Function} Express middleware; `openapi` on it describes the request for the API docs
+ */
+export const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+      const result = parseShape(schemas[location], req[location]);
+      errors.push(...result.errors.map((error) => ({ location, ...error })));
+      req[location] = result.value;
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid request: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`,
+        errors,
+      });
+    }
+    next();
+  };
+  middleware.openapi = toOpenApi(schemas);
+  return middleware;
+};
+
+export default validate;
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { v, validate } from "./validate.js";
+
+const run = (schemas, req) => {
+  let response = null;
+  const res = {
+    status(code) {
+      response = { status: code };
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  validate(schemas)(req, res, () => {
+    nextCalled = true;
+  });
+  return nextCalled ? { status: 200, req } : response;
+};
+
+const REPORT_QUERY = {
+  startDate: v.gaDate({ default: "30daysAgo" }),
+  endDate: v.gaDate({ default: "today" }),
+  limit: v.integer({ min: 1, max: 1000, default: 10 }),
+};
+
+describe("validate", () => {
+  it("coerces query strings and fills in defaults", () => {
+    const { status, req } = run({ query: REPORT_QUERY }, { query: { limit: "25" } });
+    assert.equal(status, 200);
+    assert.deepEqual(req.query, { startDate: "30daysAgo", endDate: "today", limit: 25 });
+  });
+
+  it("lists every field error in one 400", () => {
+    const { status, body } = run(
+      { query: REPORT_QUERY },
+      { query: { startDate: "last tuesday", endDate: "2025-02-30", limit: "5000" } }
+    );
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.deepEqual(
+      body.errors.map(({ location, field }) => `${location}.${field}`),
+      ["query.startDate", "query.endDate", "query.limit"]
+    );
+    assert.match(body.error, /limit must be at most 1000/);
+  });
+
+  it("drops fields the schema does not declare", () => {
+    const { req } = run(
+      { body: { name: v.string({ max: 10 }) } },
+      { body: { name: "  Sam ", id: "forged", is_admin: true } }
+    );
+    assert.deepEqual(req.body, { name: "Sam" });
+  });
+
+  it("checks params, booleans, timestamps and lists", () => {
+    const schemas = {
+      params: { month: v.integer({ required: true, min: 100, max: 1299 }) },
+      body: {
+        packed: v.boolean({ required: true }),
+        at: v.timestamp(),
+        ids: v.array(v.string(), { max: 2 }),
+      },
+    };
+
+    const ok = run(schemas, {
+      params: { month: "1125" },
+      body: { packed: "false", at: "2025-11-01", ids: ["a"] },
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.req.params.month, 1125);
+    assert.equal(ok.req.body.packed, false);
+    assert.equal(ok.req.body.at, "2025-11-01T00:00:00.000Z");
+
+    const bad = run(schemas, {
+      params: { month: "11.5" },
+      body: { packed: "maybe", ids: ["a", 2] },
+    });
+    assert.deepEqual(
+      bad.body.errors.map(({ field, message }) => `${field} ${message}`),
+      ["month must be a whole number", "packed must be true or false", "ids item 2 must be a string"]
+    );
+  });
+
+  it("requires required fields and rejects non-object bodies", () => {
+    const schemas = { body: { email: v.string({ required: true }) } };
+    assert.equal(run(schemas, { body: {} }).body.errors[0].message, "is required");
+    assert.equal(run(schemas, { body: ["x"] }).body.errors[0].field, "(root)");
+  });
+});
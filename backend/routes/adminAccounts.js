@@ -0,0 +1,156 @@
+import express from "express";
+import { PERMISSIONS, ROLES, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import {
+  ACCOUNT_STATUSES,
+  createAdminAccount,
+  getAdminAccount,
+  listAdminAccounts,
+  updateAdminAccount,
+} from "../services/adminAccounts.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import { resetMfa } from "../services/mfa.js";
+import { ID_PARAMS } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Dashboard account management, mounted at /api/admin-accounts
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @returns {express.Router}
+ */
+export const createAdminAccountRoutes = ({ supabase }) => {
+  const router = express.Router();
+
+  // List dashboard accounts and their roles
+  router.get("/", requirePermission(PERMISSIONS.ACCOUNTS_MANAGE), async (req, res) => {
+    try {
+      const accounts = await listAdminAccounts(supabase);
+      res.json({ success: true, data: accounts });
+    } catch (error) {
+      logger.error("Error fetching admin accounts", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateCreateAccount = validate({
+    body: {
+      email: v.string({ required: true, max: 320 }),
+      password: v.string({ required: true, max: 1024, trim: false }),
+      name: v.string({ max: 100 }),
+      role: v.string({ oneOf: ROLES }),
+    },
+  });
+
+  // Create a dashboard account
+  router.post("/", requirePermission(PERMISSIONS.ACCOUNTS_MANAGE), validateCreateAccount, async (req, res) => {
+    try {
+      const { email, password, name, role } = req.body;
+      const account = await createAdminAccount(supabase, { email, password, name, role });
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.ACCOUNT_CREATE,
+        targetType: "admin_account",
+        targetId: account.id,
+        after: account,
+      });
+      res.status(201).json({ success: true, data: account });
+    } catch (error) {
+      logger.error("Error creating admin account", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateUpdateAccount = validate({
+    params: ID_PARAMS,
+    body: {
+      name: v.string({ max: 100 }),
+      role: v.string({ oneOf: ROLES }),
+      status: v.string({ oneOf: ACCOUNT_STATUSES }),
+    },
+  });
+
+  // Change an account's name, role or status
+  router.patch("/:id", requirePermission(PERMISSIONS.ACCOUNTS_MANAGE), validateUpdateAccount, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, role, status } = req.body;
+
+      if (id === req.auth.account.id && (role !== undefined || status !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: "You cannot change your own role or status",
+        });
+      }
+
+      const previous = await getAdminAccount(supabase, id);
+      const account = previous
+        ? await updateAdminAccount(supabase, id, { name, role, status })
+        : null;
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          error: "Account not found",
+        });
+      }
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.ACCOUNT_UPDATE,
+        targetType: "admin_account",
+        targetId: id,
+        before: previous,
+        after: account,
+      });
+
+      res.json({ success: true, data: account });
+    } catch (error) {
+      logger.error("Error updating admin account", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Remove an account's second factor (lost phone); they enroll again on next login if 2FA is enforced
+  router.post("/:id/mfa/reset", requirePermission(PERMISSIONS.ACCOUNTS_MANAGE), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const account = await getAdminAccount(supabase, id);
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          error: "Account not found",
+        });
+      }
+
+      await resetMfa(supabase, id);
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.ACCOUNT_MFA_RESET,
+        targetType: "admin_account",
+        targetId: id,
+        before: { mfa_enabled: Boolean(account.mfa_enabled) },
+        after: { mfa_enabled: false },
+      });
+
+      res.json({ success: true, data: { ...account, mfa_enabled: false } });
+    } catch (error) {
+      logger.error("Error resetting MFA", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createAdminAccountRoutes;
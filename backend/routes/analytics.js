@@ -0,0 +1,477 @@
+import express from "express";
+import { resolveDateRange } from "../middleware/dateRange.js";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { createReportCacheMiddleware } from "../middleware/reportCache.js";
+import { createSiteMiddleware } from "../middleware/site.js";
+import { v, validate } from "../middleware/validate.js";
+import { getAnomalies } from "../services/anomalies.js";
+import { audienceCacheKey, getAudienceProfile, isAudienceCacheFresh, refreshAudienceCache } from "../services/audienceProfile.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import { getContentInsights } from "../services/contentInsights.js";
+import { resolveDateRange as resolveRange } from "../services/dateRange.js";
+import { getConversionBySource, getConversionMetrics } from "../services/conversionMetrics.js";
+import { getEngagementByPage, getEngagementMetrics } from "../services/engagementMetrics.js";
+import { getGaGuard } from "../services/gaGuard.js";
+import {
+  getDailyTrafficByCountry,
+  getDailyTrafficByDuration,
+  getDailyTrafficByHour,
+  getDailyTrafficByLandingPage,
+  getDailyTrafficBySource,
+  getDailyTrend,
+  getOverviewMetrics,
+  getSourceAnalysis,
+  getTopPages,
+  getTrafficSources,
+} from "../services/googleAnalytics.js";
+import { getSEOMetrics } from "../services/seoMetrics.js";
+import { getSessionMetrics } from "../services/sessionMetrics.js";
+import { getShoppingSessions } from "../services/shoppingSessions.js";
+import { getCoreWebVitals, getTechnicalPerformance } from "../services/technicalPerformance.js";
+import { DATE_RANGE_QUERY, GA_MAX_ROWS, LAST_WEEK_QUERY, SINGLE_RANGE_QUERY, reportQuery } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Google Analytics reports, mounted at /api/analytics
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.reportCache - Shared report cache (services/reportCache.js)
+ * @param {Object} deps.sites - Site registry (services/sites.js); ?site= picks one
+ * @returns {express.Router}
+ */
+export const createAnalyticsRoutes = ({ supabase, reportCache, sites }) => {
+  const router = express.Router();
+  router.use(createSiteMiddleware(sites));
+  router.use(createReportCacheMiddleware(reportCache));
+
+  // Get the GA property quota left and whether GA calls are being held off
+  router.get("/quota", requirePermission(PERMISSIONS.ANALYTICS_READ), (req, res) => {
+    res.json({ success: true, data: getGaGuard().getStatus(`properties/${req.site.gaPropertyId}`) });
+  });
+
+  // Get engagement metrics
+  router.get("/engagement", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const metrics = await req.cachedRangeReport("analytics:engagement", req.query, ({ startDate, endDate }) =>
+        getEngagementMetrics(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data: metrics });
+    } catch (error) {
+      logger.error("Error fetching engagement metrics", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get engagement metrics by page
+  router.get("/engagement/by-page", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: reportQuery(20, GA_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const data = await req.cachedRangeReport("analytics:engagement-by-page", req.query, ({ startDate, endDate }) =>
+        getEngagementByPage(req.site, startDate, endDate, limit)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching engagement by page", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get analytics overview metrics
+  router.get("/overview", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const metrics = await req.cachedRangeReport("analytics:overview", req.query, ({ startDate, endDate }) =>
+        getOverviewMetrics(req.site, startDate, endDate)
+      );
+
+      res.json({
+        success: true,
+        data: metrics,
+      });
+    } catch (error) {
+      logger.error("Error fetching analytics overview", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get top pages
+  router.get("/top-pages", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: reportQuery(10, GA_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const pages = await req.cachedRangeReport("analytics:top-pages", req.query, ({ startDate, endDate }) =>
+        getTopPages(req.site, startDate, endDate, limit)
+      );
+
+      res.json({
+        success: true,
+        data: pages,
+      });
+    } catch (error) {
+      logger.error("Error fetching top pages", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get traffic sources
+  router.get("/traffic-sources", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const sources = await req.cachedRangeReport("analytics:traffic-sources", req.query, ({ startDate, endDate }) =>
+        getTrafficSources(req.site, startDate, endDate)
+      );
+
+      res.json({
+        success: true,
+        data: sources,
+      });
+    } catch (error) {
+      logger.error("Error fetching traffic sources", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateSourceAnalysis = validate({
+    query: {
+      ...DATE_RANGE_QUERY,
+      sourceId: v.string({ required: true, oneOf: ["chatgpt", "claude", "perplexity"] }),
+    },
+  });
+
+  // Get traffic analysis for a specific source (e.g. chatgpt, claude, perplexity)
+  router.get("/source-analysis", requirePermission(PERMISSIONS.ANALYTICS_READ), validateSourceAnalysis, resolveDateRange, async (req, res) => {
+    try {
+      const { sourceId } = req.query;
+      const data = await req.cachedRangeReport("analytics:source-analysis", req.query, ({ startDate, endDate }) =>
+        getSourceAnalysis(req.site, sourceId, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching source analysis", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get daily traffic by source (last 7 days for overview Sources chart)
+  router.get("/daily-traffic-by-source", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: LAST_WEEK_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:daily-traffic-by-source", req.query, ({ startDate, endDate }) =>
+        getDailyTrafficBySource(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching daily traffic by source", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Daily traffic by dimension (same shape as by-source) for overview stacked bar charts
+  router.get("/daily-traffic-by-country", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:daily-traffic-by-country", req.query, ({ startDate, endDate }) =>
+        getDailyTrafficByCountry(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching daily traffic by country", { error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get("/daily-traffic-by-landing-page", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:daily-traffic-by-landing-page", req.query, ({ startDate, endDate }) =>
+        getDailyTrafficByLandingPage(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching daily traffic by landing page", { error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get("/daily-traffic-by-hour", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:daily-traffic-by-hour", req.query, ({ startDate, endDate }) =>
+        getDailyTrafficByHour(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching daily traffic by hour", { error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get("/daily-traffic-by-duration", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:daily-traffic-by-duration", req.query, ({ startDate, endDate }) =>
+        getDailyTrafficByDuration(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching daily traffic by duration", { error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Get daily trend data
+  router.get("/daily-trend", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const trend = await req.cachedRangeReport("analytics:daily-trend", req.query, ({ startDate, endDate }) =>
+        getDailyTrend(req.site, startDate, endDate)
+      );
+
+      res.json({
+        success: true,
+        data: trend,
+      });
+    } catch (error) {
+      logger.error("Error fetching daily trend", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get days whose traffic or search numbers stray from the same weekday's baseline
+  router.get("/anomalies", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: SINGLE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const { startDate, endDate } = req.query;
+      const data = await req.cachedReport("analytics:anomalies", req.query, () =>
+        getAnomalies(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error detecting anomalies", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get conversion metrics
+  router.get("/conversion", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const metrics = await req.cachedRangeReport("analytics:conversion", req.query, ({ startDate, endDate }) =>
+        getConversionMetrics(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data: metrics });
+    } catch (error) {
+      logger.error("Error fetching conversion metrics", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get conversion metrics by source
+  router.get("/conversion/by-source", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:conversion-by-source", req.query, ({ startDate, endDate }) =>
+        getConversionBySource(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching conversion by source", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get content insights
+  router.get("/content", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:content", req.query, ({ startDate, endDate }) =>
+        getContentInsights(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching content insights", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get technical performance metrics
+  router.get("/technical", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:technical", req.query, ({ startDate, endDate }) =>
+        getTechnicalPerformance(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching technical performance", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get Core Web Vitals
+  router.get("/core-web-vitals", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:core-web-vitals", req.query, ({ startDate, endDate }) =>
+        getCoreWebVitals(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching Core Web Vitals", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get SEO metrics
+  router.get("/seo", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:seo", req.query, ({ startDate, endDate }) =>
+        getSEOMetrics(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching SEO metrics", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get audience profile (from Supabase cache when available for instant load; rows for a
+  // range that includes today are recomputed once older than AUDIENCE_CACHE_TTL_MS). Not
+  // comparable: the cache holds one range per row.
+  router.get("/audience", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: SINGLE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const { startDate, endDate } = req.query;
+      const dateRange = audienceCacheKey(req.query);
+
+      const { data: row, error: cacheError } = await supabase
+        .from("audience_profile_cache")
+        .select("payload, updated_at")
+        .eq("site_id", req.site.id)
+        .eq("date_range", dateRange)
+        .maybeSingle();
+
+      if (!cacheError && row?.payload && isAudienceCacheFresh(row, req.query, { timeZone: req.site.timeZone })) {
+        return res.json({ success: true, data: row.payload, fromCache: true, updatedAt: row.updated_at });
+      }
+
+      const data = await getAudienceProfile(req.site, startDate, endDate);
+      await supabase.from("audience_profile_cache").upsert(
+        { site_id: req.site.id, date_range: dateRange, payload: data, updated_at: new Date().toISOString() },
+        { onConflict: "site_id,date_range" }
+      ).then(() => {});
+      res.json({ success: true, data, fromCache: false });
+    } catch (error) {
+      logger.error("Error fetching audience profile", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Refresh audience profile cache. The scheduler does this every 30 min (services/jobs.js);
+  // kept for external cron. Auth: API key with cache:refresh, legacy CRON_SECRET or admin session.
+  router.post("/audience/refresh", requirePermission(PERMISSIONS.CACHE_REFRESH), async (req, res) => {
+    try {
+      const ranges = await refreshAudienceCache(supabase, req.site);
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.AUDIENCE_CACHE_REFRESH,
+        targetType: "audience_profile_cache",
+        targetId: req.site.id,
+        metadata: { site: req.site.id, ranges },
+      });
+
+      res.json({ success: true, message: "Audience cache updated for 7d, 30d, 90d", site: req.site.id });
+    } catch (error) {
+      logger.error("Error refreshing audience cache", { error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Get session metrics
+  router.get("/sessions", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:sessions", req.query, ({ startDate, endDate }) =>
+        getSessionMetrics(req.site, startDate, endDate)
+      );
+
+      // Also get today's metrics for the Today card
+      let todayMetrics = null;
+      try {
+        const today = resolveRange({ preset: "today" }, { timeZone: req.site.timeZone });
+        todayMetrics = await req.cachedReport(
+          "analytics:sessions:today",
+          { startDate: today.startDate, endDate: today.endDate },
+          () => getSessionMetrics(req.site, today.startDate, today.endDate)
+        );
+      } catch (error) {
+        logger.warn("Error fetching today's metrics", { error: error.message });
+      }
+
+      res.json({ 
+        success: true, 
+        data: {
+          ...data,
+          today: todayMetrics,
+        }
+      });
+    } catch (error) {
+      logger.error("Error fetching session metrics", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get shopping sessions (Shop button clicks)
+  router.get("/shopping-sessions", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const data = await req.cachedRangeReport("analytics:shopping-sessions", req.query, ({ startDate, endDate }) =>
+        getShoppingSessions(req.site, startDate, endDate)
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching shopping sessions", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createAnalyticsRoutes;
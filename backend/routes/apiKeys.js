@@ -0,0 +1,138 @@
+import express from "express";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+} from "../services/apiKeys.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import { ID_PARAMS } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * API key management, mounted at /api/api-keys
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @returns {express.Router}
+ */
+export const createApiKeyRoutes = ({ supabase }) => {
+  const router = express.Router();
+
+  // List API keys (the keys themselves are never returned after creation)
+  router.get("/", requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
+    try {
+      const apiKeys = await listApiKeys(supabase);
+      res.json({ success: true, data: apiKeys, scopes: API_KEY_SCOPES });
+    } catch (error) {
+      logger.error("Error fetching API keys", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateCreateApiKey = validate({
+    body: {
+      name: v.string({ required: true, max: 100 }),
+      scopes: v.array(v.string({ oneOf: API_KEY_SCOPES }), { required: true, min: 1 }),
+      expiresAt: v.timestamp(),
+    },
+  });
+
+  // Create a scoped API key - the response holds the only copy of the key
+  router.post("/", requirePermission(PERMISSIONS.API_KEYS_MANAGE), validateCreateApiKey, async (req, res) => {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+      const { apiKey, key } = await createApiKey(supabase, {
+        name,
+        scopes,
+        expiresAt,
+        createdBy: req.auth.account.id,
+      });
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.API_KEY_CREATE,
+        targetType: "api_key",
+        targetId: apiKey.id,
+        after: apiKey,
+      });
+
+      res.status(201).json({ success: true, data: apiKey, key });
+    } catch (error) {
+      logger.error("Error creating API key", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Issue a new secret for a key and revoke the old one
+  router.post("/:id/rotate", requirePermission(PERMISSIONS.API_KEYS_MANAGE), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const rotated = await rotateApiKey(supabase, req.params.id, {
+        createdBy: req.auth.account.id,
+      });
+
+      if (!rotated) {
+        return res.status(404).json({
+          success: false,
+          error: "API key not found",
+        });
+      }
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.API_KEY_ROTATE,
+        targetType: "api_key",
+        targetId: rotated.apiKey.id,
+        before: rotated.previous,
+        after: rotated.apiKey,
+      });
+
+      res.status(201).json({ success: true, data: rotated.apiKey, key: rotated.key });
+    } catch (error) {
+      logger.error("Error rotating API key", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Revoke a key immediately
+  router.delete("/:id", requirePermission(PERMISSIONS.API_KEYS_MANAGE), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const apiKey = await revokeApiKey(supabase, req.params.id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: "API key not found",
+        });
+      }
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.API_KEY_REVOKE,
+        targetType: "api_key",
+        targetId: apiKey.id,
+        after: apiKey,
+      });
+
+      res.json({ success: true, data: apiKey });
+    } catch (error) {
+      logger.error("Error revoking API key", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createApiKeyRoutes;
@@ -0,0 +1,57 @@
+import express from "express";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import { AUDIT_ACTIONS, listAuditEvents } from "../services/auditLog.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Audit log, mounted at /api/audit
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @returns {express.Router}
+ */
+export const createAuditRoutes = ({ supabase }) => {
+  const router = express.Router();
+
+  const validateAuditQuery = validate({
+    query: {
+      actor: v.string({ max: 320 }),
+      action: v.string({ max: 100 }),
+      targetType: v.string({ max: 100 }),
+      targetId: v.string({ max: 200 }),
+      customerId: v.string({ max: 200 }),
+      month: v.integer({ min: 100, max: 1299 }),
+      url: v.string({ max: 2000 }),
+      from: v.timestamp(),
+      to: v.timestamp(),
+      limit: v.integer({ min: 1, max: 200, default: 50 }),
+      offset: v.integer({ min: 0, default: 0 }),
+    },
+  });
+
+  // Search the audit trail of mutating admin actions (newest first)
+  // Filters: actor, action, targetType, targetId, customerId, month, url, from, to, limit, offset
+  router.get("/", requirePermission(PERMISSIONS.AUDIT_READ), validateAuditQuery, async (req, res) => {
+    try {
+      const result = await listAuditEvents(supabase, req.query);
+      res.json({
+        success: true,
+        data: result.events,
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+        actions: Object.values(AUDIT_ACTIONS),
+      });
+    } catch (error) {
+      logger.error("Error fetching audit log", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createAuditRoutes;
@@ -0,0 +1,528 @@
+import express from "express";
+import { requireSession } from "../middleware/auth.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { getRolePermissions } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import {
+  authenticateAdmin,
+  getAdminAccount,
+  normalizeEmail,
+  recordSuccessfulLogin,
+} from "../services/adminAccounts.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import {
+  activateMfa,
+  createMfaChallenge,
+  getMfaStatus,
+  isMfaEnforced,
+  regenerateRecoveryCodes,
+  resetMfa,
+  startMfaEnrollment,
+  verifyMfaChallenge,
+  verifyMfaFactor,
+} from "../services/mfa.js";
+import { createLockout } from "../services/rateLimit.js";
+import {
+  createSession,
+  listSessions,
+  refreshSession,
+  revokeAccountSession,
+  revokeSession,
+} from "../services/sessions.js";
+import { ID_PARAMS } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+// Login throttling is keyed by IP, failed-attempt lockout by account email (or account id for 2FA codes)
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
+const MAX_REQUESTS_PER_WINDOW = 10;
+
+const CHALLENGE_TOKEN = v.string({ required: true, max: 2000 });
+const MFA_CODE_BODY = { code: v.string({ required: true, max: 10 }) };
+const CHALLENGE_EXPIRED = "Your login has expired. Please sign in again.";
+
+const lockedResponse = (res, lockedUntil) => {
+  const remainingMinutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  return res.status(429).json({
+    success: false,
+    error: `Too many failed attempts. Account locked for ${remainingMinutes} minute(s).`,
+    lockedUntil,
+  });
+};
+
+// Shape of the signed-in account returned to the frontend
+const toSessionAccount = (account) => ({
+  id: account.id,
+  email: account.email,
+  name: account.name,
+  role: account.role,
+  mfaEnabled: Boolean(account.mfa_enabled),
+  permissions: getRolePermissions(account.role),
+});
+
+/**
+ * Login, session and two-factor routes, mounted at /api/auth
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.rateLimitStore - Store behind the login limiter and lockout
+ * @returns {express.Router}
+ */
+export const createAuthRoutes = ({ supabase, rateLimitStore }) => {
+  const router = express.Router();
+
+  const loginLockout = createLockout(rateLimitStore, {
+    maxAttempts: MAX_ATTEMPTS,
+    lockoutMs: LOCKOUT_DURATION,
+  });
+
+  const loginRateLimit = createRateLimiter({
+    store: rateLimitStore,
+    name: "login",
+    windowMs: RATE_LIMIT_WINDOW,
+    max: MAX_REQUESTS_PER_WINDOW,
+    keyGenerator: (req) => `ip:${req.ip || req.connection.remoteAddress || "unknown"}`,
+  });
+
+  // Open a revocable server-side session for an account that passed every login step
+  const sendNewSession = async (req, res, account, extra = {}) => {
+    await recordSuccessfulLogin(supabase, account.id);
+
+    const { token, expiresAt } = await createSession(supabase, account, {
+      ip: req.ip || req.connection.remoteAddress || "unknown",
+      userAgent: req.get("user-agent") || null,
+    });
+
+    logger.info("Admin login", { accountId: account.id });
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      token,
+      expiresAt,
+      account: toSessionAccount(account),
+      ...extra,
+    });
+  };
+
+  // Resolve the account behind a login challenge token (null if it can no longer sign in)
+  const getChallengeAccount = async (challengeToken, purpose) => {
+    const accountId = verifyMfaChallenge(challengeToken, purpose);
+    if (!accountId) return null;
+
+    const account = await getAdminAccount(supabase, accountId);
+    return account?.status === "active" ? account : null;
+  };
+
+  // Check a second factor against the account's MFA lockout, shared by every route that takes
+  // a code. Sends the locked or invalid response itself and returns null; the result otherwise.
+  const verifyMfaWithLockout = async (res, accountId, factors, invalidStatus) => {
+    const mfaKey = `mfa:${accountId}`;
+    const lockedUntil = await loginLockout.getLockedUntil(mfaKey);
+
+    if (lockedUntil) {
+      lockedResponse(res, lockedUntil);
+      return null;
+    }
+
+    const result = await verifyMfaFactor(supabase, accountId, factors);
+
+    if (!result.valid) {
+      const failure = await loginLockout.recordFailure(mfaKey);
+      res.status(invalidStatus).json({
+        success: false,
+        error: failure.lockedUntil
+          ? `Too many failed attempts. Account locked for ${LOCKOUT_DURATION / 60000} minutes.`
+          : "Invalid verification code",
+        attemptsRemaining: failure.attemptsRemaining,
+      });
+      return null;
+    }
+
+    await loginLockout.clear(mfaKey);
+    return result;
+  };
+
+  const validateLogin = validate({
+    body: {
+      email: v.string({ required: true, max: 320 }),
+      password: v.string({ required: true, max: 1024, trim: false }),
+    },
+  });
+
+  // Email + password authentication endpoint with rate limiting and per-account lockout
+  router.post("/login", loginRateLimit, validateLogin, async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      // Check if account is locked
+      const accountKey = `account:${normalizeEmail(email)}`;
+      const lockedUntil = await loginLockout.getLockedUntil(accountKey);
+
+      if (lockedUntil) {
+        return lockedResponse(res, lockedUntil);
+      }
+
+      const account = await authenticateAdmin(supabase, email, password);
+
+      if (!account) {
+        const failure = await loginLockout.recordFailure(accountKey);
+
+        // Lock account after max attempts
+        if (failure.lockedUntil) {
+          return res.status(401).json({
+            success: false,
+            error: `Too many failed attempts. Account locked for ${LOCKOUT_DURATION / 60000} minutes.`,
+            lockedUntil: failure.lockedUntil,
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: `Invalid email or password. ${failure.attemptsRemaining} attempt(s) remaining.`,
+          attemptsRemaining: failure.attemptsRemaining,
+        });
+      }
+
+      // Password accepted - reset attempts
+      await loginLockout.clear(accountKey);
+
+      // Accounts with 2FA must send a code before they get a session
+      if (account.mfa_enabled) {
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          challengeToken: createMfaChallenge(account, "verify"),
+        });
+      }
+
+      // 2FA is enforced but this account has not set it up yet
+      if (isMfaEnforced()) {
+        return res.json({
+          success: true,
+          mfaSetupRequired: true,
+          challengeToken: createMfaChallenge(account, "enroll"),
+        });
+      }
+
+      await sendNewSession(req, res, account);
+    } catch (error) {
+      logger.error("Login error", { error });
+      res.status(500).json({
+        success: false,
+        error: "An error occurred during login",
+      });
+    }
+  });
+
+  const validateLoginMfa = validate({
+    body: {
+      challengeToken: CHALLENGE_TOKEN,
+      code: v.string({ max: 10 }),
+      recoveryCode: v.string({ max: 32 }),
+    },
+  });
+
+  // Second login step: TOTP code or recovery code for accounts with 2FA
+  router.post("/login/mfa", loginRateLimit, validateLoginMfa, async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      const account = await getChallengeAccount(challengeToken, "verify");
+
+      if (!account) {
+        return res.status(401).json({ success: false, error: CHALLENGE_EXPIRED });
+      }
+
+      const result = await verifyMfaWithLockout(res, account.id, { code, recoveryCode }, 401);
+      if (!result) return;
+
+      await sendNewSession(req, res, account, {
+        usedRecoveryCode: result.usedRecoveryCode,
+      });
+    } catch (error) {
+      logger.error("MFA login error", { error });
+      res.status(500).json({
+        success: false,
+        error: "An error occurred during login",
+      });
+    }
+  });
+
+  // Enforced 2FA: start enrollment for an account that has not set it up yet
+  router.post("/login/mfa/setup", loginRateLimit, validate({ body: { challengeToken: CHALLENGE_TOKEN } }), async (req, res) => {
+    try {
+      const account = await getChallengeAccount(req.body.challengeToken, "enroll");
+
+      if (!account) {
+        return res.status(401).json({ success: false, error: CHALLENGE_EXPIRED });
+      }
+
+      const enrollment = await startMfaEnrollment(supabase, account);
+      res.json({ success: true, data: enrollment });
+    } catch (error) {
+      logger.error("MFA enrollment error", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateLoginMfaActivate = validate({
+    body: {
+      challengeToken: CHALLENGE_TOKEN,
+      code: v.string({ required: true, max: 10 }),
+    },
+  });
+
+  // Enforced 2FA: confirm the first code, then sign in (recovery codes are returned once)
+  router.post("/login/mfa/activate", loginRateLimit, validateLoginMfaActivate, async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body;
+      const account = await getChallengeAccount(challengeToken, "enroll");
+
+      if (!account) {
+        return res.status(401).json({ success: false, error: CHALLENGE_EXPIRED });
+      }
+
+      const recoveryCodes = await activateMfa(supabase, account.id, code);
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.MFA_ENABLE,
+        targetType: "admin_account",
+        targetId: account.id,
+        actor: account,
+      });
+
+      await sendNewSession(req, res, { ...account, mfa_enabled: true }, { recoveryCodes });
+    } catch (error) {
+      logger.error("MFA activation error", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Verify session token (the auth middleware has already rejected invalid ones)
+  router.get("/verify", requireSession, (req, res) => {
+    const { account, expiresAt } = req.auth;
+
+    res.json({
+      success: true,
+      authenticated: true,
+      expiresAt,
+      account: toSessionAccount(account),
+    });
+  });
+
+  // Exchange a live session token for a new one with a fresh 24h expiry
+  router.post("/refresh", requireSession, async (req, res) => {
+    try {
+      const refreshed = await refreshSession(supabase, req.auth.session);
+
+      if (!refreshed) {
+        return res.status(401).json({
+          success: false,
+          error: "Session has reached its maximum lifetime. Please log in again.",
+        });
+      }
+
+      res.json({
+        success: true,
+        token: refreshed.token,
+        expiresAt: refreshed.expiresAt,
+      });
+    } catch (error) {
+      logger.error("Session refresh error", { error });
+      res.status(500).json({
+        success: false,
+        error: "An error occurred while refreshing the session",
+      });
+    }
+  });
+
+  // Log out - revoke the current session server-side
+  router.post("/logout", requireSession, async (req, res) => {
+    try {
+      await revokeSession(supabase, req.auth.session.id);
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.SESSION_REVOKE,
+        targetType: "admin_session",
+        targetId: req.auth.session.id,
+        metadata: { reason: "logout" },
+      });
+      logger.info("Admin logout", { accountId: req.auth.account.id });
+
+      res.json({ success: true, message: "Logged out" });
+    } catch (error) {
+      logger.error("Logout error", { error });
+      res.status(500).json({
+        success: false,
+        error: "An error occurred during logout",
+      });
+    }
+  });
+
+  // ==================== Session Endpoints ====================
+
+  // Live sessions of the signed-in account (the current one is flagged)
+  router.get("/sessions", requireSession, async (req, res) => {
+    try {
+      const sessions = await listSessions(supabase, req.auth.account.id);
+
+      res.json({
+        success: true,
+        data: sessions.map((session) => ({
+          ...session,
+          current: session.id === req.auth.session.id,
+        })),
+      });
+    } catch (error) {
+      logger.error("Error fetching sessions", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Sign out one of the account's other devices
+  router.delete("/sessions/:id", requireSession, validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      if (req.params.id === req.auth.session.id) {
+        return res.status(400).json({
+          success: false,
+          error: "Use log out to end the current session",
+        });
+      }
+
+      const session = await revokeAccountSession(supabase, req.auth.account.id, req.params.id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: "Session not found",
+        });
+      }
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.SESSION_REVOKE,
+        targetType: "admin_session",
+        targetId: session.id,
+        metadata: { reason: "signed_out_device" },
+      });
+      res.json({ success: true, data: session });
+    } catch (error) {
+      logger.error("Error revoking session", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== Two-Factor Endpoints ====================
+
+  // 2FA status of the signed-in account
+  router.get("/mfa", requireSession, async (req, res) => {
+    try {
+      const status = await getMfaStatus(supabase, req.auth.account.id);
+      res.json({ success: true, data: status });
+    } catch (error) {
+      logger.error("Error fetching MFA status", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Start enrolling the signed-in account (returns QR code and secret)
+  router.post("/mfa/setup", requireSession, async (req, res) => {
+    try {
+      const enrollment = await startMfaEnrollment(supabase, req.auth.account);
+      res.json({ success: true, data: enrollment });
+    } catch (error) {
+      logger.error("MFA enrollment error", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Confirm enrollment with a code from the authenticator app
+  router.post("/mfa/activate", requireSession, validate({ body: MFA_CODE_BODY }), async (req, res) => {
+    try {
+      const recoveryCodes = await activateMfa(supabase, req.auth.account.id, req.body.code);
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.MFA_ENABLE,
+        targetType: "admin_account",
+        targetId: req.auth.account.id,
+      });
+      res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+      logger.error("MFA activation error", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Replace recovery codes (requires a current code)
+  router.post("/mfa/recovery-codes", requireSession, validate({ body: MFA_CODE_BODY }), async (req, res) => {
+    try {
+      const accountId = req.auth.account.id;
+      if (!(await verifyMfaWithLockout(res, accountId, { code: req.body.code }, 400))) return;
+
+      const recoveryCodes = await regenerateRecoveryCodes(supabase, accountId);
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.MFA_RECOVERY_CODES,
+        targetType: "admin_account",
+        targetId: accountId,
+      });
+      res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+      logger.error("Error regenerating recovery codes", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Turn off 2FA for the signed-in account (not allowed while MFA_ENFORCED is on)
+  router.post("/mfa/disable", requireSession, validate({ body: MFA_CODE_BODY }), async (req, res) => {
+    try {
+      const accountId = req.auth.account.id;
+
+      if (isMfaEnforced()) {
+        return res.status(400).json({
+          success: false,
+          error: "Two-factor authentication is required for all accounts",
+        });
+      }
+
+      if (!(await verifyMfaWithLockout(res, accountId, { code: req.body.code }, 400))) return;
+
+      await resetMfa(supabase, accountId);
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.MFA_DISABLE,
+        targetType: "admin_account",
+        targetId: accountId,
+      });
+      res.json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (error) {
+      logger.error("Error disabling MFA", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createAuthRoutes;
@@ -0,0 +1,47 @@
+import express from "express";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Report cache administration, mounted at /api/cache
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.reportCache - Shared report cache (services/reportCache.js)
+ * @returns {express.Router}
+ */
+export const createCacheRoutes = ({ supabase, reportCache }) => {
+  const router = express.Router();
+
+  const validatePurge = validate({
+    body: { prefix: v.string({ required: true, max: 200 }) },
+  });
+
+  // Purge cached reports whose key starts with the prefix, e.g. "analytics:" or "search-console:top-queries"
+  router.post("/purge", requirePermission(PERMISSIONS.CACHE_REFRESH), validatePurge, async (req, res) => {
+    try {
+      const { prefix } = req.body;
+      const removed = await reportCache.purge(prefix);
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.CACHE_PURGE,
+        targetType: "report_cache",
+        targetId: prefix,
+        metadata: { removed },
+      });
+
+      res.json({ success: true, data: { prefix, removed } });
+    } catch (error) {
+      logger.error("Error purging report cache", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createCacheRoutes;
@@ -0,0 +1,815 @@
+import express from "express";
+import axios from "axios";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import { logger } from "../services/logger.js";
+
+const CUSTOMER_PARAMS = { customerId: v.string({ required: true, max: 200 }) };
+const DRAFTBOX_PARAMS = {
+  ...CUSTOMER_PARAMS,
+  month: v.integer({ required: true, min: 100, max: 1299 }), // MYY, e.g. 1125
+};
+const MONTH_YEAR_FIELDS = {
+  month: v.integer({ required: true, min: 1, max: 12 }),
+  year: v.integer({ required: true, min: 2000, max: 2099 }),
+};
+
+/**
+ * Orders, draftboxes and snacks (MongoDB), mounted at /api/customers
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Function} deps.getDb - Returns the MongoDB database, or null while it is not connected
+ * @returns {express.Router}
+ */
+export const createCustomerRoutes = ({ supabase, getDb }) => {
+  const router = express.Router();
+
+  // MongoDB: Get active customers (Orders)
+  router.get("/", requirePermission(PERMISSIONS.ORDERS_READ), async (req, res) => {
+    try {
+      const db = getDb();
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          error: "Database not connected",
+        });
+      }
+
+      const customersCollection = db.collection("customers");
+      const customers = await customersCollection
+        .find({
+          stripe_status: { $in: ["active", "trialing", "past_due"] },
+        })
+        .toArray();
+
+      // Format data with concatenated name and address
+      const formattedCustomers = customers.map((customer) => {
+        // Concatenate firstName + lastName
+        const fullName =
+          [customer.firstName, customer.lastName].filter(Boolean).join(" ") ||
+          "N/A";
+
+        // Concatenate shipping address
+        let fullAddress = "N/A";
+        if (
+          customer.shipping_address &&
+          typeof customer.shipping_address === "object"
+        ) {
+          const { street, aptSuite, city, state, zip } =
+            customer.shipping_address;
+
+          const addressParts = [street, aptSuite, city, state, zip].filter(
+            (part) => part && part.trim() !== ""
+          );
+
+          if (addressParts.length > 0) {
+            fullAddress = addressParts.join(", ");
+          }
+        }
+
+        return {
+          ...customer,
+          fullName,
+          fullAddress,
+        };
+      });
+
+      res.json({ success: true, data: formattedCustomers });
+    } catch (error) {
+      logger.error("Error fetching customers", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // MongoDB: Update Packed status for a draftbox
+  router.patch(
+    "/:customerId/draftbox/:month/packed",
+    requirePermission(PERMISSIONS.ORDERS_PACK),
+    validate({ params: DRAFTBOX_PARAMS, body: { packed: v.boolean({ required: true }) } }),
+    async (req, res) => {
+      try {
+        const db = getDb();
+        if (!db) {
+          return res.status(503).json({
+            success: false,
+            error: "Database not connected",
+          });
+        }
+
+        const { customerId, month } = req.params;
+        const { packed } = req.body;
+
+        const monthInt = parseInt(month);
+        const draftboxesCollection = db.collection("draftboxes");
+
+        const previous = await draftboxesCollection.findOne(
+          { customerID: customerId, month: monthInt },
+          { projection: { Packed: 1, _id: 0 } }
+        );
+        const result = await draftboxesCollection.updateOne(
+          { customerID: customerId, month: monthInt },
+          { $set: { Packed: packed } }
+        );
+
+        if (result.matchedCount === 0) {
+          return res.status(404).json({
+            success: false,
+            error: "Draftbox not found for this customer and month",
+          });
+        }
+
+        logger.info("Updated packed status", { customerId, month: monthInt, packed });
+
+        await recordAuditEvent(supabase, req, {
+          action: AUDIT_ACTIONS.BOX_PACKED,
+          targetType: "draftbox",
+          customerId,
+          month: monthInt,
+          before: { Packed: previous?.Packed ?? null },
+          after: { Packed: packed },
+        });
+
+        res.json({
+          success: true,
+          message: "Packed status updated successfully",
+          data: { customerID: customerId, month: monthInt, Packed: packed },
+        });
+      } catch (error) {
+        logger.error("Error updating packed status", { error });
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  // MongoDB: Get draftbox for a customer by month
+  router.get("/:customerId/draftbox", requirePermission(PERMISSIONS.ORDERS_READ), validate({ params: CUSTOMER_PARAMS, query: MONTH_YEAR_FIELDS }), async (req, res) => {
+    try {
+      const db = getDb();
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          error: "Database not connected",
+        });
+      }
+
+      const { customerId } = req.params;
+      const { month, year } = req.query;
+
+      const draftboxesCollection = db.collection("draftboxes");
+
+      // Generate month as integer in MYY format (e.g., 1125 for November 2025)
+      const yearShort = parseInt(year.toString().slice(-2));
+      const monthInt = parseInt(`${month}${yearShort}`);
+
+      // Find the draftbox for this customer and specific month
+      const draftbox = await draftboxesCollection.findOne({
+        customerID: customerId,
+        month: monthInt,
+      });
+
+      if (!draftbox) {
+        return res.status(404).json({
+          success: false,
+          error: "No draftbox found for this customer and month",
+        });
+      }
+
+      // Enrich snacks with productLine and primaryCategory from snacks collection
+      if (draftbox.snacks && Array.isArray(draftbox.snacks)) {
+        const snacksCollection = db.collection("snacks");
+
+        // Get all unique SnackIDs
+        const snackIDs = draftbox.snacks.map((s) => s.SnackID).filter(Boolean);
+
+        if (snackIDs.length > 0) {
+          // Fetch all snack info in one query
+          const snackInfoList = await snacksCollection
+            .find({ SnackID: { $in: snackIDs } })
+            .project({ SnackID: 1, productLine: 1, primaryCategory: 1, _id: 0 })
+            .toArray();
+
+          // Create a map for quick lookup
+          const snackInfoMap = {};
+          snackInfoList.forEach((snack) => {
+            snackInfoMap[snack.SnackID] = snack;
+          });
+
+          // Enrich each snack in the draftbox
+          draftbox.snacks = draftbox.snacks.map((snack) => {
+            const snackInfo = snackInfoMap[snack.SnackID];
+            if (snackInfo) {
+              return {
+                ...snack,
+                productLine: snack.productLine || snackInfo.productLine,
+                primaryCategory:
+                  snack.primaryCategory || snackInfo.primaryCategory,
+              };
+            }
+            return snack;
+          });
+        }
+      }
+
+      res.json({ success: true, data: draftbox });
+    } catch (error) {
+      logger.error("Error fetching draftbox", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // MongoDB: Create a new draftbox for a customer
+  router.post("/:customerId/create-box", requirePermission(PERMISSIONS.ORDERS_WRITE), validate({ params: CUSTOMER_PARAMS, body: MONTH_YEAR_FIELDS }), async (req, res) => {
+    try {
+      const db = getDb();
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          error: "Database not connected",
+        });
+      }
+
+      const { customerId } = req.params;
+      const { month, year } = req.body;
+
+      const customersCollection = db.collection("customers");
+      const draftboxesCollection = db.collection("draftboxes");
+
+      // Generate month as integer in MYY format (e.g., 1125 for November 2025)
+      const yearShort = parseInt(year.toString().slice(-2));
+      const monthInt = parseInt(`${month}${yearShort}`);
+
+      logger.info("Creating box", { customerId, month: monthInt });
+
+      // Step 1: Get customer data (need repeatMonthly field)
+      const customer = await customersCollection.findOne(
+        { customerID: customerId },
+        { projection: { customerID: 1, firstName: 1, repeatMonthly: 1, _id: 0 } }
+      );
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          error: "Customer not found",
+        });
+      }
+
+      // Step 2: Check if draftbox already exists for this month
+      const existingDraftbox = await draftboxesCollection.findOne({
+        customerID: customerId,
+        month: monthInt,
+      });
+
+      if (existingDraftbox) {
+        return res.status(409).json({
+          success: false,
+          error: "Draftbox already exists for this customer and month",
+        });
+      }
+
+      // Step 3: Prepare payload for external API
+      const payload = {
+        customerID: customerId,
+        new_signup: false,
+        repeat_customer: true,
+        off_cycle: false,
+        is_reset_box: false,
+        reset_total: 0,
+        repeat_monthly: customer.repeatMonthly || [],
+      };
+
+      // Step 4: Call external API to generate the box
+      const externalApiUrl =
+        "https://cleanbox-script-generate-startin-production.up.railway.app/api/v1/build-starting-box";
+
+      try {
+        const apiResponse = await axios.post(externalApiUrl, payload, {
+          timeout: 30000, // 30 second timeout
+          headers: {
+            "Content-Type": "application/json",
+          },
+        });
+
+        logger.info("Box created", { customerId, month: monthInt });
+
+        await recordAuditEvent(supabase, req, {
+          action: AUDIT_ACTIONS.BOX_CREATE,
+          targetType: "draftbox",
+          customerId,
+          month: monthInt,
+          after: apiResponse.data,
+          metadata: { repeatMonthly: payload.repeat_monthly },
+        });
+
+        res.json({
+          success: true,
+          message: "Box created successfully",
+          data: apiResponse.data,
+          monthInt: monthInt,
+        });
+      } catch (apiError) {
+        logger.error("Box builder API error", {
+          customerId,
+          month: monthInt,
+          status: apiError.response?.status,
+          error: apiError.message,
+        });
+
+        // Return detailed error information
+        return res.status(500).json({
+          success: false,
+          error: "Failed to create box via external API",
+          details: apiError.response?.data || apiError.message,
+          statusCode: apiError.response?.status,
+        });
+      }
+    } catch (error) {
+      logger.error("Error creating box", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateCheckMonth = validate({
+    body: {
+      ...MONTH_YEAR_FIELDS,
+      customerIDs: v.array(v.string({ max: 200 }), { required: true, max: 10000 }),
+    },
+  });
+
+  // MongoDB: Check which customers have draftboxes for a specific month
+  router.post("/check-month", requirePermission(PERMISSIONS.ORDERS_READ), validateCheckMonth, async (req, res) => {
+    try {
+      const db = getDb();
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          error: "Database not connected",
+        });
+      }
+
+      const { month, year, customerIDs } = req.body;
+
+      const draftboxesCollection = db.collection("draftboxes");
+
+      // Generate month as integer in MMYY or MYY format
+      const yearShort = parseInt(year.toString().slice(-2)); // Get last 2 digits of year
+      const monthInt = parseInt(`${month}${yearShort}`); // e.g., 725 or 1125 (as integer)
+
+      // Find all draftboxes for these customers in the specified month
+      // month field is stored as int32 in MongoDB
+      const draftboxes = await draftboxesCollection
+        .find({
+          customerID: { $in: customerIDs },
+          month: monthInt,
+        })
+        .project({ customerID: 1, popped: 1, month: 1, snacks: 1, Packed: 1 })
+        .toArray();
+
+      logger.debug("Checked month boxes", {
+        month: monthInt,
+        customers: customerIDs.length,
+        draftboxes: draftboxes.length,
+      });
+
+      // Create sets for different categories and calculate box sizes
+      const customerIDsWithBoxes = new Set(draftboxes.map((d) => d.customerID));
+      const customerIDsWithPopped = new Set(
+        draftboxes.filter((d) => d.popped === true).map((d) => d.customerID)
+      );
+      const customerIDsWithPacked = new Set(
+        draftboxes.filter((d) => d.Packed === true).map((d) => d.customerID)
+      );
+
+      // Calculate box sizes (total snack count for each customer)
+      const boxSizes = {};
+      draftboxes.forEach((draftbox) => {
+        if (draftbox.snacks && Array.isArray(draftbox.snacks)) {
+          const totalSnacks = draftbox.snacks.reduce((sum, snack) => {
+            return sum + (snack.count || 0);
+          }, 0);
+          boxSizes[draftbox.customerID] = totalSnacks;
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          withBoxes: Array.from(customerIDsWithBoxes),
+          withPopped: Array.from(customerIDsWithPopped),
+          withPacked: Array.from(customerIDsWithPacked),
+          boxSizes: boxSizes, // Add box sizes to response
+        },
+      });
+    } catch (error) {
+      logger.error("Error checking month draftboxes", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // MongoDB: Get customer's snack history (all snacks from all their draftboxes)
+  router.get("/:customerId/snack-history", requirePermission(PERMISSIONS.ORDERS_READ), validate({ params: CUSTOMER_PARAMS }), async (req, res) => {
+    try {
+      const db = getDb();
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          error: "Database not connected",
+        });
+      }
+
+      const { customerId } = req.params;
+      const draftboxesCollection = db.collection("draftboxes");
+
+      // Get all draftboxes for this customer
+      const draftboxes = await draftboxesCollection
+        .find({ customerID: customerId })
+        .toArray();
+
+      // Extract and deduplicate all snacks
+      const allSnacks = [];
+      const seenSnackIDs = new Set();
+
+      draftboxes.forEach((box) => {
+        if (box.snacks && Array.isArray(box.snacks)) {
+          box.snacks.forEach((snack) => {
+            if (snack.SnackID && !seenSnackIDs.has(snack.SnackID)) {
+              seenSnackIDs.add(snack.SnackID);
+              allSnacks.push(snack);
+            }
+          });
+        }
+      });
+
+      logger.debug("Fetched snack history", {
+        customerId,
+        draftboxes: draftboxes.length,
+        snacks: allSnacks.length,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          snacks: allSnacks,
+          snackIDs: Array.from(seenSnackIDs),
+        },
+      });
+    } catch (error) {
+      logger.error("Error fetching snack history", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get available snacks for replacement (filtered by customer history and category)
+  router.post("/:customerId/available-snacks", requirePermission(PERMISSIONS.ORDERS_WRITE), validate({ params: CUSTOMER_PARAMS, body: { currentSnackID: v.id() } }), async (req, res) => {
+    try {
+      const db = getDb();
+      if (!db) {
+        return res.status(503).json({
+          success: false,
+          error: "Database not connected",
+        });
+      }
+
+      const { customerId } = req.params;
+      const { currentSnackID } = req.body;
+
+      // Get customer's snack history
+      const draftboxesCollection = db.collection("draftboxes");
+      const draftboxes = await draftboxesCollection
+        .find({ customerID: customerId })
+        .toArray();
+
+      const triedSnackIDs = new Set();
+      const triedSnacksWithMonth = []; // Track snacks with their months
+
+      draftboxes.forEach((box) => {
+        if (box.snacks && Array.isArray(box.snacks)) {
+          box.snacks.forEach((snack) => {
+            if (snack.SnackID) {
+              triedSnackIDs.add(snack.SnackID);
+              // Store snack with month info (deduplicate same snack/month combos)
+              const existingEntry = triedSnacksWithMonth.find(
+                (item) =>
+                  item.SnackID === snack.SnackID && item.month === box.month
+              );
+              if (!existingEntry) {
+                triedSnacksWithMonth.push({
+                  SnackID: snack.SnackID,
+                  month: box.month, // MMYY or MYY format
+                });
+              }
+            }
+          });
+        }
+      });
+
+      // Get available snacks from Supabase inventory
+      const { data: inventory, error } = await supabase
+        .from("fs_unassigned_inventory")
+        .select("sku");
+
+      if (error) {
+        logger.error("Error fetching inventory from Supabase", { error });
+        throw error;
+      }
+
+      // Filter out snacks customer has already tried
+      const availableSnacks = inventory
+        .filter((item) => !triedSnackIDs.has(item.sku))
+        .map((item) => item.sku);
+
+      // Extract category from current snack (first 2 digits)
+      const currentCategory = currentSnackID
+        ? currentSnackID.substring(0, 2)
+        : null;
+
+      // Categorize available snacks
+      const sameCategory = [];
+      const otherCategories = [];
+
+      availableSnacks.forEach((snackID) => {
+        const category = snackID.substring(0, 2);
+        if (category === currentCategory) {
+          sameCategory.push(snackID);
+        } else {
+          otherCategories.push(snackID);
+        }
+      });
+
+      // Also categorize tried snacks with month info (for display in modal)
+      const triedSameCategory = [];
+      const triedOtherCategories = [];
+
+      triedSnacksWithMonth.forEach((snackEntry) => {
+        const category = snackEntry.SnackID.substring(0, 2);
+        if (category === currentCategory) {
+          triedSameCategory.push(snackEntry);
+        } else {
+          triedOtherCategories.push(snackEntry);
+        }
+      });
+
+      logger.debug("Found available snacks", {
+        customerId,
+        currentSnackID,
+        inventory: inventory?.length || 0,
+        tried: triedSnackIDs.size,
+        sameCategory: sameCategory.length,
+        otherCategories: otherCategories.length,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          currentCategory,
+          sameCategory,
+          otherCategories,
+          triedSameCategory, // Now array of {SnackID, month}
+          triedOtherCategories, // Now array of {SnackID, month}
+          totalAvailable: availableSnacks.length,
+          totalTried: triedSnackIDs.size,
+        },
+      });
+    } catch (error) {
+      logger.error("Error getting available snacks", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Replace a snack in a draftbox
+  router.put(
+    "/:customerId/draftbox/:month/replace-snack",
+    requirePermission(PERMISSIONS.ORDERS_WRITE),
+    validate({
+      params: DRAFTBOX_PARAMS,
+      body: {
+        oldSnackID: v.id({ required: true }),
+        newSnackID: v.id({ required: true }),
+        replaceCount: v.integer({ min: 1 }),
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { customerId, month } = req.params;
+        const { oldSnackID, newSnackID, replaceCount } = req.body;
+
+        const db = getDb();
+
+        if (!db) {
+          return res.status(500).json({
+            success: false,
+            error: "Database connection not available",
+          });
+        }
+
+        // Step 1: Get snack info from snacks collection
+        const snacksCollection = db.collection("snacks");
+        const snackInfo = await snacksCollection.findOne({
+          SnackID: newSnackID,
+        });
+
+        if (!snackInfo) {
+          return res.status(404).json({
+            success: false,
+            error: `Snack ${newSnackID} not found in snacks collection`,
+          });
+        }
+
+        // Step 2: Find the draftbox
+        const draftboxesCollection = db.collection("draftboxes");
+        const monthInt = parseInt(month);
+
+        const draftbox = await draftboxesCollection.findOne({
+          customerID: customerId,
+          month: monthInt,
+        });
+
+        if (!draftbox) {
+          return res.status(404).json({
+            success: false,
+            error: "Draftbox not found for this customer and month",
+          });
+        }
+
+        // Step 3: Find the old snack in the snacks array
+        if (!draftbox.snacks || !Array.isArray(draftbox.snacks)) {
+          return res.status(400).json({
+            success: false,
+            error: "Draftbox has no snacks array",
+          });
+        }
+
+        const oldSnackIndex = draftbox.snacks.findIndex(
+          (snack) => snack.SnackID === oldSnackID
+        );
+
+        if (oldSnackIndex === -1) {
+          return res.status(404).json({
+            success: false,
+            error: `Snack ${oldSnackID} not found in draftbox`,
+          });
+        }
+
+        const oldSnack = draftbox.snacks[oldSnackIndex];
+        const oldSnackCount = oldSnack.count || 1;
+
+        // Determine how many to replace (default to all if not specified)
+        const countToReplace = replaceCount || oldSnackCount;
+
+        // Validate replaceCount
+        if (countToReplace < 1 || countToReplace > oldSnackCount) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid replaceCount. Must be between 1 and ${oldSnackCount}`,
+          });
+        }
+
+        let updateResult;
+
+        // Step 4: Handle partial vs full replacement
+        if (countToReplace < oldSnackCount) {
+          // PARTIAL REPLACEMENT: Decrease old count + Add new snack
+          // Create new snack object
+          const newSnack = {
+            SnackID: newSnackID,
+            productLine: snackInfo.productLine,
+            primaryCategory: snackInfo.primaryCategory,
+            count: countToReplace,
+            sort: draftbox.snacks.length, // Add to end
+          };
+
+          // MongoDB doesn't allow $set and $push on the same path in one operation
+          // So we split into two sequential operations
+
+          // Step 1: Decrease the count of the old snack
+          const decreaseResult = await draftboxesCollection.updateOne(
+            {
+              customerID: customerId,
+              month: monthInt,
+            },
+            {
+              $set: {
+                [`snacks.${oldSnackIndex}.count`]: oldSnackCount - countToReplace,
+              },
+            }
+          );
+
+          if (decreaseResult.modifiedCount === 0) {
+            logger.warn("Failed to decrease old snack count", { customerId, month: monthInt, oldSnackID });
+            return res.status(500).json({
+              success: false,
+              error: "Failed to decrease old snack count",
+            });
+          }
+
+          // Step 2: Add the new snack to the array
+          updateResult = await draftboxesCollection.updateOne(
+            {
+              customerID: customerId,
+              month: monthInt,
+            },
+            {
+              $push: {
+                snacks: newSnack,
+              },
+            }
+          );
+        } else {
+          // FULL REPLACEMENT: Replace entire snack
+          const newSnack = {
+            SnackID: newSnackID,
+            productLine: snackInfo.productLine,
+            primaryCategory: snackInfo.primaryCategory,
+            count: oldSnackCount,
+            sort: oldSnack.sort || oldSnackIndex,
+          };
+
+          updateResult = await draftboxesCollection.updateOne(
+            {
+              customerID: customerId,
+              month: monthInt,
+            },
+            {
+              $set: {
+                [`snacks.${oldSnackIndex}`]: newSnack,
+              },
+            }
+          );
+        }
+
+        if (updateResult.modifiedCount === 0) {
+          logger.warn("Failed to update draftbox", { customerId, month: monthInt, newSnackID });
+          return res.status(500).json({
+            success: false,
+            error: "Failed to update draftbox",
+          });
+        }
+
+        logger.info("Replaced snack", {
+          customerId,
+          month: monthInt,
+          oldSnackID,
+          newSnackID,
+          count: countToReplace,
+        });
+
+        // Return the updated draftbox
+        const updatedDraftbox = await draftboxesCollection.findOne({
+          customerID: customerId,
+          month: monthInt,
+        });
+
+        await recordAuditEvent(supabase, req, {
+          action: AUDIT_ACTIONS.BOX_REPLACE_SNACK,
+          targetType: "draftbox",
+          customerId,
+          month: monthInt,
+          before: { snacks: draftbox.snacks },
+          after: { snacks: updatedDraftbox?.snacks || null },
+          metadata: { oldSnackID, newSnackID, replaceCount: countToReplace },
+        });
+
+        res.json({
+          success: true,
+          message: "Snack replaced successfully",
+          data: {
+            oldSnackID,
+            newSnackID,
+            draftbox: updatedDraftbox,
+          },
+        });
+      } catch (error) {
+        logger.error("Error replacing snack", { error });
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+export default createCustomerRoutes;
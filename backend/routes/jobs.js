@@ -0,0 +1,84 @@
+import express from "express";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import { AUDIT_ACTIONS, getAuditActor, recordAuditEvent } from "../services/auditLog.js";
+import { listJobRuns } from "../services/jobRuns.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Scheduled jobs and their run history, mounted at /api/jobs
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.scheduler - From services/scheduler.js createScheduler
+ * @returns {express.Router}
+ */
+export const createJobRoutes = ({ supabase, scheduler }) => {
+  const router = express.Router();
+
+  // List jobs with their schedule, last run and next run
+  router.get("/", requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
+    try {
+      const jobs = await scheduler.listJobs();
+      res.json({ success: true, data: jobs, schedulerRunning: scheduler.started });
+    } catch (error) {
+      logger.error("Error fetching jobs", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateListRuns = validate({
+    query: {
+      job: v.string({ max: 100 }),
+      limit: v.integer({ min: 1, max: 200, default: 50 }),
+    },
+  });
+
+  // Run history, newest first (optionally for one job)
+  router.get("/runs", requirePermission(PERMISSIONS.JOBS_MANAGE), validateListRuns, async (req, res) => {
+    try {
+      const runs = await listJobRuns(supabase, { jobName: req.query.job, limit: req.query.limit });
+      res.json({ success: true, data: runs });
+    } catch (error) {
+      logger.error("Error fetching job runs", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateRunJob = validate({
+    params: { name: v.string({ required: true, max: 100 }) },
+  });
+
+  // Start a job now. Answers as soon as the run is recorded; poll GET / for the outcome.
+  router.post("/:name/run", requirePermission(PERMISSIONS.JOBS_MANAGE), validateRunJob, async (req, res) => {
+    try {
+      const { run } = await scheduler.runJob(req.params.name, {
+        triggeredBy: getAuditActor(req).actor_email,
+      });
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.JOB_RUN,
+        targetType: "job",
+        targetId: req.params.name,
+        metadata: { runId: run.id || null },
+      });
+
+      res.status(202).json({ success: true, data: run });
+    } catch (error) {
+      if (!error.status) logger.error("Error starting job", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createJobRoutes;
@@ -0,0 +1,38 @@
+import express from "express";
+import { matchesSecret } from "../middleware/auth.js";
+import { getBearerToken } from "../services/sessions.js";
+import { metrics } from "../services/metrics.js";
+
+/**
+ * Prometheus scrape endpoint, mounted at the root as GET /metrics
+ * Outside /api, so sessions and API keys do not apply: the scraper sends METRICS_TOKEN
+ * as a bearer token. Without a token configured the endpoint is off.
+ * @param {Object} deps
+ * @param {string} [deps.token] - Defaults to METRICS_TOKEN
+ * @param {Object} [deps.registry] - Defaults to the shared registry (services/metrics.js)
+ * @returns {express.Router}
+ */
+export const createMetricsRoutes = ({ token = process.env.METRICS_TOKEN, registry = metrics } = {}) => {
+  const router = express.Router();
+
+  router.get("/metrics", (req, res) => {
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: "Metrics are disabled; set METRICS_TOKEN to enable them",
+      });
+    }
+    if (!matchesSecret(getBearerToken(req), token)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid metrics token",
+      });
+    }
+
+    res.type("text/plain; version=0.0.4").send(registry.render());
+  });
+
+  return router;
+};
+
+export default createMetricsRoutes;
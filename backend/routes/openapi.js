@@ -0,0 +1,21 @@
+import express from "express";
+
+/**
+ * The API's OpenAPI document, mounted at /api
+ * Open to any signed-in account or API key; the frontend's API docs page renders it.
+ * @param {Object} deps
+ * @param {Function} deps.getDocument - Returns the document built by services/openapi.js
+ * @returns {express.Router}
+ */
+export const createOpenApiRoutes = ({ getDocument }) => {
+  const router = express.Router();
+
+  // Served as-is (no success/data envelope) so OpenAPI tools can load it directly
+  router.get("/openapi.json", (req, res) => {
+    res.json(getDocument());
+  });
+
+  return router;
+};
+
+export default createOpenApiRoutes;
@@ -0,0 +1,497 @@
+import express from "express";
+import { resolveDateRange } from "../middleware/dateRange.js";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { createReportCacheMiddleware } from "../middleware/reportCache.js";
+import { createSiteMiddleware } from "../middleware/site.js";
+import { v, validate } from "../middleware/validate.js";
+import { AUDIT_ACTIONS, getAuditActor, recordAuditEvent } from "../services/auditLog.js";
+import { PAGE_HISTORY_START, resolveDateRange as resolveRange } from "../services/dateRange.js";
+import { getPageAvgDurations, getPageVisitorsAndBounceRate } from "../services/googleAnalytics.js";
+import {
+  categorizePage,
+  getPageIndexStatus,
+  getPageRankings,
+  getSearchPerformance,
+  getTopCountries,
+  getTopPages as getSearchTopPages,
+  getTopQueries,
+} from "../services/googleSearchConsole.js";
+import {
+  INDEX_SYNC_MODES,
+  cancelIndexSync,
+  getIndexSyncJob,
+  getLatestIndexSync,
+  startIndexSync,
+} from "../services/indexSync.js";
+import { DATE_RANGE_QUERY, GSC_MAX_ROWS, ID_PARAMS, reportQuery } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Search Console reports and the page index, mounted at /api/search-console
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.rateLimitStore - Store behind the page-index limiter
+ * @param {Object} deps.reportCache - Shared report cache (services/reportCache.js)
+ * @param {Object} deps.sites - Site registry (services/sites.js); ?site= picks one
+ * @returns {express.Router}
+ */
+export const createSearchConsoleRoutes = ({ supabase, rateLimitStore, reportCache, sites }) => {
+  const router = express.Router();
+  router.use(createSiteMiddleware(sites));
+  router.use(createReportCacheMiddleware(reportCache));
+
+  // Per-session (or per-IP) limit: the page index fans out to many GA / Search Console calls
+  const pageIndexRateLimit = createRateLimiter({
+    store: rateLimitStore,
+    name: "page-index",
+    windowMs: 60 * 1000,
+    max: 20,
+  });
+
+  // Get search performance overview
+  router.get("/performance", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const performance = await req.cachedRangeReport("search-console:performance", req.query, ({ startDate, endDate }) =>
+        getSearchPerformance(req.site, startDate, endDate)
+      );
+
+      res.json({
+        success: true,
+        data: performance,
+      });
+    } catch (error) {
+      logger.error("Error fetching search performance", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get top search queries
+  router.get("/top-queries", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), validate({ query: reportQuery(10, GSC_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const queries = await req.cachedRangeReport("search-console:top-queries", req.query, ({ startDate, endDate }) =>
+        getTopQueries(req.site, startDate, endDate, limit)
+      );
+
+      res.json({
+        success: true,
+        data: queries,
+      });
+    } catch (error) {
+      logger.error("Error fetching top queries", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get top pages from search
+  router.get("/top-pages", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), validate({ query: reportQuery(10, GSC_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const pages = await req.cachedRangeReport("search-console:top-pages", req.query, ({ startDate, endDate }) =>
+        getSearchTopPages(req.site, startDate, endDate, limit)
+      );
+
+      res.json({
+        success: true,
+        data: pages,
+      });
+    } catch (error) {
+      logger.error("Error fetching search top pages", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get top countries from search
+  router.get("/top-countries", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), validate({ query: reportQuery(10, GSC_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const countries = await req.cachedRangeReport("search-console:top-countries", req.query, ({ startDate, endDate }) =>
+        getTopCountries(req.site, startDate, endDate, limit)
+      );
+
+      res.json({
+        success: true,
+        data: countries,
+      });
+    } catch (error) {
+      logger.error("Error fetching top countries", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get page index status from Supabase
+  router.get("/page-index", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), pageIndexRateLimit, async (req, res) => {
+    try {
+      // Fetch ALL pages from Supabase (no limit - get everything)
+      // Supabase has a default limit of 1000, so we need to fetch in batches if needed
+      let allPages = [];
+      let hasMore = true;
+      let page = 0;
+      const pageSize = 1000;
+
+      while (hasMore) {
+        const { data: pagesBatch, error: fetchError } = await supabase
+          .from("google_index_pages")
+          .select("id, title, url, google_index_status, created_at")
+          .eq("site_id", req.site.id)
+          .order("created_at", { ascending: false })
+          .range(page * pageSize, (page + 1) * pageSize - 1);
+
+        if (fetchError) {
+          throw fetchError;
+        }
+
+        if (pagesBatch && pagesBatch.length > 0) {
+          allPages = allPages.concat(pagesBatch);
+          hasMore = pagesBatch.length === pageSize;
+          page++;
+        } else {
+          hasMore = false;
+        }
+      }
+
+      const pages = allPages;
+      logger.debug("Fetched page index from Supabase", { pages: pages.length, batches: page });
+
+      if (!pages || pages.length === 0) {
+        return res.json({
+          success: true,
+          data: {
+            pages: [],
+            stats: {
+              totalPages: 0,
+              indexedCount: 0,
+              notIndexedCount: 0,
+              notIndexedPercent: "0.00",
+            },
+          },
+        });
+      }
+
+      // Query Supabase directly for accurate counts from the entire table
+      const { count: indexedCountResult, error: indexedCountError } =
+        await supabase
+          .from("google_index_pages")
+          .select("*", { count: "exact", head: true })
+          .eq("site_id", req.site.id)
+          .eq("google_index_status", "indexed");
+
+      const { count: notIndexedCountResult, error: notIndexedCountError } =
+        await supabase
+          .from("google_index_pages")
+          .select("*", { count: "exact", head: true })
+          .eq("site_id", req.site.id)
+          .eq("google_index_status", "not_indexed");
+
+      if (indexedCountError) {
+        logger.warn("Error counting indexed pages", { error: indexedCountError });
+      }
+      if (notIndexedCountError) {
+        logger.warn("Error counting not indexed pages", { error: notIndexedCountError });
+      }
+
+      // Use direct database counts
+      const indexedCount = indexedCountResult || 0;
+      const notIndexedCount = notIndexedCountResult || 0;
+      const totalPages = pages.length;
+
+      // Fetch analytics data from GA and Search Console to augment each page
+      const { startDate, endDate } = resolveRange({ startDate: PAGE_HISTORY_START }, { timeZone: req.site.timeZone });
+
+      let avgDurationMap = {};
+      let pageVisitorsMap = {};
+      let searchAnalyticsMap = {};
+
+      try {
+        // Fetch GA data
+        const gaRange = { startDate, endDate };
+        avgDurationMap =
+          (await req.cachedReport("analytics:page-durations", gaRange, () =>
+            getPageAvgDurations(req.site, startDate, endDate)
+          )) || {};
+        pageVisitorsMap =
+          (await req.cachedReport("analytics:page-visitors", gaRange, () =>
+            getPageVisitorsAndBounceRate(req.site, startDate, endDate)
+          )) || {};
+        logger.debug("Fetched GA data for page index", { pages: Object.keys(pageVisitorsMap).length });
+      } catch (gaError) {
+        logger.warn("Could not fetch GA data", { error: gaError.message });
+      }
+
+      try {
+        // Fetch Search Console data
+        const searchData = await req.cachedReport("search-console:page-index", {}, () =>
+          getPageIndexStatus(req.site, 25000)
+        );
+        // Create a map of URL -> search analytics data
+        searchData.pages?.forEach((page) => {
+          const normalizedUrl = page.url
+            .replace(/^https?:\/\/(www\.)?/, "")
+            .replace(/\/$/, "");
+          searchAnalyticsMap[normalizedUrl] = {
+            clicks: page.clicks || 0,
+            impressions: page.impressions || 0,
+            ctr: page.ctr || 0,
+            position: page.position || 0,
+          };
+        });
+        logger.debug("Fetched Search Console data for page index", { pages: Object.keys(searchAnalyticsMap).length });
+      } catch (scError) {
+        logger.warn("Could not fetch Search Console data", { error: scError.message });
+      }
+
+      // Merge pages from Supabase with analytics data
+      const pagesWithAnalytics = pages.map((page) => {
+        // Categorize page
+        const category = categorizePage(page.url);
+
+        // Determine indexed status
+        const isIndexed = page.google_index_status === "indexed";
+
+        // Extract page path from full URL for matching with GA data
+        // GA uses paths like "/highest-carb" not full URLs
+        const pagePath = page.url.replace(/^https?:\/\/(www\.)?[^\/]+/, "") || "/";
+
+        // Get GA data by page path
+        const avgDuration = avgDurationMap[pagePath] || null;
+        const pageData = pageVisitorsMap[pagePath] || {
+          uniqueVisitors: 0,
+          bounceRate: 0,
+          sessions: 0,
+        };
+
+        // Get Search Console data by normalized URL
+        // Search Console URLs need to be normalized (remove protocol, www, trailing slash)
+        const normalizedUrl = page.url
+          .replace(/^https?:\/\/(www\.)?/, "")
+          .replace(/\/$/, "");
+        const searchData = searchAnalyticsMap[normalizedUrl] || {
+          clicks: 0,
+          impressions: 0,
+          ctr: 0,
+          position: 0,
+        };
+
+        return {
+          url: page.url,
+          indexed: isIndexed,
+          google_index_status: page.google_index_status,
+          category: category,
+          // Analytics data from Search Console
+          clicks: searchData.clicks,
+          impressions: searchData.impressions,
+          ctr: searchData.ctr,
+          position: searchData.position,
+          // Analytics data from GA
+          avgDuration: avgDuration,
+          uniqueVisitors: pageData.uniqueVisitors || 0,
+          bounceRate: pageData.bounceRate || 0,
+          sessions: pageData.sessions || 0,
+        };
+      });
+
+      // Calculate comprehensive stats from merged data
+      const totalUniqueVisitors = pagesWithAnalytics.reduce(
+        (sum, p) => sum + (p.uniqueVisitors || 0),
+        0
+      );
+
+      // Calculate weighted average bounce rate
+      const pagesWithSessions = pagesWithAnalytics.filter(
+        (p) => p.sessions > 0 && p.uniqueVisitors >= 1
+      );
+      const totalSessions = pagesWithSessions.reduce(
+        (sum, p) => sum + (p.sessions || 0),
+        0
+      );
+      const weightedBounceRate =
+        totalSessions > 0
+          ? pagesWithSessions.reduce(
+              (sum, p) => sum + ((p.bounceRate || 0) / 100) * (p.sessions || 0),
+              0
+            ) / totalSessions
+          : 0;
+      const engagementRate = ((1 - weightedBounceRate) * 100).toFixed(1);
+
+      // Calculate average duration (weighted by sessions or page views)
+      const pagesWithDuration = pagesWithAnalytics.filter(
+        (p) => p.avgDuration && p.avgDuration > 0
+      );
+      const totalDurationWeight = pagesWithDuration.reduce(
+        (sum, p) => sum + (p.sessions || p.uniqueVisitors || 1),
+        0
+      );
+      const avgDuration =
+        totalDurationWeight > 0
+          ? pagesWithDuration.reduce(
+              (sum, p) =>
+                sum +
+                (p.avgDuration || 0) * (p.sessions || p.uniqueVisitors || 1),
+              0
+            ) / totalDurationWeight
+          : 0;
+
+      res.json({
+        success: true,
+        data: {
+          pages: pagesWithAnalytics,
+          stats: {
+            totalPages,
+            indexedCount,
+            notIndexedCount,
+            notIndexedPercent:
+              totalPages > 0
+                ? ((notIndexedCount / totalPages) * 100).toFixed(2)
+                : "0.00",
+            totalUniqueVisitors,
+            engagementRate,
+            avgDuration,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error fetching page index status", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+
+  const validateStartSync = validate({
+    body: {
+      mode: v.string({ oneOf: Object.values(INDEX_SYNC_MODES), default: INDEX_SYNC_MODES.NOT_INDEXED }),
+    },
+  });
+
+  // Start an index-status sync in the background; poll GET /sync-index-status/:id for progress
+  router.post("/sync-index-status", requirePermission(PERMISSIONS.INDEX_SYNC), validateStartSync, async (req, res) => {
+    try {
+      const { job } = await startIndexSync(supabase, req.site, {
+        mode: req.body.mode,
+        startedBy: getAuditActor(req).actor_email,
+      });
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.INDEX_SYNC,
+        targetType: "sitemap",
+        targetId: job.id,
+        metadata: { mode: job.mode, site: req.site.id },
+      });
+
+      res.status(202).json({ success: true, data: job });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ success: false, error: error.message, data: error.job });
+      }
+      logger.error("Error starting sync", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Latest sync (running or finished), so the Sitemap page can pick up a sync in progress
+  router.get("/sync-index-status", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), async (req, res) => {
+    try {
+      const job = await getLatestIndexSync(supabase, req.site.id);
+      res.json({ success: true, data: job });
+    } catch (error) {
+      logger.error("Error fetching sync status", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Progress of one sync
+  router.get("/sync-index-status/:id", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const job = await getIndexSyncJob(supabase, req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: "Sync not found" });
+      }
+      res.json({ success: true, data: job });
+    } catch (error) {
+      logger.error("Error fetching sync status", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Stop a running sync after its current batch
+  router.post("/sync-index-status/:id/cancel", requirePermission(PERMISSIONS.INDEX_SYNC), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const job = await cancelIndexSync(supabase, req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: "Sync not found" });
+      }
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.INDEX_SYNC_CANCEL,
+        targetType: "sitemap",
+        targetId: job.id,
+        metadata: { processed: job.processed, total: job.total },
+      });
+
+      res.json({ success: true, data: job });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ success: false, error: error.message, data: error.job });
+      }
+      logger.error("Error cancelling sync", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get page rankings (queries we're showing up for)
+  router.get("/page-rankings", requirePermission(PERMISSIONS.SEARCH_CONSOLE_READ), validate({ query: reportQuery(1000, GSC_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const rankings = await req.cachedRangeReport("search-console:page-rankings", req.query, ({ startDate, endDate }) =>
+        getPageRankings(req.site, startDate, endDate, limit)
+      );
+
+      // Log for debugging
+      const totalClicks = rankings.reduce((sum, r) => sum + (r.clicks || 0), 0);
+      const rowsWithClicks = rankings.filter(r => (r.clicks || 0) > 0).length;
+      logger.debug("Fetched page rankings", { startDate: req.query.startDate, endDate: req.query.endDate, rows: rankings.length, rowsWithClicks, totalClicks });
+
+      res.json({
+        success: true,
+        data: rankings,
+      });
+    } catch (error) {
+      logger.error("Error fetching page rankings", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createSearchConsoleRoutes;
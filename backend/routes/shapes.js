@@ -0,0 +1,37 @@
+import { v } from "../middleware/validate.js";
+import { COMPARE_MODES, DATE_PRESET_NAMES } from "../services/dateRange.js";
+
+// Request shapes shared by many routes (see middleware/validate.js)
+
+// A preset, dates, or a preset with one bound overridden; follow with
+// middleware/dateRange.js to resolve it (services/dateRange.js)
+export const SINGLE_RANGE_QUERY = {
+  preset: v.string({ oneOf: DATE_PRESET_NAMES, default: "last30Days" }),
+  startDate: v.gaDate(),
+  endDate: v.gaDate(),
+};
+
+// A range plus an optional one to compare it with, for reports loaded through
+// req.cachedRangeReport (middleware/dateRange.js)
+export const DATE_RANGE_QUERY = {
+  ...SINGLE_RANGE_QUERY,
+  compare: v.string({ oneOf: Object.values(COMPARE_MODES) }),
+  compareStartDate: v.gaDate(),
+  compareEndDate: v.gaDate(),
+};
+export const LAST_WEEK_QUERY = {
+  ...DATE_RANGE_QUERY,
+  preset: v.string({ oneOf: DATE_PRESET_NAMES, default: "last7Days" }),
+};
+
+// Row caps per report: far more than any dashboard view needs
+export const GA_MAX_ROWS = 10000;
+export const GSC_MAX_ROWS = 25000; // Search Console API maximum
+
+// Date range plus a bounded row limit
+export const reportQuery = (defaultLimit, maxLimit) => ({
+  ...DATE_RANGE_QUERY,
+  limit: v.integer({ min: 1, max: maxLimit, default: defaultLimit }),
+});
+
+export const ID_PARAMS = { id: v.uuid({ required: true }) };
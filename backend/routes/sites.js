@@ -0,0 +1,28 @@
+import express from "express";
+
+/**
+ * Sites the dashboard reports on, mounted at /api/sites
+ * @param {Object} deps
+ * @param {Object} deps.sites - Site registry (services/sites.js)
+ * @returns {express.Router}
+ */
+export const createSiteRoutes = ({ sites }) => {
+  const router = express.Router();
+
+  // List the sites for the site switcher; pass one's id as ?site= to the report endpoints
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: sites.all.map(({ id, name, hostname }) => ({
+        id,
+        name,
+        hostname,
+        isDefault: id === sites.defaultSite.id,
+      })),
+    });
+  });
+
+  return router;
+};
+
+export default createSiteRoutes;
@@ -0,0 +1,167 @@
+import express from "express";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { v, validate } from "../middleware/validate.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "../services/auditLog.js";
+import { ID_PARAMS } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USER_FIELDS = {
+  name: v.string({ max: 200 }),
+  email: v.string({ max: 320, pattern: EMAIL_PATTERN }),
+  status: v.string({ oneOf: ["active", "inactive"] }),
+};
+
+/**
+ * Site user management, mounted at /api/users
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @returns {express.Router}
+ */
+export const createUserRoutes = ({ supabase }) => {
+  const router = express.Router();
+
+  // Example: Get all users (modify based on your Supabase schema)
+  router.get("/", requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+    try {
+      const { data, error } = await supabase.from("users").select("*");
+
+      if (error) throw error;
+
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching users", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Example: Get user by ID
+  router.get("/:id", requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { data, error } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (error) throw error;
+
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error fetching user", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateCreateUser = validate({
+    body: {
+      ...USER_FIELDS,
+      email: v.string({ required: true, max: 320, pattern: EMAIL_PATTERN }),
+    },
+  });
+
+  // Example: Create user
+  router.post("/", requirePermission(PERMISSIONS.USERS_MANAGE), validateCreateUser, async (req, res) => {
+    try {
+      const userData = req.body;
+      const { data, error } = await supabase
+        .from("users")
+        .insert([userData])
+        .select();
+
+      if (error) throw error;
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.USER_CREATE,
+        targetType: "user",
+        targetId: data?.[0]?.id,
+        after: data?.[0] || userData,
+      });
+
+      res.status(201).json({ success: true, data });
+    } catch (error) {
+      logger.error("Error creating user", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Example: Update user
+  router.put("/:id", requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: ID_PARAMS, body: USER_FIELDS }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userData = req.body;
+      const { data: previous } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      const { data, error } = await supabase
+        .from("users")
+        .update(userData)
+        .eq("id", id)
+        .select();
+
+      if (error) throw error;
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        targetType: "user",
+        targetId: id,
+        before: previous,
+        after: data?.[0] || userData,
+      });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error("Error updating user", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Example: Delete user
+  router.delete("/:id", requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { data: previous } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      const { error } = await supabase.from("users").delete().eq("id", id);
+
+      if (error) throw error;
+
+      await recordAuditEvent(supabase, req, {
+        action: AUDIT_ACTIONS.USER_DELETE,
+        targetType: "user",
+        targetId: id,
+        before: previous,
+      });
+
+      res.json({ success: true, message: "User deleted successfully" });
+    } catch (error) {
+      logger.error("Error deleting user", { error });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createUserRoutes;
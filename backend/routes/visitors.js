@@ -0,0 +1,171 @@
+import express from "express";
+import { resolveDateRange } from "../middleware/dateRange.js";
+import { PERMISSIONS, requirePermission } from "../middleware/permissions.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { createReportCacheMiddleware } from "../middleware/reportCache.js";
+import { createSiteMiddleware } from "../middleware/site.js";
+import { v, validate } from "../middleware/validate.js";
+import {
+  getDailyVisitorTrends,
+  getPowerUsers,
+  getVisitorDetails,
+  getVisitorsByPage,
+  getVisitorsList,
+} from "../services/visitorAnalytics.js";
+import { DATE_RANGE_QUERY, GA_MAX_ROWS, reportQuery } from "./shapes.js";
+import { logger } from "../services/logger.js";
+
+/**
+ * Visitor reports, mounted at /api/visitors
+ * @param {Object} deps
+ * @param {Object} deps.rateLimitStore - Store behind the power-users limiter
+ * @param {Object} deps.reportCache - Shared report cache (services/reportCache.js)
+ * @param {Object} deps.sites - Site registry (services/sites.js); ?site= picks one
+ * @returns {express.Router}
+ */
+export const createVisitorRoutes = ({ rateLimitStore, reportCache, sites }) => {
+  const router = express.Router();
+  router.use(createSiteMiddleware(sites));
+  router.use(createReportCacheMiddleware(reportCache));
+
+  // Per-session (or per-IP) limit: power users fans out to many GA calls
+  const powerUsersRateLimit = createRateLimiter({
+    store: rateLimitStore,
+    name: "power-users",
+    windowMs: 60 * 1000,
+    max: 20,
+  });
+
+  // Get list of visitors
+  router.get("/", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: reportQuery(100, GA_MAX_ROWS) }), resolveDateRange, async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const visitors = await req.cachedRangeReport("visitors:list", req.query, ({ startDate, endDate }) =>
+        getVisitorsList(req.site, startDate, endDate, limit)
+      );
+
+      res.json({
+        success: true,
+        data: visitors,
+      });
+    } catch (error) {
+      logger.error("Error fetching visitors", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get daily visitor trends with new vs returning breakdown
+  router.get("/daily-trends", requirePermission(PERMISSIONS.ANALYTICS_READ), validate({ query: DATE_RANGE_QUERY }), resolveDateRange, async (req, res) => {
+    try {
+      const trends = await req.cachedRangeReport("visitors:daily-trends", req.query, ({ startDate, endDate }) =>
+        getDailyVisitorTrends(req.site, startDate, endDate)
+      );
+
+      res.json({
+        success: true,
+        data: trends,
+      });
+    } catch (error) {
+      logger.error("Error fetching daily visitor trends", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateVisitorsByPage = validate({
+    params: { pagePath: v.string({ required: true, max: 2000 }) },
+    query: reportQuery(100, GA_MAX_ROWS),
+  });
+
+  // Get visitors for a specific page
+  router.get("/by-page/:pagePath", requirePermission(PERMISSIONS.ANALYTICS_READ), validateVisitorsByPage, resolveDateRange, async (req, res) => {
+    try {
+      const { pagePath } = req.params;
+      const decodedPagePath = decodeURIComponent(pagePath);
+      const { limit } = req.query;
+
+      const visitors = await req.cachedRangeReport(
+        "visitors:by-page",
+        { pagePath: decodedPagePath, ...req.query },
+        ({ startDate, endDate }) => getVisitorsByPage(req.site, decodedPagePath, startDate, endDate, limit)
+      );
+
+      res.json({
+        success: true,
+        data: visitors,
+      });
+    } catch (error) {
+      logger.error("Error fetching visitors by page", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validatePowerUsers = validate({
+    query: {
+      ...DATE_RANGE_QUERY,
+      minSessions: v.integer({ min: 1, max: 1000, default: 3 }),
+    },
+  });
+
+  // Get detailed information about a specific visitor
+  // Get power users (users with more than 3 sessions)
+  router.get("/power-users", requirePermission(PERMISSIONS.ANALYTICS_READ), powerUsersRateLimit, validatePowerUsers, resolveDateRange, async (req, res) => {
+    try {
+      const { minSessions } = req.query;
+      const powerUsers = await req.cachedRangeReport("visitors:power-users", req.query, ({ startDate, endDate }) =>
+        getPowerUsers(req.site, startDate, endDate, minSessions)
+      );
+
+      res.json({
+        success: true,
+        data: powerUsers,
+      });
+    } catch (error) {
+      logger.error("Error fetching power users", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  const validateVisitorDetails = validate({
+    params: { visitorId: v.string({ required: true, max: 200 }) },
+    query: DATE_RANGE_QUERY,
+  });
+
+  router.get("/:visitorId", requirePermission(PERMISSIONS.ANALYTICS_READ), validateVisitorDetails, resolveDateRange, async (req, res) => {
+    try {
+      const { visitorId } = req.params;
+
+      const details = await req.cachedRangeReport(
+        "visitors:details",
+        { visitorId, ...req.query },
+        ({ startDate, endDate }) => getVisitorDetails(req.site, visitorId, startDate, endDate)
+      );
+
+      res.json({
+        success: true,
+        data: details,
+      });
+    } catch (error) {
+      logger.error("Error fetching visitor details", { error });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createVisitorRoutes;
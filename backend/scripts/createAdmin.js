@@ -0,0 +1,81 @@
+/**
+ * Create an admin dashboard account
+ *
+ * Usage:
+ *   npm run create-admin -- --email jane@example.com --name "Jane Doe" --role admin
+ *
+ * Roles: admin, analyst (default), packer
+ *
+ * The password is read from the ADMIN_PASSWORD environment variable or
+ * prompted for on the terminal.
+ */
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { createInterface } from "readline/promises";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import {
+  createAdminAccount,
+  MIN_PASSWORD_LENGTH,
+} from "../services/adminAccounts.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, "..", ".env") });
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const { email, name, role = "analyst" } = parseArgs(process.argv.slice(2));
+
+  if (!email) {
+    console.error(
+      "Usage: npm run create-admin -- --email <email> [--name <name>] [--role admin|analyst|packer]"
+    );
+    process.exit(1);
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error("Missing Supabase configuration. Please check your .env file.");
+    process.exit(1);
+  }
+
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    password = await rl.question(
+      `Password (min ${MIN_PASSWORD_LENGTH} characters): `
+    );
+    rl.close();
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+  );
+
+  const account = await createAdminAccount(supabase, {
+    email,
+    password,
+    name,
+    role,
+  });
+  console.log(
+    `✅ Created ${account.role} account ${account.email} (${account.id})`
+  );
+};
+
+main().catch((error) => {
+  console.error("❌ Could not create admin account:", error.message);
+  process.exit(1);
+});
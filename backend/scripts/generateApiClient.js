@@ -0,0 +1,54 @@
+/**
+ * Write the frontend's typed API client from the OpenAPI document
+ *
+ * Usage:
+ *   npm run generate:api-client
+ *
+ * Builds the app without connecting to anything, renders its OpenAPI document as
+ * frontend/src/api/client.js (see services/openapiClient.js) and overwrites that file.
+ * services/openapi.test.js fails while the committed client is out of date.
+ */
+import { writeFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { createApp } from "../app.js";
+import { renderApiClient } from "../services/openapiClient.js";
+import { createMemoryRateLimitStore } from "../services/rateLimit.js";
+import { createMemoryCacheStore } from "../services/reportCache.js";
+import { getLegacySite } from "../services/sites.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const CLIENT_PATH = join(__dirname, "..", "..", "frontend", "src", "api", "client.js");
+
+/**
+ * The OpenAPI document of an app with no clients or credentials
+ * Routes and their docs do not depend on configuration, so this matches the served document.
+ * @returns {Promise<Object>}
+ */
+export const buildOfflineDocument = async () => {
+  const app = await createApp({
+    supabase: null,
+    config: {
+      rateLimitStore: createMemoryRateLimitStore(),
+      reportCacheStore: createMemoryCacheStore(),
+      sites: [getLegacySite({})],
+      logRequests: false,
+    },
+  });
+  return app.locals.openApi;
+};
+
+const main = async () => {
+  const source = renderApiClient(await buildOfflineDocument());
+  await writeFile(CLIENT_PATH, source);
+  console.log(`✅ Wrote ${CLIENT_PATH}`);
+};
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error("❌ Failed to generate the API client:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,349 @@
+/**
+ * Write the sample Google fixture set that `npm run dev:offline` replays
+ *
+ * Usage:
+ *   npm run generate:sample-fixtures
+ *
+ * Builds the app against in-memory GA4 and Search Console clients answering made-up but
+ * plausible numbers, records them as compact JSON (see services/googleFixtures.js) while
+ * requesting SAMPLE_REQUESTS, and replaces backend/fixtures/google with the result. Only
+ * the reports app.test.js replays are covered; other pages answer empty. Nothing reaches
+ * Google; to record a real site instead, run the server with GOOGLE_FIXTURES=record and
+ * browse the dashboard.
+ */
+import { createHash } from "crypto";
+import { rm } from "fs/promises";
+import { fileURLToPath } from "url";
+import { createApp } from "../app.js";
+import { addDays, countDays, resolveDateRange } from "../services/dateRange.js";
+import { DEFAULT_FIXTURES_DIR, withGoogleFixtures } from "../services/googleFixtures.js";
+import { createMemoryRateLimitStore } from "../services/rateLimit.js";
+import { createMemoryCacheStore } from "../services/reportCache.js";
+import { createSession } from "../services/sessions.js";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SITE = {
+  id: "sample",
+  name: "Sample",
+  gaPropertyId: "000000",
+  searchConsoleSiteUrl: "sc-domain:example.com",
+  sitemapUrls: [],
+  hostname: "example.com",
+  brandTerms: ["example"],
+};
+
+const ADMIN = { id: "sample-admin", email: "admin@example.com", role: "admin", status: "active" };
+
+// Rows per report at most, so the committed set stays small
+const MAX_ROWS = 200;
+
+const PAGES = [
+  ["/", "Healthy Snack Boxes Delivered"],
+  ["/browse", "Browse Snacks"],
+  ["/blog/high-protein-snacks", "10 High Protein Snacks"],
+  ["/blog/keto-snack-ideas", "Keto Snack Ideas"],
+  ["/ingredient-checker", "Ingredient Checker"],
+  ["/compare-bars", "Compare Protein Bars"],
+  ["/reviews", "Customer Reviews"],
+  ["/checkout", "Checkout"],
+  ["/help-center", "Help Center"],
+  ["/missing-page-404", "Page Not Found"],
+];
+
+// What each GA dimension takes, for the dimensions the backend asks for
+const GA_VALUES = {
+  pagePath: PAGES.map(([path]) => path),
+  landingPage: PAGES.slice(0, 6).map(([path]) => path),
+  sessionSource: ["google", "(direct)", "chatgpt.com", "facebook.com", "bing", "newsletter"],
+  firstUserSource: ["google", "(direct)", "chatgpt.com", "facebook.com"],
+  sessionMedium: ["organic", "(none)", "referral", "cpc", "email"],
+  firstUserMedium: ["organic", "(none)", "referral", "cpc"],
+  sessionDefaultChannelGroup: ["Organic Search", "Direct", "Referral", "Paid Search", "Email"],
+  pageReferrer: ["https://www.google.com/", "https://chatgpt.com/", ""],
+  country: ["United States", "Canada", "United Kingdom", "Germany", "Australia"],
+  region: ["California", "Ontario", "England", "Bavaria", "New South Wales"],
+  city: ["Los Angeles", "Toronto", "London", "Munich", "Sydney"],
+  language: ["English", "German", "French"],
+  deviceCategory: ["desktop", "mobile", "tablet"],
+  browser: ["Chrome", "Safari", "Firefox", "Edge"],
+  operatingSystem: ["Windows", "iOS", "Android", "Macintosh"],
+  screenResolution: ["1920x1080", "390x844", "1440x900"],
+  newVsReturning: ["new", "returning"],
+  userAgeBracket: ["18-24", "25-34", "35-44", "45-54"],
+  userGender: ["female", "male"],
+  dayOfWeek: ["0", "1", "2", "3", "4", "5", "6"],
+  hour: Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, "0")),
+  hostName: [SITE.hostname],
+  searchTerm: ["protein bar", "keto", "gluten free"],
+  eventName: [
+    "page_view",
+    "session_start",
+    "scroll",
+    "click",
+    "cta_click",
+    "form_submit",
+    "newsletter_signup",
+    "add_to_cart",
+    "purchase",
+    "Shopping Referral",
+    "LCP",
+    "CLS",
+    "INP",
+  ],
+  "eventParameter:percent_scrolled": ["25", "50", "90"],
+};
+
+const METRIC_TYPES = {
+  averageSessionDuration: "TYPE_SECONDS",
+  userEngagementDuration: "TYPE_SECONDS",
+  bounceRate: "TYPE_FLOAT",
+  engagementRate: "TYPE_FLOAT",
+  totalRevenue: "TYPE_CURRENCY",
+};
+
+// [low, high] of each integer metric per row; others run 5-500
+const METRIC_RANGES = {
+  screenPageViews: [300, 1200],
+  sessions: [150, 500],
+  activeUsers: [100, 400],
+  totalUsers: [100, 400],
+  newUsers: [40, 250],
+  engagedSessions: [80, 300],
+  eventCount: [10, 150],
+  conversions: [1, 25],
+};
+
+// A stable number in [0, 1) for the given parts
+const noise = (...parts) => createHash("sha256").update(parts.join("|")).digest().readUInt32BE(0) / 2 ** 32;
+
+const gaMetricValue = (name, key) => {
+  const n = noise(name, key);
+  switch (METRIC_TYPES[name]) {
+    case "TYPE_SECONDS":
+      return (20 + n * 280).toFixed(2);
+    case "TYPE_FLOAT":
+      return (0.2 + n * 0.6).toFixed(4);
+    case "TYPE_CURRENCY":
+      return (n * 900).toFixed(2);
+    default: {
+      const [low, high] = METRIC_RANGES[name] ?? [5, 500];
+      return String(Math.round(low + n * (high - low)));
+    }
+  }
+};
+
+const gaDays = (startDate, endDate) =>
+  Array.from({ length: Math.min(countDays(startDate, endDate), 400) }, (_, index) => addDays(startDate, index).replaceAll("-", ""));
+
+const gaValuesOf = (name, { startDate, endDate }) => {
+  if (name === "date") return gaDays(startDate, endDate);
+  return GA_VALUES[name] ?? ["(not set)"];
+};
+
+const STRING_MATCHES = {
+  EXACT: (value, expected) => value === expected,
+  CONTAINS: (value, expected) => value.includes(expected),
+  BEGINS_WITH: (value, expected) => value.startsWith(expected),
+  ENDS_WITH: (value, expected) => value.endsWith(expected),
+  FULL_REGEXP: (value, expected) => new RegExp(`^(?:${expected})$`).test(value),
+  PARTIAL_REGEXP: (value, expected) => new RegExp(expected).test(value),
+};
+
+// Whether a row's dimension values pass a FilterExpression; fields the row lacks pass
+const matchesFilter = (expression, values) => {
+  if (!expression) return true;
+  if (expression.andGroup) return expression.andGroup.expressions.every((each) => matchesFilter(each, values));
+  if (expression.orGroup) return expression.orGroup.expressions.some((each) => matchesFilter(each, values));
+  const { fieldName, stringFilter } = expression.filter;
+  if (!(fieldName in values) || !stringFilter) return true;
+  return STRING_MATCHES[stringFilter.matchType](values[fieldName], stringFilter.value);
+};
+
+// Every combination of the given value lists, or MAX_ROWS picked from them when there are more
+const combinations = (lists) => {
+  const total = lists.reduce((count, list) => count * list.length, 1);
+  if (total > MAX_ROWS) {
+    const picked = Array.from({ length: MAX_ROWS }, (_, row) =>
+      lists.map((list, index) => list[Math.floor(noise(row, index) * list.length)])
+    );
+    return [...new Map(picked.map((values) => [values.join("|"), values])).values()];
+  }
+  return lists.reduce((rows, list) => rows.flatMap((row) => list.map((value) => [...row, value])), [[]]);
+};
+
+const compareRows = (orderBys, dimensionNames, metricNames) => (a, b) => {
+  for (const { metric, dimension, desc } of orderBys) {
+    const [x, y] = metric
+      ? [Number(a.metricValues[metricNames.indexOf(metric.metricName)].value), Number(b.metricValues[metricNames.indexOf(metric.metricName)].value)]
+      : [a.dimensionValues[dimensionNames.indexOf(dimension.dimensionName)].value, b.dimensionValues[dimensionNames.indexOf(dimension.dimensionName)].value];
+    if (x !== y) return (x < y ? -1 : 1) * (desc ? -1 : 1);
+  }
+  return 0;
+};
+
+/**
+ * GA Data API stand-in answering any report with made-up rows
+ * @returns {Object}
+ */
+export const createSampleAnalyticsClient = () => ({
+  properties: {
+    getMetadata: async () => ({ data: { dimensions: [], metrics: [] } }),
+    runReport: async ({ requestBody }) => {
+      const { dateRanges, dimensions = [], metrics, dimensionFilter, orderBys = [], limit = 10000, offset = 0 } = requestBody;
+      const dimensionNames = dimensions.map(({ name }) => name);
+      const metricNames = metrics.map(({ name }) => name);
+      const named = dateRanges.length > 1;
+
+      const rows = dateRanges.flatMap((range, rangeIndex) => {
+        const resolved = resolveDateRange(range);
+        // Page titles follow the page path they belong to
+        // narrowed by the filter up front, so a filtered report keeps its rows
+        const lists = dimensionNames.map((name) =>
+          name === "pageTitle" && dimensionNames.includes("pagePath")
+            ? [null]
+            : gaValuesOf(name, resolved).filter((value) => matchesFilter(dimensionFilter, { [name]: value }))
+        );
+        return combinations(lists)
+          .map((combination) => {
+            const values = Object.fromEntries(dimensionNames.map((name, index) => [name, combination[index]]));
+            if (values.pageTitle === null) {
+              values.pageTitle = PAGES.find(([path]) => path === values.pagePath)?.[1] ?? "(not set)";
+            }
+            return values;
+          })
+          .filter((values) => matchesFilter(dimensionFilter, values))
+          .map((values) => {
+            // The comparison range runs a little lower than the current one
+            const key = dimensionNames.map((name) => (name === "date" ? values.date.slice(-2) : values[name])).join("|");
+            const scale = rangeIndex > 0 ? 0.85 : 1;
+            return {
+              dimensionValues: [
+                ...dimensionNames.map((name) => ({ value: values[name] })),
+                ...(named ? [{ value: range.name ?? `date_range_${rangeIndex}` }] : []),
+              ],
+              metricValues: metricNames.map((name) => {
+                const value = gaMetricValue(name, key);
+                const type = METRIC_TYPES[name] ?? "TYPE_INTEGER";
+                return { value: type === "TYPE_INTEGER" ? String(Math.round(Number(value) * scale)) : value };
+              }),
+            };
+          });
+      });
+
+      rows.sort(compareRows(orderBys, dimensionNames, metricNames));
+      const kept = rows.slice(0, MAX_ROWS);
+      return {
+        data: {
+          dimensionHeaders: [...dimensionNames, ...(named ? ["dateRange"] : [])].map((name) => ({ name })),
+          metricHeaders: metricNames.map((name) => ({ name, type: METRIC_TYPES[name] ?? "TYPE_INTEGER" })),
+          rows: kept.slice(offset, offset + limit),
+          rowCount: kept.length,
+          propertyQuota: { tokensPerDay: { consumed: 1200, remaining: 198800 } },
+        },
+      };
+    },
+  },
+});
+
+const SC_VALUES = {
+  query: ["healthy snack box", "high protein snacks", "keto snacks", "example snacks", "snack subscription", "protein bar comparison"],
+  page: PAGES.slice(0, 7).map(([path]) => `https://${SITE.hostname}${path}`),
+  country: ["usa", "can", "gbr", "deu", "aus"],
+  device: ["DESKTOP", "MOBILE", "TABLET"],
+};
+
+/**
+ * Search Console stand-in answering any search analytics query with made-up rows
+ * @returns {Object}
+ */
+export const createSampleSearchConsoleClient = () => ({
+  sites: {
+    get: async ({ siteUrl }) => ({ data: { siteUrl, permissionLevel: "siteOwner" } }),
+  },
+  searchanalytics: {
+    query: async ({ requestBody }) => {
+      const { startDate, endDate, dimensions = [], rowLimit = 1000, startRow = 0 } = requestBody;
+      const lists = dimensions.map((name) =>
+        name === "date"
+          ? Array.from({ length: countDays(startDate, endDate) }, (_, index) => addDays(startDate, index))
+          : SC_VALUES[name] ?? ["(not set)"]
+      );
+      const rows = combinations(lists).map((keys) => {
+          const key = keys.map((value, index) => (dimensions[index] === "date" ? value.slice(-2) : value)).join("|");
+          const impressions = Math.round(50 + noise("impressions", key) * 1950);
+          const clicks = Math.round(impressions * (0.01 + noise("ctr", key) * 0.09));
+          return {
+            ...(dimensions.length > 0 && { keys }),
+            clicks,
+            impressions,
+            ctr: Number((clicks / impressions).toFixed(4)),
+            position: Number((1 + noise("position", key) * 19).toFixed(1)),
+          };
+        });
+      return { data: { rows: rows.slice(startRow, startRow + rowLimit), responseAggregationType: "byProperty" } };
+    },
+  },
+  urlInspection: {
+    index: {
+      inspect: async () => ({ data: { inspectionResult: { indexStatusResult: { verdict: "PASS", coverageState: "Submitted and indexed" } } } }),
+    },
+  },
+});
+
+// The reports app.test.js replays, over the dashboard's default range
+const LAST_30_DAYS = "startDate=30daysAgo&endDate=today";
+export const SAMPLE_REQUESTS = [
+  `/api/analytics/sessions?${LAST_30_DAYS}`,
+  `/api/visitors/daily-trends?${LAST_30_DAYS}`,
+  `/api/search-console/performance?${LAST_30_DAYS}`,
+];
+
+const main = async () => {
+  process.env.SESSION_SECRET ||= "sample-fixtures";
+  await rm(DEFAULT_FIXTURES_DIR, { recursive: true, force: true });
+
+  const supabase = createFakeSupabase({ admin_users: [ADMIN], admin_sessions: [], admin_audit_log: [], api_keys: [] });
+  const google = withGoogleFixtures(
+    "record",
+    {
+      analyticsClient: createSampleAnalyticsClient(),
+      searchConsoleClient: createSampleSearchConsoleClient(),
+      fetchSitemap: async () => "",
+    },
+    { dir: DEFAULT_FIXTURES_DIR, sites: [SITE], pretty: false }
+  );
+  const app = await createApp({
+    supabase,
+    ...google,
+    config: {
+      rateLimitStore: createMemoryRateLimitStore(),
+      reportCacheStore: createMemoryCacheStore(),
+      sites: [SITE],
+      logRequests: false,
+    },
+  });
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const { token } = await createSession(supabase, ADMIN);
+  try {
+    for (const path of SAMPLE_REQUESTS) {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) throw new Error(`${path} answered ${response.status}`);
+    }
+  } finally {
+    server.close();
+  }
+  console.log(`✅ Wrote sample fixtures to ${DEFAULT_FIXTURES_DIR}`);
+};
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error("❌ Failed to generate the sample fixtures:", error.message);
+    process.exit(1);
+  });
+}
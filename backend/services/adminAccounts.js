@@ -0,0 +1,309 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { ROLES } from "../middleware/permissions.js";
+import { logger } from "./logger.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15 keeps a single hash around 50-100ms on a server core)
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+export const MIN_PASSWORD_LENGTH = 12;
+
+const ACCOUNT_COLUMNS =
+  "id, email, name, role, status, mfa_enabled, password_hash, last_login_at, created_at, updated_at";
+
+const PUBLIC_ACCOUNT_COLUMNS =
+  "id, email, name, role, status, mfa_enabled, last_login_at, created_at, updated_at";
+
+export const ACCOUNT_STATUSES = ["active", "disabled"];
+
+// Errors caused by bad input carry an HTTP status for the route handler
+const invalidInput = (message, status = 400) =>
+  Object.assign(new Error(message), { status });
+
+/**
+ * Normalize an email address for lookups (accounts are unique by lowercase email)
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+/**
+ * Hash a password with a random salt using scrypt
+ * Stored format: scrypt$N$r$p$saltHex$hashHex
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scrypt(password, salt, SCRYPT_KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: SCRYPT_MAX_MEMORY,
+  });
+
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("hex"),
+    derivedKey.toString("hex"),
+  ].join("$");
+};
+
+/**
+ * Check a password against a hash produced by hashPassword (constant-time compare)
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Encoded hash from the database
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== "string" || typeof storedHash !== "string") {
+    return false;
+  }
+
+  const [algorithm, n, r, p, saltHex, hashHex] = storedHash.split("$");
+  if (algorithm !== "scrypt" || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, "hex");
+  const derivedKey = await scrypt(password, Buffer.from(saltHex, "hex"), expected.length, {
+    N: parseInt(n, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+    maxmem: SCRYPT_MAX_MEMORY,
+  });
+
+  return crypto.timingSafeEqual(derivedKey, expected);
+};
+
+// Hash used to spend the same time on unknown emails as on real accounts
+let dummyHashPromise = null;
+const getDummyHash = () => {
+  if (!dummyHashPromise) {
+    dummyHashPromise = hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  return dummyHashPromise;
+};
+
+/**
+ * Strip secrets from an account row before it leaves the backend
+ * @param {Object} account - Row from admin_users
+ * @returns {Object} Account without password_hash or 2FA secrets
+ */
+export const toPublicAccount = (account) => {
+  if (!account) return null;
+  const {
+    password_hash,
+    mfa_secret,
+    mfa_pending_secret,
+    mfa_recovery_codes,
+    mfa_last_used_step,
+    ...publicAccount
+  } = account;
+  return publicAccount;
+};
+
+/**
+ * Find an admin account by email
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} email - Email address (case-insensitive)
+ * @returns {Promise<Object|null>} Account row including password_hash, or null
+ */
+export const findAdminAccountByEmail = async (supabaseClient, email) => {
+  const { data, error } = await supabaseClient
+    .from("admin_users")
+    .select(ACCOUNT_COLUMNS)
+    .eq("email", normalizeEmail(email))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Find an admin account by id
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @returns {Promise<Object|null>} Public account, or null
+ */
+export const getAdminAccount = async (supabaseClient, accountId) => {
+  const { data, error } = await supabaseClient
+    .from("admin_users")
+    .select(PUBLIC_ACCOUNT_COLUMNS)
+    .eq("id", accountId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Verify email + password credentials
+ * Always runs a hash comparison so unknown emails take as long as wrong passwords.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} Public account when credentials match an active account
+ */
+export const authenticateAdmin = async (supabaseClient, email, password) => {
+  const account = await findAdminAccountByEmail(supabaseClient, email);
+
+  if (!account) {
+    await verifyPassword(password, await getDummyHash());
+    return null;
+  }
+
+  const passwordMatches = await verifyPassword(password, account.password_hash);
+  if (!passwordMatches || account.status !== "active") {
+    return null;
+  }
+
+  return toPublicAccount(account);
+};
+
+/**
+ * Record a successful login on the account row
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ */
+export const recordSuccessfulLogin = async (supabaseClient, accountId) => {
+  const { error } = await supabaseClient
+    .from("admin_users")
+    .update({ last_login_at: new Date().toISOString() })
+    .eq("id", accountId);
+
+  if (error) {
+    logger.warn("Could not record last login", { error: error.message });
+  }
+};
+
+/**
+ * Create a new admin account
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} account
+ * @param {string} account.email
+ * @param {string} account.password - Plain text, at least MIN_PASSWORD_LENGTH characters
+ * @param {string} [account.name]
+ * @param {string} [account.role] - One of ROLES (defaults to "analyst")
+ * @returns {Promise<Object>} Public account
+ */
+export const createAdminAccount = async (
+  supabaseClient,
+  { email, password, name = null, role = "analyst" }
+) => {
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw invalidInput("A valid email address is required");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw invalidInput(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+  if (!ROLES.includes(role)) {
+    throw invalidInput(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  const { data, error } = await supabaseClient
+    .from("admin_users")
+    .insert([
+      {
+        email: normalizedEmail,
+        name,
+        role,
+        status: "active",
+        password_hash: await hashPassword(password),
+      },
+    ])
+    .select(ACCOUNT_COLUMNS)
+    .single();
+
+  if (error?.code === "23505") {
+    throw invalidInput("An account with this email already exists", 409);
+  }
+  if (error) throw error;
+  return toPublicAccount(data);
+};
+
+/**
+ * List all admin accounts (without password hashes)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Array<Object>>}
+ */
+export const listAdminAccounts = async (supabaseClient) => {
+  const { data, error } = await supabaseClient
+    .from("admin_users")
+    .select(PUBLIC_ACCOUNT_COLUMNS)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Update an account's name, role or status
+ * Disabling an account ends its live sessions, since sessions are checked against the account status.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @param {Object} changes
+ * @param {string} [changes.name]
+ * @param {string} [changes.role] - One of ROLES
+ * @param {string} [changes.status] - "active" or "disabled"
+ * @returns {Promise<Object|null>} Updated public account, or null if not found
+ */
+export const updateAdminAccount = async (
+  supabaseClient,
+  accountId,
+  { name, role, status }
+) => {
+  const updates = { updated_at: new Date().toISOString() };
+
+  if (name !== undefined) updates.name = name;
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw invalidInput(`Role must be one of: ${ROLES.join(", ")}`);
+    }
+    updates.role = role;
+  }
+  if (status !== undefined) {
+    if (!ACCOUNT_STATUSES.includes(status)) {
+      throw invalidInput(`Status must be one of: ${ACCOUNT_STATUSES.join(", ")}`);
+    }
+    updates.status = status;
+  }
+
+  const { data, error } = await supabaseClient
+    .from("admin_users")
+    .update(updates)
+    .eq("id", accountId)
+    .select(PUBLIC_ACCOUNT_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+export default {
+  normalizeEmail,
+  hashPassword,
+  verifyPassword,
+  toPublicAccount,
+  findAdminAccountByEmail,
+  getAdminAccount,
+  authenticateAdmin,
+  recordSuccessfulLogin,
+  createAdminAccount,
+  listAdminAccounts,
+  updateAdminAccount,
+};
@@ -0,0 +1,231 @@
+/**
+ * Days whose traffic or search numbers stray from what that weekday usually brings
+ *
+ * Each day is compared with the same weekday over the BASELINE_WEEKS before it (a Monday
+ * with the previous Mondays), so the usual weekend dip is not flagged. The baseline is the
+ * median of those days and its spread their median absolute deviation, so a single odd
+ * day in the history does not move it. A day is flagged when its robust z-score passes a
+ * severity threshold and it is at least MIN_RELATIVE_CHANGE away from the baseline.
+ *
+ * Sessions anomalies name the source whose sessions moved the most in the same direction
+ * (the `driver`), from the daily traffic by source. That report has sessions only, so users
+ * and page views anomalies have no driver; nor do search anomalies, as Search Console
+ * reports by date only.
+ */
+import { addDays, todayIn } from "./dateRange.js";
+import { delta } from "./comparison.js";
+import { getDailyTrafficBySource, getDailyTrend } from "./googleAnalytics.js";
+import { getSearchPerformance } from "./googleSearchConsole.js";
+import { logger } from "./logger.js";
+
+export const BASELINE_WEEKS = 4;
+const MIN_BASELINE_DAYS = 3;
+
+export const ANOMALY_SEVERITY = { WARNING: "warning", CRITICAL: "critical" };
+
+// Robust z-score from which a day is flagged, most severe first
+const SCORE_THRESHOLDS = [
+  [ANOMALY_SEVERITY.CRITICAL, 5],
+  [ANOMALY_SEVERITY.WARNING, 3],
+];
+// Quiet series swing by a few visits; smaller moves than this are never flagged
+const MIN_RELATIVE_CHANGE = 0.2;
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+// The series checked, each a metric of a daily report
+export const ANOMALY_METRICS = {
+  traffic: ["sessions", "users", "pageViews"],
+  search: ["clicks", "impressions"],
+};
+
+// The metric the source slices are counted in, and so the only one given a driver
+const DRIVER_METRIC = "sessions";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// GA's 20240501 or Search Console's 2024-05-01, as 2024-05-01; null for anything else
+const toDay = (date) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(date ?? "");
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * A daily series as value by day, with days missing between `from` and the last day
+ * reported counted as 0 (GA leaves out days without traffic). Days after the last one
+ * reported are left out: the data has not arrived yet.
+ * @param {Object[]} rows - Report rows with a `date`
+ * @param {Function} value - (row) => number
+ * @param {string} from - YYYY-MM-DD
+ * @returns {Map<string, number>}
+ */
+export const toDailySeries = (rows, value, from) => {
+  const reported = new Map(rows.map((row) => [toDay(row.date), value(row)]).filter(([day]) => day));
+  const series = new Map();
+  const last = [...reported.keys()].sort().pop();
+  for (let day = from; last && day <= last; day = addDays(day, 1)) {
+    series.set(day, reported.get(day) ?? 0);
+  }
+  return series;
+};
+
+/**
+ * What a day is expected to bring, from the same weekday in the weeks before it
+ * @param {Map<string, number>} series - From toDailySeries
+ * @param {string} day - YYYY-MM-DD
+ * @returns {{ expected: number, spread: number }|null} null without enough history
+ */
+export const weekdayBaseline = (series, day) => {
+  const history = [];
+  for (let week = 1; week <= BASELINE_WEEKS; week++) {
+    const value = series.get(addDays(day, -7 * week));
+    if (value !== undefined) history.push(value);
+  }
+  if (history.length < MIN_BASELINE_DAYS) return null;
+
+  const expected = median(history);
+  const deviation = median(history.map((value) => Math.abs(value - expected))) * MAD_SCALE;
+  // Counts vary by about their square root even when nothing changed, and a perfectly
+  // flat history would otherwise flag a change of one
+  return { expected, spread: Math.max(deviation, Math.sqrt(expected), 1) };
+};
+
+/**
+ * The days of a series far enough from their weekday baseline to flag
+ * @param {Map<string, number>} series - From toDailySeries, history included
+ * @param {string[]} days - Days to check
+ * @returns {Array<{ date: string, value: number, expected: number, change: number, percentChange: number|null,
+ *   score: number, severity: string, direction: "drop"|"spike" }>}
+ */
+export const detectAnomalies = (series, days) =>
+  days.flatMap((day) => {
+    const value = series.get(day);
+    const baseline = value === undefined ? null : weekdayBaseline(series, day);
+    if (!baseline) return [];
+
+    const { change, percentChange } = delta(value, baseline.expected);
+    const score = change / baseline.spread;
+    const [severity] = SCORE_THRESHOLDS.find(([, threshold]) => Math.abs(score) >= threshold) ?? [];
+    if (!severity || Math.abs(change) < MIN_RELATIVE_CHANGE * Math.max(baseline.expected, 1)) return [];
+
+    return [
+      {
+        date: day,
+        value,
+        expected: round(baseline.expected),
+        change: round(change),
+        percentChange,
+        score: round(score),
+        severity,
+        direction: change < 0 ? "drop" : "spike",
+      },
+    ];
+  });
+
+/**
+ * The slice that moved the most in the anomaly's direction on its day
+ * @param {Map<string, Map<string, number>>} slices - Series by slice name (e.g. by source)
+ * @param {Object} anomaly - From detectAnomalies
+ * @param {string} dimension - What the slices are, e.g. "source"
+ * @returns {{ dimension, value, metric, actual, expected, change, share }|null}
+ *   share is the slice's part of the total move of all slices that moved that way
+ */
+export const findDriver = (slices, anomaly, dimension) => {
+  const sign = anomaly.direction === "drop" ? -1 : 1;
+  const moves = [...slices].flatMap(([name, series]) => {
+    const actual = series.get(anomaly.date) ?? 0;
+    const expected = weekdayBaseline(series, anomaly.date)?.expected ?? 0;
+    const change = actual - expected;
+    return Math.sign(change) === sign ? [{ name, actual, expected, change }] : [];
+  });
+  if (!moves.length) return null;
+
+  const total = moves.reduce((sum, move) => sum + move.change, 0);
+  const top = moves.reduce((best, move) => (Math.abs(move.change) > Math.abs(best.change) ? move : best));
+  return {
+    dimension,
+    value: top.name,
+    metric: DRIVER_METRIC,
+    actual: top.actual,
+    expected: round(top.expected),
+    change: round(top.change),
+    share: round(top.change / total),
+  };
+};
+
+// { daily: [{ date, sources: [{ source, sessions }] }] } -> series by source
+const sourceSeries = ({ daily = [] }, from) => {
+  const names = new Set(daily.flatMap((day) => day.sources.map(({ source }) => source)));
+  return new Map(
+    [...names].map((name) => [
+      name,
+      toDailySeries(daily, (day) => day.sources.find(({ source }) => source === name)?.sessions ?? 0, from),
+    ])
+  );
+};
+
+/**
+ * Anomalies in daily traffic (GA) and search (Search Console) over a range
+ * Today is left out while it is still in progress, as it would always look like a drop.
+ * @param {Object} site - Site to report on (services/sites.js)
+ * @param {string} startDate - YYYY-MM-DD, first day checked
+ * @param {string} endDate - YYYY-MM-DD, last day checked
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ anomalies: Object[], baselineWeeks: number, unavailable: string[] }>}
+ *   Newest first. unavailable lists the series that could not be loaded ("search", "sources").
+ */
+export const getAnomalies = async (site, startDate, endDate, { now = new Date() } = {}) => {
+  const yesterday = addDays(todayIn(site.timeZone, now), -1);
+  const lastDay = endDate < yesterday ? endDate : yesterday;
+  const historyStart = addDays(startDate, -7 * BASELINE_WEEKS);
+  const days = [];
+  for (let day = startDate; day <= lastDay; day = addDays(day, 1)) days.push(day);
+  if (!days.length) return { anomalies: [], baselineWeeks: BASELINE_WEEKS, unavailable: [] };
+
+  const [trend, bySource, search] = await Promise.allSettled([
+    getDailyTrend(site, historyStart, lastDay),
+    getDailyTrafficBySource(site, historyStart, lastDay),
+    getSearchPerformance(site, historyStart, lastDay),
+  ]);
+  if (trend.status === "rejected") throw trend.reason;
+
+  const unavailable = [];
+  for (const [name, result] of [["sources", bySource], ["search", search]]) {
+    if (result.status === "rejected") {
+      unavailable.push(name);
+      logger.warn("Anomaly detection without a series", { series: name, error: result.reason?.message });
+    }
+  }
+
+  const slices = bySource.status === "fulfilled" ? sourceSeries(bySource.value, historyStart) : null;
+  const traffic = ANOMALY_METRICS.traffic.flatMap((metric) =>
+    detectAnomalies(toDailySeries(trend.value, (row) => row[metric], historyStart), days).map((anomaly) => ({
+      series: "traffic",
+      metric,
+      ...anomaly,
+      driver: slices && metric === DRIVER_METRIC ? findDriver(slices, anomaly, "source") : null,
+    }))
+  );
+  const searchAnomalies =
+    search.status === "fulfilled"
+      ? ANOMALY_METRICS.search.flatMap((metric) =>
+          detectAnomalies(toDailySeries(search.value.dailyData, (row) => row[metric], historyStart), days).map(
+            (anomaly) => ({ series: "search", metric, ...anomaly, driver: null })
+          )
+        )
+      : [];
+
+  const anomalies = [...traffic, ...searchAnomalies].sort(
+    (a, b) => b.date.localeCompare(a.date) || Math.abs(b.score) - Math.abs(a.score)
+  );
+  return { anomalies, baselineWeeks: BASELINE_WEEKS, unavailable };
+};
+
+export default { getAnomalies, detectAnomalies, weekdayBaseline, findDriver, toDailySeries };
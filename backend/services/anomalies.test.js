@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { addDays } from "./dateRange.js";
+import { detectAnomalies, findDriver, getAnomalies, toDailySeries, weekdayBaseline } from "./anomalies.js";
+import { setAnalyticsClient } from "./googleAnalytics.js";
+import { setSearchConsoleClient } from "./googleSearchConsole.js";
+
+// Five weeks from Monday 1 April 2024: 100 a weekday, 40 on weekends
+const FROM = "2024-04-01";
+const weekly = (day) => ([5, 6].includes((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7) ? 40 : 100);
+const days = (from, count) => Array.from({ length: count }, (_, i) => addDays(from, i));
+const seriesOf = (value) => new Map(days(FROM, 35).map((day) => [day, value(day)]));
+
+describe("anomaly detection", () => {
+  it("compares each day with the same weekday, so weekends are not flagged", () => {
+    const series = seriesOf(weekly);
+    assert.deepEqual(weekdayBaseline(series, "2024-04-29"), { expected: 100, spread: 10 });
+    assert.equal(weekdayBaseline(series, "2024-04-15"), null);
+    assert.deepEqual(detectAnomalies(series, days("2024-04-29", 7)), []);
+  });
+
+  it("flags drops and spikes with a severity", () => {
+    const series = seriesOf((day) => ({ "2024-04-29": 20, "2024-04-30": 135 })[day] ?? weekly(day));
+    const anomalies = detectAnomalies(series, days("2024-04-29", 7));
+    assert.deepEqual(
+      anomalies.map(({ date, severity, direction, expected, percentChange }) => [date, severity, direction, expected, percentChange]),
+      [
+        ["2024-04-29", "critical", "drop", 100, -80],
+        ["2024-04-30", "warning", "spike", 100, 35],
+      ]
+    );
+  });
+
+  it("counts unreported days as zero up to the last reported day", () => {
+    const series = toDailySeries(
+      [{ date: "20240401", sessions: 5 }, { date: "20240403", sessions: 7 }],
+      (row) => row.sessions,
+      "2024-03-31"
+    );
+    assert.deepEqual([...series], [
+      ["2024-03-31", 0],
+      ["2024-04-01", 5],
+      ["2024-04-02", 0],
+      ["2024-04-03", 7],
+    ]);
+  });
+
+  it("names the slice that moved the most in the anomaly's direction", () => {
+    const slices = new Map([
+      ["google", seriesOf((day) => (day === "2024-04-29" ? 10 : 70))],
+      ["bing", seriesOf((day) => (day === "2024-04-29" ? 20 : 30))],
+      ["chatgpt", seriesOf((day) => (day === "2024-04-29" ? 5 : 0))],
+    ]);
+    assert.deepEqual(findDriver(slices, { date: "2024-04-29", direction: "drop" }, "source"), {
+      dimension: "source",
+      value: "google",
+      metric: "sessions",
+      actual: 10,
+      expected: 70,
+      change: -60,
+      share: 0.86,
+    });
+  });
+
+  it("gives a driver to sessions anomalies only, as the source slices count sessions", async () => {
+    // Every traffic metric spikes on 29 April, all of it from google
+    const spike = (day) => (day === "2024-04-29" ? 300 : weekly(day));
+    const gaDay = (day) => day.replaceAll("-", "");
+    setAnalyticsClient({
+      properties: {
+        runReport: async ({ requestBody }) => {
+          const bySource = requestBody.dimensions.some(({ name }) => name === "sessionSource");
+          const rows = days(FROM, 29).flatMap((day) =>
+            bySource
+              ? [
+                  { dimensionValues: [{ value: gaDay(day) }, { value: "google" }], metricValues: [{ value: String(spike(day) - 20) }] },
+                  { dimensionValues: [{ value: gaDay(day) }, { value: "bing" }], metricValues: [{ value: "20" }] },
+                ]
+              : [{ dimensionValues: [{ value: gaDay(day) }], metricValues: [spike(day), spike(day), spike(day)].map((value) => ({ value: String(value) })) }]
+          );
+          return { data: { rows, rowCount: rows.length } };
+        },
+      },
+    });
+    setSearchConsoleClient(null);
+
+    const { anomalies, unavailable } = await getAnomalies({ id: "example", gaPropertyId: "123" }, "2024-04-29", "2024-04-29", {
+      now: new Date(Date.UTC(2024, 4, 1, 12)),
+    });
+    assert.deepEqual(unavailable, ["search"]);
+    const drivers = Object.fromEntries(anomalies.map(({ metric, driver }) => [metric, driver]));
+    assert.deepEqual(Object.keys(drivers).sort(), ["pageViews", "sessions", "users"]);
+    assert.equal(drivers.sessions.metric, "sessions");
+    assert.match(drivers.sessions.value, /google/i);
+    assert.equal(drivers.users, null);
+    assert.equal(drivers.pageViews, null);
+  });
+});
@@ -0,0 +1,225 @@
+import crypto from "crypto";
+import { API_KEY_SCOPES } from "../middleware/permissions.js";
+import { logger } from "./logger.js";
+
+// Every key starts with this so the auth middleware can tell keys from session tokens
+export const API_KEY_PREFIX = "pbn_";
+
+export { API_KEY_SCOPES };
+
+const API_KEY_COLUMNS =
+  "id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, revoked_at, rotated_from";
+
+// Shown in the list so people can tell keys apart (e.g. "pbn_AbC12xYz")
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// Avoid a write on every request from busy scripts
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Errors caused by bad input carry an HTTP status for the route handler
+const invalidInput = (message, status = 400) =>
+  Object.assign(new Error(message), { status });
+
+/**
+ * Keys are 32 random bytes, so a plain SHA-256 is enough to store them safely
+ * @param {string} key - Plain key
+ * @returns {string} Hex digest
+ */
+export const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Whether a Bearer token looks like an API key rather than a session token
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isApiKey = (token) => typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+const generateKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw invalidInput("Choose at least one scope");
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw invalidInput(
+      `Unknown scope(s): ${unknown.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}`
+    );
+  }
+  return [...new Set(scopes)];
+};
+
+const validateExpiry = (expiresAt) => {
+  if (expiresAt === null || expiresAt === undefined || expiresAt === "") return null;
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) throw invalidInput("expiresAt must be a valid date");
+  if (date.getTime() <= Date.now()) throw invalidInput("expiresAt must be in the future");
+  return date.toISOString();
+};
+
+const insertKey = async (supabaseClient, row) => {
+  const key = generateKey();
+  const { data, error } = await supabaseClient
+    .from("api_keys")
+    .insert([
+      {
+        ...row,
+        key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        key_hash: hashApiKey(key),
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select(API_KEY_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return { apiKey: data, key };
+};
+
+/**
+ * Create an API key. The plain key is only returned here - store it right away.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options
+ * @param {string} options.name - What the key is for (e.g. "Railway audience cron")
+ * @param {string[]} options.scopes - Subset of API_KEY_SCOPES
+ * @param {string} [options.expiresAt] - ISO date; omit for a key that never expires
+ * @param {string} [options.createdBy] - Admin account id
+ * @returns {Promise<{ apiKey: Object, key: string }>}
+ */
+export const createApiKey = async (
+  supabaseClient,
+  { name, scopes, expiresAt = null, createdBy = null }
+) => {
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+  if (!trimmedName) throw invalidInput("Name is required");
+
+  return insertKey(supabaseClient, {
+    name: trimmedName,
+    scopes: validateScopes(scopes),
+    expires_at: validateExpiry(expiresAt),
+    created_by: createdBy,
+  });
+};
+
+/**
+ * List API keys, newest first (hashes are never returned)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Array<Object>>}
+ */
+export const listApiKeys = async (supabaseClient) => {
+  const { data, error } = await supabaseClient
+    .from("api_keys")
+    .select(API_KEY_COLUMNS)
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+const getApiKey = async (supabaseClient, id) => {
+  const { data, error } = await supabaseClient
+    .from("api_keys")
+    .select(API_KEY_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Revoke a key immediately
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} id
+ * @returns {Promise<Object|null>} The revoked key, or null if not found
+ */
+export const revokeApiKey = async (supabaseClient, id) => {
+  const { data, error } = await supabaseClient
+    .from("api_keys")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", id)
+    .is("revoked_at", null)
+    .select(API_KEY_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || getApiKey(supabaseClient, id);
+};
+
+/**
+ * Replace a key with a new secret (same name, scopes and expiry) and revoke the old one
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} id - Key to rotate
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] - Admin account id
+ * @returns {Promise<{ apiKey: Object, key: string, previous: Object }|null>} null if not found
+ */
+export const rotateApiKey = async (supabaseClient, id, { createdBy = null } = {}) => {
+  const previous = await getApiKey(supabaseClient, id);
+  if (!previous) return null;
+  if (previous.revoked_at) throw invalidInput("Revoked keys cannot be rotated", 409);
+  if (previous.expires_at && new Date(previous.expires_at).getTime() <= Date.now()) {
+    throw invalidInput("Expired keys cannot be rotated - create a new key", 409);
+  }
+
+  const rotated = await insertKey(supabaseClient, {
+    name: previous.name,
+    scopes: previous.scopes,
+    expires_at: previous.expires_at,
+    created_by: createdBy,
+    rotated_from: previous.id,
+  });
+  await revokeApiKey(supabaseClient, previous.id);
+
+  return { ...rotated, previous };
+};
+
+/**
+ * Resolve a presented key to its row
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} key - Plain key from the Authorization header
+ * @returns {Promise<Object|null>} Key row, or null if unknown, revoked or expired
+ */
+export const verifyApiKey = async (supabaseClient, key) => {
+  if (!isApiKey(key)) return null;
+
+  const { data: apiKey, error } = await supabaseClient
+    .from("api_keys")
+    .select(API_KEY_COLUMNS)
+    .eq("key_hash", hashApiKey(key))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (
+    !apiKey ||
+    apiKey.revoked_at ||
+    (apiKey.expires_at && new Date(apiKey.expires_at).getTime() <= Date.now())
+  ) {
+    return null;
+  }
+
+  const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION) {
+    supabaseClient
+      .from("api_keys")
+      .update({ last_used_at: new Date().toISOString() })
+      .eq("id", apiKey.id)
+      .then(({ error: updateError }) => {
+        if (updateError) logger.warn("Could not record API key use", { error: updateError.message });
+      });
+  }
+
+  return apiKey;
+};
+
+export default {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  hashApiKey,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import { PERMISSIONS } from "../middleware/permissions.js";
+import {
+  createApiKey,
+  hashApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  verifyApiKey,
+} from "./apiKeys.js";
+
+const createKey = (supabase, overrides = {}) =>
+  createApiKey(supabase, {
+    name: "Audience cron",
+    scopes: [PERMISSIONS.CACHE_REFRESH],
+    ...overrides,
+  });
+
+describe("API keys", () => {
+  it("stores only a hash and verifies the plain key", async () => {
+    const supabase = createFakeSupabase({ api_keys: [] });
+    const { apiKey, key } = await createKey(supabase);
+
+    const [row] = supabase.tables.api_keys;
+    assert.equal(row.key_hash, hashApiKey(key));
+    assert.ok(!JSON.stringify(row).includes(key));
+    assert.ok(key.startsWith(apiKey.key_prefix));
+
+    const verified = await verifyApiKey(supabase, key);
+    assert.equal(verified.id, apiKey.id);
+    assert.deepEqual(verified.scopes, [PERMISSIONS.CACHE_REFRESH]);
+    assert.equal(await verifyApiKey(supabase, `${key}x`), null);
+
+    const [listed] = await listApiKeys(supabase);
+    assert.equal(listed.key_hash, undefined);
+  });
+
+  it("rejects unknown or management scopes", async () => {
+    const supabase = createFakeSupabase({ api_keys: [] });
+    await assert.rejects(createKey(supabase, { scopes: [] }), /at least one scope/);
+    await assert.rejects(
+      createKey(supabase, { scopes: [PERMISSIONS.ACCOUNTS_MANAGE] }),
+      /Unknown scope/
+    );
+  });
+
+  it("stops accepting revoked and expired keys", async () => {
+    const supabase = createFakeSupabase({ api_keys: [] });
+    const { apiKey, key } = await createKey(supabase);
+    await revokeApiKey(supabase, apiKey.id);
+    assert.equal(await verifyApiKey(supabase, key), null);
+
+    const expiring = await createKey(supabase, {
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+    });
+    supabase.tables.api_keys.find((row) => row.id === expiring.apiKey.id).expires_at =
+      new Date(Date.now() - 1000).toISOString();
+    assert.equal(await verifyApiKey(supabase, expiring.key), null);
+  });
+
+  it("rotates to a new secret with the same scopes and revokes the old one", async () => {
+    const supabase = createFakeSupabase({ api_keys: [] });
+    const original = await createKey(supabase, {
+      scopes: [PERMISSIONS.INDEX_SYNC, PERMISSIONS.ORDERS_READ],
+    });
+
+    const rotated = await rotateApiKey(supabase, original.apiKey.id);
+    assert.notEqual(rotated.key, original.key);
+    assert.equal(rotated.apiKey.rotated_from, original.apiKey.id);
+    assert.deepEqual(rotated.apiKey.scopes, [PERMISSIONS.INDEX_SYNC, PERMISSIONS.ORDERS_READ]);
+
+    assert.equal(await verifyApiKey(supabase, original.key), null);
+    assert.equal((await verifyApiKey(supabase, rotated.key)).id, rotated.apiKey.id);
+    await assert.rejects(rotateApiKey(supabase, original.apiKey.id), /cannot be rotated/);
+  });
+});
@@ -1,168 +1,101 @@
-import { getAnalyticsClient } from "./googleAnalytics.js";
+import { resolveDateRange, todayIn } from "./dateRange.js";
+import { NOT_SET, runGaReport } from "./gaReport.js";
+import { logger } from "./logger.js";
 
 /**
  * Get audience profile (geography, device breakdown, demographics)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getAudienceProfile = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
+  const range = { startDate, endDate };
+  const usage = ["activeUsers", "sessions", "screenPageViews"];
 
   try {
     // Get overview metrics (active users for different periods)
-    const overviewResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: "active1DayUsers" },
-          { name: "active7DayUsers" },
-          { name: "active28DayUsers" },
-          { name: "activeUsers" },
-          { name: "engagedSessions" },
-          { name: "engagementRate" },
-          { name: "sessions" },
-        ],
-      },
+    const [overviewRow] = await runGaReport(site, {
+      ...range,
+      metrics: [
+        "active1DayUsers",
+        "active7DayUsers",
+        "active28DayUsers",
+        "activeUsers",
+        "engagedSessions",
+        "engagementRate",
+        "sessions",
+      ],
     });
 
-    const overviewRow = overviewResponse.data.rows?.[0];
     const overview = overviewRow
-      ? {
-          active1DayUsers: parseInt(overviewRow.metricValues[0].value),
-          active7DayUsers: parseInt(overviewRow.metricValues[1].value),
-          active28DayUsers: parseInt(overviewRow.metricValues[2].value),
-          activeUsers: parseInt(overviewRow.metricValues[3].value),
-          engagedSessions: parseInt(overviewRow.metricValues[4].value),
-          engagementRate: parseFloat(overviewRow.metricValues[5].value) * 100,
-          sessions: parseInt(overviewRow.metricValues[6].value),
-        }
+      ? { ...overviewRow, engagementRate: overviewRow.engagementRate * 100 }
       : null;
 
     // Get page-level data with total users
-    const pagesResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }, { name: "pageTitle" }],
-        metrics: [{ name: "activeUsers" }],
-        orderBys: [
-          {
-            metric: {
-              metricName: "activeUsers",
-            },
-            desc: true,
-          },
-        ],
-        limit: 100,
-      },
+    const pageRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["pagePath", "pageTitle"],
+      metrics: ["activeUsers"],
+      orderBy: ["-activeUsers"],
+      limit: 100,
+      notSet: NOT_SET,
     });
 
     // Get scroll events per page (users who scrolled)
-    const scrollEventsResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }],
-        metrics: [{ name: "activeUsers" }],
-        dimensionFilter: {
-          filter: {
-            fieldName: "eventName",
-            stringFilter: {
-              matchType: "EXACT",
-              value: "scroll",
-            },
-          },
-        },
-        limit: 500,
-      },
+    const scrollRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["pagePath"],
+      metrics: ["activeUsers"],
+      filter: { eventName: "scroll" },
+      limit: 500,
+      notSet: NOT_SET,
     });
 
     // Try to get scroll depth 90%+ events (if tracked as custom event)
-    let scrollDepth90Response = null;
+    let scrollDepth90Rows = [];
     try {
-      scrollDepth90Response = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [{ name: "pagePath" }],
-          metrics: [{ name: "activeUsers" }],
-          dimensionFilter: {
-            andGroup: {
-              expressions: [
-                {
-                  filter: {
-                    fieldName: "eventName",
-                    stringFilter: {
-                      matchType: "EXACT",
-                      value: "scroll",
-                    },
-                  },
-                },
-                {
-                  filter: {
-                    fieldName: "eventParameter:percent_scrolled",
-                    numericFilter: {
-                      operation: "GREATER_THAN_OR_EQUAL",
-                      value: {
-                        doubleValue: 90,
-                      },
-                    },
-                  },
-                },
-              ],
-            },
-          },
-          limit: 500,
-        },
+      scrollDepth90Rows = await runGaReport(site, {
+        ...range,
+        dimensions: ["pagePath"],
+        metrics: ["activeUsers"],
+        filter: { eventName: "scroll", "eventParameter:percent_scrolled": { gte: 90 } },
+        limit: 500,
+        notSet: NOT_SET,
       });
     } catch (error) {
       // If scroll depth parameter is not available, we'll use scroll events as proxy
-      console.warn("Scroll depth parameter not available, using scroll events:", error.message);
+      logger.warn("Scroll depth parameter not available, using scroll events", { error: error.message });
     }
 
     // Process page scroll data
     const pageScrollMap = {};
-    pagesResponse.data.rows?.forEach((row) => {
-      const pagePath = row.dimensionValues[0].value;
-      const pageTitle = row.dimensionValues[1].value;
-      const totalUsers = parseInt(row.metricValues[0].value);
-      pageScrollMap[pagePath] = {
-        pagePath,
-        pageTitle,
-        totalUsers,
+    pageRows.forEach((row) => {
+      pageScrollMap[row.pagePath] = {
+        pagePath: row.pagePath,
+        pageTitle: row.pageTitle,
+        totalUsers: row.activeUsers,
         scrolledUsers: 0,
         scrolled90Users: 0,
       };
     });
 
     // Add users who scrolled (any amount)
-    scrollEventsResponse.data.rows?.forEach((row) => {
-      const pagePath = row.dimensionValues[0].value;
-      const scrolledUsers = parseInt(row.metricValues[0].value);
-      if (pageScrollMap[pagePath]) {
-        pageScrollMap[pagePath].scrolledUsers = scrolledUsers;
+    scrollRows.forEach((row) => {
+      if (pageScrollMap[row.pagePath]) {
+        pageScrollMap[row.pagePath].scrolledUsers = row.activeUsers;
       }
     });
 
     // Add users who scrolled 90%+ (if available)
-    if (scrollDepth90Response) {
-      scrollDepth90Response.data.rows?.forEach((row) => {
-        const pagePath = row.dimensionValues[0].value;
-        const scrolled90Users = parseInt(row.metricValues[0].value);
-        if (pageScrollMap[pagePath]) {
-          pageScrollMap[pagePath].scrolled90Users = scrolled90Users;
-        }
-      });
-    }
+    scrollDepth90Rows.forEach((row) => {
+      if (pageScrollMap[row.pagePath]) {
+        pageScrollMap[row.pagePath].scrolled90Users = row.activeUsers;
+      }
+    });
 
     // Use scrolled90Users if available, otherwise use scrolledUsers as fallback
     const pagesWithScroll = Object.values(pageScrollMap).map((page) => {
@@ -173,285 +106,165 @@ export const getAudienceProfile = async (
         totalUsers: page.totalUsers,
         scrolledUsers,
         percentScrolled:
-          page.totalUsers > 0 ? ((scrolledUsers / page.totalUsers) * 100).toFixed(1) : "0.0",
+          page.totalUsers > 0 ? Number(((scrolledUsers / page.totalUsers) * 100).toFixed(1)) : 0,
       };
     });
 
+    const toUsage = (row) => ({
+      users: row.activeUsers,
+      sessions: row.sessions,
+      pageViews: row.screenPageViews,
+    });
+
     // Get geographic breakdown
-    const geoResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "country" }, { name: "region" }],
-        metrics: [
-          { name: "activeUsers" },
-          { name: "sessions" },
-          { name: "screenPageViews" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "activeUsers",
-            },
-            desc: true,
-          },
-        ],
-        limit: 50,
-      },
+    const geoRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["country", "region"],
+      metrics: usage,
+      orderBy: ["-activeUsers"],
+      limit: 50,
     });
 
-    const geographicData =
-      geoResponse.data.rows?.map((row) => ({
-        country: row.dimensionValues[0].value,
-        region: row.dimensionValues[1].value || "N/A",
-        users: parseInt(row.metricValues[0].value),
-        sessions: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || [];
+    const geographicData = geoRows.map((row) => ({
+      country: row.country ?? NOT_SET,
+      region: row.region ?? "N/A",
+      ...toUsage(row),
+    }));
 
     // Get device breakdown with mobile device details and screen resolution
     // Try to get mobile device model, marketing name, and screen resolution first
     let deviceData = [];
     try {
-      const deviceResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [
-            { name: "deviceCategory" },
-            { name: "mobileDeviceModel" },
-            { name: "mobileDeviceMarketingName" },
-            { name: "screenResolution" },
-          ],
-          metrics: [
-            { name: "activeUsers" },
-            { name: "sessions" },
-            { name: "screenPageViews" },
-          ],
-          orderBys: [
-            {
-              metric: {
-                metricName: "activeUsers",
-              },
-              desc: true,
-            },
-          ],
-          limit: 100,
-        },
+      const deviceRows = await runGaReport(site, {
+        ...range,
+        dimensions: [
+          "deviceCategory",
+          "mobileDeviceModel",
+          "mobileDeviceMarketingName",
+          "screenResolution",
+        ],
+        metrics: usage,
+        orderBy: ["-activeUsers"],
+        limit: 100,
       });
 
-      deviceData =
-        deviceResponse.data.rows?.map((row) => {
-          const deviceCategory = row.dimensionValues[0].value;
-          const mobileDeviceModel = row.dimensionValues[1].value || null;
-          const mobileDeviceMarketingName = row.dimensionValues[2].value || null;
-          const screenResolution = row.dimensionValues[3].value || null;
-
-          let deviceName = deviceCategory;
-          if (mobileDeviceMarketingName && mobileDeviceMarketingName !== "(not set)") {
-            deviceName = mobileDeviceMarketingName;
-          } else if (mobileDeviceModel && mobileDeviceModel !== "(not set)") {
-            deviceName = `${deviceCategory} - ${mobileDeviceModel}`;
-          }
+      deviceData = deviceRows.map((row) => {
+        const deviceCategory = row.deviceCategory ?? NOT_SET;
+
+        let deviceName = deviceCategory;
+        if (row.mobileDeviceMarketingName) {
+          deviceName = row.mobileDeviceMarketingName;
+        } else if (row.mobileDeviceModel) {
+          deviceName = `${deviceCategory} - ${row.mobileDeviceModel}`;
+        }
 
-          return {
-            device: deviceName,
-            deviceCategory,
-            mobileDeviceModel: mobileDeviceModel !== "(not set)" ? mobileDeviceModel : null,
-            mobileDeviceMarketingName:
-              mobileDeviceMarketingName !== "(not set)" ? mobileDeviceMarketingName : null,
-            screenResolution: screenResolution !== "(not set)" ? screenResolution : null,
-            users: parseInt(row.metricValues[0].value),
-            sessions: parseInt(row.metricValues[1].value),
-            pageViews: parseInt(row.metricValues[2].value),
-          };
-        }) || [];
+        return {
+          device: deviceName,
+          deviceCategory,
+          mobileDeviceModel: row.mobileDeviceModel,
+          mobileDeviceMarketingName: row.mobileDeviceMarketingName,
+          screenResolution: row.screenResolution,
+          ...toUsage(row),
+        };
+      });
     } catch (error) {
       // Fallback to basic device category if mobile device dimensions fail
-      console.warn("Could not fetch mobile device details, using basic device category:", error.message);
-      const deviceResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [{ name: "deviceCategory" }],
-          metrics: [
-            { name: "activeUsers" },
-            { name: "sessions" },
-            { name: "screenPageViews" },
-          ],
-          orderBys: [
-            {
-              metric: {
-                metricName: "activeUsers",
-              },
-              desc: true,
-            },
-          ],
-        },
+      logger.warn("Could not fetch mobile device details, using basic device category", { error: error.message });
+      const deviceRows = await runGaReport(site, {
+        ...range,
+        dimensions: ["deviceCategory"],
+        metrics: usage,
+        orderBy: ["-activeUsers"],
+        notSet: NOT_SET,
       });
 
-      deviceData =
-        deviceResponse.data.rows?.map((row) => ({
-          device: row.dimensionValues[0].value,
-          deviceCategory: row.dimensionValues[0].value,
-          mobileDeviceModel: null,
-          mobileDeviceMarketingName: null,
-          screenResolution: null,
-          users: parseInt(row.metricValues[0].value),
-          sessions: parseInt(row.metricValues[1].value),
-          pageViews: parseInt(row.metricValues[2].value),
-        })) || [];
+      deviceData = deviceRows.map((row) => ({
+        device: row.deviceCategory,
+        deviceCategory: row.deviceCategory,
+        mobileDeviceModel: null,
+        mobileDeviceMarketingName: null,
+        screenResolution: null,
+        ...toUsage(row),
+      }));
     }
 
     // Get language breakdown
-    const languageResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "language" }],
-        metrics: [
-          { name: "activeUsers" },
-          { name: "sessions" },
-          { name: "screenPageViews" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "activeUsers",
-            },
-            desc: true,
-          },
-        ],
-        limit: 50,
-      },
+    const languageRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["language"],
+      metrics: usage,
+      orderBy: ["-activeUsers"],
+      limit: 50,
+      notSet: NOT_SET,
     });
 
-    const languageData =
-      languageResponse.data.rows?.map((row) => ({
-        language: row.dimensionValues[0].value,
-        users: parseInt(row.metricValues[0].value),
-        sessions: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || [];
+    const languageData = languageRows.map((row) => ({
+      language: row.language,
+      ...toUsage(row),
+    }));
 
     // Get time-based analysis (hour and day of week)
-    const timeHourResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "hour" }],
-        metrics: [
-          { name: "sessions" },
-          { name: "activeUsers" },
-          { name: "screenPageViews" },
-        ],
-        orderBys: [
-          {
-            dimension: {
-              dimensionName: "hour",
-            },
-            desc: false,
-          },
-        ],
-      },
+    const timeHourRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["hour"],
+      metrics: usage,
+      orderBy: ["hour"],
     });
 
-    const timeByHour =
-      timeHourResponse.data.rows?.map((row) => ({
-        hour: parseInt(row.dimensionValues[0].value),
-        sessions: parseInt(row.metricValues[0].value),
-        users: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || [];
-
-    const timeDayResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "dayOfWeek" }],
-        metrics: [
-          { name: "sessions" },
-          { name: "activeUsers" },
-          { name: "screenPageViews" },
-        ],
-        orderBys: [
-          {
-            dimension: {
-              dimensionName: "dayOfWeek",
-            },
-            desc: false,
-          },
-        ],
-      },
+    const timeByHour = timeHourRows.map((row) => ({
+      hour: parseInt(row.hour),
+      ...toUsage(row),
+    }));
+
+    const timeDayRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["dayOfWeek"],
+      metrics: usage,
+      orderBy: ["dayOfWeek"],
     });
 
-    const timeByDay =
-      timeDayResponse.data.rows?.map((row) => ({
-        dayOfWeek: row.dimensionValues[0].value,
-        sessions: parseInt(row.metricValues[0].value),
-        users: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || [];
+    const timeByDay = timeDayRows.map((row) => ({
+      dayOfWeek: row.dayOfWeek,
+      ...toUsage(row),
+    }));
 
     // Get new vs returning users (as metrics)
     // Note: GA4 doesn't have returningUsers metric, so we calculate it from activeUsers - newUsers
-    const newReturningResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: "newUsers" },
-          { name: "activeUsers" },
-        ],
-      },
+    const [newReturningRow] = await runGaReport(site, {
+      ...range,
+      metrics: ["newUsers", "activeUsers"],
     });
 
-    const newReturningRow = newReturningResponse.data.rows?.[0];
     const newReturningMetrics = newReturningRow
       ? {
-          newUsers: parseInt(newReturningRow.metricValues[0].value),
-          activeUsers: parseInt(newReturningRow.metricValues[1].value),
-          returningUsers: parseInt(newReturningRow.metricValues[1].value) - parseInt(newReturningRow.metricValues[0].value),
-          totalUsers: parseInt(newReturningRow.metricValues[1].value),
+          newUsers: newReturningRow.newUsers,
+          activeUsers: newReturningRow.activeUsers,
+          returningUsers: newReturningRow.activeUsers - newReturningRow.newUsers,
+          totalUsers: newReturningRow.activeUsers,
         }
       : null;
 
     // Get new vs returning visitors
-    const visitorResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "newVsReturning" }],
-        metrics: [
-          { name: "activeUsers" },
-          { name: "sessions" },
-          { name: "screenPageViews" },
-        ],
-      },
+    const visitorRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["newVsReturning"],
+      metrics: usage,
+      notSet: NOT_SET,
     });
 
-    const visitorData =
-      visitorResponse.data.rows?.map((row) => ({
-        type: row.dimensionValues[0].value,
-        users: parseInt(row.metricValues[0].value),
-        sessions: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || [];
+    const visitorData = visitorRows.map((row) => ({
+      type: row.newVsReturning,
+      ...toUsage(row),
+    }));
 
     // Get demographics with userGender and userAgeBracket
     let demographics = null;
     try {
-      const demoResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [
-            { name: "userAgeBracket" },
-            { name: "userGender" },
-          ],
-          metrics: [{ name: "activeUsers" }],
-          limit: 100,
-        },
+      const demoRows = await runGaReport(site, {
+        ...range,
+        dimensions: ["userAgeBracket", "userGender"],
+        metrics: ["activeUsers"],
+        limit: 100,
       });
 
       demographics = {
@@ -461,12 +274,8 @@ export const getAudienceProfile = async (
         genders: [],
       };
 
-      demoResponse.data.rows?.forEach((row) => {
-        const ageBracket = row.dimensionValues[0].value;
-        const gender = row.dimensionValues[1].value;
-        const users = parseInt(row.metricValues[0].value);
-
-        if (ageBracket && ageBracket !== "(not set)") {
+      demoRows.forEach(({ userAgeBracket: ageBracket, userGender: gender, activeUsers: users }) => {
+        if (ageBracket) {
           demographics.age[ageBracket] = (demographics.age[ageBracket] || 0) + users;
           if (!demographics.ageBrackets.find((a) => a.bracket === ageBracket)) {
             demographics.ageBrackets.push({
@@ -478,7 +287,7 @@ export const getAudienceProfile = async (
             existing.users += users;
           }
         }
-        if (gender && gender !== "(not set)") {
+        if (gender) {
           demographics.gender[gender] = (demographics.gender[gender] || 0) + users;
           if (!demographics.genders.find((g) => g.gender === gender)) {
             demographics.genders.push({
@@ -496,7 +305,7 @@ export const getAudienceProfile = async (
       demographics.ageBrackets.sort((a, b) => b.users - a.users);
       demographics.genders.sort((a, b) => b.users - a.users);
     } catch (error) {
-      console.warn("Demographics data not available:", error.message);
+      logger.warn("Demographics data not available", { error: error.message });
     }
 
     // Calculate totals for percentages
@@ -509,8 +318,8 @@ export const getAudienceProfile = async (
       geographic: geographicData,
       device: deviceData.map((d) => ({
         ...d,
-        userPercentage: totalUsers > 0 ? ((d.users / totalUsers) * 100).toFixed(1) : "0.0",
-        sessionPercentage: totalSessions > 0 ? ((d.sessions / totalSessions) * 100).toFixed(1) : "0.0",
+        userPercentage: totalUsers > 0 ? Number(((d.users / totalUsers) * 100).toFixed(1)) : 0,
+        sessionPercentage: totalSessions > 0 ? Number(((d.sessions / totalSessions) * 100).toFixed(1)) : 0,
       })),
       visitorType: visitorData,
       demographics,
@@ -526,8 +335,74 @@ export const getAudienceProfile = async (
       },
     };
   } catch (error) {
-    console.error("Error fetching audience profile:", error);
+    logger.error("Error fetching audience profile", { error });
     throw error;
   }
 };
 
+
+// Ranges the Visitors page offers, kept warm in audience_profile_cache
+export const AUDIENCE_CACHE_PRESETS = ["last7Days", "last30Days", "last90Days"];
+
+// Rows not refreshed for this long are dropped (ranges that ended before today, old custom ranges)
+const AUDIENCE_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// How long a row for a range that includes today is served, matching the refresh job's schedule
+export const AUDIENCE_CACHE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * The date_range a resolved range is cached under in audience_profile_cache
+ * Both ends are part of it, so a custom end date gets its own row.
+ * @param {{ startDate: string, endDate: string }} range - YYYY-MM-DD (services/dateRange.js)
+ * @returns {string} e.g. "2024-04-01..2024-05-01"
+ */
+export const audienceCacheKey = ({ startDate, endDate }) => `${startDate}..${endDate}`;
+
+/**
+ * Whether a cached audience row can still be served for its range
+ * A range that ended before today no longer changes; one that includes today is only good
+ * for AUDIENCE_CACHE_TTL_MS after it was computed.
+ * @param {{ updated_at: string }} row - From audience_profile_cache
+ * @param {{ endDate: string }} range - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - The site's
+ * @param {Date} [options.now]
+ * @returns {boolean}
+ */
+export const isAudienceCacheFresh = (row, { endDate }, { timeZone, now = new Date() } = {}) =>
+  endDate < todayIn(timeZone, now) || now - new Date(row.updated_at) < AUDIENCE_CACHE_TTL_MS;
+
+/**
+ * Recompute the site's cached audience profile for each range (used by the scheduler and
+ * POST /api/analytics/audience/refresh), then drop rows that have not been refreshed for a day
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} site - Site to report on (services/sites.js)
+ * @param {string[]} [presets] - Date presets (services/dateRange.js), resolved in the site's time zone
+ * @returns {Promise<string[]>} Ranges refreshed, as their cache keys
+ */
+export const refreshAudienceCache = async (supabaseClient, site, presets = AUDIENCE_CACHE_PRESETS) => {
+  const refreshed = [];
+  for (const preset of presets) {
+    const range = resolveDateRange({ preset }, { timeZone: site.timeZone });
+    const dateRange = audienceCacheKey(range);
+    const payload = await getAudienceProfile(site, range.startDate, range.endDate);
+    const { error } = await supabaseClient.from("audience_profile_cache").upsert(
+      { site_id: site.id, date_range: dateRange, payload, updated_at: new Date().toISOString() },
+      { onConflict: "site_id,date_range" }
+    );
+    if (error) {
+      logger.error("Audience cache upsert failed", { site: site.id, dateRange, error });
+      throw new Error(error.message);
+    }
+    refreshed.push(dateRange);
+  }
+
+  const { error } = await supabaseClient
+    .from("audience_profile_cache")
+    .delete()
+    .eq("site_id", site.id)
+    .lt("updated_at", new Date(Date.now() - AUDIENCE_CACHE_MAX_AGE_MS).toISOString());
+  if (error) logger.warn("Could not prune the audience cache", { site: site.id, error });
+
+  return refreshed;
+};
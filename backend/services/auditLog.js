@@ -0,0 +1,197 @@
+/**
+ * Audit trail of mutating admin actions, stored in the admin_audit_log table
+ */
+
+import { logger } from "./logger.js";
+
+// Action names written by the backend
+export const AUDIT_ACTIONS = {
+  ACCOUNT_CREATE: "admin_account.create",
+  ACCOUNT_UPDATE: "admin_account.update",
+  ACCOUNT_MFA_RESET: "admin_account.mfa_reset",
+  MFA_ENABLE: "mfa.enable",
+  MFA_DISABLE: "mfa.disable",
+  MFA_RECOVERY_CODES: "mfa.recovery_codes",
+  SESSION_REVOKE: "session.revoke",
+  USER_CREATE: "user.create",
+  USER_UPDATE: "user.update",
+  USER_DELETE: "user.delete",
+  BOX_PACKED: "draftbox.packed",
+  BOX_CREATE: "draftbox.create",
+  BOX_REPLACE_SNACK: "draftbox.replace_snack",
+  INDEX_SYNC: "index_sync.start",
+  INDEX_SYNC_CANCEL: "index_sync.cancel",
+  CACHE_PURGE: "report_cache.purge",
+  AUDIENCE_CACHE_REFRESH: "audience_cache.refresh",
+  JOB_RUN: "job.run",
+  API_KEY_CREATE: "api_key.create",
+  API_KEY_ROTATE: "api_key.rotate",
+  API_KEY_REVOKE: "api_key.revoke",
+};
+
+const AUDIT_COLUMNS =
+  "id, actor_id, actor_email, actor_type, action, target_type, target_id, customer_id, month, url, before, after, metadata, ip_address, user_agent, created_at";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Describe who made a request, from req.auth (see middleware/auth.js)
+ * @param {Object} req - Express request
+ * @param {Object} [account] - Actor for requests made before a session exists (login steps)
+ * @returns {Object} Actor columns for an audit row
+ */
+export const getAuditActor = (req, account = null) => {
+  const auth = account ? { type: "session", account } : req.auth || {};
+  // API keys have no email; record them by name so the trail still says who acted
+  if (auth.type === "api_key") {
+    return {
+      actor_id: auth.apiKey.id,
+      actor_email: `api-key:${auth.apiKey.name}`,
+      actor_type: auth.type,
+      ip_address: req.ip || null,
+      user_agent: req.get?.("user-agent") || null,
+    };
+  }
+  return {
+    actor_id: auth.account?.id || null,
+    actor_email: auth.account?.email || null,
+    actor_type: auth.type || "anonymous",
+    ip_address: req.ip || null,
+    user_agent: req.get?.("user-agent") || null,
+  };
+};
+
+/**
+ * Write one audit event. Failures are logged, never thrown, so a broken
+ * audit table cannot undo a write that already happened.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} req - Express request (actor, IP and user agent are read from it)
+ * @param {Object} event
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {string} [event.targetType] - e.g. "draftbox", "user", "sitemap"
+ * @param {string} [event.targetId]
+ * @param {string} [event.customerId]
+ * @param {number} [event.month] - Draftbox month (MYY integer)
+ * @param {string} [event.url]
+ * @param {*} [event.before] - State before the change
+ * @param {*} [event.after] - State after the change
+ * @param {Object} [event.metadata] - Request details that are not state (e.g. replaceCount)
+ * @param {Object} [event.actor] - Account acting without a session yet (see getAuditActor)
+ * @returns {Promise<Object|null>} Inserted row, or null if it could not be written
+ */
+export const recordAuditEvent = async (
+  supabaseClient,
+  req,
+  {
+    action,
+    targetType = null,
+    targetId = null,
+    customerId = null,
+    month = null,
+    url = null,
+    before = null,
+    after = null,
+    metadata = null,
+    actor = null,
+  }
+) => {
+  const row = {
+    ...getAuditActor(req, actor),
+    action,
+    target_type: targetType,
+    target_id: targetId === null ? null : String(targetId),
+    customer_id: customerId,
+    month: Number.isInteger(month) ? month : null,
+    url,
+    before,
+    after,
+    metadata,
+    created_at: new Date().toISOString(),
+  };
+
+  try {
+    const { data, error } = await supabaseClient
+      .from("admin_audit_log")
+      .insert([row])
+      .select(AUDIT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    logger.error("Could not write audit event", { action, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * List audit events, newest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} [filters]
+ * @param {string} [filters.actor] - Actor email (exact, case-insensitive)
+ * @param {string} [filters.action] - One of AUDIT_ACTIONS
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId]
+ * @param {string} [filters.customerId]
+ * @param {number} [filters.month]
+ * @param {string} [filters.url] - Substring match
+ * @param {string} [filters.from] - ISO timestamp, inclusive
+ * @param {string} [filters.to] - ISO timestamp, inclusive
+ * @param {number} [filters.limit] - Default 50, max 200
+ * @param {number} [filters.offset]
+ * @returns {Promise<{events: Array<Object>, total: number, limit: number, offset: number}>}
+ */
+export const listAuditEvents = async (
+  supabaseClient,
+  {
+    actor,
+    action,
+    targetType,
+    targetId,
+    customerId,
+    month,
+    url,
+    from,
+    to,
+    limit = DEFAULT_LIMIT,
+    offset = 0,
+  } = {}
+) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  let query = supabaseClient
+    .from("admin_audit_log")
+    .select(AUDIT_COLUMNS, { count: "exact" });
+
+  if (actor) query = query.eq("actor_email", actor.trim().toLowerCase());
+  if (action) query = query.eq("action", action);
+  if (targetType) query = query.eq("target_type", targetType);
+  if (targetId) query = query.eq("target_id", targetId);
+  if (customerId) query = query.eq("customer_id", customerId);
+  if (month !== undefined && month !== "") query = query.eq("month", parseInt(month));
+  if (url) query = query.like("url", `%${url}%`);
+  if (from) query = query.gte("created_at", from);
+  if (to) query = query.lte("created_at", to);
+
+  const { data, error, count } = await query
+    .order("created_at", { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) throw error;
+
+  return {
+    events: data || [],
+    total: count || 0,
+    limit: pageSize,
+    offset: start,
+  };
+};
+
+export default {
+  AUDIT_ACTIONS,
+  getAuditActor,
+  recordAuditEvent,
+  listAuditEvents,
+};
@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import { AUDIT_ACTIONS, listAuditEvents, recordAuditEvent } from "./auditLog.js";
+
+const requestFrom = (email) => ({
+  auth: { type: "session", account: { id: `id-${email}`, email } },
+  ip: "203.0.113.7",
+  get: (header) => (header === "user-agent" ? "test-agent" : undefined),
+});
+
+describe("audit log", () => {
+  it("records actor, target, before/after and IP", async () => {
+    const supabase = createFakeSupabase({ admin_audit_log: [] });
+
+    await recordAuditEvent(supabase, requestFrom("packer@example.com"), {
+      action: AUDIT_ACTIONS.BOX_REPLACE_SNACK,
+      targetType: "draftbox",
+      customerId: "cust-1",
+      month: 1125,
+      before: { snacks: [{ SnackID: "A" }] },
+      after: { snacks: [{ SnackID: "B" }] },
+      metadata: { oldSnackID: "A", newSnackID: "B" },
+    });
+
+    const [row] = supabase.tables.admin_audit_log;
+    assert.equal(row.actor_email, "packer@example.com");
+    assert.equal(row.actor_type, "session");
+    assert.equal(row.ip_address, "203.0.113.7");
+    assert.equal(row.user_agent, "test-agent");
+    assert.equal(row.customer_id, "cust-1");
+    assert.equal(row.month, 1125);
+    assert.deepEqual(row.before, { snacks: [{ SnackID: "A" }] });
+    assert.deepEqual(row.after, { snacks: [{ SnackID: "B" }] });
+    assert.ok(row.created_at);
+  });
+
+  it("does not throw when the audit table is unavailable", async () => {
+    const supabase = createFakeSupabase({ admin_audit_log: [] });
+    supabase.failTable("admin_audit_log", { message: "relation does not exist" });
+
+    const result = await recordAuditEvent(supabase, requestFrom("a@example.com"), {
+      action: AUDIT_ACTIONS.USER_DELETE,
+    });
+    assert.equal(result, null);
+  });
+
+  it("filters by customer, month and actor, newest first", async () => {
+    const supabase = createFakeSupabase({ admin_audit_log: [] });
+    const events = [
+      ["one@example.com", "cust-1", 1125],
+      ["two@example.com", "cust-1", 1125],
+      ["two@example.com", "cust-2", 1125],
+      ["two@example.com", "cust-1", 1225],
+    ];
+    for (const [email, customerId, month] of events) {
+      await recordAuditEvent(supabase, requestFrom(email), {
+        action: AUDIT_ACTIONS.BOX_PACKED,
+        customerId,
+        month,
+      });
+    }
+    supabase.tables.admin_audit_log.forEach((row, index) => {
+      row.created_at = new Date(Date.UTC(2025, 10, index + 1)).toISOString();
+    });
+
+    const byBox = await listAuditEvents(supabase, { customerId: "cust-1", month: "1125" });
+    assert.equal(byBox.total, 2);
+    assert.deepEqual(
+      byBox.events.map((event) => event.actor_email),
+      ["two@example.com", "one@example.com"]
+    );
+
+    const byActor = await listAuditEvents(supabase, { actor: "TWO@example.com", limit: 1 });
+    assert.equal(byActor.total, 3);
+    assert.equal(byActor.events.length, 1);
+    assert.equal(byActor.events[0].month, 1225);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Period-over-period changes between a report and the same report over a comparison range
+ *
+ * compareReports walks the current report and mirrors its shape, with every number
+ * replaced by { current, previous, change, percentChange }. Rows (arrays of objects) are
+ * matched by their dimensions - text and yes/no fields (page, source, country, ...) - and
+ * their numbers are the metrics, so services return rates as numbers too: a rate sent as
+ * "41.20" would count as a dimension and the row would find no match once it changed.
+ * Dates in rows are matched by their offset from the start of each range, so day 3 of
+ * the current range lines up with day 3 of the previous one.
+ */
+import { countDays } from "./dateRange.js";
+
+// GA's date dimension (20240501) or an ISO day (2024-05-01)
+const ROW_DATE = /^(\d{4})-?(\d{2})-?(\d{2})$/;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isDimension = (value) => typeof value === "string" || typeof value === "boolean";
+
+/**
+ * A metric's change
+ * @param {number} current
+ * @param {number|null|undefined} previous - Missing when the row has no match
+ * @returns {{ current: number, previous: number|null, change: number|null, percentChange: number|null }}
+ *   percentChange is null when previous is 0 or missing
+ */
+export const delta = (current, previous) => {
+  if (typeof previous !== "number" || !Number.isFinite(previous)) {
+    return { current, previous: null, change: null, percentChange: null };
+  }
+  const change = current - previous;
+  return {
+    current,
+    previous,
+    change,
+    percentChange: previous === 0 ? null : Math.round((change / Math.abs(previous)) * 10000) / 100,
+  };
+};
+
+// A row's identity: its dimensions, with dates as days since the range start. Metrics
+// GA left out (null) are not part of it either.
+const rowKey = (row, rangeStart) =>
+  JSON.stringify(
+    Object.keys(row)
+      .filter((key) => isDimension(row[key]))
+      .sort()
+      .map((key) => {
+        const date = typeof row[key] === "string" && rangeStart && row[key].match(ROW_DATE);
+        return [key, date ? `day ${countDays(rangeStart, `${date[1]}-${date[2]}-${date[3]}`)}` : row[key]];
+      })
+  );
+
+const compareRows = (current, previous, starts) => {
+  const previousRows = new Map();
+  for (const row of Array.isArray(previous) ? previous : []) {
+    if (isPlainObject(row)) previousRows.set(rowKey(row, starts.previous), row);
+  }
+  return current.map((row) => (isPlainObject(row) ? compareValue(row, previousRows.get(rowKey(row, starts.current)), starts) : row));
+};
+
+const compareValue = (current, previous, starts) => {
+  if (typeof current === "number") return delta(current, previous);
+  if (Array.isArray(current)) {
+    return current.some(isPlainObject) ? compareRows(current, previous, starts) : current;
+  }
+  if (isPlainObject(current)) {
+    return Object.fromEntries(
+      Object.entries(current).map(([key, value]) => [key, compareValue(value, isPlainObject(previous) ? previous[key] : undefined, starts)])
+    );
+  }
+  return current;
+};
+
+/**
+ * Changes between a report and the same report over the comparison range
+ * @param {*} current - The report's data
+ * @param {*} previous - The same report over the comparison range
+ * @param {Object} [ranges] - Range starts (YYYY-MM-DD), for lining up daily rows
+ * @param {string} [ranges.currentStart]
+ * @param {string} [ranges.previousStart]
+ * @returns {*} current's shape with each number as { current, previous, change, percentChange }
+ */
+export const compareReports = (current, previous, { currentStart, previousStart } = {}) =>
+  compareValue(current, previous, { current: currentStart, previous: previousStart });
+
+export default { delta, compareReports };
@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareReports, delta } from "./comparison.js";
+
+describe("period comparison", () => {
+  it("gives each metric its absolute and percent change", () => {
+    assert.deepEqual(delta(150, 100), { current: 150, previous: 100, change: 50, percentChange: 50 });
+    assert.deepEqual(delta(5, 0), { current: 5, previous: 0, change: 5, percentChange: null });
+    assert.deepEqual(delta(5, undefined), { current: 5, previous: null, change: null, percentChange: null });
+
+    const changes = compareReports(
+      { totalUsers: 90, period: "May", sources: [{ source: "google", sessions: 30 }, { source: "bing", sessions: 4 }] },
+      { totalUsers: 120, period: "April", sources: [{ source: "google", sessions: 20 }] }
+    );
+    assert.equal(changes.totalUsers.percentChange, -25);
+    assert.equal(changes.period, "May");
+    assert.deepEqual(changes.sources, [
+      { source: "google", sessions: { current: 30, previous: 20, change: 10, percentChange: 50 } },
+      { source: "bing", sessions: { current: 4, previous: null, change: null, percentChange: null } },
+    ]);
+  });
+
+  it("matches rows on their dimensions, so a rate that changed gets a delta", () => {
+    const changes = compareReports(
+      { bySource: [{ source: "google", medium: "organic", sessions: 200, conversionRate: 2.5, revenue: null }] },
+      { bySource: [{ source: "google", medium: "organic", sessions: 160, conversionRate: 2, revenue: 12.5 }] }
+    );
+    const [google] = changes.bySource;
+    assert.deepEqual(google.sessions, { current: 200, previous: 160, change: 40, percentChange: 25 });
+    assert.deepEqual(google.conversionRate, { current: 2.5, previous: 2, change: 0.5, percentChange: 25 });
+    assert.equal(google.revenue, null);
+  });
+
+  it("lines up daily rows by day of the range", () => {
+    const changes = compareReports(
+      [{ date: "20240508", sessions: 12 }, { date: "20240509", sessions: 8 }],
+      [{ date: "20240501", sessions: 10 }, { date: "20240502", sessions: 10 }],
+      { currentStart: "2024-05-08", previousStart: "2024-05-01" }
+    );
+    assert.deepEqual(
+      changes.map(({ date, sessions }) => [date, sessions.previous, sessions.percentChange]),
+      [
+        ["20240508", 10, 20],
+        ["20240509", 10, -20],
+      ]
+    );
+  });
+});
@@ -1,144 +1,95 @@
-import { getAnalyticsClient } from "./googleAnalytics.js";
+import { NOT_SET, runGaReport } from "./gaReport.js";
+import { isSiteHostname } from "./sites.js";
+import { logger } from "./logger.js";
 
 /**
  * Get content insights (top exit pages, high engagement pages, user flows)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getContentInsights = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
+  const range = { startDate, endDate };
 
   try {
     // Get top exit pages
     // Note: GA4 doesn't have an "exits" metric, so we use sessions as a proxy
     // Pages with high sessions relative to views are likely exit pages
-    const exitResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }, { name: "pageTitle" }],
-        metrics: [
-          { name: "sessions" },
-          { name: "screenPageViews" },
-          { name: "averageSessionDuration" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "sessions",
-            },
-            desc: true,
-          },
-        ],
-        limit: 20,
-      },
+    const exitRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["pagePath", "pageTitle"],
+      metrics: ["sessions", "screenPageViews", "averageSessionDuration"],
+      orderBy: ["-sessions"],
+      limit: 20,
+      notSet: NOT_SET,
     });
 
-    const topExitPages =
-      exitResponse.data.rows?.map((row) => {
-        const sessions = parseInt(row.metricValues[0].value);
-        const views = parseInt(row.metricValues[1].value);
-        // Calculate exit rate: if sessions ≈ views, it's likely an exit page
-        // Higher ratio of sessions to views indicates more exits
-        const exitRate = views > 0 ? ((sessions / views) * 100).toFixed(2) : "0.00";
-        return {
-          path: row.dimensionValues[0].value,
-          title: row.dimensionValues[1].value,
-          exits: sessions, // Using sessions as proxy for exits
-          views,
-          exitRate,
-          avgDuration: parseFloat(row.metricValues[2].value),
-        };
-      }) || [];
+    const topExitPages = exitRows.map((row) => {
+      const sessions = row.sessions;
+      const views = row.screenPageViews;
+      // Calculate exit rate: if sessions ≈ views, it's likely an exit page
+      // Higher ratio of sessions to views indicates more exits
+      const exitRate = views > 0 ? Number(((sessions / views) * 100).toFixed(2)) : 0;
+      return {
+        path: row.pagePath,
+        title: row.pageTitle,
+        exits: sessions, // Using sessions as proxy for exits
+        views,
+        exitRate,
+        avgDuration: row.averageSessionDuration,
+      };
+    });
 
     // Get high engagement pages (by session duration and page views)
-    const engagementResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }, { name: "pageTitle" }],
-        metrics: [
-          { name: "screenPageViews" },
-          { name: "averageSessionDuration" },
-          { name: "userEngagementDuration" },
-          { name: "sessions" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "userEngagementDuration",
-            },
-            desc: true,
-          },
-        ],
-        limit: 20,
-      },
+    const engagementRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["pagePath", "pageTitle"],
+      metrics: ["screenPageViews", "averageSessionDuration", "userEngagementDuration", "sessions"],
+      orderBy: ["-userEngagementDuration"],
+      limit: 20,
+      notSet: NOT_SET,
     });
 
-    const highEngagementPages =
-      engagementResponse.data.rows?.map((row) => {
-        const views = parseInt(row.metricValues[0].value);
-        const avgDuration = parseFloat(row.metricValues[1].value);
-        const totalEngagement = parseFloat(row.metricValues[2].value);
-        const sessions = parseInt(row.metricValues[3].value);
-        return {
-          path: row.dimensionValues[0].value,
-          title: row.dimensionValues[1].value,
-          views,
-          avgDuration,
-          totalEngagement,
-          sessions,
-          engagementPerView: views > 0 ? (totalEngagement / views).toFixed(2) : "0.00",
-        };
-      }) || [];
+    const highEngagementPages = engagementRows.map((row) => {
+      const views = row.screenPageViews;
+      const totalEngagement = row.userEngagementDuration;
+      return {
+        path: row.pagePath,
+        title: row.pageTitle,
+        views,
+        avgDuration: row.averageSessionDuration,
+        totalEngagement,
+        sessions: row.sessions,
+        engagementPerView: views > 0 ? Number((totalEngagement / views).toFixed(2)) : 0,
+      };
+    });
 
     // Try to get content grouping (if configured in GA4)
     let contentGrouping = null;
     try {
-      const contentGroupResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [
-            { name: "contentGroup1" },
-            { name: "contentGroup2" },
-          ],
-          metrics: [
-            { name: "screenPageViews" },
-            { name: "sessions" },
-            { name: "activeUsers" },
-          ],
-          orderBys: [
-            {
-              metric: {
-                metricName: "screenPageViews",
-              },
-              desc: true,
-            },
-          ],
-          limit: 50,
-        },
+      const contentGroupRows = await runGaReport(site, {
+        ...range,
+        dimensions: ["contentGroup1", "contentGroup2"],
+        metrics: ["screenPageViews", "sessions", "activeUsers"],
+        orderBy: ["-screenPageViews"],
+        limit: 50,
+        notSet: "N/A",
       });
 
-      contentGrouping =
-        contentGroupResponse.data.rows?.map((row) => ({
-          group1: row.dimensionValues[0].value || "N/A",
-          group2: row.dimensionValues[1].value || "N/A",
-          pageViews: parseInt(row.metricValues[0].value),
-          sessions: parseInt(row.metricValues[1].value),
-          users: parseInt(row.metricValues[2].value),
-        })) || [];
+      contentGrouping = contentGroupRows.map((row) => ({
+        group1: row.contentGroup1,
+        group2: row.contentGroup2,
+        pageViews: row.screenPageViews,
+        sessions: row.sessions,
+        users: row.activeUsers,
+      }));
     } catch (error) {
       // Content grouping not configured - this is optional
-      console.warn("Content grouping not available (may not be configured in GA4):", error.message);
+      logger.warn("Content grouping not available (may not be configured in GA4)", { error: error.message });
     }
 
     // Get user flows (common page paths)
@@ -146,41 +97,27 @@ export const getContentInsights = async (
     // This shows where users came from (external referrers or internal navigation)
     let topFlows = [];
     try {
-      const flowResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [
-            { name: "pagePath" },
-            { name: "pageReferrer" },
-          ],
-          metrics: [{ name: "screenPageViews" }],
-          orderBys: [
-            {
-              metric: {
-                metricName: "screenPageViews",
-              },
-              desc: true,
-            },
-          ],
-          limit: 100,
-        },
+      const flowRows = await runGaReport(site, {
+        ...range,
+        dimensions: ["pagePath", "pageReferrer"],
+        metrics: ["screenPageViews"],
+        orderBy: ["-screenPageViews"],
+        limit: 100,
       });
 
       // Process user flows
       const flows = {};
-      flowResponse.data.rows?.forEach((row) => {
-        const currentPage = row.dimensionValues[0].value;
-        const referrer = row.dimensionValues[1].value || "(entrance)";
-        const views = parseInt(row.metricValues[0].value);
+      flowRows.forEach((row) => {
+        const currentPage = row.pagePath ?? NOT_SET;
+        const referrer = row.pageReferrer ?? "(entrance)";
+        const views = row.screenPageViews;
 
         // Clean up referrer - if it's from the same domain, show as internal
         let previousPage = referrer;
-        if (referrer !== "(entrance)" && referrer !== "(not set)") {
+        if (referrer !== "(entrance)") {
           try {
             const referrerUrl = new URL(referrer);
-            const currentHost = new URL("https://proteinbarnerd.com").hostname;
-            if (referrerUrl.hostname === currentHost || referrerUrl.hostname.includes("proteinbarnerd.com")) {
+            if (isSiteHostname(site, referrerUrl.hostname)) {
               previousPage = referrerUrl.pathname || "(internal)";
             } else {
               previousPage = referrerUrl.hostname || referrer;
@@ -224,31 +161,22 @@ export const getContentInsights = async (
         .sort((a, b) => b.totalViews - a.totalViews)
         .slice(0, 20);
     } catch (error) {
-      console.warn("Error fetching user flows (pageReferrer may not be available):", error.message);
+      logger.warn("Error fetching user flows (pageReferrer may not be available)", { error: error.message });
       // Fallback: just show top pages without referrer data
-      const topPagesResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [{ name: "pagePath" }],
-          metrics: [{ name: "screenPageViews" }],
-          orderBys: [
-            {
-              metric: {
-                metricName: "screenPageViews",
-              },
-              desc: true,
-            },
-          ],
-          limit: 20,
-        },
+      const topPageRows = await runGaReport(site, {
+        ...range,
+        dimensions: ["pagePath"],
+        metrics: ["screenPageViews"],
+        orderBy: ["-screenPageViews"],
+        limit: 20,
+        notSet: NOT_SET,
       });
 
-      topFlows = topPagesResponse.data.rows?.map((row) => ({
-        page: row.dimensionValues[0].value,
-        totalViews: parseInt(row.metricValues[0].value),
+      topFlows = topPageRows.map((row) => ({
+        page: row.pagePath,
+        totalViews: row.screenPageViews,
         sources: [{ from: "(data not available)", views: 0 }],
-      })) || [];
+      }));
     }
 
     return {
@@ -258,7 +186,7 @@ export const getContentInsights = async (
       contentGrouping,
     };
   } catch (error) {
-    console.error("Error fetching content insights:", error);
+    logger.error("Error fetching content insights", { error });
     throw error;
   }
 };
@@ -0,0 +1,133 @@
+/**
+ * Five-field cron expressions, evaluated in UTC
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0 or 7)
+ *   * * * * *
+ *
+ * Each field takes *, a value, a range (1-5), a list (1,15) and steps (* /10, 8-18/2).
+ * As in classic cron, when both day fields are restricted a day matching either one runs.
+ * The shortcuts @hourly, @daily, @weekly and @monthly are accepted too.
+ */
+
+const MINUTE = 60 * 1000;
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Far enough to find any valid expression (Feb 29 on a given weekday can take decades)
+const MAX_SEARCH_YEARS = 30;
+
+const invalidCron = (expression, reason) =>
+  new Error(`Invalid cron expression "${expression}": ${reason}`);
+
+const parseNumber = (expression, field, text) => {
+  if (!/^\d+$/.test(text)) throw invalidCron(expression, `"${text}" is not a number in ${field.name}`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw invalidCron(expression, `${field.name} must be ${field.min}-${field.max}`);
+  }
+  return value;
+};
+
+const parseField = (expression, field, text) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseNumber(expression, { ...field, min: 1 }, stepText);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseNumber(expression, field, start);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseNumber(expression, field, end);
+      if (to < from) throw invalidCron(expression, `${field.name} range ${range} is backwards`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return { values, restricted: text !== "*" };
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "*\/30 * * * *" or "@daily"
+ * @returns {Object} Parsed schedule for getNextCronTime
+ * @throws {Error} When the expression is malformed
+ */
+export const parseCron = (expression) => {
+  const source = String(expression || "").trim();
+  const fields = (SHORTCUTS[source] || source).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw invalidCron(source, `expected ${FIELDS.length} fields, got ${fields.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) =>
+    parseField(source, FIELDS[index], text)
+  );
+
+  // 7 is another name for Sunday
+  if (weekdays.values.delete(7)) weekdays.values.add(0);
+
+  return { expression: source, minutes, hours, days, months, weekdays };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.days.values.has(date.getUTCDate());
+  const dayOfWeek = schedule.weekdays.values.has(date.getUTCDay());
+  if (schedule.days.restricted && schedule.weekdays.restricted) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * First time strictly after `after` that the schedule fires
+ * @param {string|Object} schedule - Expression or the result of parseCron
+ * @param {number|Date} [after] - Defaults to now
+ * @returns {Date|null} Null when the expression can never fire (e.g. "0 0 31 2 *")
+ */
+export const getNextCronTime = (schedule, after = Date.now()) => {
+  const parsed = typeof schedule === "string" ? parseCron(schedule) : schedule;
+
+  // Start at the next whole minute
+  const date = new Date(Math.floor(new Date(after).getTime() / MINUTE) * MINUTE + MINUTE);
+  const limit = date.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  // Skip whole months, days and hours that cannot match before walking minutes
+  while (date.getUTCFullYear() <= limit) {
+    if (!parsed.months.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hours.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+export default { parseCron, getNextCronTime };
@@ -0,0 +1,34 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getNextCronTime, parseCron } from "./cron.js";
+
+const next = (expression, after) => getNextCronTime(expression, Date.parse(after)).toISOString();
+
+describe("cron", () => {
+  it("finds the next matching minute, strictly after the given time", () => {
+    assert.equal(next("*/30 * * * *", "2024-05-01T10:00:00Z"), "2024-05-01T10:30:00.000Z");
+    assert.equal(next("*/30 * * * *", "2024-05-01T10:45:10Z"), "2024-05-01T11:00:00.000Z");
+    assert.equal(next("0 3 * * *", "2024-05-01T03:00:00Z"), "2024-05-02T03:00:00.000Z");
+    assert.equal(next("15 8-18/5 * * *", "2024-05-01T09:00:00Z"), "2024-05-01T13:15:00.000Z");
+  });
+
+  it("rolls over months and years", () => {
+    assert.equal(next("@monthly", "2024-12-15T12:00:00Z"), "2025-01-01T00:00:00.000Z");
+    assert.equal(next("0 0 29 2 *", "2024-03-01T00:00:00Z"), "2028-02-29T00:00:00.000Z");
+  });
+
+  it("treats restricted day-of-month and day-of-week as either", () => {
+    // 2024-05-01 is a Wednesday; the next Monday is the 6th, the 10th comes later
+    assert.equal(next("0 8 * * 1", "2024-05-01T00:00:00Z"), "2024-05-06T08:00:00.000Z");
+    assert.equal(next("0 8 10 * 1", "2024-05-07T00:00:00Z"), "2024-05-10T08:00:00.000Z");
+    assert.equal(next("0 0 * * 7", "2024-05-01T00:00:00Z"), "2024-05-05T00:00:00.000Z");
+  });
+
+  it("rejects malformed expressions and never-firing ones return null", () => {
+    assert.throws(() => parseCron("* * * *"), /expected 5 fields/);
+    assert.throws(() => parseCron("61 * * * *"), /minute must be 0-59/);
+    assert.throws(() => parseCron("* * * * mon"), /not a number/);
+    assert.throws(() => parseCron("5-1 * * * *"), /backwards/);
+    assert.equal(getNextCronTime("0 0 31 2 *", Date.parse("2024-01-01T00:00:00Z")), null);
+  });
+});
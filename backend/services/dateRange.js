@@ -0,0 +1,207 @@
+/**
+ * Date ranges of report requests, resolved to absolute days in the site's time zone
+ *
+ * A range is a preset, explicit dates, or a preset with one bound overridden:
+ *
+ *   { preset: "monthToDate" }                          -> 2024-05-01 .. 2024-05-14
+ *   { startDate: "2024-04-01", endDate: "2024-04-30" } -> 2024-04-01 .. 2024-04-30
+ *   { preset: "last30Days", endDate: "yesterday" }     -> 2024-04-14 .. 2024-05-13
+ *
+ * Dates are YYYY-MM-DD or GA's relative forms (today, yesterday, NdaysAgo), counted from
+ * today in the GA property's time zone (site.timeZone), so GA, Search Console and the
+ * report cache all see the same days. Resolved ranges are what services and cache keys
+ * use, and what responses echo as `range`.
+ *
+ * A range can be compared with another (`compare`): the period just before it, the same
+ * days a year earlier, or custom dates (compareStartDate / compareEndDate).
+ */
+
+const ISO_DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAYS_AGO = /^(\d{1,4})daysAgo$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+// Start of the page index's history (GA and Search Console data per page): about two years
+export const PAGE_HISTORY_START = "730daysAgo";
+
+const parseDay = (day) => {
+  const [, year, month, date] = day.match(ISO_DAY);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(date)));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Shift a YYYY-MM-DD day by whole days
+ * @param {string} day
+ * @param {number} days - Negative for earlier days
+ * @returns {string}
+ */
+export const addDays = (day, days) => formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+
+/**
+ * Number of days in a range, both ends included
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {number}
+ */
+export const countDays = (startDate, endDate) => Math.round((parseDay(endDate) - parseDay(startDate)) / DAY_MS) + 1;
+
+/**
+ * Whether Intl knows the IANA time zone, e.g. "America/New_York"
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Today's date in a time zone
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export const todayIn = (timeZone = DEFAULT_TIME_ZONE, now = new Date()) =>
+  // en-CA formats as YYYY-MM-DD
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+
+const startOfMonth = (day) => `${day.slice(0, 7)}-01`;
+
+// Named ranges, each (today) => { startDate, endDate }. The lastNDays presets run from
+// NdaysAgo through today, as the reports' defaults always have.
+export const DATE_PRESETS = {
+  today: (today) => ({ startDate: today, endDate: today }),
+  yesterday: (today) => ({ startDate: addDays(today, -1), endDate: addDays(today, -1) }),
+  last7Days: (today) => ({ startDate: addDays(today, -7), endDate: today }),
+  last28Days: (today) => ({ startDate: addDays(today, -28), endDate: today }),
+  last30Days: (today) => ({ startDate: addDays(today, -30), endDate: today }),
+  last90Days: (today) => ({ startDate: addDays(today, -90), endDate: today }),
+  monthToDate: (today) => ({ startDate: startOfMonth(today), endDate: today }),
+  lastMonth: (today) => {
+    const endDate = addDays(startOfMonth(today), -1);
+    return { startDate: startOfMonth(endDate), endDate };
+  },
+  // Monday to Sunday of the week before this one
+  lastFullWeek: (today) => {
+    const weekday = (parseDay(today).getUTCDay() + 6) % 7; // Monday = 0
+    const startDate = addDays(today, -weekday - 7);
+    return { startDate, endDate: addDays(startDate, 6) };
+  },
+  yearToDate: (today) => ({ startDate: `${today.slice(0, 4)}-01-01`, endDate: today }),
+};
+
+export const DATE_PRESET_NAMES = Object.keys(DATE_PRESETS);
+
+export const COMPARE_MODES = {
+  PREVIOUS_PERIOD: "previous_period",
+  PREVIOUS_YEAR: "previous_year",
+  CUSTOM: "custom",
+};
+
+// The same day a year earlier; 29 February becomes the 28th
+const shiftYear = (day) => {
+  const year = String(Number(day.slice(0, 4)) - 1).padStart(4, "0");
+  const shifted = `${year}${day.slice(4)}`;
+  return day.slice(5) === "02-29" ? `${year}-02-28` : shifted;
+};
+
+const invalid = (field, message) => Object.assign(new Error(`${field} ${message}`), { status: 400, field, reason: message });
+
+const toDay = (value, today, field) => {
+  if (value === "today") return today;
+  if (value === "yesterday") return addDays(today, -1);
+  const daysAgo = value.match(DAYS_AGO);
+  if (daysAgo) return addDays(today, -Number(daysAgo[1]));
+  if (ISO_DAY.test(value) && formatDay(parseDay(value)) === value) return value;
+  throw invalid(field, "must be YYYY-MM-DD, today, yesterday or NdaysAgo");
+};
+
+/**
+ * Resolve a requested range to absolute days
+ * @param {Object} request
+ * @param {string} [request.preset] - One of DATE_PRESET_NAMES
+ * @param {string} [request.startDate] - Overrides the preset's first day
+ * @param {string} [request.endDate] - Overrides the preset's last day (default today)
+ * @param {string} [request.compare] - One of COMPARE_MODES
+ * @param {string} [request.compareStartDate] - With compare=custom
+ * @param {string} [request.compareEndDate] - With compare=custom
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - The site's GA property time zone
+ * @param {Date} [options.now]
+ * @returns {{ startDate: string, endDate: string, preset: string|null, timeZone: string, days: number,
+ *   comparison: { startDate: string, endDate: string, compare: string, days: number }|null }}
+ *   preset is null when dates overrode it; comparison is null without compare
+ * @throws {Error} status 400 with `field` for unknown presets, bad dates or an end before the start
+ */
+export const resolveDateRange = (
+  { preset, startDate, endDate, compare, compareStartDate, compareEndDate } = {},
+  { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}
+) => {
+  if (preset !== undefined && !DATE_PRESETS[preset]) {
+    throw invalid("preset", `must be one of: ${DATE_PRESET_NAMES.join(", ")}`);
+  }
+
+  const today = todayIn(timeZone, now);
+  const base = preset ? DATE_PRESETS[preset](today) : { endDate: today };
+  const start = startDate ? toDay(startDate, today, "startDate") : base.startDate;
+  const end = endDate ? toDay(endDate, today, "endDate") : base.endDate;
+
+  if (!start) throw invalid("startDate", "is required without a preset");
+  if (start > end) throw invalid("startDate", "must be on or before endDate");
+
+  const days = countDays(start, end);
+  return {
+    startDate: start,
+    endDate: end,
+    preset: preset && !startDate && !endDate ? preset : null,
+    timeZone,
+    days,
+    comparison: resolveComparison({ startDate: start, endDate: end, days }, { compare, compareStartDate, compareEndDate }, today),
+  };
+};
+
+const resolveComparison = (range, { compare, compareStartDate, compareEndDate }, today) => {
+  if (compare !== COMPARE_MODES.CUSTOM && (compareStartDate || compareEndDate)) {
+    throw invalid("compare", `must be ${COMPARE_MODES.CUSTOM} with compareStartDate and compareEndDate`);
+  }
+  if (compare === undefined || compare === null) return null;
+
+  let startDate;
+  let endDate;
+  if (compare === COMPARE_MODES.PREVIOUS_PERIOD) {
+    endDate = addDays(range.startDate, -1);
+    startDate = addDays(endDate, 1 - range.days);
+  } else if (compare === COMPARE_MODES.PREVIOUS_YEAR) {
+    startDate = shiftYear(range.startDate);
+    endDate = shiftYear(range.endDate);
+  } else if (compare === COMPARE_MODES.CUSTOM) {
+    if (!compareStartDate) throw invalid("compareStartDate", "is required with compare=custom");
+    if (!compareEndDate) throw invalid("compareEndDate", "is required with compare=custom");
+    startDate = toDay(compareStartDate, today, "compareStartDate");
+    endDate = toDay(compareEndDate, today, "compareEndDate");
+    if (startDate > endDate) throw invalid("compareStartDate", "must be on or before compareEndDate");
+  } else {
+    throw invalid("compare", `must be one of: ${Object.values(COMPARE_MODES).join(", ")}`);
+  }
+
+  return { startDate, endDate, compare, days: countDays(startDate, endDate) };
+};
+
+export default {
+  DATE_PRESETS,
+  DATE_PRESET_NAMES,
+  COMPARE_MODES,
+  resolveDateRange,
+  todayIn,
+  addDays,
+  countDays,
+  isValidTimeZone,
+};
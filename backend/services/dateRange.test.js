@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DATE_PRESETS, isValidTimeZone, resolveDateRange, todayIn } from "./dateRange.js";
+
+// Wednesday 15 May 2024, 02:30 UTC - still the 14th in New York
+const NOW = new Date(Date.UTC(2024, 4, 15, 2, 30));
+
+const resolve = (request, timeZone = "UTC") => resolveDateRange(request, { timeZone, now: NOW });
+
+describe("date ranges", () => {
+  it("counts days from today in the site's time zone", () => {
+    assert.equal(todayIn("UTC", NOW), "2024-05-15");
+    assert.equal(todayIn("America/New_York", NOW), "2024-05-14");
+    assert.deepEqual(resolve({ preset: "today" }, "America/New_York"), {
+      startDate: "2024-05-14",
+      endDate: "2024-05-14",
+      preset: "today",
+      timeZone: "America/New_York",
+      days: 1,
+      comparison: null,
+    });
+    assert.equal(isValidTimeZone("Europe/London"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus"), false);
+  });
+
+  it("resolves every preset", () => {
+    const ranges = Object.fromEntries(
+      Object.keys(DATE_PRESETS).map((preset) => {
+        const { startDate, endDate } = resolve({ preset });
+        return [preset, `${startDate}..${endDate}`];
+      })
+    );
+    assert.deepEqual(ranges, {
+      today: "2024-05-15..2024-05-15",
+      yesterday: "2024-05-14..2024-05-14",
+      last7Days: "2024-05-08..2024-05-15",
+      last28Days: "2024-04-17..2024-05-15",
+      last30Days: "2024-04-15..2024-05-15",
+      last90Days: "2024-02-15..2024-05-15",
+      monthToDate: "2024-05-01..2024-05-15",
+      lastMonth: "2024-04-01..2024-04-30",
+      lastFullWeek: "2024-05-06..2024-05-12",
+      yearToDate: "2024-01-01..2024-05-15",
+    });
+  });
+
+  it("lets dates override either end of a preset", () => {
+    assert.deepEqual(resolve({ startDate: "2024-02-28", endDate: "2024-03-01" }), {
+      startDate: "2024-02-28",
+      endDate: "2024-03-01",
+      preset: null,
+      timeZone: "UTC",
+      days: 3,
+      comparison: null,
+    });
+    const { startDate, endDate, preset } = resolve({ preset: "last30Days", endDate: "yesterday" });
+    assert.deepEqual([startDate, endDate, preset], ["2024-04-15", "2024-05-14", null]);
+    assert.equal(resolve({ startDate: "7daysAgo" }).endDate, "2024-05-15");
+  });
+
+  it("rejects unknown presets, impossible dates and backwards ranges with a 400", () => {
+    const rejects = (request, field, message) =>
+      assert.throws(() => resolve(request), (error) => error.status === 400 && error.field === field && message.test(error.message));
+
+    rejects({ preset: "lastDecade" }, "preset", /must be one of/);
+    rejects({ startDate: "2024-02-30" }, "startDate", /must be YYYY-MM-DD/);
+    rejects({ endDate: "2024-05-01" }, "startDate", /is required/);
+    rejects({ startDate: "today", endDate: "yesterday" }, "startDate", /on or before endDate/);
+  });
+
+  it("resolves the range to compare with", () => {
+    const comparison = (request) => resolve(request).comparison;
+
+    assert.deepEqual(comparison({ preset: "last7Days", compare: "previous_period" }), {
+      startDate: "2024-04-30",
+      endDate: "2024-05-07",
+      compare: "previous_period",
+      days: 8,
+    });
+    const { startDate, endDate } = comparison({ startDate: "2024-02-01", endDate: "2024-02-29", compare: "previous_year" });
+    assert.deepEqual([startDate, endDate], ["2023-02-01", "2023-02-28"]);
+    assert.equal(comparison({ preset: "today", compare: "custom", compareStartDate: "2024-01-01", compareEndDate: "2024-01-10" }).days, 10);
+
+    const rejects = (request, field) =>
+      assert.throws(() => resolve(request), (error) => error.status === 400 && error.field === field);
+    rejects({ preset: "today", compare: "lastWeek" }, "compare");
+    rejects({ preset: "today", compare: "custom", compareStartDate: "2024-01-01" }, "compareEndDate");
+    rejects({ preset: "today", compareStartDate: "2024-01-01", compareEndDate: "2024-01-10" }, "compare");
+  });
+});
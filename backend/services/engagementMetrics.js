@@ -1,198 +1,117 @@
-import { getAnalyticsClient } from "./googleAnalytics.js";
+import { NOT_SET, runGaReport } from "./gaReport.js";
+import { logger } from "./logger.js";
 
 /**
  * Get engagement metrics (bounce rate, session duration, pages per session, scroll depth, CTA clicks)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getEngagementMetrics = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
+  const range = { startDate, endDate };
 
   try {
     // Get overall engagement metrics
-    const overallResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: "bounceRate" },
-          { name: "averageSessionDuration" },
-          { name: "screenPageViews" },
-          { name: "sessions" },
-          { name: "eventCount" },
-          { name: "pagesPerSession" },
-        ],
-      },
+    const [overallRow] = await runGaReport(site, {
+      ...range,
+      metrics: [
+        "bounceRate",
+        "averageSessionDuration",
+        "screenPageViews",
+        "sessions",
+        "eventCount",
+        "pagesPerSession",
+      ],
     });
 
-    const overallRow = overallResponse.data.rows?.[0];
     if (!overallRow) {
       return null;
     }
 
-    const sessions = parseInt(overallRow.metricValues[3].value);
-    const pageViews = parseInt(overallRow.metricValues[2].value);
-    const bounceRate = parseFloat(overallRow.metricValues[0].value) * 100;
-    const avgSessionDuration = parseFloat(overallRow.metricValues[1].value);
-    const pagesPerSession = parseFloat(overallRow.metricValues[5].value);
+    const { sessions, screenPageViews: pageViews, averageSessionDuration, pagesPerSession } = overallRow;
+    const bounceRate = overallRow.bounceRate * 100;
 
     // Get scroll depth events
-    const scrollResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "eventName" }],
-        metrics: [{ name: "eventCount" }],
-        dimensionFilter: {
-          filter: {
-            fieldName: "eventName",
-            stringFilter: {
-              matchType: "CONTAINS",
-              value: "scroll",
-            },
-          },
-        },
-      },
+    const scrollRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["eventName"],
+      metrics: ["eventCount"],
+      filter: { eventName: { contains: "scroll" } },
+      notSet: NOT_SET,
     });
 
-    let scrollDepthData = {};
-    scrollResponse.data.rows?.forEach((row) => {
-      const eventName = row.dimensionValues[0].value;
-      const count = parseInt(row.metricValues[0].value);
-      scrollDepthData[eventName] = count;
+    const scrollDepthData = {};
+    scrollRows.forEach(({ eventName, eventCount }) => {
+      scrollDepthData[eventName] = eventCount;
     });
 
     // Get CTA click events (common event names for CTAs)
-    const ctaResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "eventName" }],
-        metrics: [{ name: "eventCount" }],
-        dimensionFilter: {
-          orGroup: {
-            expressions: [
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "click",
-                  },
-                },
-              },
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "cta",
-                  },
-                },
-              },
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "button",
-                  },
-                },
-              },
-            ],
-          },
-        },
-      },
+    const ctaRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["eventName"],
+      metrics: ["eventCount"],
+      filter: { eventName: { contains: ["click", "cta", "button"] } },
     });
 
-    let ctaClicks = 0;
-    ctaResponse.data.rows?.forEach((row) => {
-      ctaClicks += parseInt(row.metricValues[0].value);
-    });
+    const ctaClicks = ctaRows.reduce((sum, row) => sum + row.eventCount, 0);
 
     return {
       bounceRate,
-      averageSessionDuration: avgSessionDuration,
-      pagesPerSession: pagesPerSession || (sessions > 0 ? (pageViews / sessions).toFixed(2) : 0),
+      averageSessionDuration,
+      pagesPerSession: pagesPerSession || (sessions > 0 ? Number((pageViews / sessions).toFixed(2)) : 0),
       scrollDepth: scrollDepthData,
       ctaClicks,
       totalSessions: sessions,
       totalPageViews: pageViews,
     };
   } catch (error) {
-    console.error("Error fetching engagement metrics:", error);
+    logger.error("Error fetching engagement metrics", { error });
     throw error;
   }
 };
 
 /**
  * Get engagement metrics by page
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {number} limit - Number of results to return
  */
 export const getEngagementByPage = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today",
   limit = 20
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }, { name: "pageTitle" }],
-        metrics: [
-          { name: "bounceRate" },
-          { name: "averageSessionDuration" },
-          { name: "screenPageViews" },
-          { name: "sessions" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "screenPageViews",
-            },
-            desc: true,
-          },
-        ],
-        limit,
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["pagePath", "pageTitle"],
+      metrics: ["bounceRate", "averageSessionDuration", "screenPageViews", "sessions"],
+      orderBy: ["-screenPageViews"],
+      limit,
+      notSet: NOT_SET,
     });
 
-    return (
-      response.data.rows?.map((row) => {
-        const sessions = parseInt(row.metricValues[3].value);
-        const pageViews = parseInt(row.metricValues[2].value);
-        return {
-          path: row.dimensionValues[0].value,
-          title: row.dimensionValues[1].value,
-          bounceRate: parseFloat(row.metricValues[0].value) * 100,
-          avgSessionDuration: parseFloat(row.metricValues[1].value),
-          pageViews,
-          sessions,
-          pagesPerSession: sessions > 0 ? (pageViews / sessions).toFixed(2) : 0,
-        };
-      }) || []
-    );
+    return rows.map((row) => {
+      const { sessions, screenPageViews: pageViews } = row;
+      return {
+        path: row.pagePath,
+        title: row.pageTitle,
+        bounceRate: row.bounceRate * 100,
+        avgSessionDuration: row.averageSessionDuration,
+        pageViews,
+        sessions,
+        pagesPerSession: sessions > 0 ? Number((pageViews / sessions).toFixed(2)) : 0,
+      };
+    });
   } catch (error) {
-    console.error("Error fetching engagement by page:", error);
+    logger.error("Error fetching engagement by page", { error });
     throw error;
   }
 };
-
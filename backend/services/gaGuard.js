@@ -0,0 +1,269 @@
+/**
+ * Quota tracking, retries and circuit breaking around GA4 Data API calls
+ *
+ * Every runReport goes through guard.call() (see services/gaReport.js). Quota and
+ * circuit are kept per GA property, so one site running dry does not stop the others:
+ * - The propertyQuota GA returns with each response is kept as the latest snapshot.
+ * - Transient failures (429, 5xx, network errors) are retried with exponential backoff.
+ * - After `failureThreshold` calls in a row fail that way the circuit opens and calls
+ *   fail at once with a 503 for `cooldownMs`; then a single trial call decides whether
+ *   it closes again. Reports still in the report cache keep being served meanwhile.
+ * - An exhausted hourly or daily token quota opens the circuit straight away.
+ *
+ * State is per process; the quota snapshot is property-wide, so any instance's is current.
+ * Calls are logged at debug level, retries and the circuit opening at warn, and counted
+ * and timed per report in the metrics (services/metrics.js).
+ */
+
+import { logger } from "./logger.js";
+import { currentReport, googleApiDuration, googleApiRequestsTotal } from "./metrics.js";
+
+export const CIRCUIT_STATES = { CLOSED: "closed", OPEN: "open", HALF_OPEN: "half-open" };
+
+// Remaining share of a token quota below which it is reported as low
+export const QUOTA_LOW_RATIO = 0.2;
+
+// Token quotas that stop every report once spent (concurrency and error quotas recover on their own)
+const TOKEN_QUOTAS = ["tokensPerDay", "tokensPerHour", "tokensPerProjectPerHour"];
+
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+const NETWORK_ERROR_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "EPIPE"]);
+
+const DEFAULT_RETRY = { attempts: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+const DEFAULT_CIRCUIT = { failureThreshold: 5, cooldownMs: 60 * 1000 };
+
+// Errors carrying an HTTP status for the route handler
+const gaError = (message, status, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+/**
+ * HTTP status of a failed GA call (googleapis puts it in response.status or code)
+ * @param {Error} error
+ * @returns {number|null}
+ */
+export const getGaErrorStatus = (error) => {
+  const status = Number(error?.response?.status ?? error?.code);
+  return Number.isInteger(status) && status >= 100 ? status : null;
+};
+
+/**
+ * Whether a failed GA call is worth retrying
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isTransientGaError = (error) =>
+  TRANSIENT_STATUSES.has(getGaErrorStatus(error)) || NETWORK_ERROR_CODES.has(error?.code);
+
+const sleepFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.retry] - { attempts, baseDelayMs, maxDelayMs }
+ * @param {Object} [options.circuit] - { failureThreshold, cooldownMs }
+ * @param {Function} [options.sleep] - (ms) => Promise, injectable for tests
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ * @param {Function} [options.random] - Jitter source in [0, 1), injectable for tests
+ * @param {Object} [options.log] - Defaults to the shared logger (services/logger.js)
+ */
+export const createGaGuard = ({
+  retry = {},
+  circuit = {},
+  sleep = sleepFor,
+  now = Date.now,
+  random = Math.random,
+  log = logger,
+} = {}) => {
+  const { attempts, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...retry };
+  const { failureThreshold, cooldownMs } = { ...DEFAULT_CIRCUIT, ...circuit };
+
+  // Quota and circuit of each GA property, created on first use
+  const properties = new Map();
+  const propertyState = (property) => {
+    if (!properties.has(property)) {
+      properties.set(property, {
+        quota: null,
+        quotaUpdatedAt: null,
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        trialRunning: false,
+        lastError: null,
+      });
+    }
+    return properties.get(property);
+  };
+
+  // GA leaves zero counts out of propertyQuota, so a missing `remaining` means none left
+  const exhaustedQuota = ({ quota }) =>
+    TOKEN_QUOTAS.find((name) => quota?.[name] && (quota[name].remaining ?? 0) <= 0) || null;
+
+  const open = (entry, error) => {
+    entry.state = CIRCUIT_STATES.OPEN;
+    entry.openedAt = now();
+    entry.lastError = error.message;
+  };
+
+  const retryAfterSeconds = (entry) => Math.max(1, Math.ceil((entry.openedAt + cooldownMs - now()) / 1000));
+
+  const unavailable = (entry) => {
+    const exhausted = exhaustedQuota(entry);
+    const reason = exhausted ? `its ${exhausted} quota is exhausted` : "it keeps failing";
+    return gaError(`Google Analytics is unavailable because ${reason}; retry in ${retryAfterSeconds(entry)}s`, 503, {
+      retryAfter: retryAfterSeconds(entry),
+    });
+  };
+
+  // Let a call through, or throw while the circuit is open
+  const admit = (entry) => {
+    if (entry.state === CIRCUIT_STATES.CLOSED) return false;
+    if (entry.state === CIRCUIT_STATES.OPEN && now() - entry.openedAt >= cooldownMs) {
+      entry.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    if (entry.state === CIRCUIT_STATES.HALF_OPEN && !entry.trialRunning) {
+      entry.trialRunning = true;
+      return true;
+    }
+    throw unavailable(entry);
+  };
+
+  const succeeded = (entry) => {
+    entry.state = CIRCUIT_STATES.CLOSED;
+    entry.failures = 0;
+    entry.openedAt = null;
+  };
+
+  const failed = (entry, error) => {
+    entry.failures += 1;
+    entry.lastError = error.message;
+    if (entry.state === CIRCUIT_STATES.HALF_OPEN || entry.failures >= failureThreshold || exhaustedQuota(entry)) {
+      open(entry, error);
+    }
+  };
+
+  /**
+   * Keep the latest propertyQuota GA reported
+   * @param {string} property - e.g. "properties/123456"
+   * @param {Object} [propertyQuota] - { tokensPerDay: { consumed, remaining }, ... }
+   */
+  const recordQuota = (property, propertyQuota) => {
+    if (!propertyQuota) return;
+    const entry = propertyState(property);
+    entry.quota = propertyQuota;
+    entry.quotaUpdatedAt = now();
+  };
+
+  const backoff = (attempt) => Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + random() / 2);
+
+  return {
+    /**
+     * Run one GA call with retries, recording the quota its response reports
+     * @param {string} property - GA property the call queries, e.g. "properties/123456"
+     * @param {Function} request - () => Promise<response>; response.data.propertyQuota is read
+     * @returns {Promise<Object>} The response
+     * @throws {Error} The call's own error when it is not transient; otherwise one with
+     *   status 503 (429 for rate limits) and retryAfter in seconds
+     */
+    async call(property, request) {
+      const entry = propertyState(property);
+      const report = currentReport();
+      let isTrial;
+      try {
+        isTrial = admit(entry);
+      } catch (error) {
+        googleApiRequestsTotal.inc({ api: "ga", report, outcome: "held" });
+        throw error;
+      }
+      const startedAt = now();
+      const endTimer = googleApiDuration.startTimer({ api: "ga", report });
+      let outcome = "error";
+      try {
+        for (let attempt = 0; ; attempt += 1) {
+          try {
+            const response = await request();
+            recordQuota(property, response?.data?.propertyQuota);
+            succeeded(entry);
+            outcome = "ok";
+            log.debug("GA call", { property, attempts: attempt + 1, durationMs: now() - startedAt });
+            return response;
+          } catch (error) {
+            if (!isTransientGaError(error)) {
+              // GA answered, so it is up; the request itself was bad
+              succeeded(entry);
+              throw error;
+            }
+            if (attempt + 1 >= attempts || exhaustedQuota(entry)) {
+              failed(entry, error);
+              if (entry.state === CIRCUIT_STATES.OPEN) {
+                log.warn("GA circuit open", { property, cooldownMs, error: error.message });
+              }
+              const status = getGaErrorStatus(error) === 429 ? 429 : 503;
+              throw gaError(`Google Analytics request failed: ${error.message}`, status, {
+                retryAfter: entry.state === CIRCUIT_STATES.OPEN ? retryAfterSeconds(entry) : 1,
+                cause: error,
+              });
+            }
+            const delayMs = backoff(attempt);
+            log.warn("Retrying GA call", { property, attempt: attempt + 1, delayMs: Math.round(delayMs), error: error.message });
+            await sleep(delayMs);
+          }
+        }
+      } finally {
+        if (isTrial) entry.trialRunning = false;
+        endTimer();
+        googleApiRequestsTotal.inc({ api: "ga", report, outcome });
+      }
+    },
+
+    recordQuota,
+
+    /**
+     * Quota and circuit state of one property, for GET /api/analytics/quota
+     * @param {string} property - e.g. "properties/123456"
+     * @returns {Object}
+     */
+    getStatus(property) {
+      const entry = propertyState(property);
+      const quotas = {};
+      Object.entries(entry.quota || {}).forEach(([name, { consumed = 0, remaining = 0 } = {}]) => {
+        const total = consumed + remaining;
+        quotas[name] = { consumed, remaining, remainingRatio: total > 0 ? remaining / total : null };
+      });
+      const low = TOKEN_QUOTAS.filter(
+        (name) => quotas[name] && quotas[name].remainingRatio !== null && quotas[name].remainingRatio < QUOTA_LOW_RATIO
+      );
+
+      return {
+        quotas,
+        updatedAt: entry.quotaUpdatedAt === null ? null : new Date(entry.quotaUpdatedAt).toISOString(),
+        low,
+        lowRatio: QUOTA_LOW_RATIO,
+        circuit: {
+          state: entry.state,
+          failures: entry.failures,
+          lastError: entry.lastError,
+          retryAt: entry.state === CIRCUIT_STATES.CLOSED ? null : new Date(entry.openedAt + cooldownMs).toISOString(),
+        },
+      };
+    },
+  };
+};
+
+// The guard gaReport uses, like the analytics client kept at module level
+let gaGuard = createGaGuard();
+
+export const getGaGuard = () => gaGuard;
+
+/**
+ * Replace the guard (tests use one with no backoff delay)
+ * @param {Object} guard - From createGaGuard
+ */
+export const setGaGuard = (guard) => {
+  gaGuard = guard;
+};
+
+export default {
+  createGaGuard,
+  getGaGuard,
+  setGaGuard,
+  getGaErrorStatus,
+  isTransientGaError,
+};
@@ -0,0 +1,123 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CIRCUIT_STATES, createGaGuard, isTransientGaError } from "./gaGuard.js";
+
+const PROPERTY = "properties/123456";
+
+// googleapis-style failure
+const gaFailure = (status, message = `GA answered ${status}`) =>
+  Object.assign(new Error(message), { code: status, response: { status } });
+
+const createClock = () => {
+  let time = 0;
+  return { now: () => time, advance: (ms) => (time += ms) };
+};
+
+// A guard without real delays that records the backoff it would have waited
+const createTestGuard = (options = {}) => {
+  const delays = [];
+  const clock = createClock();
+  const guard = createGaGuard({
+    sleep: async (ms) => delays.push(ms),
+    now: clock.now,
+    random: () => 0,
+    ...options,
+  });
+  return { guard, delays, clock };
+};
+
+// A GA call failing with the given errors in turn, then answering
+const createCall = (...errors) => {
+  const call = async () => {
+    call.count += 1;
+    const error = errors.shift();
+    if (error) throw error;
+    return { data: { rows: [] } };
+  };
+  call.count = 0;
+  return call;
+};
+
+describe("GA guard", () => {
+  it("tells transient failures from bad requests", () => {
+    assert.equal(isTransientGaError(gaFailure(429)), true);
+    assert.equal(isTransientGaError(gaFailure(503)), true);
+    assert.equal(isTransientGaError(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" })), true);
+    assert.equal(isTransientGaError(gaFailure(400)), false);
+    assert.equal(isTransientGaError(new Error("Analytics client not initialized")), false);
+  });
+
+  it("retries transient failures with exponential backoff", async () => {
+    const { guard, delays } = createTestGuard();
+
+    const call = createCall(gaFailure(503), gaFailure(429));
+    await guard.call(PROPERTY, call);
+    assert.equal(call.count, 3);
+    assert.deepEqual(delays, [250, 500]);
+
+    const failing = createCall(gaFailure(500), gaFailure(500), gaFailure(500));
+    await assert.rejects(guard.call(PROPERTY, failing), (error) => error.status === 503 && error.retryAfter >= 1);
+    assert.equal(failing.count, 3);
+
+    const invalid = createCall(gaFailure(400, "Field mobileDeviceModel is not valid"));
+    await assert.rejects(guard.call(PROPERTY, invalid), /is not valid/);
+    assert.equal(invalid.count, 1);
+  });
+
+  it("opens the circuit after repeated failures and closes it after a good trial call", async () => {
+    const { guard, clock } = createTestGuard({
+      retry: { attempts: 1 },
+      circuit: { failureThreshold: 2, cooldownMs: 30000 },
+    });
+
+    await assert.rejects(guard.call(PROPERTY, createCall(gaFailure(503))));
+    await assert.rejects(guard.call(PROPERTY, createCall(gaFailure(503))));
+    assert.equal(guard.getStatus(PROPERTY).circuit.state, CIRCUIT_STATES.OPEN);
+
+    const held = createCall();
+    await assert.rejects(guard.call(PROPERTY, held), (error) => error.status === 503 && error.retryAfter === 30);
+    assert.equal(held.count, 0);
+
+    clock.advance(30000);
+    await assert.rejects(guard.call(PROPERTY, createCall(gaFailure(503))));
+    assert.equal(guard.getStatus(PROPERTY).circuit.state, CIRCUIT_STATES.OPEN, "a failed trial reopens it");
+
+    clock.advance(30000);
+    await guard.call(PROPERTY, createCall());
+    assert.equal(guard.getStatus(PROPERTY).circuit.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(guard.getStatus(PROPERTY).circuit.failures, 0);
+  });
+
+  it("tracks the property quota and stops retrying once tokens run out", async () => {
+    const { guard, delays } = createTestGuard();
+
+    await guard.call(PROPERTY, async () => ({
+      data: {
+        propertyQuota: {
+          tokensPerDay: { consumed: 180000, remaining: 20000 },
+          tokensPerHour: { consumed: 36000, remaining: 4000 },
+          concurrentRequests: { remaining: 10 },
+        },
+      },
+    }));
+
+    const status = guard.getStatus(PROPERTY);
+    assert.deepEqual(status.quotas.tokensPerDay, { consumed: 180000, remaining: 20000, remainingRatio: 0.1 });
+    assert.equal(status.quotas.concurrentRequests.consumed, 0);
+    assert.deepEqual(status.low, ["tokensPerDay", "tokensPerHour"]);
+    assert.ok(status.updatedAt);
+
+    // GA leaves remaining out when it is 0
+    guard.recordQuota(PROPERTY, { tokensPerHour: { consumed: 40000 } });
+    const exhausted = createCall(gaFailure(429, "Exhausted property tokens per hour"));
+    await assert.rejects(guard.call(PROPERTY, exhausted), (error) => error.status === 429);
+    assert.equal(exhausted.count, 1);
+    assert.deepEqual(delays, []);
+    assert.equal(guard.getStatus(PROPERTY).circuit.state, CIRCUIT_STATES.OPEN);
+    await assert.rejects(guard.call(PROPERTY, createCall()), /tokensPerHour quota is exhausted/);
+
+    // Other properties keep their own quota and circuit
+    await guard.call("properties/654321", createCall());
+    assert.equal(guard.getStatus("properties/654321").circuit.state, CIRCUIT_STATES.CLOSED);
+  });
+});
@@ -0,0 +1,318 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { getGaGuard } from "./gaGuard.js";
+import { getAnalyticsClient } from "./googleAnalytics.js";
+
+/**
+ * Declarative GA4 Data API reports
+ *
+ * Callers name the fields they want and get rows back as objects keyed by those names:
+ *
+ *   const pages = await runGaReport(site, {
+ *     startDate, endDate,
+ *     dimensions: ["pagePath", { name: "eventParameter:percent_scrolled", as: "percentScrolled" }],
+ *     metrics: ["screenPageViews", "averageSessionDuration"],
+ *     filter: { eventName: "scroll", pagePath: { contains: "/blog/" } },
+ *     orderBy: ["-screenPageViews"],
+ *     limit: 50,
+ *   });
+ *   pages[0].pagePath, pages[0].screenPageViews // string, number
+ *
+ * - Metrics are numbers: integers for TYPE_INTEGER, floats for every other type.
+ * - "(not set)" and empty dimension values come back as null, or as options.notSet.
+ * - Without a limit every row is returned, paging with offset past GA's per-request cap.
+ * - Each request asks for the property quota and goes through services/gaGuard.js, which
+ *   retries transient failures and stops calling GA while it keeps failing.
+ * - Under pairGaRanges, a report over a range also fetches its comparison range in the
+ *   same request (see there).
+ *
+ * Filters: each key of `filter` is a field and all of them must match. A string matches
+ * exactly, an array matches any of its values, and { contains | beginsWith | endsWith |
+ * exact | fullRegexp | partialRegexp: value or [values] } picks the match type.
+ * { eq | gt | gte | lt | lte: number } compares numerically.
+ * `anyOf: [filter, ...]` matches when any of the nested filters does.
+ */
+
+// Rows fetched per request when paging (GA accepts up to 250,000)
+export const GA_PAGE_SIZE = 100000;
+
+export const NOT_SET = "(not set)";
+
+// Names of the date ranges of a paired request, which GA echoes in its dateRange dimension
+const PAIRED_RANGES = { current: "current", comparison: "comparison" };
+
+// The pairing (see pairGaRanges) a report is loaded under, if any
+const pairing = new AsyncLocalStorage();
+
+const MATCH_TYPES = {
+  exact: "EXACT",
+  contains: "CONTAINS",
+  beginsWith: "BEGINS_WITH",
+  endsWith: "ENDS_WITH",
+  fullRegexp: "FULL_REGEXP",
+  partialRegexp: "PARTIAL_REGEXP",
+};
+
+const NUMERIC_OPERATIONS = {
+  eq: "EQUAL",
+  gt: "GREATER_THAN",
+  gte: "GREATER_THAN_OR_EQUAL",
+  lt: "LESS_THAN",
+  lte: "LESS_THAN_OR_EQUAL",
+};
+
+const toField = (field) => (typeof field === "string" ? { name: field, as: field } : { as: field.name, ...field });
+
+const orGroup = (expressions) =>
+  expressions.length === 1 ? expressions[0] : { orGroup: { expressions } };
+
+const stringFilter = (fieldName, matchType, value) => ({
+  filter: { fieldName, stringFilter: { matchType, value } },
+});
+
+const fieldFilter = (fieldName, condition) => {
+  if (typeof condition === "string") return stringFilter(fieldName, MATCH_TYPES.exact, condition);
+  if (Array.isArray(condition)) return orGroup(condition.map((value) => fieldFilter(fieldName, value)));
+
+  const [[matcher, value]] = Object.entries(condition);
+  if (NUMERIC_OPERATIONS[matcher]) {
+    return {
+      filter: { fieldName, numericFilter: { operation: NUMERIC_OPERATIONS[matcher], value: { doubleValue: value } } },
+    };
+  }
+  const matchType = MATCH_TYPES[matcher];
+  if (!matchType) throw new Error(`Unknown GA filter match "${matcher}" for ${fieldName}`);
+  return orGroup([value].flat().map((each) => stringFilter(fieldName, matchType, each)));
+};
+
+/**
+ * Turn a declarative filter into a GA4 FilterExpression
+ * @param {Object} [filter]
+ * @returns {Object|undefined}
+ */
+export const toFilterExpression = (filter) => {
+  if (!filter) return undefined;
+  const expressions = Object.entries(filter).map(([key, condition]) =>
+    key === "anyOf" ? orGroup(condition.map(toFilterExpression)) : fieldFilter(key, condition)
+  );
+  if (expressions.length === 0) return undefined;
+  return expressions.length === 1 ? expressions[0] : { andGroup: { expressions } };
+};
+
+/**
+ * Build the runReport request body, without limit and offset
+ * @param {Object} report - See runGaReport
+ * @returns {Object}
+ */
+export const buildGaRequest = ({
+  startDate,
+  endDate,
+  dateRanges = [{ startDate, endDate }],
+  dimensions = [],
+  metrics = [],
+  filter,
+  orderBy = [],
+}) => {
+  const metricNames = new Set(metrics.map((metric) => toField(metric).name));
+
+  const request = {
+    dateRanges,
+    ...(dimensions.length > 0 && { dimensions: dimensions.map((field) => ({ name: toField(field).name })) }),
+    metrics: metrics.map((field) => ({ name: toField(field).name })),
+  };
+
+  const dimensionFilter = toFilterExpression(filter);
+  if (dimensionFilter) request.dimensionFilter = dimensionFilter;
+
+  if (orderBy.length > 0) {
+    request.orderBys = orderBy.map((key) => {
+      const desc = key.startsWith("-");
+      const name = desc ? key.slice(1) : key;
+      return metricNames.has(name)
+        ? { metric: { metricName: name }, desc }
+        : { dimension: { dimensionName: name }, desc };
+    });
+  }
+
+  return request;
+};
+
+const coerceMetric = (value, type) => {
+  const number = type === "TYPE_INTEGER" ? parseInt(value, 10) : Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const readRow = (row, dimensions, metrics, metricTypes, notSet) => {
+  const result = {};
+  dimensions.forEach(({ as }, index) => {
+    const value = row.dimensionValues?.[index]?.value;
+    result[as] = value === undefined || value === null || value === "" || value === NOT_SET ? notSet : value;
+  });
+  metrics.forEach(({ as }, index) => {
+    result[as] = coerceMetric(row.metricValues?.[index]?.value, metricTypes[index]);
+  });
+  return result;
+};
+
+// Page through a report, handing each page of raw rows and the response to `onPage`
+const fetchPages = async (client, property, requestBody, { limit, pageSize }, onPage) => {
+  let read = 0;
+  for (;;) {
+    const wanted = limit === undefined ? pageSize : Math.min(pageSize, limit - read);
+    const response = await getGaGuard().call(property, () =>
+      client.properties.runReport({
+        property,
+        requestBody: {
+          ...requestBody,
+          limit: wanted,
+          ...(read > 0 && { offset: read }),
+          returnPropertyQuota: true,
+        },
+      })
+    );
+
+    const page = response.data.rows || [];
+    onPage(page, response.data);
+    read += page.length;
+
+    // rowCount is the total across pages; GA leaves it out of empty reports
+    const rowCount = response.data.rowCount ?? Infinity;
+    if (page.length < wanted || read >= rowCount || (limit !== undefined && read >= limit)) return;
+  }
+};
+
+const metricTypesOf = (data) => (data.metricHeaders || []).map((header) => header.type);
+
+// What a report asks GA for, to find the comparison rows a paired request set aside
+const pairKey = (property, report, notSet) => JSON.stringify([property, buildGaRequest(report), notSet]);
+
+// One request over the current and comparison ranges: the current rows are returned and
+// the comparison rows set aside under the request the comparison load will make
+const runPairedReport = async (client, property, report, { dimensions, metrics, notSet, pageSize }, state) => {
+  const { current, comparison } = state;
+  const dateRanges = [
+    { startDate: current.startDate, endDate: current.endDate, name: PAIRED_RANGES.current },
+    { startDate: comparison.startDate, endDate: comparison.endDate, name: PAIRED_RANGES.comparison },
+  ];
+  const rows = { [PAIRED_RANGES.current]: [], [PAIRED_RANGES.comparison]: [] };
+
+  await fetchPages(client, property, buildGaRequest({ ...report, dateRanges }), { pageSize }, (page, data) => {
+    const metricTypes = metricTypesOf(data);
+    const headerIndex = (data.dimensionHeaders || []).findIndex(({ name }) => name === "dateRange");
+    const rangeIndex = headerIndex === -1 ? dimensions.length : headerIndex;
+    for (const row of page) {
+      const values = row.dimensionValues || [];
+      rows[values[rangeIndex]?.value]?.push(
+        readRow(
+          { ...row, dimensionValues: values.filter((value, index) => index !== rangeIndex) },
+          dimensions,
+          metrics,
+          metricTypes,
+          notSet
+        )
+      );
+    }
+  });
+
+  const asked = { ...report, startDate: comparison.startDate, endDate: comparison.endDate };
+  state.setAside.set(pairKey(property, asked, notSet), rows[PAIRED_RANGES.comparison]);
+  return rows[PAIRED_RANGES.current];
+};
+
+/**
+ * Run a GA4 report against the site's property
+ * @param {Object} site - Site from services/sites.js; its gaPropertyId is queried
+ * @param {Object} report
+ * @param {string} [report.startDate] - With endDate, the single date range to report on
+ * @param {string} [report.endDate]
+ * @param {Array<Object>} [report.dateRanges] - Raw GA date ranges, instead of startDate/endDate
+ * @param {Array<string|{ name: string, as?: string }>} [report.dimensions] - `as` renames the row key
+ * @param {Array<string|{ name: string, as?: string }>} report.metrics
+ * @param {Object} [report.filter] - Dimension filter (see above)
+ * @param {string[]} [report.orderBy] - Field names, "-" prefixed for descending
+ * @param {number} [report.limit] - Most rows to return; all rows when omitted
+ * @param {*} [report.notSet] - Stands in for "(not set)" and empty dimension values (default null)
+ * @param {number} [report.pageSize] - Rows per request
+ * @returns {Promise<Object[]>} One object per row
+ */
+export const runGaReport = async (site, { limit, notSet = null, pageSize = GA_PAGE_SIZE, ...report }) => {
+  const client = getAnalyticsClient();
+  if (!client) {
+    throw new Error("Analytics client not initialized");
+  }
+  if (!site?.gaPropertyId) {
+    throw new Error(`No GA property is configured for ${site?.name || "this site"}`);
+  }
+  const property = `properties/${site.gaPropertyId}`;
+
+  const dimensions = (report.dimensions || []).map(toField);
+  const metrics = report.metrics.map(toField);
+  if (limit !== undefined && limit <= 0) return [];
+
+  // A limit caps the rows of both ranges together, so only full reports are paired
+  const paired = limit === undefined && !report.dateRanges ? pairing.getStore() : null;
+  if (paired?.role === PAIRED_RANGES.comparison) {
+    await paired.state.currentSettled;
+    const setAside = paired.state.setAside.get(pairKey(property, report, notSet));
+    if (setAside) return setAside;
+  }
+  const { current } = paired?.state ?? {};
+  if (paired?.role === PAIRED_RANGES.current && report.startDate === current.startDate && report.endDate === current.endDate) {
+    return runPairedReport(client, property, report, { dimensions, metrics, notSet, pageSize }, paired.state);
+  }
+
+  const rows = [];
+  await fetchPages(client, property, buildGaRequest(report), { limit, pageSize }, (page, data) => {
+    const metricTypes = metricTypesOf(data);
+    page.forEach((row) => rows.push(readRow(row, dimensions, metrics, metricTypes, notSet)));
+  });
+  return rows;
+};
+
+/**
+ * Load a report over a range and over its comparison range with one GA request per report
+ * where possible, instead of one per range.
+ *
+ * Reports loaded through current() over exactly the current range and without a limit go
+ * to GA once, with the comparison range as a second dateRanges entry; the comparison rows
+ * are set aside. comparison() runs alongside, and its matching reports wait for current()
+ * to settle, then take those rows instead of calling GA. Everything else goes to GA on its
+ * own as usual (each call counted by the GA guard): reports with a limit, since GA's limit
+ * counts the rows of both ranges and neither range's top rows would be certain; reports
+ * over other ranges; and the comparison's reports when the current one came from a cache.
+ *
+ * Usage:
+ *   const pair = pairGaRanges(range, comparisonRange);
+ *   const [data, previous] = await Promise.all([
+ *     pair.current(() => load(range)).finally(pair.settle),
+ *     pair.comparison(() => load(comparisonRange)),
+ *   ]);
+ *
+ * @param {{ startDate: string, endDate: string }} current
+ * @param {{ startDate: string, endDate: string }} comparison
+ * @returns {{ current: Function, comparison: Function, settle: Function }} current and
+ *   comparison run a loader under the pairing; settle must be called once the current
+ *   report is loaded (or failed, or came from a cache), or the comparison waits for it
+ */
+export const pairGaRanges = (current, comparison) => {
+  let settle;
+  const state = {
+    current,
+    comparison,
+    setAside: new Map(),
+    currentSettled: new Promise((resolve) => {
+      settle = resolve;
+    }),
+  };
+  return {
+    current: (load) => pairing.run({ role: PAIRED_RANGES.current, state }, load),
+    comparison: (load) => pairing.run({ role: PAIRED_RANGES.comparison, state }, load),
+    settle: () => settle(),
+  };
+};
+
+export default {
+  runGaReport,
+  pairGaRanges,
+  buildGaRequest,
+  toFilterExpression,
+};
@@ -0,0 +1,168 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setAnalyticsClient } from "./googleAnalytics.js";
+import { buildGaRequest, pairGaRanges, runGaReport } from "./gaReport.js";
+
+const SITE = { id: "example", name: "Example", gaPropertyId: "123456" };
+
+// GA stand-in serving `total` rows of [pagePath, country] x [screenPageViews, averageSessionDuration]
+const createAnalyticsClient = (total) => {
+  const requests = [];
+  setAnalyticsClient({
+    properties: {
+      runReport: async ({ requestBody }) => {
+        requests.push(requestBody);
+        const offset = requestBody.offset || 0;
+        const count = Math.max(0, Math.min(requestBody.limit, total - offset));
+        const rows = Array.from({ length: count }, (_, index) => {
+          const n = offset + index;
+          return {
+            dimensionValues: [{ value: `/page-${n}` }, { value: n % 2 ? "(not set)" : "Norway" }],
+            metricValues: [{ value: String(n * 10) }, { value: "12.5" }],
+          };
+        });
+        return {
+          data: {
+            rows: count > 0 ? rows : undefined,
+            rowCount: total > 0 ? total : undefined,
+            metricHeaders: [
+              { name: "screenPageViews", type: "TYPE_INTEGER" },
+              { name: "averageSessionDuration", type: "TYPE_SECONDS" },
+            ],
+          },
+        };
+      },
+    },
+  });
+  return requests;
+};
+
+const PAGES = {
+  startDate: "7daysAgo",
+  endDate: "today",
+  dimensions: ["pagePath", "country"],
+  metrics: [{ name: "screenPageViews", as: "views" }, "averageSessionDuration"],
+};
+
+describe("GA report builder", () => {
+  afterEach(() => setAnalyticsClient(null));
+
+  it("returns typed rows keyed by field name", async () => {
+    createAnalyticsClient(2);
+    const rows = await runGaReport(SITE, PAGES);
+
+    assert.deepEqual(rows, [
+      { pagePath: "/page-0", country: "Norway", views: 0, averageSessionDuration: 12.5 },
+      { pagePath: "/page-1", country: null, views: 10, averageSessionDuration: 12.5 },
+    ]);
+
+    const labelled = await runGaReport(SITE, { ...PAGES, notSet: "Unknown" });
+    assert.equal(labelled[1].country, "Unknown");
+  });
+
+  it("pages with offset until every row or the limit is read", async () => {
+    const requests = createAnalyticsClient(25);
+
+    const all = await runGaReport(SITE, { ...PAGES, pageSize: 10 });
+    assert.equal(all.length, 25);
+    assert.equal(all[24].pagePath, "/page-24");
+    assert.deepEqual(
+      requests.map(({ limit, offset }) => [limit, offset]),
+      [[10, undefined], [10, 10], [10, 20]]
+    );
+    assert.ok(requests.every((request) => request.returnPropertyQuota));
+
+    requests.length = 0;
+    const some = await runGaReport(SITE, { ...PAGES, pageSize: 10, limit: 15 });
+    assert.equal(some.length, 15);
+    assert.deepEqual(
+      requests.map(({ limit, offset }) => [limit, offset]),
+      [[10, undefined], [5, 10]]
+    );
+
+    createAnalyticsClient(0);
+    assert.deepEqual(await runGaReport(SITE, PAGES), []);
+  });
+
+  it("fetches full reports over paired ranges in one request", async () => {
+    const requests = [];
+    // 10 views a day in the current range, 20 in the comparison; GA names each row's range
+    setAnalyticsClient({
+      properties: {
+        runReport: async ({ requestBody }) => {
+          requests.push(requestBody.dateRanges);
+          const paired = requestBody.dateRanges.length > 1;
+          const rows = requestBody.dateRanges.map(({ startDate, name }) => ({
+            dimensionValues: [{ value: "/" }, ...(paired ? [{ value: name }] : [])],
+            metricValues: [{ value: startDate === "2024-05-08" ? "10" : "20" }],
+          }));
+          const dimensionHeaders = [{ name: "pagePath" }, ...(paired ? [{ name: "dateRange" }] : [])];
+          return { data: { rows, rowCount: rows.length, dimensionHeaders } };
+        },
+      },
+    });
+    const current = { startDate: "2024-05-08", endDate: "2024-05-14" };
+    const comparison = { startDate: "2024-05-01", endDate: "2024-05-07" };
+    const load = ({ startDate, endDate }) =>
+      Promise.all(
+        [undefined, 5].map((limit) =>
+          runGaReport(SITE, { startDate, endDate, dimensions: ["pagePath"], metrics: ["screenPageViews"], limit })
+        )
+      );
+
+    const pair = pairGaRanges(current, comparison);
+    const [now, before] = await Promise.all([
+      pair.current(() => load(current)).finally(pair.settle),
+      pair.comparison(() => load(comparison)),
+    ]);
+
+    assert.deepEqual(now, [[{ pagePath: "/", screenPageViews: 10 }], [{ pagePath: "/", screenPageViews: 10 }]]);
+    assert.deepEqual(before, [[{ pagePath: "/", screenPageViews: 20 }], [{ pagePath: "/", screenPageViews: 20 }]]);
+    // The limited report is asked for once per range
+    assert.deepEqual(requests, [
+      [
+        { ...current, name: "current" },
+        { ...comparison, name: "comparison" },
+      ],
+      [current],
+      [comparison],
+    ]);
+  });
+
+  it("builds filters and orderings from field names", () => {
+    const request = buildGaRequest({
+      ...PAGES,
+      filter: {
+        country: ["Norway", "Sweden"],
+        pagePath: { contains: "/blog/" },
+        "eventParameter:percent_scrolled": { gte: 90 },
+        anyOf: [{ eventName: "scroll" }, { eventName: { beginsWith: "scroll_" } }],
+      },
+      orderBy: ["-screenPageViews", "pagePath"],
+    });
+
+    assert.deepEqual(request.dimensions, [{ name: "pagePath" }, { name: "country" }]);
+    assert.deepEqual(request.metrics, [{ name: "screenPageViews" }, { name: "averageSessionDuration" }]);
+    assert.deepEqual(request.dateRanges, [{ startDate: "7daysAgo", endDate: "today" }]);
+
+    const [country, pagePath, scrolled, eventName] = request.dimensionFilter.andGroup.expressions;
+    assert.deepEqual(
+      country.orGroup.expressions.map(({ filter }) => filter.stringFilter),
+      [{ matchType: "EXACT", value: "Norway" }, { matchType: "EXACT", value: "Sweden" }]
+    );
+    assert.deepEqual(pagePath, {
+      filter: { fieldName: "pagePath", stringFilter: { matchType: "CONTAINS", value: "/blog/" } },
+    });
+    assert.deepEqual(scrolled.filter.numericFilter, {
+      operation: "GREATER_THAN_OR_EQUAL",
+      value: { doubleValue: 90 },
+    });
+    assert.equal(eventName.orGroup.expressions[1].filter.stringFilter.matchType, "BEGINS_WITH");
+
+    assert.deepEqual(request.orderBys, [
+      { metric: { metricName: "screenPageViews" }, desc: true },
+      { dimension: { dimensionName: "pagePath" }, desc: false },
+    ]);
+    assert.throws(() => buildGaRequest({ ...PAGES, filter: { country: { like: "No" } } }), /Unknown GA filter/);
+  });
+});
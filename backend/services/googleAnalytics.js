@@ -2,6 +2,8 @@ import { google } from "googleapis";
 import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
+import { NOT_SET, runGaReport } from "./gaReport.js";
+import { logger } from "./logger.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,8 +21,8 @@ export const initializeAnalytics = () => {
     const GA_SERVICE_ACCOUNT_BASE64 = process.env.GA_SERVICE_ACCOUNT_BASE64;
     const GA_KEY_FILE = process.env.GA_KEY_FILE_PATH;
 
-    if (!GA_PROPERTY_ID) {
-      console.warn("⚠️  GA_PROPERTY_ID not set in environment variables");
+    if (!process.env.SITES && !GA_PROPERTY_ID) {
+      logger.warn("Neither SITES nor GA_PROPERTY_ID set in environment variables");
       return null;
     }
 
@@ -29,16 +31,16 @@ export const initializeAnalytics = () => {
     
     if (GA_SERVICE_ACCOUNT_BASE64) {
       // Production: decode base64 environment variable
-      console.log("📦 Loading GA credentials from base64 environment variable");
+      logger.info("Loading GA credentials from base64 environment variable");
       const decoded = Buffer.from(GA_SERVICE_ACCOUNT_BASE64, "base64").toString("utf8");
       credentials = JSON.parse(decoded);
     } else if (GA_KEY_FILE) {
       // Local development: read from file
-      console.log("📁 Loading GA credentials from file");
+      logger.info("Loading GA credentials from file");
       const keyFilePath = join(__dirname, "..", GA_KEY_FILE);
       credentials = JSON.parse(readFileSync(keyFilePath, "utf8"));
     } else {
-      console.warn("⚠️  Neither GA_SERVICE_ACCOUNT_BASE64 nor GA_KEY_FILE_PATH set in environment variables");
+      logger.warn("Neither GA_SERVICE_ACCOUNT_BASE64 nor GA_KEY_FILE_PATH set in environment variables");
       return null;
     }
 
@@ -53,169 +55,122 @@ export const initializeAnalytics = () => {
       auth,
     });
 
-    console.log("✅ Google Analytics API initialized successfully");
+    logger.info("Google Analytics API initialized successfully");
     return analyticsDataClient;
   } catch (error) {
-    console.error("❌ Error initializing Google Analytics:", error.message);
+    logger.error("Error initializing Google Analytics", { error: error.message });
     return null;
   }
 };
 
 /**
  * Get overview metrics for a date range
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getOverviewMetrics = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        metrics: [
-          { name: "activeUsers" },
-          { name: "sessions" },
-          { name: "screenPageViews" },
-          { name: "averageSessionDuration" },
-          { name: "bounceRate" },
-          { name: "conversions" },
-        ],
-      },
+    const [row] = await runGaReport(site, {
+      startDate,
+      endDate,
+      metrics: [
+        "activeUsers",
+        "sessions",
+        "screenPageViews",
+        "averageSessionDuration",
+        "bounceRate",
+        "conversions",
+      ],
     });
 
-    const row = response.data.rows?.[0];
     if (!row) {
       return null;
     }
 
     return {
-      activeUsers: parseInt(row.metricValues[0].value),
-      sessions: parseInt(row.metricValues[1].value),
-      pageViews: parseInt(row.metricValues[2].value),
-      avgSessionDuration: parseFloat(row.metricValues[3].value),
-      bounceRate: parseFloat(row.metricValues[4].value) * 100,
-      conversions: parseInt(row.metricValues[5].value),
+      activeUsers: row.activeUsers,
+      sessions: row.sessions,
+      pageViews: row.screenPageViews,
+      avgSessionDuration: row.averageSessionDuration,
+      bounceRate: row.bounceRate * 100,
+      conversions: row.conversions,
     };
   } catch (error) {
-    console.error("Error fetching overview metrics:", error);
+    logger.error("Error fetching overview metrics", { error });
     throw error;
   }
 };
 
 /**
  * Get page views by page path
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {number} limit - Number of results to return
  */
 export const getTopPages = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today",
   limit = 10
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        dimensions: [{ name: "pagePath" }, { name: "pageTitle" }],
-        metrics: [
-          { name: "screenPageViews" },
-          { name: "averageSessionDuration" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "screenPageViews",
-            },
-            desc: true,
-          },
-        ],
-        limit,
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["pagePath", "pageTitle"],
+      metrics: ["screenPageViews", "averageSessionDuration"],
+      orderBy: ["-screenPageViews"],
+      limit,
+      notSet: NOT_SET,
     });
 
-    return (
-      response.data.rows?.map((row) => ({
-        path: row.dimensionValues[0].value,
-        title: row.dimensionValues[1].value,
-        views: parseInt(row.metricValues[0].value),
-        avgDuration: parseFloat(row.metricValues[1].value),
-      })) || []
-    );
+    return rows.map((row) => ({
+      path: row.pagePath,
+      title: row.pageTitle,
+      views: row.screenPageViews,
+      avgDuration: row.averageSessionDuration,
+    }));
   } catch (error) {
-    console.error("Error fetching top pages:", error);
+    logger.error("Error fetching top pages", { error });
     throw error;
   }
 };
 
 /**
  * Get average session duration for all pages
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @returns {Object} Map of pagePath -> averageSessionDuration in seconds
  */
 export const getPageAvgDurations = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        dimensions: [{ name: "pagePath" }],
-        metrics: [{ name: "averageSessionDuration" }],
-        limit: 10000, // Get as many pages as possible
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["pagePath"],
+      metrics: ["averageSessionDuration"],
+      notSet: NOT_SET,
     });
 
     const durationMap = {};
-    response.data.rows?.forEach((row) => {
-      const pagePath = row.dimensionValues[0].value;
-      const avgDuration = parseFloat(row.metricValues[0].value) || 0;
-      durationMap[pagePath] = avgDuration;
+    rows.forEach((row) => {
+      durationMap[row.pagePath] = row.averageSessionDuration;
     });
 
     return durationMap;
   } catch (error) {
-    console.error("Error fetching page average durations:", error);
+    logger.error("Error fetching page average durations", { error });
     throw error;
   }
 };
@@ -223,20 +178,16 @@ export const getPageAvgDurations = async (
 /**
  * Get unique visitors and bounce rate per page
  * Fetches all-time data (uses a long date range to capture historical data)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format (defaults to 2 years ago)
  * @param {string} endDate - End date in YYYY-MM-DD format (defaults to today)
  * @returns {Object} Map of pagePath -> { uniqueVisitors, bounceRate }
  */
 export const getPageVisitorsAndBounceRate = async (
+  site,
   startDate = null,
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   // If no startDate provided, use 2 years ago to capture most historical data
   const effectiveStartDate = startDate || (() => {
     const date = new Date();
@@ -245,173 +196,104 @@ export const getPageVisitorsAndBounceRate = async (
   })();
 
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate: effectiveStartDate,
-            endDate,
-          },
-        ],
-        dimensions: [{ name: "pagePath" }],
-        metrics: [
-          { name: "activeUsers" }, // Unique visitors
-          { name: "bounceRate" },
-          { name: "sessions" }, // Sessions for weighting
-        ],
-        limit: 10000, // Get as many pages as possible
-      },
+    const rows = await runGaReport(site, {
+      startDate: effectiveStartDate,
+      endDate,
+      dimensions: ["pagePath"],
+      metrics: [
+        "activeUsers", // Unique visitors
+        "bounceRate",
+        "sessions", // Sessions for weighting
+      ],
+      notSet: NOT_SET,
     });
 
     const pageDataMap = {};
-    response.data.rows?.forEach((row) => {
-      const pagePath = row.dimensionValues[0].value;
-      const uniqueVisitors = parseInt(row.metricValues[0].value) || 0;
-      const bounceRate = parseFloat(row.metricValues[1].value) || 0;
-      const sessions = parseInt(row.metricValues[2].value) || 0;
-      pageDataMap[pagePath] = {
-        uniqueVisitors,
-        bounceRate: bounceRate * 100, // Convert to percentage
-        sessions,
+    rows.forEach((row) => {
+      pageDataMap[row.pagePath] = {
+        uniqueVisitors: row.activeUsers,
+        bounceRate: row.bounceRate * 100, // Convert to percentage
+        sessions: row.sessions,
       };
     });
 
     return pageDataMap;
   } catch (error) {
-    console.error("Error fetching page visitors and bounce rate:", error);
+    logger.error("Error fetching page visitors and bounce rate", { error });
     throw error;
   }
 };
 
 /**
  * Get traffic by source/medium with enhanced attribution
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getTrafficSources = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
     // Get session-level (last-touch) attribution
-    const sessionResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        dimensions: [
-          { name: "sessionSource" },
-          { name: "sessionMedium" },
-          { name: "sessionDefaultChannelGroup" },
-        ],
-        metrics: [{ name: "sessions" }, { name: "activeUsers" }],
-        orderBys: [
-          {
-            metric: {
-              metricName: "sessions",
-            },
-            desc: true,
-          },
-        ],
-        limit: 100,
-      },
+    const sessionRows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["sessionSource", "sessionMedium", "sessionDefaultChannelGroup"],
+      metrics: ["sessions", "activeUsers"],
+      orderBy: ["-sessions"],
+      limit: 100,
+      notSet: NOT_SET,
     });
 
     // Get first-touch attribution
-    const firstTouchResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        dimensions: [
-          { name: "firstUserSource" },
-          { name: "firstUserMedium" },
-        ],
-        metrics: [{ name: "sessions" }, { name: "activeUsers" }, { name: "newUsers" }],
-        orderBys: [
-          {
-            metric: {
-              metricName: "sessions",
-            },
-            desc: true,
-          },
-        ],
-        limit: 100,
-      },
+    const firstTouchRows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["firstUserSource", "firstUserMedium"],
+      metrics: ["sessions", "activeUsers", "newUsers"],
+      orderBy: ["-sessions"],
+      limit: 100,
+      notSet: NOT_SET,
     });
 
     // Get landing pages
-    const landingPageResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        dimensions: [{ name: "landingPage" }],
-        metrics: [
-          { name: "sessions" },
-          { name: "activeUsers" },
-          { name: "newUsers" },
-          { name: "bounceRate" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "sessions",
-            },
-            desc: true,
-          },
-        ],
-        limit: 50,
-      },
+    const landingPageRows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["landingPage"],
+      metrics: ["sessions", "activeUsers", "newUsers", "bounceRate"],
+      orderBy: ["-sessions"],
+      limit: 50,
+      notSet: NOT_SET,
     });
 
-    const sessionSources =
-      sessionResponse.data.rows?.map((row) => ({
-        source: row.dimensionValues[0].value,
-        medium: row.dimensionValues[1].value,
-        channelGroup: row.dimensionValues[2].value,
-        sessions: parseInt(row.metricValues[0].value),
-        users: parseInt(row.metricValues[1].value),
-        attribution: "last-touch",
-      })) || [];
-
-    const firstTouchSources =
-      firstTouchResponse.data.rows?.map((row) => ({
-        source: row.dimensionValues[0].value,
-        medium: row.dimensionValues[1].value,
-        sessions: parseInt(row.metricValues[0].value),
-        users: parseInt(row.metricValues[1].value),
-        newUsers: parseInt(row.metricValues[2].value),
-        attribution: "first-touch",
-      })) || [];
-
-    const landingPages =
-      landingPageResponse.data.rows?.map((row) => ({
-        landingPage: row.dimensionValues[0].value,
-        sessions: parseInt(row.metricValues[0].value),
-        users: parseInt(row.metricValues[1].value),
-        newUsers: parseInt(row.metricValues[2].value),
-        bounceRate: parseFloat(row.metricValues[3].value) * 100,
-      })) || [];
+    const sessionSources = sessionRows.map((row) => ({
+      source: row.sessionSource,
+      medium: row.sessionMedium,
+      channelGroup: row.sessionDefaultChannelGroup,
+      sessions: row.sessions,
+      users: row.activeUsers,
+      attribution: "last-touch",
+    }));
+
+    const firstTouchSources = firstTouchRows.map((row) => ({
+      source: row.firstUserSource,
+      medium: row.firstUserMedium,
+      sessions: row.sessions,
+      users: row.activeUsers,
+      newUsers: row.newUsers,
+      attribution: "first-touch",
+    }));
+
+    const landingPages = landingPageRows.map((row) => ({
+      landingPage: row.landingPage,
+      sessions: row.sessions,
+      users: row.activeUsers,
+      newUsers: row.newUsers,
+      bounceRate: row.bounceRate * 100,
+    }));
 
     return {
       sessionSources,
@@ -419,7 +301,7 @@ export const getTrafficSources = async (
       landingPages,
     };
   } catch (error) {
-    console.error("Error fetching traffic sources:", error);
+    logger.error("Error fetching traffic sources", { error });
     throw error;
   }
 };
@@ -428,7 +310,7 @@ export const getTrafficSources = async (
  * Map raw sessionSource from GA4 to canonical name (matches frontend getCanonicalSource).
  */
 const getCanonicalSource = (raw) => {
-  const s = (raw || "(not set)").trim();
+  const s = (raw || NOT_SET).trim();
   const k = s.toLowerCase();
   if (k === "(direct)" || k === "direct") return "Direct";
   if (k.includes("openai") || k.includes("chatgpt")) return "ChatGPT";
@@ -445,47 +327,36 @@ const getCanonicalSource = (raw) => {
   if (k.includes("instagram")) return "Instagram";
   if (k.includes("linkedin")) return "LinkedIn";
   if (k.includes("pinterest")) return "Pinterest";
-  return s || "(not set)";
+  return s || NOT_SET;
 };
 
 /**
  * Get daily traffic by source for the last 7 days (for overview Sources chart).
  * Returns one row per day with merged canonical sources and percentages.
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - e.g. 7daysAgo
  * @param {string} endDate - e.g. today
  */
 export const getDailyTrafficBySource = async (
+  site,
   startDate = "7daysAgo",
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-  const propertyId = process.env.GA_PROPERTY_ID;
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "date" }, { name: "sessionSource" }],
-        metrics: [{ name: "sessions" }],
-        orderBys: [
-          { dimension: { dimensionName: "date" }, desc: false },
-          { metric: { metricName: "sessions" }, desc: true },
-        ],
-        limit: 500,
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["date", "sessionSource"],
+      metrics: ["sessions"],
+      orderBy: ["date", "-sessions"],
+      limit: 500,
     });
 
-    const rows = response.data.rows || [];
     const byDate = {};
     rows.forEach((row) => {
-      const date = row.dimensionValues[0].value;
-      const rawSource = row.dimensionValues[1].value;
-      const sessions = parseInt(row.metricValues[0].value, 10);
-      const source = getCanonicalSource(rawSource);
-      if (!byDate[date]) byDate[date] = {};
-      byDate[date][source] = (byDate[date][source] || 0) + sessions;
+      const source = getCanonicalSource(row.sessionSource);
+      if (!byDate[row.date]) byDate[row.date] = {};
+      byDate[row.date][source] = (byDate[row.date][source] || 0) + row.sessions;
     });
 
     const daily = Object.entries(byDate)
@@ -498,13 +369,14 @@ export const getDailyTrafficBySource = async (
 
     return { daily };
   } catch (error) {
-    console.error("Error fetching daily traffic by source:", error);
+    logger.error("Error fetching daily traffic by source", { error });
     throw error;
   }
 };
 
 /**
  * Get daily traffic broken down by a dimension (same shape as getDailyTrafficBySource).
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} dimensionName - GA4 dimension name (e.g. "country", "landingPage", "hour")
  * @param {string} startDate - e.g. 30daysAgo
  * @param {string} endDate - e.g. today
@@ -512,40 +384,28 @@ export const getDailyTrafficBySource = async (
  * @returns {{ daily: Array<{ date: string, sources: Array<{ source: string, sessions: number }>, totalSessions: number }> }}
  */
 export const getDailyTrafficByDimension = async (
+  site,
   dimensionName,
   startDate = "30daysAgo",
   endDate = "today",
   options = {}
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-  const propertyId = process.env.GA_PROPERTY_ID;
   const formatLabel = options.formatLabel || ((v) => v);
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "date" }, { name: dimensionName }],
-        metrics: [{ name: "sessions" }],
-        orderBys: [
-          { dimension: { dimensionName: "date" }, desc: false },
-          { metric: { metricName: "sessions" }, desc: true },
-        ],
-        limit: 10000,
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["date", { name: dimensionName, as: "value" }],
+      metrics: ["sessions"],
+      orderBy: ["date", "-sessions"],
+      notSet: NOT_SET,
     });
 
-    const rows = response.data.rows || [];
     const byDate = {};
     rows.forEach((row) => {
-      const date = row.dimensionValues[0].value;
-      const dimValue = row.dimensionValues[1].value ?? "(not set)";
-      const sessions = parseInt(row.metricValues[0].value, 10);
-      const label = formatLabel(dimValue);
-      if (!byDate[date]) byDate[date] = {};
-      byDate[date][label] = (byDate[date][label] || 0) + sessions;
+      const label = formatLabel(row.value);
+      if (!byDate[row.date]) byDate[row.date] = {};
+      byDate[row.date][label] = (byDate[row.date][label] || 0) + row.sessions;
     });
 
     const daily = Object.entries(byDate)
@@ -558,7 +418,7 @@ export const getDailyTrafficByDimension = async (
 
     return { daily };
   } catch (error) {
-    console.error(`Error fetching daily traffic by ${dimensionName}:`, error);
+    logger.error("Error fetching daily traffic", { dimension: dimensionName, error });
     throw error;
   }
 };
@@ -586,204 +446,137 @@ const bucketDurationLabel = (value) => {
 
 /**
  * Get daily traffic by country (geography). Uses same response shape as daily-traffic-by-source.
+ * @param {Object} site - Site to report on (services/sites.js)
  */
-export const getDailyTrafficByCountry = (startDate, endDate) =>
-  getDailyTrafficByDimension("country", startDate, endDate);
+export const getDailyTrafficByCountry = (site, startDate, endDate) =>
+  getDailyTrafficByDimension(site, "country", startDate, endDate);
 
 /**
  * Get daily traffic by landing page (first page visited).
+ * @param {Object} site - Site to report on (services/sites.js)
  */
-export const getDailyTrafficByLandingPage = (startDate, endDate) =>
-  getDailyTrafficByDimension("landingPage", startDate, endDate);
+export const getDailyTrafficByLandingPage = (site, startDate, endDate) =>
+  getDailyTrafficByDimension(site, "landingPage", startDate, endDate);
 
 /**
  * Get daily traffic by hour of day (0-23 formatted as 12am, 1am, ...).
+ * @param {Object} site - Site to report on (services/sites.js)
  */
-export const getDailyTrafficByHour = (startDate, endDate) =>
-  getDailyTrafficByDimension("hour", startDate, endDate, { formatLabel: formatHourLabel });
+export const getDailyTrafficByHour = (site, startDate, endDate) =>
+  getDailyTrafficByDimension(site, "hour", startDate, endDate, { formatLabel: formatHourLabel });
 
 /**
  * Get daily traffic by session engagement duration bucket (0–30s, 30s–2m, 2m–5m, 5m+).
  * Uses sessionEngagementDuration dimension (seconds) and buckets in code if needed.
+ * @param {Object} site - Site to report on (services/sites.js)
  */
-export const getDailyTrafficByDuration = async (startDate = "30daysAgo", endDate = "today") => {
+export const getDailyTrafficByDuration = async (site, startDate = "30daysAgo", endDate = "today") => {
   try {
-    const raw = await getDailyTrafficByDimension("sessionEngagementDuration", startDate, endDate, {
+    const raw = await getDailyTrafficByDimension(site, "sessionEngagementDuration", startDate, endDate, {
       formatLabel: bucketDurationLabel,
     });
     return raw;
   } catch (err) {
-    console.warn("sessionEngagementDuration dimension not available, returning empty duration breakdown:", err.message);
+    logger.warn("sessionEngagementDuration dimension not available, returning empty duration breakdown", { error: err.message });
     return { daily: [] };
   }
 };
 
 /**
- * Map sourceId (UI) to GA4 dimension filter for sessionSource.
- * Returns a FilterExpression for runReport dimensionFilter, or null if no filter.
+ * sessionSource filter (see services/gaReport.js) for a sourceId from the UI,
+ * or null if no filter.
  */
-const getSourceDimensionFilter = (sourceId) => {
-  if (sourceId === "chatgpt") {
-    return {
-      orGroup: {
-        expressions: [
-          { filter: { fieldName: "sessionSource", stringFilter: { matchType: "CONTAINS", value: "chatgpt" } } },
-          { filter: { fieldName: "sessionSource", stringFilter: { matchType: "CONTAINS", value: "openai" } } },
-        ],
-      },
-    };
-  }
-  if (sourceId === "claude") {
-    return {
-      orGroup: {
-        expressions: [
-          { filter: { fieldName: "sessionSource", stringFilter: { matchType: "CONTAINS", value: "claude" } } },
-          { filter: { fieldName: "sessionSource", stringFilter: { matchType: "CONTAINS", value: "anthropic" } } },
-        ],
-      },
-    };
-  }
-  if (sourceId === "perplexity") {
-    return {
-      filter: { fieldName: "sessionSource", stringFilter: { matchType: "CONTAINS", value: "perplexity" } },
-    };
-  }
-  return null;
+const SOURCE_FILTERS = {
+  chatgpt: { sessionSource: { contains: ["chatgpt", "openai"] } },
+  claude: { sessionSource: { contains: ["claude", "anthropic"] } },
+  perplexity: { sessionSource: { contains: "perplexity" } },
 };
 
 /**
  * Get traffic analysis for a specific source (e.g. chatgpt, claude, perplexity).
  * Returns aggregate metrics and top landing pages for that source.
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} sourceId - e.g. "chatgpt", "claude", "perplexity"
  * @param {string} startDate - Start date (e.g. 30daysAgo)
  * @param {string} endDate - End date (e.g. today)
  */
 export const getSourceAnalysis = async (
+  site,
   sourceId,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-  const dimensionFilter = getSourceDimensionFilter(sourceId);
-  if (!dimensionFilter) {
+  const filter = SOURCE_FILTERS[sourceId];
+  if (!filter) {
     return { summary: null, topLandingPages: [], sourceId };
   }
 
-  const propertyId = process.env.GA_PROPERTY_ID;
-  const baseRequest = {
-    dateRanges: [{ startDate, endDate }],
-    dimensionFilter,
-  };
-
   try {
-    const [summaryResponse, pagesResponse] = await Promise.all([
-      analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          ...baseRequest,
-          metrics: [
-            { name: "sessions" },
-            { name: "activeUsers" },
-            { name: "screenPageViews" },
-            { name: "averageSessionDuration" },
-            { name: "bounceRate" },
-            { name: "engagedSessions" },
-          ],
-        },
+    const [[summaryRow], pageRows] = await Promise.all([
+      runGaReport(site, {
+        startDate,
+        endDate,
+        filter,
+        metrics: [
+          "sessions",
+          "activeUsers",
+          "screenPageViews",
+          "averageSessionDuration",
+          "bounceRate",
+          "engagedSessions",
+        ],
       }),
-      analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          ...baseRequest,
-          dimensions: [{ name: "landingPage" }],
-          metrics: [{ name: "sessions" }, { name: "screenPageViews" }, { name: "averageSessionDuration" }],
-          orderBys: [{ metric: { metricName: "sessions" }, desc: true }],
-          limit: 20,
-        },
+      runGaReport(site, {
+        startDate,
+        endDate,
+        filter,
+        dimensions: ["landingPage"],
+        metrics: ["sessions", "screenPageViews", "averageSessionDuration"],
+        orderBy: ["-sessions"],
+        limit: 20,
+        notSet: NOT_SET,
       }),
     ]);
 
-    const summaryRow = summaryResponse.data.rows?.[0];
     const summary = summaryRow
-      ? {
-          sessions: parseInt(summaryRow.metricValues[0].value, 10),
-          activeUsers: parseInt(summaryRow.metricValues[1].value, 10),
-          screenPageViews: parseInt(summaryRow.metricValues[2].value, 10),
-          averageSessionDuration: parseFloat(summaryRow.metricValues[3].value, 10),
-          bounceRate: parseFloat(summaryRow.metricValues[4].value, 10) * 100,
-          engagedSessions: parseInt(summaryRow.metricValues[5].value, 10),
-        }
+      ? { ...summaryRow, bounceRate: summaryRow.bounceRate * 100 }
       : { sessions: 0, activeUsers: 0, screenPageViews: 0, averageSessionDuration: 0, bounceRate: 0, engagedSessions: 0 };
 
-    const topLandingPages =
-      pagesResponse.data.rows?.map((row) => ({
-        landingPage: row.dimensionValues[0].value,
-        sessions: parseInt(row.metricValues[0].value, 10),
-        screenPageViews: parseInt(row.metricValues[1].value, 10),
-        averageSessionDuration: parseFloat(row.metricValues[2].value, 10),
-      })) || [];
-
-    return { summary, topLandingPages, sourceId };
+    return { summary, topLandingPages: pageRows, sourceId };
   } catch (error) {
-    console.error("Error fetching source analysis:", error);
+    logger.error("Error fetching source analysis", { error });
     throw error;
   }
 };
 
 /**
  * Get daily trend data
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getDailyTrend = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [
-          {
-            startDate,
-            endDate,
-          },
-        ],
-        dimensions: [{ name: "date" }],
-        metrics: [
-          { name: "activeUsers" },
-          { name: "sessions" },
-          { name: "screenPageViews" },
-        ],
-        orderBys: [
-          {
-            dimension: {
-              dimensionName: "date",
-            },
-            desc: false,
-          },
-        ],
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["date"],
+      metrics: ["activeUsers", "sessions", "screenPageViews"],
+      orderBy: ["date"],
     });
 
-    return (
-      response.data.rows?.map((row) => ({
-        date: row.dimensionValues[0].value,
-        users: parseInt(row.metricValues[0].value),
-        sessions: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || []
-    );
+    return rows.map((row) => ({
+      date: row.date,
+      users: row.activeUsers,
+      sessions: row.sessions,
+      pageViews: row.screenPageViews,
+    }));
   } catch (error) {
-    console.error("Error fetching daily trend:", error);
+    logger.error("Error fetching daily trend", { error });
     throw error;
   }
 };
@@ -795,6 +588,14 @@ export const getAnalyticsClient = () => {
   return analyticsDataClient;
 };
 
+/**
+ * Use an already-built client instead of initializeAnalytics (e.g. a stand-in in tests)
+ * @param {Object|null} client - Anything exposing properties.runReport
+ */
+export const setAnalyticsClient = (client) => {
+  analyticsDataClient = client;
+};
+
 export default {
   initializeAnalytics,
   getOverviewMetrics,
@@ -804,5 +605,6 @@ export default {
   getDailyTrafficBySource,
   getDailyTrend,
   getAnalyticsClient,
+  setAnalyticsClient,
 };
 
@@ -0,0 +1,294 @@
+/**
+ * Recorded Google API responses, for running the dashboard without Google credentials
+ *
+ * GOOGLE_FIXTURES picks the mode:
+ * - replay: GA4, Search Console and sitemap requests are answered from fixture files, and
+ *   nothing reaches Google. A request with no fixture gets an empty answer (no rows, an
+ *   empty sitemap), so every page still renders.
+ * - record: requests go to Google as usual and each response is saved as a fixture.
+ *
+ * Fixtures live in GOOGLE_FIXTURES_DIR (default backend/fixtures/google), one JSON file per
+ * request: <api>/<method>/<hash of the request>.json holding the request and the response.
+ * Dates in the request are keyed relative to the day they were recorded ("7daysAgo"),
+ * so a fixture recorded for the last 30 days keeps answering the last 30 days later on;
+ * the days in its response move forward to match. The site is left out of the key (see
+ * sanitizeRequest), so a recording answers for whichever site is configured.
+ *
+ * The committed set is a sample with made-up numbers, written by
+ * scripts/generateSampleFixtures.js.
+ */
+import { createHash } from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { addDays, countDays, todayIn } from "./dateRange.js";
+import { logger } from "./logger.js";
+
+export const FIXTURE_MODES = { REPLAY: "replay", RECORD: "record" };
+
+export const DEFAULT_FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "google");
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+// GA's date dimension, e.g. 20240501
+const GA_DAY = /^(20\d{2})(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/;
+
+// Request fields naming the site, and the placeholder each is keyed and saved with
+const SITE_FIELDS = {
+  property: (value) => value.replace(/^properties\/[^/]+/, "properties/PROPERTY"),
+  name: (value) => value.replace(/^properties\/[^/]+/, "properties/PROPERTY"),
+  siteUrl: () => "SITE",
+  url: (value) => value.replace(/^https?:\/\/[^/]+/, "https://SITE"),
+  inspectionUrl: (value) => value.replace(/^https?:\/\/[^/]+/, "https://SITE"),
+};
+
+// The client methods the backend calls, with what replay answers when nothing was recorded
+export const FIXTURE_METHODS = {
+  ga: {
+    "properties.runReport": () => ({ data: { rows: [], rowCount: 0 } }),
+    "properties.getMetadata": () => ({ data: { dimensions: [], metrics: [] } }),
+  },
+  searchConsole: {
+    "searchanalytics.query": () => ({ data: { rows: [] } }),
+    "urlInspection.index.inspect": () => ({ data: { inspectionResult: { indexStatusResult: { verdict: "VERDICT_UNSPECIFIED" } } } }),
+    "sites.get": ({ siteUrl }) => ({ data: { siteUrl, permissionLevel: "siteOwner" } }),
+  },
+  sitemap: {
+    fetch: () => '<?xml version="1.0" encoding="UTF-8"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"></urlset>',
+  },
+};
+
+/**
+ * Read GOOGLE_FIXTURES
+ * @param {string} [value] - Defaults to process.env.GOOGLE_FIXTURES
+ * @returns {string|null} A FIXTURE_MODES value, null when unset
+ * @throws {Error} On any other value, so a typo fails at boot instead of calling Google
+ */
+export const parseFixtureMode = (value = process.env.GOOGLE_FIXTURES) => {
+  if (!value) return null;
+  if (!Object.values(FIXTURE_MODES).includes(value)) {
+    throw new Error(`GOOGLE_FIXTURES must be ${Object.values(FIXTURE_MODES).join(" or ")}`);
+  }
+  return value;
+};
+
+/**
+ * A request with its GA property, Search Console property and host replaced by placeholders
+ * @param {*} request
+ * @returns {*}
+ */
+export const sanitizeRequest = (request) => {
+  if (Array.isArray(request)) return request.map(sanitizeRequest);
+  if (!request || typeof request !== "object") return request;
+  return Object.fromEntries(
+    Object.entries(request).map(([key, value]) => [
+      key,
+      typeof value === "string" && SITE_FIELDS[key] ? SITE_FIELDS[key](value) : sanitizeRequest(value),
+    ])
+  );
+};
+
+// Moves the days in a response's rows (GA dimension values, Search Console keys) forward
+const shiftRowDays = (response, days) => {
+  const rows = response?.data?.rows;
+  if (!days || !Array.isArray(rows)) return response;
+
+  const shift = (value) => {
+    if (typeof value !== "string") return value;
+    if (ISO_DAY.test(value)) return addDays(value, days);
+    const ga = GA_DAY.exec(value);
+    return ga ? addDays(`${ga[1]}-${ga[2]}-${ga[3]}`, days).replaceAll("-", "") : value;
+  };
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      rows: rows.map((row) => ({
+        ...row,
+        ...(row.dimensionValues && { dimensionValues: row.dimensionValues.map((dimension) => ({ ...dimension, value: shift(dimension.value) })) }),
+        ...(row.keys && { keys: row.keys.map(shift) }),
+      })),
+    },
+  };
+};
+
+// Sorted keys and recording-day-relative dates, so equivalent requests share a fixture
+const normalize = (value, today) => {
+  if (Array.isArray(value)) return value.map((item) => normalize(item, today));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, normalize(value[key], today)])
+    );
+  }
+  if (typeof value === "string" && ISO_DAY.test(value) && value <= today) {
+    return `${countDays(value, today) - 1}daysAgo`;
+  }
+  return value;
+};
+
+/**
+ * Fixture files on disk
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @param {Object[]} [options.sites] - Sites from services/sites.js; a request for one of them
+ *   counts its days in the site's time zone, as its report ranges were resolved in it
+ * @param {boolean} [options.pretty] - Indent the JSON written (default true)
+ * @param {Function} [options.now] - () => Date, injectable for tests
+ * @returns {{ read: Function, write: Function, pathFor: Function }}
+ */
+export const createFixtureStore = ({ dir = DEFAULT_FIXTURES_DIR, sites = [], pretty = true, now = () => new Date() } = {}) => {
+  const timeZoneOf = (request) =>
+    sites.find(
+      (site) =>
+        (site.gaPropertyId && request?.property === `properties/${site.gaPropertyId}`) ||
+        (site.searchConsoleSiteUrl && request?.siteUrl === site.searchConsoleSiteUrl)
+    )?.timeZone;
+
+  const pathFor = (api, method, request) => {
+    const today = todayIn(timeZoneOf(request), now());
+    const key = JSON.stringify(normalize(sanitizeRequest(request ?? {}), today));
+    const hash = createHash("sha256").update(key).digest("hex").slice(0, 16);
+    return join(dir, api, method, `${hash}.json`);
+  };
+
+  return {
+    pathFor,
+
+    /**
+     * @returns {Promise<*|null>} The recorded response, its days moved forward by the days
+     *   since it was recorded; null when there is none
+     */
+    async read(api, method, request) {
+      try {
+        const { recordedAt, response } = JSON.parse(await readFile(pathFor(api, method, request), "utf8"));
+        const timeZone = timeZoneOf(request);
+        const today = todayIn(timeZone, now());
+        return shiftRowDays(response, recordedAt ? countDays(todayIn(timeZone, new Date(recordedAt)), today) - 1 : 0);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async write(api, method, request, response) {
+      const path = pathFor(api, method, request);
+      await mkdir(dirname(path), { recursive: true });
+      const recordedAt = now().toISOString();
+      const saved = { api, method, recordedAt, request: sanitizeRequest(request), response };
+      await writeFile(path, `${JSON.stringify(saved, null, pretty ? 2 : undefined)}\n`);
+      return path;
+    },
+  };
+};
+
+// client.properties.runReport -> [client.properties, "runReport"]
+const resolveMethod = (client, method) => {
+  const path = method.split(".");
+  const name = path.pop();
+  return [path.reduce((parent, key) => parent?.[key], client), name];
+};
+
+// { "properties.runReport": fn } -> { properties: { runReport: fn } }
+const buildClient = (methods) => {
+  const client = {};
+  for (const [method, fn] of Object.entries(methods)) {
+    const path = method.split(".");
+    const name = path.pop();
+    const parent = path.reduce((node, key) => (node[key] ??= {}), client);
+    parent[name] = fn;
+  }
+  return client;
+};
+
+/**
+ * Stand-in for a Google client answering from fixtures
+ * @param {Object} store - From createFixtureStore
+ * @param {string} api - A FIXTURE_METHODS key
+ * @param {Object} [log]
+ * @returns {Object} Client with the api's methods; the sitemap api gives { fetch({ url }) }
+ */
+export const createReplayClient = (store, api, log = logger) =>
+  buildClient(
+    Object.fromEntries(
+      Object.entries(FIXTURE_METHODS[api]).map(([method, empty]) => [
+        method,
+        async (request) => {
+          const recorded = await store.read(api, method, request);
+          if (recorded !== null) return recorded;
+          log.warn("No recorded fixture, answering empty", { api, method, fixture: store.pathFor(api, method, request) });
+          return empty(request);
+        },
+      ])
+    )
+  );
+
+/**
+ * Wrap a Google client so each successful response is saved as a fixture
+ * Only `data` is kept from googleapis responses; headers and config are dropped.
+ * @param {Object|null} client - The real client; null gives null (nothing to record)
+ * @param {Object} store - From createFixtureStore
+ * @param {string} api - A FIXTURE_METHODS key
+ * @param {Object} [log]
+ * @returns {Object|null}
+ */
+export const createRecordingClient = (client, store, api, log = logger) => {
+  if (!client) return null;
+  return buildClient(
+    Object.fromEntries(
+      Object.keys(FIXTURE_METHODS[api]).map((method) => [
+        method,
+        async (request) => {
+          const [parent, name] = resolveMethod(client, method);
+          const response = await parent[name](request);
+          const saved = response && typeof response === "object" && "data" in response ? { data: response.data } : response;
+          try {
+            const path = await store.write(api, method, request, saved);
+            log.debug("Recorded fixture", { api, method, fixture: path });
+          } catch (error) {
+            log.warn("Could not record fixture", { api, method, error });
+          }
+          return response;
+        },
+      ])
+    )
+  );
+};
+
+/**
+ * The Google clients and sitemap fetcher for a fixture mode
+ * @param {string|null} mode - From parseFixtureMode; null returns the real ones untouched
+ * @param {Object} real
+ * @param {Object|null} real.analyticsClient - Ignored in replay mode
+ * @param {Object|null} real.searchConsoleClient - Ignored in replay mode
+ * @param {Function} real.fetchSitemap - (url) => Promise<string> of the sitemap XML
+ * @param {Object} [options] - createFixtureStore options
+ * @returns {{ analyticsClient, searchConsoleClient, fetchSitemap }}
+ */
+export const withGoogleFixtures = (mode, { analyticsClient, searchConsoleClient, fetchSitemap }, options) => {
+  if (!mode) return { analyticsClient, searchConsoleClient, fetchSitemap };
+
+  const store = createFixtureStore(options);
+  const wrap =
+    mode === FIXTURE_MODES.REPLAY
+      ? (client, api) => createReplayClient(store, api)
+      : (client, api) => createRecordingClient(client, store, api);
+  const sitemap = wrap({ fetch: ({ url }) => fetchSitemap(url) }, "sitemap");
+
+  logger.info(`Google fixtures: ${mode}`, { dir: options?.dir || DEFAULT_FIXTURES_DIR });
+  return {
+    analyticsClient: wrap(analyticsClient, "ga"),
+    searchConsoleClient: wrap(searchConsoleClient, "searchConsole"),
+    fetchSitemap: (url) => sitemap.fetch({ url }),
+  };
+};
+
+export default {
+  FIXTURE_MODES,
+  parseFixtureMode,
+  sanitizeRequest,
+  createFixtureStore,
+  createReplayClient,
+  createRecordingClient,
+  withGoogleFixtures,
+};
@@ -0,0 +1,121 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createLogger } from "./logger.js";
+import { createFixtureStore, createRecordingClient, createReplayClient, parseFixtureMode, sanitizeRequest, withGoogleFixtures } from "./googleFixtures.js";
+
+const silent = createLogger({ level: "silent", write: () => {} });
+
+const report = (startDate, endDate) => ({
+  property: "properties/123456",
+  requestBody: { metrics: [{ name: "sessions" }], dateRanges: [{ startDate, endDate }] },
+});
+
+describe("Google fixtures", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "google-fixtures-"));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it("records responses and replays them on later days for the same relative range", async () => {
+    const clock = { now: new Date(Date.UTC(2024, 4, 15, 12)) };
+    const store = createFixtureStore({ dir, now: () => clock.now });
+    const real = {
+      properties: {
+        calls: 0,
+        async runReport() {
+          this.calls += 1; // googleapis methods need their `this`
+          return { data: { rows: [{ metricValues: [{ value: "42" }] }] }, headers: { server: "ESF" } };
+        },
+      },
+    };
+
+    const recording = createRecordingClient(real, store, "ga", silent);
+    const live = await recording.properties.runReport(report("2024-05-08", "2024-05-15"));
+    assert.equal(live.headers.server, "ESF");
+    assert.equal(real.properties.calls, 1);
+
+    const file = await readFile(store.pathFor("ga", "properties.runReport", report("2024-05-08", "2024-05-15")), "utf8");
+    assert.deepEqual(JSON.parse(file).response, { data: { rows: [{ metricValues: [{ value: "42" }] }] } });
+
+    clock.now = new Date(Date.UTC(2024, 4, 18, 12));
+    const replay = createReplayClient(store, "ga", silent);
+    const replayed = await replay.properties.runReport(report("2024-05-11", "2024-05-18"));
+    assert.deepEqual(replayed, { data: { rows: [{ metricValues: [{ value: "42" }] }] } });
+    assert.equal(real.properties.calls, 1);
+  });
+
+  it("keys fixtures without the site and moves the days of their rows forward", async () => {
+    const clock = { now: new Date(Date.UTC(2024, 4, 15, 12)) };
+    const store = createFixtureStore({ dir, now: () => clock.now });
+    const daily = (siteUrl, startDate, endDate) => ({ siteUrl, requestBody: { startDate, endDate, dimensions: ["date"] } });
+
+    await store.write("searchConsole", "searchanalytics.query", daily("sc-domain:example.com", "2024-05-14", "2024-05-15"), {
+      data: { rows: [{ keys: ["2024-05-14"], clicks: 3 }, { keys: ["2024-05-15"], clicks: 5 }] },
+    });
+    const file = JSON.parse(await readFile(store.pathFor("searchConsole", "searchanalytics.query", daily("SITE", "2024-05-14", "2024-05-15")), "utf8"));
+    assert.equal(file.request.siteUrl, "SITE");
+
+    await store.write("ga", "properties.runReport", report("2024-05-14", "2024-05-15"), {
+      data: { rows: [{ dimensionValues: [{ value: "20240515" }, { value: "/2024-05-15-recap" }] }] },
+    });
+
+    clock.now = new Date(Date.UTC(2024, 4, 17, 12));
+    const ga = await store.read("ga", "properties.runReport", { ...report("2024-05-16", "2024-05-17"), property: "properties/987" });
+    assert.deepEqual(ga.data.rows[0].dimensionValues, [{ value: "20240517" }, { value: "/2024-05-15-recap" }]);
+    const replayed = await store.read("searchConsole", "searchanalytics.query", daily("https://other.example/", "2024-05-16", "2024-05-17"));
+    assert.deepEqual(replayed.data.rows.map(({ keys }) => keys[0]), ["2024-05-16", "2024-05-17"]);
+
+    assert.deepEqual(
+      sanitizeRequest({ property: "properties/123456", requestBody: { dimensionValues: [{ value: "20240514" }] } }),
+      { property: "properties/PROPERTY", requestBody: { dimensionValues: [{ value: "20240514" }] } }
+    );
+    assert.equal(sanitizeRequest({ inspectionUrl: "https://example.com/blog?x=1" }).inspectionUrl, "https://SITE/blog?x=1");
+  });
+
+  it("counts a site's fixture days in its time zone", async () => {
+    // 01:00 on 16 May in Auckland, still 15 May in UTC
+    const clock = { now: new Date(Date.UTC(2024, 4, 15, 13)) };
+    const sites = [{ gaPropertyId: "123456", timeZone: "Pacific/Auckland" }];
+    const auckland = createFixtureStore({ dir, sites, now: () => clock.now });
+    const utc = createFixtureStore({ dir, now: () => clock.now });
+    assert.equal(
+      auckland.pathFor("ga", "properties.runReport", report("2024-05-09", "2024-05-16")),
+      utc.pathFor("ga", "properties.runReport", report("2024-05-08", "2024-05-15"))
+    );
+
+    await auckland.write("ga", "properties.runReport", report("2024-05-16", "2024-05-16"), {
+      data: { rows: [{ dimensionValues: [{ value: "20240516" }] }] },
+    });
+    clock.now = new Date(Date.UTC(2024, 4, 16, 13));
+    const replayed = await auckland.read("ga", "properties.runReport", report("2024-05-17", "2024-05-17"));
+    assert.deepEqual(replayed.data.rows[0].dimensionValues, [{ value: "20240517" }]);
+  });
+
+  it("answers empty when nothing was recorded", async () => {
+    const replay = createReplayClient(createFixtureStore({ dir }), "searchConsole", silent);
+    assert.deepEqual(await replay.searchanalytics.query({ siteUrl: "sc-domain:example.com", requestBody: {} }), {
+      data: { rows: [] },
+    });
+
+    const { analyticsClient, searchConsoleClient, fetchSitemap } = withGoogleFixtures(
+      "replay",
+      { analyticsClient: null, searchConsoleClient: null, fetchSitemap: () => assert.fail("fetched over HTTP") },
+      { dir }
+    );
+    assert.ok(analyticsClient.properties.runReport);
+    assert.ok(searchConsoleClient.urlInspection.index.inspect);
+    assert.match(await fetchSitemap("https://example.com/sitemap.xml"), /<urlset/);
+  });
+
+  it("reads the mode from GOOGLE_FIXTURES", () => {
+    assert.equal(parseFixtureMode(""), null);
+    assert.equal(parseFixtureMode("replay"), "replay");
+    assert.throws(() => parseFixtureMode("replya"), /GOOGLE_FIXTURES must be replay or record/);
+  });
+});
@@ -3,6 +3,10 @@ import { readFileSync } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import axios from "axios";
+import { PAGE_HISTORY_START, resolveDateRange } from "./dateRange.js";
+import { isBrandedQuery } from "./sites.js";
+import { logger } from "./logger.js";
+import { currentReport, googleApiDuration, googleApiRequestsTotal } from "./metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -16,14 +20,11 @@ let searchConsoleClient = null;
  */
 export const initializeSearchConsole = () => {
   try {
-    const SITE_URL = process.env.SEARCH_CONSOLE_SITE_URL;
     const GA_SERVICE_ACCOUNT_BASE64 = process.env.GA_SERVICE_ACCOUNT_BASE64;
     const GA_KEY_FILE = process.env.GA_KEY_FILE_PATH;
 
-    if (!SITE_URL) {
-      console.warn(
-        "⚠️  SEARCH_CONSOLE_SITE_URL not set in environment variables"
-      );
+    if (!process.env.SITES && !process.env.SEARCH_CONSOLE_SITE_URL) {
+      logger.warn("Neither SITES nor SEARCH_CONSOLE_SITE_URL set in environment variables");
       return null;
     }
 
@@ -33,22 +34,18 @@ export const initializeSearchConsole = () => {
 
     if (GA_SERVICE_ACCOUNT_BASE64) {
       // Production: decode base64 environment variable
-      console.log(
-        "📦 Loading Search Console credentials from base64 environment variable"
-      );
+      logger.info("Loading Search Console credentials from base64 environment variable");
       const decoded = Buffer.from(GA_SERVICE_ACCOUNT_BASE64, "base64").toString(
         "utf8"
       );
       credentials = JSON.parse(decoded);
     } else if (GA_KEY_FILE) {
       // Local development: read from file
-      console.log("📁 Loading Search Console credentials from file");
+      logger.info("Loading Search Console credentials from file");
       const keyFilePath = join(__dirname, "..", GA_KEY_FILE);
       credentials = JSON.parse(readFileSync(keyFilePath, "utf8"));
     } else {
-      console.warn(
-        "⚠️  Neither GA_SERVICE_ACCOUNT_BASE64 nor GA_KEY_FILE_PATH set in environment variables"
-      );
+      logger.warn("Neither GA_SERVICE_ACCOUNT_BASE64 nor GA_KEY_FILE_PATH set in environment variables");
       return null;
     }
 
@@ -67,23 +64,101 @@ export const initializeSearchConsole = () => {
       auth,
     });
 
-    console.log("✅ Google Search Console API initialized successfully");
+    logger.info("Google Search Console API initialized successfully");
     return searchConsoleClient;
   } catch (error) {
-    console.error(
-      "❌ Error initializing Google Search Console:",
-      error.message
-    );
+    logger.error("Error initializing Google Search Console", { error: error.message });
     return null;
   }
 };
 
+/**
+ * Get the Search Console client (null until initialized)
+ */
+export const getSearchConsoleClient = () => searchConsoleClient;
+
+/**
+ * Use an already-built client instead of initializeSearchConsole (e.g. a stand-in in tests)
+ * @param {Object|null} client - Anything exposing searchanalytics.query and urlInspection.index.inspect
+ */
+export const setSearchConsoleClient = (client) => {
+  searchConsoleClient = client;
+};
+
+/**
+ * Download a sitemap over HTTP
+ * @param {string} url
+ * @returns {Promise<string>} The sitemap XML
+ */
+export const fetchSitemapXml = async (url) => (await axios.get(url)).data;
+
+let sitemapFetcher = fetchSitemapXml;
+
+/**
+ * Use another sitemap fetcher instead of HTTP (e.g. recorded fixtures, services/googleFixtures.js)
+ * @param {Function} fetcher - (url) => Promise<string> of the sitemap XML
+ */
+export const setSitemapFetcher = (fetcher) => {
+  sitemapFetcher = fetcher;
+};
+
+/**
+ * Search Console property of a site
+ * @param {Object} site
+ * @returns {string}
+ */
+const getSiteUrl = (site) => {
+  if (!site?.searchConsoleSiteUrl) {
+    throw new Error(`No Search Console property is configured for ${site?.name || "this site"}`);
+  }
+  return site.searchConsoleSiteUrl;
+};
+
+/**
+ * Run one Search Console API call, logging and timing it (see services/metrics.js)
+ * Lines carry the request ID of the request that made the call (see services/logger.js).
+ * @param {string} method - e.g. "searchanalytics.query"
+ * @param {Object} params - Request parameters; siteUrl is logged
+ * @param {Function} request - () => Promise<response>
+ */
+const callSearchConsole = async (method, params, request) => {
+  const startedAt = Date.now();
+  const fields = { method, siteUrl: params.siteUrl || params.requestBody?.siteUrl };
+  const labels = { api: "gsc", report: currentReport() };
+  const endTimer = googleApiDuration.startTimer(labels);
+  try {
+    const response = await request();
+    endTimer();
+    googleApiRequestsTotal.inc({ ...labels, outcome: "ok" });
+    logger.debug("Search Console call", { ...fields, durationMs: Date.now() - startedAt });
+    return response;
+  } catch (error) {
+    endTimer();
+    googleApiRequestsTotal.inc({ ...labels, outcome: "error" });
+    logger.warn("Search Console call failed", {
+      ...fields,
+      durationMs: Date.now() - startedAt,
+      status: error.response?.status || error.code,
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+const querySearchAnalytics = (params) =>
+  callSearchConsole("searchanalytics.query", params, () => searchConsoleClient.searchanalytics.query(params));
+
+const inspectUrl = (params) =>
+  callSearchConsole("urlInspection.index.inspect", params, () => searchConsoleClient.urlInspection.index.inspect(params));
+
 /**
  * Get search performance data (clicks, impressions, CTR, position)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getSearchPerformance = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
@@ -91,18 +166,16 @@ export const getSearchPerformance = async (
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
-    // Convert date format from "30daysAgo" to actual date
-    const endDateFormatted =
-      endDate === "today"
-        ? new Date().toISOString().split("T")[0]
-        : formatDate(endDate);
-
-    const startDateFormatted = formatDate(startDate);
+    // Search Console only takes YYYY-MM-DD; relative dates count from today in the site's time zone
+    const { startDate: startDateFormatted, endDate: endDateFormatted } = resolveDateRange(
+      { startDate, endDate },
+      { timeZone: site.timeZone }
+    );
 
-    const response = await searchConsoleClient.searchanalytics.query({
+    const response = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDateFormatted,
@@ -114,7 +187,7 @@ export const getSearchPerformance = async (
 
     const rows = response.data.rows || [];
     const totalClicksFromAPI = rows.reduce((sum, row) => sum + (row.clicks || 0), 0);
-    console.log(`[getSearchPerformance] Date: ${startDateFormatted} to ${endDateFormatted}, Rows returned: ${rows.length}, Total clicks from API: ${totalClicksFromAPI}`);
+    logger.debug("Fetched search performance", { startDate: startDateFormatted, endDate: endDateFormatted, rows: rows.length, totalClicks: totalClicksFromAPI });
 
     return {
       totalClicks: totalClicksFromAPI,
@@ -140,18 +213,20 @@ export const getSearchPerformance = async (
       })),
     };
   } catch (error) {
-    console.error("Error fetching search performance:", error);
+    logger.error("Error fetching search performance", { error });
     throw error;
   }
 };
 
 /**
  * Get top search queries
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {number} limit - Number of results to return
  */
 export const getTopQueries = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today",
   limit = 10
@@ -160,17 +235,16 @@ export const getTopQueries = async (
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
-    const endDateFormatted =
-      endDate === "today"
-        ? new Date().toISOString().split("T")[0]
-        : formatDate(endDate);
-
-    const startDateFormatted = formatDate(startDate);
+    // Search Console only takes YYYY-MM-DD; relative dates count from today in the site's time zone
+    const { startDate: startDateFormatted, endDate: endDateFormatted } = resolveDateRange(
+      { startDate, endDate },
+      { timeZone: site.timeZone }
+    );
 
-    const response = await searchConsoleClient.searchanalytics.query({
+    const response = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDateFormatted,
@@ -189,6 +263,7 @@ export const getTopQueries = async (
     return (
       response.data.rows?.map((row) => ({
         query: row.keys[0],
+        branded: isBrandedQuery(site, row.keys[0]),
         clicks: row.clicks || 0,
         impressions: row.impressions || 0,
         ctr: row.ctr || 0,
@@ -196,18 +271,20 @@ export const getTopQueries = async (
       })) || []
     );
   } catch (error) {
-    console.error("Error fetching top queries:", error);
+    logger.error("Error fetching top queries", { error });
     throw error;
   }
 };
 
 /**
  * Get top pages from search results
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {number} limit - Number of results to return
  */
 export const getTopPages = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today",
   limit = 10
@@ -216,17 +293,16 @@ export const getTopPages = async (
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
-    const endDateFormatted =
-      endDate === "today"
-        ? new Date().toISOString().split("T")[0]
-        : formatDate(endDate);
-
-    const startDateFormatted = formatDate(startDate);
+    // Search Console only takes YYYY-MM-DD; relative dates count from today in the site's time zone
+    const { startDate: startDateFormatted, endDate: endDateFormatted } = resolveDateRange(
+      { startDate, endDate },
+      { timeZone: site.timeZone }
+    );
 
-    const response = await searchConsoleClient.searchanalytics.query({
+    const response = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDateFormatted,
@@ -252,50 +328,51 @@ export const getTopPages = async (
       })) || []
     );
   } catch (error) {
-    console.error("Error fetching top pages:", error);
+    logger.error("Error fetching top pages", { error });
     throw error;
   }
 };
 
 /**
- * Fetch and parse sitemap XML
- * @param {string} sitemapUrl - URL of the sitemap
- * @returns {Array<string>} Array of URLs from sitemap
+ * Fetch and parse a site's sitemaps
+ * @param {Object} site - Site whose sitemapUrls to read
+ * @returns {Array<string>} Array of URLs from the sitemaps, without duplicates
  */
-const fetchSitemap = async (
-  sitemapUrl = "https://www.proteinbarnerd.com/sitemap.xml"
-) => {
+const fetchSitemap = async (site) => {
   try {
-    const response = await axios.get(sitemapUrl);
-    const xmlText = response.data;
-
-    // Parse XML to extract URLs
-    const urlMatches = xmlText.match(/<loc>(.*?)<\/loc>/g) || [];
-    const urls = urlMatches.map((match) => {
-      return match.replace(/<\/?loc>/g, "").trim();
-    });
+    const urls = new Set();
+    for (const sitemapUrl of site.sitemapUrls) {
+      const xmlText = await sitemapFetcher(sitemapUrl);
+
+      // Parse XML to extract URLs
+      const urlMatches = xmlText.match(/<loc>(.*?)<\/loc>/g) || [];
+      urlMatches.forEach((match) => {
+        urls.add(match.replace(/<\/?loc>/g, "").trim());
+      });
+    }
 
-    return urls;
+    return [...urls];
   } catch (error) {
-    console.error("Error fetching sitemap:", error);
+    logger.error("Error fetching sitemap", { error });
     throw error;
   }
 };
 
 /**
  * Get all pages with indexing status, comparing against sitemap
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {number} limit - Number of results to return
  */
-export const getPageIndexStatus = async (limit = 25000) => {
+export const getPageIndexStatus = async (site, limit = 25000) => {
   if (!searchConsoleClient) {
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
     // Fetch sitemap URLs
-    const sitemapUrls = await fetchSitemap();
+    const sitemapUrls = await fetchSitemap(site);
     const sitemapUrlSet = new Set(
       sitemapUrls.map((url) => {
         // Normalize URLs - remove protocol and www
@@ -307,16 +384,13 @@ export const getPageIndexStatus = async (limit = 25000) => {
     // Note: This only returns pages that have appeared in search results, not all indexed pages
     // Google Search Console API doesn't provide a direct way to get all indexed pages
     // The Coverage report in GSC UI shows all indexed pages, but this data isn't available via API
-    const endDate = new Date().toISOString().split("T")[0];
     // Use a long date range (2 years) to capture most historical data
-    const startDate = new Date(Date.now() - 730 * 24 * 60 * 60 * 1000)
-      .toISOString()
-      .split("T")[0];
+    const { startDate, endDate } = resolveDateRange({ startDate: PAGE_HISTORY_START }, { timeZone: site.timeZone });
 
     // Maximum limit is 25,000 rows per request
     const maxLimit = Math.min(limit, 25000);
     
-    const response = await searchConsoleClient.searchanalytics.query({
+    const response = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDate,
@@ -332,11 +406,11 @@ export const getPageIndexStatus = async (limit = 25000) => {
     try {
       const { getPageAvgDurations, getPageVisitorsAndBounceRate } =
         await import("./googleAnalytics.js");
-      avgDurationMap = (await getPageAvgDurations(startDate, endDate)) || {};
+      avgDurationMap = (await getPageAvgDurations(site, startDate, endDate)) || {};
       pageVisitorsMap =
-        (await getPageVisitorsAndBounceRate(startDate, endDate)) || {};
+        (await getPageVisitorsAndBounceRate(site, startDate, endDate)) || {};
     } catch (gaError) {
-      console.warn("Could not fetch page data from GA:", gaError.message);
+      logger.warn("Could not fetch page data from GA", { error: gaError.message });
       // Continue without GA data
     }
 
@@ -445,7 +519,7 @@ export const getPageIndexStatus = async (limit = 25000) => {
       },
     };
   } catch (error) {
-    console.error("Error fetching page index status:", error);
+    logger.error("Error fetching page index status", { error });
     throw error;
   }
 };
@@ -506,11 +580,13 @@ export const categorizePage = (url) => {
 
 /**
  * Get page rankings (queries we're showing up for)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {number} limit - Number of results to return
  */
 export const getPageRankings = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today",
   limit = 1000
@@ -519,18 +595,17 @@ export const getPageRankings = async (
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
-    const endDateFormatted =
-      endDate === "today"
-        ? new Date().toISOString().split("T")[0]
-        : formatDate(endDate);
-
-    const startDateFormatted = formatDate(startDate);
+    // Search Console only takes YYYY-MM-DD; relative dates count from today in the site's time zone
+    const { startDate: startDateFormatted, endDate: endDateFormatted } = resolveDateRange(
+      { startDate, endDate },
+      { timeZone: site.timeZone }
+    );
 
     // First, get total clicks without dimensions to verify the total
-    const totalResponse = await searchConsoleClient.searchanalytics.query({
+    const totalResponse = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDateFormatted,
@@ -539,9 +614,8 @@ export const getPageRankings = async (
       },
     });
     const totalClicksNoDimensions = totalResponse.data.rows?.[0]?.clicks || 0;
-    console.log(`[getPageRankings] Total clicks (no dimensions): ${totalClicksNoDimensions}`);
-
-    const response = await searchConsoleClient.searchanalytics.query({
+    
+    const response = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDateFormatted,
@@ -559,7 +633,7 @@ export const getPageRankings = async (
 
     const rows = response.data.rows || [];
     const totalClicksFromAPI = rows.reduce((sum, row) => sum + (row.clicks || 0), 0);
-    console.log(`[getPageRankings] Date: ${startDateFormatted} to ${endDateFormatted}, Rows returned: ${rows.length}, Total clicks from API (with dimensions): ${totalClicksFromAPI}, Total clicks (no dimensions): ${totalClicksNoDimensions}`);
+    logger.debug("Fetched page rankings", { startDate: startDateFormatted, endDate: endDateFormatted, rows: rows.length, totalClicks: totalClicksFromAPI, totalClicksNoDimensions });
 
     return (
       rows.map((row) => ({
@@ -572,7 +646,7 @@ export const getPageRankings = async (
       }))
     );
   } catch (error) {
-    console.error("Error fetching page rankings:", error);
+    logger.error("Error fetching page rankings", { error });
     throw error;
   }
 };
@@ -581,14 +655,15 @@ export const getPageRankings = async (
  * Get links data from Search Console
  * Note: The Search Console API doesn't directly expose the Links report,
  * but we can try to get link data through other means or use GA4 referrer data
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {number} limit - Number of results to return
  */
-export const getLinksData = async (limit = 100) => {
+export const getLinksData = async (site, limit = 100) => {
   if (!searchConsoleClient) {
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
     // Note: The Search Console API v1 doesn't have a direct "links" endpoint
@@ -608,18 +683,20 @@ export const getLinksData = async (limit = 100) => {
       apiAvailable: false,
     };
   } catch (error) {
-    console.error("Error fetching links data:", error);
+    logger.error("Error fetching links data", { error });
     throw error;
   }
 };
 
 /**
  * Get top countries from search traffic
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {number} limit - Number of results to return
  */
 export const getTopCountries = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today",
   limit = 10
@@ -628,17 +705,16 @@ export const getTopCountries = async (
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
-    const endDateFormatted =
-      endDate === "today"
-        ? new Date().toISOString().split("T")[0]
-        : formatDate(endDate);
-
-    const startDateFormatted = formatDate(startDate);
+    // Search Console only takes YYYY-MM-DD; relative dates count from today in the site's time zone
+    const { startDate: startDateFormatted, endDate: endDateFormatted } = resolveDateRange(
+      { startDate, endDate },
+      { timeZone: site.timeZone }
+    );
 
-    const response = await searchConsoleClient.searchanalytics.query({
+    const response = await querySearchAnalytics({
       siteUrl: siteUrl,
       requestBody: {
         startDate: startDateFormatted,
@@ -664,35 +740,11 @@ export const getTopCountries = async (
       })) || []
     );
   } catch (error) {
-    console.error("Error fetching top countries:", error);
+    logger.error("Error fetching top countries", { error });
     throw error;
   }
 };
 
-/**
- * Helper function to convert date format
- * Converts "30daysAgo" to actual date string
- */
-function formatDate(dateStr) {
-  if (dateStr === "today") {
-    return new Date().toISOString().split("T")[0];
-  }
-
-  if (dateStr.endsWith("daysAgo")) {
-    const days = parseInt(dateStr.replace("daysAgo", ""));
-    const date = new Date();
-    date.setDate(date.getDate() - days);
-    return date.toISOString().split("T")[0];
-  }
-
-  // If it's already in YYYY-MM-DD format, return as is
-  if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-    return dateStr;
-  }
-
-  return dateStr;
-}
-
 /**
  * Fetch page title from HTML
  * @param {string} url - URL to fetch
@@ -720,35 +772,28 @@ const fetchPageTitle = async (url) => {
 
 /**
  * Check if a single URL is indexed using Google Search Console URL Inspection API
+ * @param {Object} site - Site whose Search Console property the URL belongs to
  * @param {string} url - URL to check
- * @param {Object} supabaseClient - Supabase client instance (not used but kept for consistency)
  * @returns {Promise<Object>} Object with url, title, and google_index_status
  */
-export const checkUrlIndexStatus = async (url, supabaseClient) => {
+export const checkUrlIndexStatus = async (site, url) => {
   if (!searchConsoleClient) {
     throw new Error("Search Console client not initialized");
   }
 
-  const siteUrl = process.env.SEARCH_CONSOLE_SITE_URL;
+  const siteUrl = getSiteUrl(site);
 
   try {
     // Use URL Inspection API
     // POST https://searchconsole.googleapis.com/v1/urlInspection/index:inspect
     // The method in googleapis is urlInspection.index.inspect
-    let response;
-    try {
-      response = await searchConsoleClient.urlInspection.index.inspect({
-        requestBody: {
-          inspectionUrl: url,
-          siteUrl: siteUrl,
-          languageCode: "en-US",
-        },
-      });
-    } catch (apiError) {
-      console.error(`URL Inspection API error for ${url}:`, apiError.message);
-      console.error("API Error details:", apiError);
-      throw apiError;
-    }
+    const response = await inspectUrl({
+      requestBody: {
+        inspectionUrl: url,
+        siteUrl: siteUrl,
+        languageCode: "en-US",
+      },
+    });
 
     // Response structure per documentation:
     // { inspectionResult: { indexStatusResult: { indexingState, verdict, ... } } }
@@ -787,9 +832,9 @@ export const checkUrlIndexStatus = async (url, supabaseClient) => {
       }
 
       // Log for debugging
-      console.log(`[URL Inspection] ${url}: verdict=${indexResult.verdict || 'N/A'}, indexingState=${indexResult.indexingState || 'N/A'}, final=${indexStatus}`);
+      logger.debug("Inspected URL", { url, verdict: indexResult.verdict, indexingState: indexResult.indexingState, indexStatus });
     } else {
-      console.warn(`[URL Inspection] No indexStatusResult in response for ${url}. Response keys:`, Object.keys(response.data || {}));
+      logger.warn("No indexStatusResult in URL Inspection response", { url, responseKeys: Object.keys(response.data || {}) });
     }
 
     // Fetch title from the page HTML
@@ -801,7 +846,7 @@ export const checkUrlIndexStatus = async (url, supabaseClient) => {
       google_index_status: indexStatus,
     };
   } catch (error) {
-    console.error(`Error checking URL ${url}:`, error.message);
+    logger.error("Error checking URL", { url, error: error.message });
     // Try to fetch title even on error
     const title = await fetchPageTitle(url);
     // Return not_indexed on error
@@ -814,15 +859,19 @@ export const checkUrlIndexStatus = async (url, supabaseClient) => {
 };
 
 /**
- * Sync all sitemap URLs to Supabase with their index status
+ * Sync all of a site's sitemap URLs to Supabase with their index status
  * @param {Object} supabaseClient - Supabase client instance
- * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {Object} site - Site to sync (services/sites.js); rows are stored under its id
+ * @param {Function} progressCallback - Optional callback for progress updates, awaited once the
+ *   URL list is known and after every batch
  * @param {Object} options - Optional configuration
  * @param {boolean} options.onlyNotIndexed - If true, only recheck pages with google_index_status = "not_indexed"
+ * @param {AbortSignal} [options.signal] - Stops the sync before the next batch; the result then has cancelled: true
  * @returns {Promise<Object>} Sync results
  */
 export const syncSitemapUrlsToSupabase = async (
   supabaseClient,
+  site,
   progressCallback = null,
   options = {}
 ) => {
@@ -830,17 +879,18 @@ export const syncSitemapUrlsToSupabase = async (
     throw new Error("Search Console client not initialized");
   }
 
-  const { onlyNotIndexed = true } = options; // Default to only checking not_indexed pages
+  const { onlyNotIndexed = true, signal = null } = options; // Default to only checking not_indexed pages
 
   try {
     let urlsToCheck = [];
 
     if (onlyNotIndexed) {
       // Fetch only URLs that are marked as "not_indexed" from Supabase
-      console.log("Fetching not_indexed pages from Supabase...");
+      logger.info("Fetching not_indexed pages from Supabase...");
       const { data: notIndexedPages, error: fetchError } = await supabaseClient
         .from("google_index_pages")
         .select("url")
+        .eq("site_id", site.id)
         .eq("google_index_status", "not_indexed");
 
       if (fetchError) {
@@ -848,16 +898,16 @@ export const syncSitemapUrlsToSupabase = async (
       }
 
       urlsToCheck = (notIndexedPages || []).map((page) => page.url);
-      console.log(`Found ${urlsToCheck.length} not_indexed pages to recheck`);
+      logger.info("Found not_indexed pages to recheck", { urls: urlsToCheck.length });
     } else {
       // Fetch all sitemap URLs (original behavior)
-      const sitemapUrls = await fetchSitemap();
+      const sitemapUrls = await fetchSitemap(site);
       urlsToCheck = sitemapUrls;
-      console.log(`Found ${urlsToCheck.length} URLs in sitemap`);
+      logger.info("Found URLs in sitemap", { urls: urlsToCheck.length });
     }
 
     if (urlsToCheck.length === 0) {
-      console.log("No URLs to check");
+      logger.info("No URLs to check");
       return {
         success: true,
         total: 0,
@@ -865,6 +915,7 @@ export const syncSitemapUrlsToSupabase = async (
         indexed: 0,
         notIndexed: 0,
         errors: 0,
+        cancelled: false,
       };
     }
 
@@ -872,6 +923,11 @@ export const syncSitemapUrlsToSupabase = async (
     let indexed = 0;
     let notIndexed = 0;
     let errors = 0;
+    let cancelled = false;
+
+    if (progressCallback) {
+      await progressCallback({ processed, total: urlsToCheck.length, indexed, notIndexed, errors });
+    }
 
     // Process URLs in batches to respect rate limits
     // Rate limit: 600 queries per minute = 10 per second
@@ -880,29 +936,35 @@ export const syncSitemapUrlsToSupabase = async (
     const delayBetweenBatches = 1000; // 1 second
 
     for (let i = 0; i < urlsToCheck.length; i += batchSize) {
+      if (signal?.aborted) {
+        cancelled = true;
+        break;
+      }
+
       const batch = urlsToCheck.slice(i, i + batchSize);
       const batchPromises = batch.map(async (url) => {
         try {
-          const result = await checkUrlIndexStatus(url, supabaseClient);
+          const result = await checkUrlIndexStatus(site, url);
 
           // Upsert to Supabase
           const { error: upsertError } = await supabaseClient
             .from("google_index_pages")
             .upsert(
               {
+                site_id: site.id,
                 url: result.url,
                 title: result.title,
                 google_index_status: result.google_index_status,
                 created_at: new Date().toISOString(),
               },
               {
-                onConflict: "url",
+                onConflict: "site_id,url",
                 ignoreDuplicates: false,
               }
             );
 
           if (upsertError) {
-            console.error(`Error upserting ${url}:`, upsertError);
+            logger.error("Error upserting page index status", { url, error: upsertError });
             errors++;
           } else {
             if (result.google_index_status === "indexed") {
@@ -915,7 +977,7 @@ export const syncSitemapUrlsToSupabase = async (
 
           return result;
         } catch (error) {
-          console.error(`Error processing ${url}:`, error.message);
+          logger.error("Error processing URL", { url, error: error.message });
           errors++;
           return null;
         }
@@ -925,7 +987,7 @@ export const syncSitemapUrlsToSupabase = async (
 
       // Report progress
       if (progressCallback) {
-        progressCallback({
+        await progressCallback({
           processed,
           total: urlsToCheck.length,
           indexed,
@@ -934,8 +996,8 @@ export const syncSitemapUrlsToSupabase = async (
         });
       }
 
-      // Delay between batches (except for the last batch)
-      if (i + batchSize < urlsToCheck.length) {
+      // Delay between batches (except for the last batch, or when cancelled)
+      if (i + batchSize < urlsToCheck.length && !signal?.aborted) {
         await new Promise((resolve) => setTimeout(resolve, delayBetweenBatches));
       }
     }
@@ -947,15 +1009,20 @@ export const syncSitemapUrlsToSupabase = async (
       indexed,
       notIndexed,
       errors,
+      cancelled,
     };
   } catch (error) {
-    console.error("Error syncing sitemap URLs to Supabase:", error);
+    logger.error("Error syncing sitemap URLs to Supabase", { error });
     throw error;
   }
 };
 
 export default {
   initializeSearchConsole,
+  setSearchConsoleClient,
+  getSearchConsoleClient,
+  fetchSitemapXml,
+  setSitemapFetcher,
   getSearchPerformance,
   getTopQueries,
   getTopPages,
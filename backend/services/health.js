@@ -0,0 +1,163 @@
+/**
+ * Readiness of the backend and the services it depends on, for GET /api/health/ready
+ *
+ * Each check calls its dependency (a one-row Supabase select, a MongoDB ping, the GA
+ * metadata and Search Console site of the default site) and reports its latency. Rollup:
+ * - healthy: every dependency answered
+ * - degraded: MongoDB, GA or Search Console is down; the pages using it fail, the rest work
+ * - unhealthy: Supabase is down (no sign-in or sessions), or the process is shutting down
+ * Results are kept for `cacheMs`, so frequent probes do not each reach Google. The probe is
+ * public, so why a check failed is logged here and left out of the result.
+ */
+import { getAnalyticsClient } from "./googleAnalytics.js";
+import { getSearchConsoleClient } from "./googleSearchConsole.js";
+import { CIRCUIT_STATES, getGaGuard } from "./gaGuard.js";
+import { logger } from "./logger.js";
+
+export const READINESS = { HEALTHY: "healthy", DEGRADED: "degraded", UNHEALTHY: "unhealthy" };
+
+export const DEPENDENCY_STATUS = { UP: "up", DOWN: "down" };
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_MS = 10 * 1000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * The dependency checks of the app
+ * A check resolves when the dependency answers and throws with the reason otherwise.
+ * @param {Object} deps
+ * @param {Object} deps.supabase
+ * @param {Function} deps.getDb - Returns the MongoDB database, null until connected
+ * @param {Object} deps.sites - Site registry (services/sites.js); its default site is checked
+ * @returns {Array<{ name: string, critical: boolean, check: Function }>}
+ */
+export const createDependencyChecks = ({ supabase, getDb, sites }) => [
+  {
+    name: "supabase",
+    critical: true,
+    check: async () => {
+      if (!supabase) throw new Error("Supabase is not configured");
+      const { error } = await supabase.from("admin_users").select("id").limit(1);
+      if (error) throw new Error(error.message);
+    },
+  },
+  {
+    name: "mongodb",
+    critical: false,
+    check: async () => {
+      const db = getDb();
+      if (!db) throw new Error("Database not connected");
+      await db.command({ ping: 1 });
+    },
+  },
+  {
+    name: "googleAnalytics",
+    critical: false,
+    check: async () => {
+      const client = getAnalyticsClient();
+      if (!client) throw new Error("Google Analytics client not initialized");
+      const property = `properties/${sites.defaultSite.gaPropertyId}`;
+      const { circuit } = getGaGuard().getStatus(property);
+      if (circuit.state === CIRCUIT_STATES.OPEN) {
+        throw new Error(`GA calls are held until ${circuit.retryAt}: ${circuit.lastError}`);
+      }
+      await client.properties.getMetadata({ name: `${property}/metadata` });
+    },
+  },
+  {
+    name: "searchConsole",
+    critical: false,
+    check: async () => {
+      const client = getSearchConsoleClient();
+      if (!client) throw new Error("Search Console client not initialized");
+      await client.sites.get({ siteUrl: sites.defaultSite.searchConsoleSiteUrl });
+    },
+  },
+];
+
+/**
+ * @param {Object} options
+ * @param {Array<{ name: string, critical: boolean, check: Function }>} options.checks
+ * @param {number} [options.timeoutMs] - How long each check may take
+ * @param {number} [options.cacheMs] - How long a result is reused
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ * @param {Object} [options.log] - Defaults to the shared logger
+ * @returns {{ check: Function, startDraining: Function, draining: boolean }}
+ */
+export const createReadinessCheck = ({
+  checks,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  cacheMs = DEFAULT_CACHE_MS,
+  now = Date.now,
+  log = logger,
+}) => {
+  let draining = false;
+  let cached = null;
+  let inflight = null;
+
+  const runChecks = async () => {
+    const results = await Promise.all(
+      checks.map(async ({ name, critical, check }) => {
+        const startedAt = now();
+        try {
+          await withTimeout(Promise.resolve().then(check), timeoutMs);
+          return [name, { status: DEPENDENCY_STATUS.UP, critical, latencyMs: now() - startedAt }];
+        } catch (error) {
+          log.warn("Readiness check failed", { dependency: name, error: error.message });
+          return [name, { status: DEPENDENCY_STATUS.DOWN, critical, latencyMs: now() - startedAt }];
+        }
+      })
+    );
+    return { dependencies: Object.fromEntries(results), checkedAt: now() };
+  };
+
+  return {
+    /**
+     * Check every dependency (or reuse a result younger than cacheMs)
+     * @returns {Promise<{ status: string, draining: boolean, checkedAt: string, dependencies: Object }>}
+     */
+    async check() {
+      if (!cached || now() - cached.checkedAt >= cacheMs) {
+        if (!inflight) {
+          inflight = runChecks().finally(() => {
+            inflight = null;
+          });
+        }
+        cached = await inflight;
+      }
+
+      const down = Object.values(cached.dependencies).filter(({ status }) => status === DEPENDENCY_STATUS.DOWN);
+      let status = READINESS.HEALTHY;
+      if (draining || down.some(({ critical }) => critical)) status = READINESS.UNHEALTHY;
+      else if (down.length > 0) status = READINESS.DEGRADED;
+
+      return {
+        status,
+        draining,
+        checkedAt: new Date(cached.checkedAt).toISOString(),
+        dependencies: cached.dependencies,
+      };
+    },
+
+    // Report unhealthy from now on, so load balancers stop sending requests (server.js, on SIGTERM)
+    startDraining() {
+      draining = true;
+    },
+
+    get draining() {
+      return draining;
+    },
+  };
+};
+
+export default {
+  createDependencyChecks,
+  createReadinessCheck,
+};
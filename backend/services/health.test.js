@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createReadinessCheck } from "./health.js";
+import { createLogger } from "./logger.js";
+
+const setup = (results) => {
+  const clock = { time: Date.UTC(2024, 4, 1, 10, 0) };
+  const calls = [];
+  const checks = Object.entries(results).map(([name, { critical = false }]) => ({
+    name,
+    critical,
+    check: async () => {
+      calls.push(name);
+      const { outcome } = results[name];
+      if (outcome === "hang") return new Promise(() => {});
+      if (outcome !== "up") throw new Error(outcome);
+    },
+  }));
+  const logged = [];
+  const log = createLogger({ level: "warn", write: (line) => logged.push(JSON.parse(line)) });
+  const readiness = createReadinessCheck({ checks, timeoutMs: 20, cacheMs: 5000, now: () => clock.time, log });
+  return { clock, calls, logged, readiness };
+};
+
+describe("readiness", () => {
+  it("rolls dependencies up to healthy, degraded or unhealthy", async () => {
+    const results = { supabase: { critical: true, outcome: "up" }, mongodb: { outcome: "up" } };
+    const { clock, readiness } = setup(results);
+
+    assert.equal((await readiness.check()).status, "healthy");
+
+    results.mongodb.outcome = "connection refused";
+    clock.time += 5000;
+    const degraded = await readiness.check();
+    assert.equal(degraded.status, "degraded");
+    assert.deepEqual(degraded.dependencies.mongodb, {
+      status: "down",
+      critical: false,
+      latencyMs: 0,
+    });
+
+    results.supabase.outcome = "fetch failed";
+    clock.time += 5000;
+    assert.equal((await readiness.check()).status, "unhealthy");
+
+    results.supabase.outcome = "up";
+    results.mongodb.outcome = "up";
+    clock.time += 5000;
+    readiness.startDraining();
+    const draining = await readiness.check();
+    assert.equal(draining.status, "unhealthy");
+    assert.equal(draining.draining, true);
+  });
+
+  it("times out slow checks and reuses results for cacheMs", async () => {
+    const { clock, calls, logged, readiness } = setup({ googleAnalytics: { outcome: "hang" } });
+
+    const [first, second] = await Promise.all([readiness.check(), readiness.check()]);
+    assert.equal(first.dependencies.googleAnalytics.status, "down");
+    assert.deepEqual(
+      logged.map(({ msg, dependency, error }) => [msg, dependency, error]),
+      [["Readiness check failed", "googleAnalytics", "No answer within 20ms"]]
+    );
+    assert.deepEqual(second, first);
+    assert.equal(calls.length, 1);
+
+    clock.time += 4999;
+    await readiness.check();
+    assert.equal(calls.length, 1);
+
+    clock.time += 1;
+    await readiness.check();
+    assert.equal(calls.length, 2);
+  });
+});
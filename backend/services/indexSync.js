@@ -0,0 +1,249 @@
+import { syncSitemapUrlsToSupabase } from "./googleSearchConsole.js";
+import { logger } from "./logger.js";
+
+/**
+ * Tracked index-status syncs, stored in the index_sync_jobs table (see README)
+ *
+ * Only one sync runs at a time per site: starting checks for a running job, and the
+ * table's partial unique index rejects a second running row from another instance. Progress is
+ * written after every batch; that write doubles as a heartbeat and reads back the
+ * cancel flag, so a cancel reaches the sync whichever instance runs it.
+ */
+
+export const INDEX_SYNC_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const INDEX_SYNC_MODES = {
+  NOT_INDEXED: "not_indexed", // recheck pages Google has not indexed yet
+  FULL: "full", // every URL in the sitemap
+};
+
+const INDEX_SYNC_COLUMNS =
+  "id, site_id, mode, status, total, processed, indexed, not_indexed, errors, started_by, started_at, updated_at, finished_at, cancel_requested_at, error";
+
+// Progress is written every batch (about a second); a running job silent for this long
+// belonged to an instance that stopped mid-sync
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Postgres unique_violation: another instance inserted its running job first
+const UNIQUE_VIOLATION = "23505";
+
+// Abort controllers of the syncs running in this process, by job id
+const activeSyncs = new Map();
+
+// Errors carrying an HTTP status for the route handler
+const syncError = (message, status, job = null) => Object.assign(new Error(message), { status, job });
+
+const progressColumns = ({ total, processed, indexed, notIndexed, errors }) => ({
+  total,
+  processed,
+  indexed,
+  not_indexed: notIndexed,
+  errors,
+});
+
+/**
+ * Get one sync job
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export const getIndexSyncJob = async (supabaseClient, id) => {
+  const { data, error } = await supabaseClient
+    .from("index_sync_jobs")
+    .select(INDEX_SYNC_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Most recently started sync job of a site, running or not
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} siteId
+ * @returns {Promise<Object|null>}
+ */
+export const getLatestIndexSync = async (supabaseClient, siteId) => {
+  const { data, error } = await supabaseClient
+    .from("index_sync_jobs")
+    .select(INDEX_SYNC_COLUMNS)
+    .eq("site_id", siteId)
+    .order("started_at", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+const finishSync = async (supabaseClient, id, columns) => {
+  const { data, error } = await supabaseClient
+    .from("index_sync_jobs")
+    .update({ ...columns, finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(INDEX_SYNC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * The site's running sync, if any. A running job that stopped reporting progress is
+ * marked failed so it no longer holds the lock.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} siteId
+ * @returns {Promise<Object|null>}
+ */
+export const getRunningIndexSync = async (supabaseClient, siteId) => {
+  const { data, error } = await supabaseClient
+    .from("index_sync_jobs")
+    .select(INDEX_SYNC_COLUMNS)
+    .eq("site_id", siteId)
+    .eq("status", INDEX_SYNC_STATUS.RUNNING)
+    .order("started_at", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  const job = data?.[0];
+  if (!job) return null;
+
+  const silentFor = Date.now() - new Date(job.updated_at).getTime();
+  if (!activeSyncs.has(job.id) && silentFor > STALE_AFTER_MS) {
+    await finishSync(supabaseClient, job.id, {
+      status: INDEX_SYNC_STATUS.FAILED,
+      error: "Interrupted: the server stopped during the sync",
+    });
+    return null;
+  }
+  return job;
+};
+
+/**
+ * Start a sync of one site in the background
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} site - Site to sync (services/sites.js)
+ * @param {Object} [options]
+ * @param {string} [options.mode] - One of INDEX_SYNC_MODES
+ * @param {string|null} [options.startedBy] - Email, key name or "scheduler"
+ * @returns {Promise<{ job: Object, done: Promise<Object> }>} job is the row as started;
+ *   done resolves with the finished row and never rejects
+ * @throws {Error} status 409 (with error.job) when a sync of the site is already running
+ */
+export const startIndexSync = async (
+  supabaseClient,
+  site,
+  { mode = INDEX_SYNC_MODES.NOT_INDEXED, startedBy = null } = {}
+) => {
+  const running = await getRunningIndexSync(supabaseClient, site.id);
+  if (running) throw syncError("An index sync is already running", 409, running);
+
+  const startedAt = new Date().toISOString();
+  const { data: job, error } = await supabaseClient
+    .from("index_sync_jobs")
+    .insert([
+      {
+        site_id: site.id,
+        mode,
+        status: INDEX_SYNC_STATUS.RUNNING,
+        ...progressColumns({ total: null, processed: 0, indexed: 0, notIndexed: 0, errors: 0 }),
+        started_by: startedBy,
+        started_at: startedAt,
+        updated_at: startedAt,
+      },
+    ])
+    .select(INDEX_SYNC_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw syncError("An index sync is already running", 409, await getRunningIndexSync(supabaseClient, site.id));
+    }
+    throw error;
+  }
+
+  const controller = new AbortController();
+  activeSyncs.set(job.id, controller);
+
+  const reportProgress = async (progress) => {
+    const { data, error: progressError } = await supabaseClient
+      .from("index_sync_jobs")
+      .update({ ...progressColumns(progress), updated_at: new Date().toISOString() })
+      .eq("id", job.id)
+      .select("cancel_requested_at")
+      .single();
+
+    if (progressError) {
+      logger.error("Could not save index sync progress", { syncId: job.id, error: progressError.message });
+    } else if (data?.cancel_requested_at) {
+      controller.abort();
+    }
+  };
+
+  const done = (async () => {
+    try {
+      const result = await syncSitemapUrlsToSupabase(supabaseClient, site, reportProgress, {
+        onlyNotIndexed: mode === INDEX_SYNC_MODES.NOT_INDEXED,
+        signal: controller.signal,
+      });
+      return await finishSync(supabaseClient, job.id, {
+        ...progressColumns(result),
+        status: result.cancelled ? INDEX_SYNC_STATUS.CANCELLED : INDEX_SYNC_STATUS.COMPLETED,
+      });
+    } catch (syncFailure) {
+      logger.error("Index sync failed", { syncId: job.id, error: syncFailure });
+      return finishSync(supabaseClient, job.id, {
+        status: INDEX_SYNC_STATUS.FAILED,
+        error: syncFailure.message,
+      }).catch((finishError) => {
+        logger.error("Could not record index sync failure", { syncId: job.id, error: finishError.message });
+        return { ...job, status: INDEX_SYNC_STATUS.FAILED, error: syncFailure.message };
+      });
+    } finally {
+      activeSyncs.delete(job.id);
+    }
+  })();
+
+  return { job, done };
+};
+
+/**
+ * Ask a running sync to stop after its current batch
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} id
+ * @returns {Promise<Object|null>} Updated job, or null if there is no such job
+ * @throws {Error} status 409 when the job has already finished
+ */
+export const cancelIndexSync = async (supabaseClient, id) => {
+  const existing = await getIndexSyncJob(supabaseClient, id);
+  if (!existing) return null;
+  if (existing.status !== INDEX_SYNC_STATUS.RUNNING) {
+    throw syncError(`This sync has already ${existing.status === INDEX_SYNC_STATUS.CANCELLED ? "been cancelled" : "finished"}`, 409, existing);
+  }
+
+  const { data, error } = await supabaseClient
+    .from("index_sync_jobs")
+    .update({ cancel_requested_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(INDEX_SYNC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  // Same process: stop right away instead of at the next progress write
+  activeSyncs.get(id)?.abort();
+  return data;
+};
+
+export default {
+  startIndexSync,
+  cancelIndexSync,
+  getIndexSyncJob,
+  getLatestIndexSync,
+  getRunningIndexSync,
+};
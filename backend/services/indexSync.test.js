@@ -0,0 +1,101 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import { setSearchConsoleClient } from "./googleSearchConsole.js";
+import { cancelIndexSync, getIndexSyncJob, startIndexSync } from "./indexSync.js";
+
+const SITE = { id: "example", name: "Example", searchConsoleSiteUrl: "sc-domain:example.com", sitemapUrls: [] };
+const SISTER_SITE = { ...SITE, id: "sister", searchConsoleSiteUrl: "sc-domain:sister.example" };
+
+// Nothing listens on port 1, so the page-title fetch fails at once and falls back to the URL
+const pageUrl = (n) => `http://127.0.0.1:1/page-${n}`;
+
+const notIndexedPages = (count) =>
+  Array.from({ length: count }, (_, n) => ({ site_id: SITE.id, url: pageUrl(n), google_index_status: "not_indexed" }));
+
+// URL Inspection stand-in: page-0 is indexed; every call waits for the gate when one is set
+const createInspector = () => {
+  const inspector = { gate: null };
+  setSearchConsoleClient({
+    urlInspection: {
+      index: {
+        inspect: async ({ requestBody }) => {
+          if (inspector.gate) await inspector.gate;
+          const verdict = requestBody.inspectionUrl === pageUrl(0) ? "PASS" : "FAIL";
+          return { data: { inspectionResult: { indexStatusResult: { verdict } } } };
+        },
+      },
+    },
+  });
+  return inspector;
+};
+
+describe("index sync jobs", () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = createInspector();
+  });
+
+  it("records progress and the final counts", async () => {
+    const supabase = createFakeSupabase({ google_index_pages: notIndexedPages(3), index_sync_jobs: [] });
+
+    const { job, done } = await startIndexSync(supabase, SITE, { startedBy: "admin@example.com" });
+    assert.equal(job.status, "running");
+    assert.equal(job.mode, "not_indexed");
+    assert.equal(job.site_id, "example");
+
+    const finished = await done;
+    assert.equal(finished.status, "completed");
+    assert.deepEqual(
+      [finished.total, finished.processed, finished.indexed, finished.not_indexed, finished.errors],
+      [3, 3, 1, 2, 0]
+    );
+    assert.ok(finished.finished_at);
+    assert.equal(supabase.tables.google_index_pages.find((page) => page.url === pageUrl(0)).google_index_status, "indexed");
+  });
+
+  it("allows one sync per site at a time and stops a cancelled one after its batch", async () => {
+    const supabase = createFakeSupabase({ google_index_pages: notIndexedPages(7), index_sync_jobs: [] });
+    let release;
+    inspector.gate = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    const { job, done } = await startIndexSync(supabase, SITE);
+    await assert.rejects(startIndexSync(supabase, SITE, { mode: "full" }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.job.id, job.id);
+      return true;
+    });
+
+    // Another site's pages are not touched, and it can sync alongside
+    const sister = await startIndexSync(supabase, SISTER_SITE);
+    assert.equal((await sister.done).total, 0);
+
+    const cancelling = await cancelIndexSync(supabase, job.id);
+    assert.ok(cancelling.cancel_requested_at);
+    release();
+
+    const finished = await done;
+    assert.equal(finished.status, "cancelled");
+    assert.equal(finished.processed, 5); // the first batch of 5, not all 7
+    await assert.rejects(cancelIndexSync(supabase, job.id), (error) => error.status === 409);
+    assert.equal(await cancelIndexSync(supabase, "00000000-0000-0000-0000-000000000000"), null);
+  });
+
+  it("releases the lock held by a sync whose instance stopped", async () => {
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const supabase = createFakeSupabase({
+      google_index_pages: [],
+      index_sync_jobs: [{ id: "dead", site_id: SITE.id, mode: "full", status: "running", started_at: longAgo, updated_at: longAgo }],
+    });
+
+    const { done } = await startIndexSync(supabase, SITE);
+    assert.equal((await done).status, "completed");
+
+    const dead = await getIndexSyncJob(supabase, "dead");
+    assert.equal(dead.status, "failed");
+    assert.match(dead.error, /Interrupted/);
+  });
+});
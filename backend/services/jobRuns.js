@@ -0,0 +1,129 @@
+/**
+ * Run history for scheduled jobs, stored in the job_runs table (see README)
+ */
+
+export const JOB_RUN_STATUS = {
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+const JOB_RUN_COLUMNS =
+  "id, job_name, trigger, triggered_by, status, started_at, finished_at, duration_ms, error, result";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Long error messages (stack-like API payloads) are cut to keep the table readable
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Record the start of a run
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} run
+ * @param {string} run.jobName
+ * @param {string} run.trigger - "schedule" or "manual"
+ * @param {string|null} [run.triggeredBy] - Email or key name of whoever started a manual run
+ * @param {Date} [run.startedAt]
+ * @returns {Promise<Object>} Inserted row
+ */
+export const startJobRun = async (
+  supabaseClient,
+  { jobName, trigger, triggeredBy = null, startedAt = new Date() }
+) => {
+  const { data, error } = await supabaseClient
+    .from("job_runs")
+    .insert([
+      {
+        job_name: jobName,
+        trigger,
+        triggered_by: triggeredBy,
+        status: JOB_RUN_STATUS.RUNNING,
+        started_at: startedAt.toISOString(),
+      },
+    ])
+    .select(JOB_RUN_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Record how a run ended
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} id - Run id from startJobRun
+ * @param {Object} outcome
+ * @param {string} outcome.status - JOB_RUN_STATUS.SUCCEEDED or FAILED
+ * @param {Date} outcome.startedAt
+ * @param {Date} [outcome.finishedAt]
+ * @param {string|null} [outcome.error]
+ * @param {*} [outcome.result] - Summary returned by the job
+ * @returns {Promise<Object>} Updated row
+ */
+export const finishJobRun = async (
+  supabaseClient,
+  id,
+  { status, startedAt, finishedAt = new Date(), error = null, result = null }
+) => {
+  const { data, error: updateError } = await supabaseClient
+    .from("job_runs")
+    .update({
+      status,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt.getTime() - startedAt.getTime(),
+      error: error ? String(error).slice(0, MAX_ERROR_LENGTH) : null,
+      result: result ?? null,
+    })
+    .eq("id", id)
+    .select(JOB_RUN_COLUMNS)
+    .single();
+
+  if (updateError) throw updateError;
+  return data;
+};
+
+/**
+ * List runs, newest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} [filters]
+ * @param {string} [filters.jobName]
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object[]>}
+ */
+export const listJobRuns = async (supabaseClient, { jobName, limit = DEFAULT_LIMIT } = {}) => {
+  let query = supabaseClient
+    .from("job_runs")
+    .select(JOB_RUN_COLUMNS)
+    .order("started_at", { ascending: false })
+    .limit(Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT));
+
+  if (jobName) query = query.eq("job_name", jobName);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Latest run of each job
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string[]} jobNames
+ * @returns {Promise<Object<string, Object|null>>} Run (or null) by job name
+ */
+export const getLatestJobRuns = async (supabaseClient, jobNames) => {
+  const latest = await Promise.all(
+    jobNames.map(async (jobName) => {
+      const [run] = await listJobRuns(supabaseClient, { jobName, limit: 1 });
+      return [jobName, run || null];
+    })
+  );
+  return Object.fromEntries(latest);
+};
+
+export default {
+  startJobRun,
+  finishJobRun,
+  listJobRuns,
+  getLatestJobRuns,
+};
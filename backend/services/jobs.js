@@ -0,0 +1,220 @@
+import axios from "axios";
+import { refreshAudienceCache } from "./audienceProfile.js";
+import { resolveDateRange } from "./dateRange.js";
+import {
+  getDailyTrafficByCountry,
+  getDailyTrafficByDuration,
+  getDailyTrafficByHour,
+  getDailyTrafficByLandingPage,
+  getDailyTrafficBySource,
+  getOverviewMetrics,
+  getTopPages,
+} from "./googleAnalytics.js";
+import { getSearchPerformance } from "./googleSearchConsole.js";
+import { INDEX_SYNC_MODES, INDEX_SYNC_STATUS, startIndexSync } from "./indexSync.js";
+import { logger } from "./logger.js";
+import { getSessionMetrics } from "./sessionMetrics.js";
+import { getDailyVisitorTrends, getVisitorsList } from "./visitorAnalytics.js";
+
+/**
+ * Jobs run by the in-process scheduler (services/scheduler.js)
+ *
+ * Each job has a name, a description, a default cron schedule (UTC, see services/cron.js)
+ * and run(context) returning a JSON summary for the run history. context holds
+ * { supabase, reportCache, sites }, sites being the registry from services/sites.js;
+ * every job covers each site in turn. Schedules can be overridden or switched off with
+ * JOB_SCHEDULES (see README).
+ */
+
+// A warmed report must stay fresh at least this long to be skipped; matches the warmer's schedule
+const WARM_AHEAD_MS = 10 * 60 * 1000;
+
+// Loads a report for the site over a resolved range ({ startDate, endDate }, YYYY-MM-DD)
+const over = (getReport, ...args) => (site, { startDate, endDate }) => getReport(site, startDate, endDate, ...args);
+
+// What the Visitors landing page requests on load, per site: [report, preset, other params, load].
+// Names and params must match the routes exactly (validated defaults included) or the warmed
+// entries are never read. Presets are resolved in the site's time zone on each run, as the
+// routes resolve them (middleware/dateRange.js).
+export const WARMED_REPORTS = [
+  ["analytics:sessions", "last30Days", {}, over(getSessionMetrics)],
+  ["analytics:sessions:today", "today", {}, over(getSessionMetrics)],
+  ["analytics:top-pages", "last30Days", { limit: 200 }, over(getTopPages, 200)],
+  ["analytics:daily-traffic-by-source", "last30Days", {}, over(getDailyTrafficBySource)],
+  ["analytics:daily-traffic-by-country", "last30Days", {}, over(getDailyTrafficByCountry)],
+  ["analytics:daily-traffic-by-landing-page", "last30Days", {}, over(getDailyTrafficByLandingPage)],
+  ["analytics:daily-traffic-by-hour", "last30Days", {}, over(getDailyTrafficByHour)],
+  ["analytics:daily-traffic-by-duration", "last30Days", {}, over(getDailyTrafficByDuration)],
+  ["visitors:list", "last30Days", { limit: 10000 }, over(getVisitorsList, 10000)],
+  ["visitors:daily-trends", "last30Days", {}, over(getDailyVisitorTrends)],
+  ["visitors:daily-trends", "last90Days", {}, over(getDailyVisitorTrends)],
+  ["search-console:performance", "last30Days", {}, over(getSearchPerformance)],
+];
+
+// The resolved days of a preset for the site, as the routes key the report cache
+const presetRange = (site, preset) => {
+  const { startDate, endDate } = resolveDateRange({ preset }, { timeZone: site.timeZone });
+  return { startDate, endDate };
+};
+
+/**
+ * Refresh the reports in WARMED_REPORTS that are missing or about to expire, for every site.
+ * One at a time, so a warm-up never bursts the GA quota.
+ * @param {Object} reportCache - From services/reportCache.js createReportCache
+ * @param {Object} sites - Site registry (services/sites.js)
+ * @returns {Promise<{ warmed: number, skipped: number }>}
+ */
+export const warmReportCache = async (reportCache, sites) => {
+  let warmed = 0;
+  let skipped = 0;
+  const failed = [];
+
+  for (const site of sites.all) {
+    for (const [report, preset, params, load] of WARMED_REPORTS) {
+      try {
+        const range = presetRange(site, preset);
+        // Keyed like middleware/reportCache.js keys the site's requests
+        const fetched = await reportCache.warm(report, { ...params, ...range, site: site.id }, () => load(site, range), {
+          aheadMs: WARM_AHEAD_MS,
+        });
+        if (fetched) warmed += 1;
+        else skipped += 1;
+      } catch (error) {
+        logger.error("Could not warm report", { report, site: site.id, error: error.message });
+        failed.push(`${site.id}/${report}`);
+      }
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Warmed ${warmed}, skipped ${skipped}, failed ${failed.length}: ${failed.join(", ")}`);
+  }
+  return { warmed, skipped };
+};
+
+const formatNumber = (value) => Math.round(value || 0).toLocaleString("en-US");
+
+/**
+ * Summarise one site's last 7 days
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} reportCache - Shared report cache, so the digest reuses warm reports
+ * @param {Object} site - Site to summarise (services/sites.js)
+ * @returns {Promise<string>} The site's digest lines
+ */
+const summariseSite = async (supabaseClient, reportCache, site) => {
+  const range = presetRange(site, "last7Days");
+  const params = { ...range, site: site.id };
+  const [traffic, search, notIndexed] = await Promise.all([
+    reportCache
+      .get("analytics:overview", params, () => getOverviewMetrics(site, range.startDate, range.endDate))
+      .then((result) => result.value),
+    reportCache
+      .get("search-console:performance", params, () => getSearchPerformance(site, range.startDate, range.endDate))
+      .then((result) => result.value),
+    supabaseClient
+      .from("google_index_pages")
+      .select("url", { count: "exact", head: true })
+      .eq("site_id", site.id)
+      .eq("google_index_status", "not_indexed")
+      .then(({ count, error }) => {
+        if (error) throw new Error(error.message);
+        return count || 0;
+      }),
+  ]);
+
+  return [
+    `*${site.name}*`,
+    `Visitors: ${formatNumber(traffic?.activeUsers)} · Sessions: ${formatNumber(traffic?.sessions)} · Page views: ${formatNumber(traffic?.pageViews)}`,
+    `Search: ${formatNumber(search?.totalClicks)} clicks · ${formatNumber(search?.totalImpressions)} impressions · avg position ${(search?.averagePosition || 0).toFixed(1)}`,
+    `Pages not indexed: ${formatNumber(notIndexed)}`,
+  ].join("\n");
+};
+
+/**
+ * Summarise the last 7 days of every site and post it to DIGEST_WEBHOOK_URL
+ * (Slack-compatible { text } payload). Without a webhook the digest is only kept in
+ * the run history.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} reportCache - Shared report cache, so the digest reuses warm reports
+ * @param {Object} sites - Site registry (services/sites.js)
+ * @returns {Promise<Object>} The digest
+ */
+export const sendWeeklyDigest = async (supabaseClient, reportCache, sites) => {
+  const sections = [];
+  for (const site of sites.all) {
+    sections.push(await summariseSite(supabaseClient, reportCache, site));
+  }
+  const text = ["*Weekly digest - last 7 days*", ...sections].join("\n\n");
+
+  const webhookUrl = process.env.DIGEST_WEBHOOK_URL;
+  if (webhookUrl) {
+    await axios.post(webhookUrl, { text }, { timeout: 10000 });
+  }
+
+  return { text, delivered: Boolean(webhookUrl) };
+};
+
+/**
+ * Re-inspect each site's not-indexed pages, one site after another. Tracked like a
+ * sync started from the Sitemap page, so the two never overlap.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} sites - Site registry (services/sites.js)
+ * @returns {Promise<Object>} Summary by site id
+ */
+export const reinspectIndexes = async (supabaseClient, sites) => {
+  const summary = {};
+  const failed = [];
+
+  for (const site of sites.all) {
+    try {
+      const { done } = await startIndexSync(supabaseClient, site, {
+        mode: INDEX_SYNC_MODES.NOT_INDEXED,
+        startedBy: "scheduler",
+      });
+      const job = await done;
+      if (job.status === INDEX_SYNC_STATUS.FAILED) throw new Error(job.error);
+      summary[site.id] = { syncId: job.id, status: job.status, total: job.total, processed: job.processed, errors: job.errors };
+    } catch (error) {
+      logger.error("Index re-inspection failed", { site: site.id, error: error.message });
+      failed.push(`${site.id}: ${error.message}`);
+    }
+  }
+
+  if (failed.length > 0) throw new Error(`Re-inspection failed for ${failed.join("; ")}`);
+  return summary;
+};
+
+export const JOBS = [
+  {
+    name: "audience-cache-refresh",
+    description: "Recompute each site's cached audience profile for the 7, 30 and 90 day ranges",
+    schedule: "*/30 * * * *",
+    run: async ({ supabase, sites }) => {
+      const ranges = {};
+      for (const site of sites.all) {
+        ranges[site.id] = await refreshAudienceCache(supabase, site);
+      }
+      return { ranges };
+    },
+  },
+  {
+    name: "index-reinspection",
+    description: "Re-inspect pages Google has not indexed yet and update google_index_pages",
+    schedule: "0 3 * * *",
+    run: ({ supabase, sites }) => reinspectIndexes(supabase, sites),
+  },
+  {
+    name: "report-cache-warmer",
+    description: "Fetch the Visitors dashboard reports before they expire",
+    schedule: "*/10 * * * *",
+    run: ({ reportCache, sites }) => warmReportCache(reportCache, sites),
+  },
+  {
+    name: "weekly-digest",
+    description: "Post last week's traffic, search and indexing summary to DIGEST_WEBHOOK_URL",
+    schedule: "0 8 * * 1",
+    run: ({ supabase, reportCache, sites }) => sendWeeklyDigest(supabase, reportCache, sites),
+  },
+];
+
+export default JOBS;
@@ -0,0 +1,140 @@
+/**
+ * Structured JSON logger
+ *
+ * Each line is one JSON object - { time, level, msg, requestId, ...fields } - so logs can be
+ * searched by field. LOG_LEVEL picks the lowest level written (debug, info, warn, error or
+ * silent; info by default). Inside a request, every line carries its request ID without the
+ * caller passing it (see runWithLogContext and middleware/requestContext.js), including the
+ * lines written by the GA, Search Console and MongoDB calls the request makes.
+ *
+ * Fields are redacted before they are written: secrets (passwords, tokens, API keys, cookies)
+ * by key, addresses and emails by key, and emails, bearer tokens and API keys inside strings.
+ *
+ * Usage:
+ *   logger.info("Index sync started", { mode, total });
+ *   logger.error("Error fetching users", { error });
+ */
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = "[redacted]";
+const MAX_DEPTH = 6;
+
+// Matched against the end of a field name, e.g. token, challengeToken, recoveryCodes
+const SECRET_KEY = /(password|secret|token|authorization|cookie|apikey|api_key|recoverycodes?)$/i;
+// Customer and account details; ip_address stays, it is needed to investigate sign-ins
+const PERSONAL_KEY = /(email|(?<!ip_?)address|phone|street|postcode|zipcode)$/i;
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const BEARER = /\b(Bearer\s+)\S+/gi;
+// API_KEY_PREFIX of services/apiKeys.js, which logs through this module
+const API_KEY = /\bpbn_[A-Za-z0-9_-]+/g;
+
+const redactString = (value) =>
+  value
+    .replace(BEARER, `$1${REDACTED}`)
+    .replace(API_KEY, `pbn_${REDACTED}`)
+    .replace(EMAIL, (email) => `${email[0]}***@${email.split("@")[1]}`);
+
+/**
+ * Copy of a value that is safe to log
+ * @param {*} value
+ * @returns {*}
+ */
+export const redact = (value, depth = 0) => {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.status && { status: value.status }),
+        ...(value.code && { code: value.code }),
+        stack: value.stack,
+      },
+      depth
+    );
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => {
+      if (field !== null && field !== undefined && (SECRET_KEY.test(key) || PERSONAL_KEY.test(key))) {
+        return [key, REDACTED];
+      }
+      return [key, redact(field, depth + 1)];
+    })
+  );
+};
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with fields (e.g. the request ID) added to every line logged while it runs,
+ * including from callbacks and promises it starts
+ * @param {Object} bindings
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+export const runWithLogContext = (bindings, fn) => logContext.run(bindings, fn);
+
+/**
+ * Fields of the current request (or job), if any
+ * @returns {Object|null}
+ */
+export const getLogContext = () => logContext.getStore() || null;
+
+const parseLevel = (level) => (level && level.toLowerCase() in LOG_LEVELS ? level.toLowerCase() : "info");
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - Defaults to LOG_LEVEL, then info
+ * @param {Object} [options.bindings] - Fields added to every line
+ * @param {Function} [options.write] - Receives each line, defaults to stdout
+ * @param {Function} [options.now]
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function, isLevelEnabled: Function }}
+ */
+export const createLogger = ({
+  level = process.env.LOG_LEVEL,
+  bindings = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+  now = Date.now,
+} = {}) => {
+  const threshold = LOG_LEVELS[parseLevel(level)];
+
+  const log = (lineLevel) => (msg, fields = {}) => {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+    const entry = {
+      time: new Date(now()).toISOString(),
+      level: lineLevel,
+      msg,
+      ...getLogContext(),
+      ...redact({ ...bindings, ...fields }),
+    };
+    try {
+      write(JSON.stringify(entry));
+    } catch {
+      // Circular or otherwise unserialisable fields: keep the message
+      write(JSON.stringify({ time: entry.time, level: lineLevel, msg, ...getLogContext() }));
+    }
+  };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    isLevelEnabled: (name) => LOG_LEVELS[name] >= threshold,
+    child: (childBindings) => createLogger({ level, bindings: { ...bindings, ...childBindings }, write, now }),
+  };
+};
+
+// Shared by the whole backend, like the GA guard and analytics client
+export const logger = createLogger();
+
+export default logger;
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger, getLogContext, redact, runWithLogContext } from "./logger.js";
+
+// A logger writing into an array, on a fixed clock
+const createTestLogger = (options = {}) => {
+  const lines = [];
+  const log = createLogger({ write: (line) => lines.push(JSON.parse(line)), now: () => 0, ...options });
+  return { log, lines };
+};
+
+describe("logger", () => {
+  it("writes one JSON object per line at or above the configured level", () => {
+    const { log, lines } = createTestLogger({ level: "warn" });
+    log.info("Not written");
+    log.warn("Report cache unavailable", { store: "supabase" });
+    log.error("Job failed", { job: "warm-report-cache" });
+
+    assert.deepEqual(lines, [
+      { time: "1970-01-01T00:00:00.000Z", level: "warn", msg: "Report cache unavailable", store: "supabase" },
+      { time: "1970-01-01T00:00:00.000Z", level: "error", msg: "Job failed", job: "warm-report-cache" },
+    ]);
+    assert.equal(log.isLevelEnabled("debug"), false);
+
+    const silent = createTestLogger({ level: "silent" });
+    silent.log.error("Not written either");
+    assert.equal(silent.lines.length, 0);
+
+    // Unknown levels fall back to info
+    assert.equal(createLogger({ level: "verbose" }).isLevelEnabled("info"), true);
+  });
+
+  it("tags lines with the request they were written for", async () => {
+    const { log, lines } = createTestLogger();
+    const child = log.child({ component: "gsc" });
+
+    await Promise.all([
+      runWithLogContext({ requestId: "req-1" }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        child.info("Search Console call");
+      }),
+      runWithLogContext({ requestId: "req-2" }, async () => {
+        log.info("Request completed");
+      }),
+    ]);
+    log.info("Scheduler started");
+
+    assert.deepEqual(
+      lines.map(({ msg, requestId, component }) => [msg, requestId, component]),
+      [
+        ["Request completed", "req-2", undefined],
+        ["Search Console call", "req-1", "gsc"],
+        ["Scheduler started", undefined, undefined],
+      ]
+    );
+    assert.equal(getLogContext(), null);
+  });
+
+  it("redacts secrets and personal details", () => {
+    const redacted = redact({
+      password: "hunter2",
+      challengeToken: "abc.def",
+      headers: { authorization: "Bearer eyJhbGciOi", cookie: "sid=1" },
+      recoveryCodes: ["AAAA-BBBB"],
+      customer: { email: "ada@example.com", shippingAddress: { street: "1 Main St" }, firstName: "Ada" },
+      ip_address: "203.0.113.9",
+      tokensPerDay: { remaining: 5000 },
+      note: "Sent to ada@example.com with Bearer eyJhbGciOi and key pbn_AbC12xYz9",
+    });
+
+    assert.deepEqual(redacted, {
+      password: "[redacted]",
+      challengeToken: "[redacted]",
+      headers: { authorization: "[redacted]", cookie: "[redacted]" },
+      recoveryCodes: "[redacted]",
+      customer: { email: "[redacted]", shippingAddress: "[redacted]", firstName: "Ada" },
+      ip_address: "203.0.113.9",
+      tokensPerDay: { remaining: 5000 },
+      note: "Sent to a***@example.com with Bearer [redacted] and key pbn_[redacted]",
+    });
+  });
+
+  it("logs errors with their status and stack", () => {
+    const { log, lines } = createTestLogger();
+    const error = Object.assign(new Error("Invalid password for admin@example.com"), { status: 401 });
+    log.error("Login error", { error });
+
+    assert.equal(lines[0].error.name, "Error");
+    assert.equal(lines[0].error.message, "Invalid password for a***@example.com");
+    assert.equal(lines[0].error.status, 401);
+    assert.match(lines[0].error.stack, /logger\.test\.js/);
+  });
+});
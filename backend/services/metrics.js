@@ -0,0 +1,238 @@
+/**
+ * Prometheus metrics, served at GET /metrics in the text exposition format
+ *
+ * Counters and histograms are kept in process, per label set. Prometheus scrapes each
+ * instance and sums them. The instruments below cover:
+ * - HTTP requests per route (middleware/metrics.js)
+ * - GA and Search Console calls per report (services/gaGuard.js, services/googleSearchConsole.js)
+ * - MongoDB commands per collection (observeMongoClient, wired up in server.js)
+ * - report cache lookups (services/reportCache.js) and job runs (services/scheduler.js)
+ *
+ * Google calls are labelled with the report being fetched: the report cache name
+ * ("analytics:overview"), else the job running, else "uncached".
+ *
+ * Usage:
+ *   httpRequestDuration.observe({ method: "GET", route: "/api/analytics/overview" }, 0.42);
+ *   const end = googleApiDuration.startTimer({ api: "ga", report: currentReport() });
+ *   end();
+ */
+import { getLogContext } from "./logger.js";
+
+// Seconds; the top buckets catch the slow GA and Search Console pages
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+const formatNumber = (value) => (value === Infinity ? "+Inf" : String(value));
+
+/**
+ * A set of named counters and histograms
+ * @returns {{ counter: Function, histogram: Function, render: Function, reset: Function }}
+ */
+export const createMetricsRegistry = () => {
+  const instruments = new Map();
+
+  const register = (name, help, type, labelNames, extra = {}) => {
+    if (instruments.has(name)) throw new Error(`Metric ${name} is already registered`);
+    // Label values in a fixed order, so { a, b } and { b, a } are the same series
+    const series = new Map();
+    const keyOf = (labels = {}) => JSON.stringify(labelNames.map((label) => String(labels[label] ?? "")));
+    const labelsOf = (key) => Object.fromEntries(JSON.parse(key).map((value, index) => [labelNames[index], value]));
+    const instrument = { name, help, type, series, keyOf, labelsOf, ...extra };
+    instruments.set(name, instrument);
+    return instrument;
+  };
+
+  /**
+   * @param {string} name - e.g. "http_requests_total"
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  const counter = (name, help, labelNames = []) => {
+    const instrument = register(name, help, "counter", labelNames);
+    return {
+      name,
+      inc(labels, value = 1) {
+        const key = instrument.keyOf(labels);
+        instrument.series.set(key, (instrument.series.get(key) || 0) + value);
+      },
+      get: (labels) => instrument.series.get(instrument.keyOf(labels)) || 0,
+    };
+  };
+
+  /**
+   * @param {string} name - e.g. "http_request_duration_seconds"
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets] - Upper bounds in seconds, ascending
+   */
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const instrument = register(name, help, "histogram", labelNames, { buckets });
+
+    const observe = (labels, seconds) => {
+      const key = instrument.keyOf(labels);
+      if (!instrument.series.has(key)) {
+        instrument.series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = instrument.series.get(key);
+      buckets.forEach((bound, index) => {
+        if (seconds <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    };
+
+    return {
+      name,
+      observe,
+      /**
+       * Start timing; call the returned function to record the elapsed seconds
+       * @param {Object} labels
+       * @returns {Function} (extraLabels?) => seconds
+       */
+      startTimer(labels) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+          observe({ ...labels, ...extraLabels }, seconds);
+          return seconds;
+        };
+      },
+      get: (labels) => instrument.series.get(instrument.keyOf(labels)) || { counts: buckets.map(() => 0), sum: 0, count: 0 },
+    };
+  };
+
+  const renderInstrument = ({ name, help, type, series, labelsOf, buckets }) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    series.forEach((value, key) => {
+      const labels = labelsOf(key);
+      if (type === "counter") {
+        lines.push(`${name}${formatLabels(labels)} ${formatNumber(value)}`);
+        return;
+      }
+      [...buckets, Infinity].forEach((bound, index) => {
+        const count = bound === Infinity ? value.count : value.counts[index];
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${count}`);
+      });
+      lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines.join("\n");
+  };
+
+  return {
+    counter,
+    histogram,
+
+    /**
+     * Every metric in the Prometheus text format
+     * @returns {string}
+     */
+    render: () => `${[...instruments.values()].map(renderInstrument).join("\n")}\n`,
+
+    // Forget every recorded value (tests)
+    reset: () => instruments.forEach((instrument) => instrument.series.clear()),
+  };
+};
+
+// Shared by the whole backend, like the logger
+export const metrics = createMetricsRegistry();
+
+export const httpRequestsTotal = metrics.counter(
+  "http_requests_total",
+  "HTTP requests answered, by route template and status",
+  ["method", "route", "status"]
+);
+
+export const httpRequestDuration = metrics.histogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests, by route template",
+  ["method", "route"]
+);
+
+export const googleApiRequestsTotal = metrics.counter(
+  "google_api_requests_total",
+  "GA Data API (api=ga) and Search Console (api=gsc) calls; outcome is ok, error or held (GA circuit open)",
+  ["api", "report", "outcome"]
+);
+
+export const googleApiDuration = metrics.histogram(
+  "google_api_request_duration_seconds",
+  "Time taken by GA Data API and Search Console calls, retries included",
+  ["api", "report"]
+);
+
+export const mongoCommandDuration = metrics.histogram(
+  "mongodb_command_duration_seconds",
+  "Time taken by MongoDB commands, by collection",
+  ["collection", "command"]
+);
+
+export const mongoCommandFailuresTotal = metrics.counter(
+  "mongodb_command_failures_total",
+  "Failed MongoDB commands, by collection",
+  ["collection", "command"]
+);
+
+export const reportCacheLookupsTotal = metrics.counter(
+  "report_cache_lookups_total",
+  "Report cache lookups by result (HIT, MISS or STALE); hit ratio = HIT / all",
+  ["report", "cache"]
+);
+
+export const jobDuration = metrics.histogram(
+  "job_duration_seconds",
+  "Time taken by background job runs, by outcome",
+  ["job", "status"],
+  [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]
+);
+
+/**
+ * Report label for a Google API call made now: the report cache name, else the job running
+ * @returns {string}
+ */
+export const currentReport = () => {
+  const context = getLogContext();
+  return context?.report || context?.job || "uncached";
+};
+
+/**
+ * Time and log the commands of a MongoDB client built with { monitorCommands: true }
+ * @param {import("mongodb").MongoClient} client
+ * @param {Object} log - Logger (services/logger.js)
+ */
+export const observeMongoClient = (client, log) => {
+  // Succeeded and failed events name the command but not the collection, so remember it by requestId
+  const collections = new Map();
+
+  client.on("commandStarted", (event) => {
+    const collection = event.command?.[event.commandName];
+    collections.set(event.requestId, typeof collection === "string" ? collection : "none");
+  });
+
+  const finish = (event) => {
+    const labels = { collection: collections.get(event.requestId) || "none", command: event.commandName };
+    collections.delete(event.requestId);
+    mongoCommandDuration.observe(labels, event.duration / 1000);
+    return labels;
+  };
+
+  client.on("commandSucceeded", (event) => {
+    const labels = finish(event);
+    log.debug("MongoDB command", { ...labels, durationMs: event.duration });
+  });
+
+  client.on("commandFailed", (event) => {
+    const labels = finish(event);
+    mongoCommandFailuresTotal.inc(labels);
+    log.warn("MongoDB command failed", { ...labels, durationMs: event.duration, error: event.failure });
+  });
+};
+
+export default metrics;
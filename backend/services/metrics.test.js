@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createLogger, runWithLogContext } from "./logger.js";
+import { createMetricsRegistry, currentReport, mongoCommandDuration, mongoCommandFailuresTotal, observeMongoClient } from "./metrics.js";
+
+describe("metrics", () => {
+  it("renders counters and histograms in the Prometheus text format", () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter("requests_total", "Requests", ["route", "status"]);
+    const duration = registry.histogram("duration_seconds", "Duration", ["route"], [0.1, 1]);
+
+    requests.inc({ route: "/api/users", status: 200 });
+    requests.inc({ status: 200, route: "/api/users" });
+    requests.inc({ route: '/api/"odd"', status: 500 });
+    duration.observe({ route: "/api/users" }, 0.05);
+    duration.observe({ route: "/api/users" }, 0.5);
+    duration.observe({ route: "/api/users" }, 3);
+
+    assert.equal(
+      registry.render(),
+      [
+        "# HELP requests_total Requests",
+        "# TYPE requests_total counter",
+        'requests_total{route="/api/users",status="200"} 2',
+        'requests_total{route="/api/\\"odd\\"",status="500"} 1',
+        "# HELP duration_seconds Duration",
+        "# TYPE duration_seconds histogram",
+        'duration_seconds_bucket{route="/api/users",le="0.1"} 1',
+        'duration_seconds_bucket{route="/api/users",le="1"} 2',
+        'duration_seconds_bucket{route="/api/users",le="+Inf"} 3',
+        'duration_seconds_sum{route="/api/users"} 3.55',
+        'duration_seconds_count{route="/api/users"} 3',
+        "",
+      ].join("\n")
+    );
+
+    assert.throws(() => registry.counter("requests_total", "Again"), /already registered/);
+    registry.reset();
+    assert.equal(requests.get({ route: "/api/users", status: 200 }), 0);
+  });
+
+  it("labels Google calls with the report or job they were made for", () => {
+    assert.equal(currentReport(), "uncached");
+    assert.equal(runWithLogContext({ requestId: "r1", report: "analytics:overview" }, currentReport), "analytics:overview");
+    assert.equal(runWithLogContext({ job: "weekly-digest" }, currentReport), "weekly-digest");
+  });
+
+  it("times MongoDB commands per collection", () => {
+    const client = new EventEmitter();
+    const lines = [];
+    observeMongoClient(client, createLogger({ level: "debug", write: (line) => lines.push(JSON.parse(line)) }));
+
+    client.emit("commandStarted", { requestId: 1, commandName: "find", command: { find: "draftboxes" } });
+    client.emit("commandSucceeded", { requestId: 1, commandName: "find", duration: 12 });
+    client.emit("commandStarted", { requestId: 2, commandName: "update", command: { update: "draftboxes" } });
+    client.emit("commandFailed", { requestId: 2, commandName: "update", duration: 3, failure: new Error("E11000") });
+
+    assert.equal(mongoCommandDuration.get({ collection: "draftboxes", command: "find" }).count, 1);
+    assert.equal(mongoCommandDuration.get({ collection: "draftboxes", command: "find" }).sum, 0.012);
+    assert.equal(mongoCommandFailuresTotal.get({ collection: "draftboxes", command: "update" }), 1);
+    assert.deepEqual(
+      lines.map(({ level, msg, collection }) => [level, msg, collection]),
+      [
+        ["debug", "MongoDB command", "draftboxes"],
+        ["warn", "MongoDB command failed", "draftboxes"],
+      ]
+    );
+  });
+});
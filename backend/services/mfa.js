@@ -0,0 +1,372 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { signToken, verifySignedToken } from "./sessions.js";
+
+// RFC 6238 TOTP parameters understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = 5 * 60 * 1000; // time allowed between password and code
+
+const ISSUER = process.env.MFA_ISSUER || "Protein Bar Nerd Admin";
+
+const MFA_COLUMNS =
+  "id, email, mfa_enabled, mfa_secret, mfa_pending_secret, mfa_recovery_codes, mfa_last_used_step, mfa_enrolled_at";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Errors caused by bad input carry an HTTP status for the route handler
+const invalidInput = (message, status = 400) =>
+  Object.assign(new Error(message), { status });
+
+/**
+ * Whether every account must use a second factor (MFA_ENFORCED=true)
+ * When false, 2FA is optional and enabled per account from the Security page.
+ * @returns {boolean}
+ */
+export const isMfaEnforced = () => process.env.MFA_ENFORCED === "true";
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case, spaces and padding are ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const getStep = (time) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+const totpForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Compute the TOTP code for a secret at a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - ms since epoch (defaults to now)
+ * @returns {string} 6-digit code
+ */
+export const generateTotp = (secret, time = Date.now()) =>
+  totpForStep(secret, getStep(time));
+
+/**
+ * Check a TOTP code, allowing TOTP_WINDOW steps of clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.time] - ms since epoch (defaults to now)
+ * @param {number} [options.lastUsedStep] - Steps at or before this were already used and are rejected
+ * @returns {number|null} The matching time step, or null
+ */
+export const verifyTotp = (secret, code, { time = Date.now(), lastUsedStep = null } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = getStep(time);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(totpForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL that authenticator apps read from the QR code
+ * @param {string} email - Account label
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+export const buildOtpauthUrl = (email, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+/**
+ * Generate single-use recovery codes (format xxxxx-xxxxx)
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes for the user, hashes for storage
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Issue a short-lived token proving the password step succeeded
+ * @param {Object} account - Public account
+ * @param {"verify"|"enroll"} purpose - verify: enter a code; enroll: 2FA is enforced but not set up yet
+ * @returns {string}
+ */
+export const createMfaChallenge = (account, purpose) =>
+  signToken({
+    typ: "mfa",
+    purpose,
+    sub: account.id,
+    iat: Date.now(),
+    exp: Date.now() + CHALLENGE_TTL,
+  });
+
+/**
+ * Check a challenge token from createMfaChallenge
+ * @param {string} token
+ * @param {"verify"|"enroll"} purpose
+ * @returns {string|null} Account id, or null if invalid, expired or for another purpose
+ */
+export const verifyMfaChallenge = (token, purpose) => {
+  const payload = verifySignedToken(token);
+  if (payload?.typ !== "mfa" || payload.purpose !== purpose || !payload.sub) return null;
+  return payload.sub;
+};
+
+const getMfaRow = async (supabaseClient, accountId) => {
+  const { data, error } = await supabaseClient
+    .from("admin_users")
+    .select(MFA_COLUMNS)
+    .eq("id", accountId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const updateMfaRow = async (supabaseClient, accountId, changes) => {
+  const { error } = await supabaseClient
+    .from("admin_users")
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq("id", accountId);
+
+  if (error) throw error;
+};
+
+/**
+ * Get an account's 2FA status (no secrets)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @returns {Promise<{ enabled: boolean, enforced: boolean, enrolledAt: string|null, recoveryCodesRemaining: number }>}
+ */
+export const getMfaStatus = async (supabaseClient, accountId) => {
+  const row = await getMfaRow(supabaseClient, accountId);
+  return {
+    enabled: Boolean(row?.mfa_enabled),
+    enforced: isMfaEnforced(),
+    enrolledAt: row?.mfa_enrolled_at || null,
+    recoveryCodesRemaining: row?.mfa_recovery_codes?.length || 0,
+  };
+};
+
+/**
+ * Start enrollment: store a pending secret and return what the authenticator app needs
+ * The secret only becomes active once activateMfa confirms a code from it.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} account - Public account
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL
+ */
+export const startMfaEnrollment = async (supabaseClient, account) => {
+  const row = await getMfaRow(supabaseClient, account.id);
+  if (!row) throw invalidInput("Account not found", 404);
+  if (row.mfa_enabled) {
+    throw invalidInput("Two-factor authentication is already enabled", 409);
+  }
+
+  const secret = generateTotpSecret();
+  await updateMfaRow(supabaseClient, account.id, { mfa_pending_secret: secret });
+
+  const otpauthUrl = buildOtpauthUrl(account.email, secret);
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+};
+
+/**
+ * Finish enrollment with a code from the pending secret
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} Recovery codes (shown once)
+ */
+export const activateMfa = async (supabaseClient, accountId, code) => {
+  const row = await getMfaRow(supabaseClient, accountId);
+  if (!row?.mfa_pending_secret) {
+    throw invalidInput("Start two-factor setup first");
+  }
+
+  const step = verifyTotp(row.mfa_pending_secret, code);
+  if (step === null) {
+    throw invalidInput("Invalid verification code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await updateMfaRow(supabaseClient, accountId, {
+    mfa_enabled: true,
+    mfa_secret: row.mfa_pending_secret,
+    mfa_pending_secret: null,
+    mfa_recovery_codes: hashes,
+    mfa_last_used_step: step,
+    mfa_enrolled_at: new Date().toISOString(),
+  });
+  return codes;
+};
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code (which is then used up)
+ * TOTP codes cannot be replayed within their validity window.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @param {Object} factor
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode]
+ * @returns {Promise<{ valid: boolean, usedRecoveryCode: boolean }>}
+ */
+export const verifyMfaFactor = async (supabaseClient, accountId, { code, recoveryCode }) => {
+  const row = await getMfaRow(supabaseClient, accountId);
+  if (!row?.mfa_enabled || !row.mfa_secret) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = row.mfa_recovery_codes || [];
+    if (!remaining.includes(hash)) {
+      return { valid: false, usedRecoveryCode: false };
+    }
+    await updateMfaRow(supabaseClient, accountId, {
+      mfa_recovery_codes: remaining.filter((stored) => stored !== hash),
+    });
+    return { valid: true, usedRecoveryCode: true };
+  }
+
+  const step = verifyTotp(row.mfa_secret, code, {
+    lastUsedStep: row.mfa_last_used_step ?? null,
+  });
+  if (step === null) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+  await updateMfaRow(supabaseClient, accountId, { mfa_last_used_step: step });
+  return { valid: true, usedRecoveryCode: false };
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @returns {Promise<string[]>} New recovery codes (shown once)
+ */
+export const regenerateRecoveryCodes = async (supabaseClient, accountId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await updateMfaRow(supabaseClient, accountId, { mfa_recovery_codes: hashes });
+  return codes;
+};
+
+/**
+ * Remove an account's second factor (self-service disable or admin reset)
+ * With MFA_ENFORCED the user is asked to enroll again at their next login.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ */
+export const resetMfa = async (supabaseClient, accountId) => {
+  await updateMfaRow(supabaseClient, accountId, {
+    mfa_enabled: false,
+    mfa_secret: null,
+    mfa_pending_secret: null,
+    mfa_recovery_codes: null,
+    mfa_last_used_step: null,
+    mfa_enrolled_at: null,
+  });
+};
+
+export default {
+  isMfaEnforced,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  createMfaChallenge,
+  verifyMfaChallenge,
+  getMfaStatus,
+  startMfaEnrollment,
+  activateMfa,
+  verifyMfaFactor,
+  regenerateRecoveryCodes,
+  resetMfa,
+};
@@ -0,0 +1,82 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import {
+  activateMfa,
+  base32Encode,
+  createMfaChallenge,
+  generateTotp,
+  startMfaEnrollment,
+  verifyMfaChallenge,
+  verifyMfaFactor,
+  verifyTotp,
+} from "./mfa.js";
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+const account = { id: "acc-1", email: "jane@example.com" };
+
+const createSupabaseWithAccount = () =>
+  createFakeSupabase({
+    admin_users: [{ ...account, status: "active", mfa_enabled: false }],
+  });
+
+describe("TOTP", () => {
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    assert.equal(generateTotp(RFC_SECRET, 59 * 1000), "287082");
+    assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), "081804");
+  });
+
+  it("accepts one step of clock drift and rejects reused steps", () => {
+    const time = 1111111109 * 1000;
+    const previousCode = generateTotp(RFC_SECRET, time - 30 * 1000);
+    const step = verifyTotp(RFC_SECRET, previousCode, { time });
+
+    assert.equal(typeof step, "number");
+    assert.equal(verifyTotp(RFC_SECRET, previousCode, { time, lastUsedStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 120 * 1000), { time }), null);
+    assert.equal(verifyTotp(RFC_SECRET, "abc123", { time }), null);
+  });
+});
+
+describe("MFA enrollment and login", () => {
+  it("enrolls with a pending secret and returns single-use recovery codes", async () => {
+    const supabase = createSupabaseWithAccount();
+    const { secret, otpauthUrl, qrCode } = await startMfaEnrollment(supabase, account);
+
+    assert.match(otpauthUrl, /^otpauth:\/\/totp\//);
+    assert.match(qrCode, /^data:image\/png;base64,/);
+    assert.equal(supabase.tables.admin_users[0].mfa_enabled, false);
+
+    await assert.rejects(activateMfa(supabase, account.id, "000000"), /Invalid verification code/);
+
+    const recoveryCodes = await activateMfa(supabase, account.id, generateTotp(secret));
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(supabase.tables.admin_users[0].mfa_enabled, true);
+    assert.ok(!supabase.tables.admin_users[0].mfa_recovery_codes.includes(recoveryCodes[0]));
+
+    const first = await verifyMfaFactor(supabase, account.id, { recoveryCode: recoveryCodes[0] });
+    assert.deepEqual(first, { valid: true, usedRecoveryCode: true });
+    const reused = await verifyMfaFactor(supabase, account.id, { recoveryCode: recoveryCodes[0] });
+    assert.equal(reused.valid, false);
+  });
+
+  it("does not accept the activation code a second time", async () => {
+    const supabase = createSupabaseWithAccount();
+    const { secret } = await startMfaEnrollment(supabase, account);
+    const code = generateTotp(secret);
+    await activateMfa(supabase, account.id, code);
+
+    const replay = await verifyMfaFactor(supabase, account.id, { code });
+    assert.equal(replay.valid, false);
+  });
+
+  it("binds challenge tokens to their purpose", () => {
+    const token = createMfaChallenge(account, "verify");
+    assert.equal(verifyMfaChallenge(token, "verify"), account.id);
+    assert.equal(verifyMfaChallenge(token, "enroll"), null);
+    assert.equal(verifyMfaChallenge(`${token}x`, "verify"), null);
+  });
+});
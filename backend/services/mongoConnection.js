@@ -0,0 +1,89 @@
+/**
+ * MongoDB connection that keeps retrying until it is made
+ *
+ * A failed connect is retried with exponential backoff (1s, 2s, 4s ... up to a minute),
+ * each time with a fresh client, so a Mongo outage at boot no longer leaves orders down
+ * until the next deploy. Once connected the driver itself reconnects after drops.
+ * Until then getDb() returns null and the order routes answer 503.
+ */
+import { logger } from "./logger.js";
+
+const DEFAULT_BACKOFF = { baseDelayMs: 1000, maxDelayMs: 60 * 1000 };
+
+/**
+ * @param {Object} options
+ * @param {Function} options.createClient - () => MongoClient (not yet connected)
+ * @param {string} options.dbName - Database to use once connected
+ * @param {Object} [options.backoff] - { baseDelayMs, maxDelayMs }
+ * @param {Function} [options.sleep] - (ms) => Promise, injectable for tests
+ * @param {Object} [options.log] - Defaults to the shared logger
+ * @returns {{ connect: Function, getDb: Function, close: Function, connected: boolean }}
+ */
+export const createMongoConnection = ({
+  createClient,
+  dbName,
+  backoff = {},
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref()),
+  log = logger,
+}) => {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_BACKOFF, ...backoff };
+  let client = null;
+  let db = null;
+  let closed = false;
+  let connecting = null;
+
+  const connectWithRetry = async () => {
+    for (let attempt = 0; !closed; attempt += 1) {
+      const candidate = createClient();
+      try {
+        await candidate.connect();
+        if (closed) {
+          await candidate.close();
+          return null;
+        }
+        client = candidate;
+        db = client.db(dbName);
+        log.info("Connected to MongoDB", { attempts: attempt + 1 });
+        return db;
+      } catch (error) {
+        await candidate.close().catch(() => {});
+        const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        log.error("MongoDB connection error, retrying", { attempt: attempt + 1, retryInMs: delayMs, error });
+        await sleep(delayMs);
+      }
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Connect, retrying until it works or close() is called
+     * @returns {Promise<Object|null>} The database, or null when closed first
+     */
+    connect() {
+      if (!connecting) connecting = connectWithRetry();
+      return connecting;
+    },
+
+    getDb: () => db,
+
+    /**
+     * Stop retrying and close the client
+     */
+    async close() {
+      closed = true;
+      db = null;
+      if (client) {
+        const current = client;
+        client = null;
+        await current.close();
+      }
+    },
+
+    get connected() {
+      return db !== null;
+    },
+  };
+};
+
+export default createMongoConnection;
@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger } from "./logger.js";
+import { createMongoConnection } from "./mongoConnection.js";
+
+const silent = createLogger({ level: "silent", write: () => {} });
+
+// MongoClient stand-in whose connect() fails while `failures` remain
+const createFakeClients = (failures) => {
+  const clients = [];
+  const createClient = () => {
+    const client = {
+      closed: false,
+      connect: async () => {
+        if (failures-- > 0) throw new Error("ECONNREFUSED");
+      },
+      db: (name) => ({ name }),
+      close: async () => {
+        client.closed = true;
+      },
+    };
+    clients.push(client);
+    return client;
+  };
+  return { clients, createClient };
+};
+
+describe("mongoConnection", () => {
+  it("retries with exponential backoff and a fresh client each time", async () => {
+    const { clients, createClient } = createFakeClients(4);
+    const delays = [];
+    const mongo = createMongoConnection({
+      createClient,
+      dbName: "Boxes",
+      backoff: { baseDelayMs: 100, maxDelayMs: 500 },
+      sleep: async (ms) => delays.push(ms),
+      log: silent,
+    });
+
+    assert.equal(mongo.getDb(), null);
+    const db = await mongo.connect();
+    assert.deepEqual(db, { name: "Boxes" });
+    assert.equal(mongo.getDb(), db);
+    assert.equal(mongo.connected, true);
+    assert.deepEqual(delays, [100, 200, 400, 500]);
+    assert.equal(clients.length, 5);
+    assert.deepEqual(clients.map(({ closed }) => closed), [true, true, true, true, false]);
+
+    await mongo.close();
+    assert.equal(clients[4].closed, true);
+    assert.equal(mongo.getDb(), null);
+  });
+
+  it("stops retrying once closed", async () => {
+    const { clients, createClient } = createFakeClients(Infinity);
+    const mongo = createMongoConnection({
+      createClient,
+      dbName: "Boxes",
+      sleep: async () => {
+        if (clients.length === 2) await mongo.close();
+      },
+      log: silent,
+    });
+
+    assert.equal(await mongo.connect(), null);
+    assert.equal(clients.length, 2);
+    assert.equal(mongo.connected, false);
+  });
+});
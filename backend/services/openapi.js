@@ -0,0 +1,215 @@
+/**
+ * OpenAPI 3 document for the API, served at /api/openapi.json
+ *
+ * The document is read off the mounted routers rather than kept by hand. Express gives each
+ * route's method and path. The middleware in front of a route describes itself through an
+ * `openapi` property: validate() gives the parameters and body, requirePermission() the
+ * permission, the rate limiters their limit, the site middleware ?site= and
+ * resolveDateRange the `range` field of the response. What only the
+ * handler knows - a summary and the shape of the response - comes from
+ * services/openapiOperations.js, and the tests fail when a route is missing there.
+ */
+import { PUBLIC_API_PATHS } from "../middleware/auth.js";
+import { OPERATIONS, SCHEMAS, TAGS } from "./openapiOperations.js";
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    success: { type: "boolean", enum: [false] },
+    error: { type: "string" },
+    requestId: {
+      type: "string",
+      description: "ID of the request, also in the X-Request-Id header; every log line of the request carries it",
+    },
+    errors: {
+      type: "array",
+      description: "One entry per invalid field (400 only)",
+      items: {
+        type: "object",
+        properties: {
+          location: { type: "string", enum: ["params", "query", "body"] },
+          field: { type: "string" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+  required: ["success", "error"],
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/ApiError" } } },
+});
+
+const ERROR_RESPONSES = {
+  BadRequest: errorResponse("Invalid request; errors lists each invalid field"),
+  Unauthorized: errorResponse("Missing, invalid or expired session token or API key"),
+  Forbidden: errorResponse("The account's role or the API key's scopes lack the permission"),
+  TooManyRequests: errorResponse("Rate limited; retry after the Retry-After header"),
+  Error: errorResponse("Unexpected failure"),
+};
+
+// "/visitors/:visitorId" -> "/visitors/{visitorId}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+/**
+ * Routes of a router, each with the handlers that run for it
+ * Middleware added with router.use() applies to the routes registered after it.
+ * @param {string} prefix - Where the router is mounted ("" for the app itself)
+ * @param {Object} router - Express router, or app._router
+ * @returns {Array<{ method: string, path: string, handlers: Function[] }>}
+ */
+export const listRoutes = (prefix, router) => {
+  const routes = [];
+  const shared = [];
+
+  router.stack.forEach((layer) => {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      return;
+    }
+    const path = layer.route.path === "/" ? prefix || "/" : `${prefix}${layer.route.path}`;
+    Object.keys(layer.route.methods)
+      .filter((method) => method !== "_all")
+      .forEach((method) => {
+        routes.push({
+          method: method.toUpperCase(),
+          path,
+          handlers: [...shared, ...layer.route.stack.map(({ handle }) => handle)],
+        });
+      });
+  });
+
+  return routes;
+};
+
+/**
+ * Every /api route of the app
+ * @param {express.Application} app
+ * @param {Array<[string, Object]>} routers - [prefix, router] pairs as mounted
+ * @returns {Array<{ method: string, path: string, handlers: Function[] }>}
+ */
+export const listApiRoutes = (app, routers) => [
+  ...listRoutes("", app._router).filter(({ path }) => path.startsWith("/api/")),
+  ...routers.flatMap(([prefix, router]) => listRoutes(prefix, router)),
+];
+
+const successResponse = (docs, fields) => {
+  if (docs.body) {
+    return { description: docs.description || "Success", content: { "application/json": { schema: docs.body } } };
+  }
+
+  const properties = { success: { type: "boolean", enum: [true] } };
+  if (docs.data) properties.data = docs.data;
+  Object.assign(properties, fields, docs.fields);
+  if (docs.cached) {
+    properties.updatedAt = {
+      type: "string",
+      format: "date-time",
+      description: "When the oldest report in the response was fetched from Google",
+    };
+  }
+
+  return {
+    description: docs.description || "Success",
+    ...(docs.cached && {
+      headers: {
+        "X-Cache": {
+          description: "Whether the report came from the report cache",
+          schema: { type: "string", enum: ["HIT", "MISS", "STALE"] },
+        },
+      },
+    }),
+    content: { "application/json": { schema: { type: "object", properties } } },
+  };
+};
+
+const describeRoute = ({ method, path, handlers }, docs, isPublic) => {
+  const tag = docs.tag || path.split("/")[2];
+  const operation = {
+    operationId: docs.operationId,
+    summary: docs.summary,
+    tags: [tag],
+    parameters: [],
+    responses: {},
+  };
+  const fields = {};
+
+  handlers.forEach(({ openapi }) => {
+    if (!openapi) return;
+    const { parameters = [], requestBody, responses = {}, fields: successFields, ...extensions } = openapi;
+    parameters.forEach((parameter) => {
+      const existing = operation.parameters.findIndex(({ name, in: location }) => name === parameter.name && location === parameter.in);
+      if (existing === -1) operation.parameters.push(parameter);
+      else operation.parameters[existing] = parameter;
+    });
+    if (requestBody) operation.requestBody = requestBody;
+    Object.assign(operation.responses, responses);
+    Object.assign(fields, successFields);
+    Object.assign(operation, extensions);
+  });
+
+  operation.responses[String(docs.status || 200)] = successResponse(docs, fields);
+  Object.assign(operation.responses, docs.responses);
+  if (isPublic) {
+    operation.security = [];
+  } else {
+    operation.responses[401] = { $ref: "#/components/responses/Unauthorized" };
+  }
+  operation.responses.default = { $ref: "#/components/responses/Error" };
+
+  if (operation.parameters.length === 0) delete operation.parameters;
+  if (!docs.operationId) delete operation.operationId;
+  if (!docs.summary) delete operation.summary;
+  return { path: toOpenApiPath(path), method: method.toLowerCase(), operation };
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options
+ * @param {express.Application} options.app
+ * @param {Array<[string, Object]>} options.routers - [prefix, router] pairs as mounted
+ * @param {Object<string, Object>} [options.operations] - Defaults to services/openapiOperations.js
+ * @param {string[]} [options.publicPaths] - Routes reachable without a session
+ * @returns {Object} OpenAPI 3.0 document
+ */
+export const buildOpenApiDocument = ({ app, routers, operations = OPERATIONS, publicPaths = PUBLIC_API_PATHS }) => {
+  const publicPathSet = new Set(publicPaths);
+  const paths = {};
+
+  listApiRoutes(app, routers).forEach((route) => {
+    const docs = operations[`${route.method} ${route.path}`] || {};
+    const { path, method, operation } = describeRoute(route, docs, publicPathSet.has(route.path));
+    paths[path] = { ...paths[path], [method]: operation };
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Admin Dashboard API",
+      version: "1.0.0",
+      description:
+        "Every response is JSON with success: true and the result in data, or success: false and an error. " +
+        "Send a session token from POST /api/auth/login or an API key as a bearer token. " +
+        "x-permission names the permission a route needs.",
+    },
+    servers: [{ url: "/" }],
+    tags: TAGS,
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "Session token or API key" },
+      },
+      responses: ERROR_RESPONSES,
+      schemas: { ApiError: ERROR_SCHEMA, ...SCHEMAS },
+    },
+  };
+};
+
+export default {
+  buildOpenApiDocument,
+  listApiRoutes,
+  listRoutes,
+};
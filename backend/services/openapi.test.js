@@ -0,0 +1,79 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { buildOfflineDocument, CLIENT_PATH } from "../scripts/generateApiClient.js";
+import { OPERATIONS } from "./openapiOperations.js";
+import { renderApiClient } from "./openapiClient.js";
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+describe("OpenAPI document", () => {
+  let document;
+  let operations;
+
+  before(async () => {
+    document = await buildOfflineDocument();
+    operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+      Object.entries(methods)
+        .filter(([method]) => METHODS.includes(method))
+        .map(([method, operation]) => ({ key: `${method.toUpperCase()} ${path}`, operation }))
+    );
+  });
+
+  it("documents every route, and only routes that exist", () => {
+    const undocumented = operations.filter(({ operation }) => !operation.operationId || !operation.summary);
+    assert.deepEqual(undocumented.map(({ key }) => key), [], "add these to services/openapiOperations.js");
+
+    const ids = operations.map(({ operation }) => operation.operationId);
+    assert.equal(new Set(ids).size, ids.length, "operationIds must be unique");
+
+    const routes = new Set(operations.map(({ key }) => key.replace(/\{(\w+)\}/g, ":$1")));
+    const stale = Object.keys(OPERATIONS).filter((key) => !routes.has(key));
+    assert.deepEqual(stale, [], "these entries match no route");
+  });
+
+  it("reads parameters, bodies and access rules off the route middleware", () => {
+    const visitor = document.paths["/api/visitors/{visitorId}"].get;
+    assert.deepEqual(
+      visitor.parameters.map(({ name, in: location, required }) => [name, location, required]),
+      [
+        ["site", "query", false],
+        ["visitorId", "path", true],
+        ["preset", "query", false],
+        ["startDate", "query", false],
+        ["endDate", "query", false],
+        ["compare", "query", false],
+        ["compareStartDate", "query", false],
+        ["compareEndDate", "query", false],
+      ]
+    );
+    assert.equal(visitor["x-permission"], "analytics:read");
+    assert.ok(visitor.responses[200].headers["X-Cache"]);
+    assert.deepEqual(visitor.responses[200].content["application/json"].schema.properties.range, {
+      $ref: "#/components/schemas/DateRange",
+    });
+
+    const createAccount = document.paths["/api/admin-accounts"].post;
+    const body = createAccount.requestBody.content["application/json"].schema;
+    assert.deepEqual(body.required, ["email", "password"]);
+    assert.deepEqual(body.properties.role.enum, ["admin", "analyst", "packer"]);
+    assert.ok(createAccount.responses[201]);
+    assert.ok(createAccount.responses[403]);
+
+    const login = document.paths["/api/auth/login"].post;
+    assert.deepEqual(login.security, []);
+    assert.equal(login.responses[401], undefined);
+    assert.ok(login["x-rate-limit"].max > 0);
+    assert.ok(login.responses[429]);
+
+    assert.equal(document.paths["/api/auth/sessions"].get["x-session-only"], true);
+  });
+
+  it("matches the committed frontend client", async () => {
+    const committed = await readFile(CLIENT_PATH, "utf8");
+    assert.ok(
+      committed === renderApiClient(document),
+      "frontend/src/api/client.js is out of date - run `npm run generate:api-client`"
+    );
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Render the frontend's typed API client (frontend/src/api/client.js) from the OpenAPI document
+ *
+ * Operations are grouped by tag - api.analytics.getOverview(query), api.users.deleteUser(id) -
+ * and each returns the axios response from the shared apiClient, so the interceptors (auth
+ * token, ?site=, re-authentication) apply as before. Types are JSDoc typedefs, which editors
+ * check and autocomplete without a TypeScript build. Run `npm run generate:api-client`.
+ */
+
+const HEADER = `/**
+ * Typed client for the admin API - generated from the OpenAPI document, do not edit
+ * Regenerate with \`npm run generate:api-client\` in backend/ after changing a route.
+ */
+import apiClient from "./axios";`;
+
+const pascalCase = (value) =>
+  value
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+
+const camelCase = (value) => {
+  const pascal = pascalCase(value);
+  return pascal[0].toLowerCase() + pascal.slice(1);
+};
+
+const refName = ($ref) => $ref.split("/").pop();
+
+const partName = (name, index) => (index === 0 ? name : `${name}${index + 1}`);
+
+const hasProperties = (schema) => schema?.type === "object" && Object.keys(schema.properties || {}).length > 0;
+
+/**
+ * Collects the typedefs of one document; nested objects become named typedefs
+ * so no single type line grows unreadable.
+ */
+const createTypedefs = () => {
+  const blocks = [];
+
+  const typeOf = (schema, name) => {
+    if (!schema) return "*";
+    let type;
+    if (schema.$ref) type = refName(schema.$ref);
+    else if (schema.allOf) type = schema.allOf.map((part, index) => typeOf(part, partName(name, index))).join(" & ");
+    else if (schema.oneOf) type = schema.oneOf.map((part, index) => typeOf(part, partName(name, index))).join("|");
+    else if (schema.enum) type = schema.enum.map((value) => JSON.stringify(value)).join("|");
+    else if (schema.type === "string") type = "string";
+    else if (schema.type === "integer" || schema.type === "number") type = "number";
+    else if (schema.type === "boolean") type = "boolean";
+    else if (schema.type === "array") type = `Array<${typeOf(schema.items, name)}>`;
+    else if (hasProperties(schema)) type = define(name, schema);
+    else if (schema.type === "object" && typeof schema.additionalProperties === "object") {
+      type = `Object<string, ${typeOf(schema.additionalProperties, name)}>`;
+    } else if (schema.type === "object") type = "Object";
+    else type = "*";
+
+    if (!schema.nullable) return type;
+    return /[ |]/.test(type) ? `(${type})|null` : `${type}|null`;
+  };
+
+  // Properties are optional when the schema lists required ones (requests, some responses)
+  const define = (name, schema, description) => {
+    const required = schema.required ? new Set(schema.required) : null;
+    const lines = ["/**", ...(description ? [` * ${description}`] : []), ` * @typedef {Object} ${name}`];
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      const type = typeOf(property, `${name}${pascalCase(key)}`);
+      const label = !required || required.has(key) ? key : `[${key}]`;
+      const note = property.description ? ` - ${property.description}` : "";
+      lines.push(` * @property {${type}} ${label}${note}`);
+    });
+    lines.push(" */");
+    blocks.push(lines.join("\n"));
+    return name;
+  };
+
+  return { typeOf, define, render: () => blocks.join("\n\n") };
+};
+
+const parametersTypedef = (typedefs, name, parameters) =>
+  typedefs.define(name, {
+    type: "object",
+    properties: Object.fromEntries(
+      parameters.map((parameter) => [parameter.name, { ...parameter.schema, description: parameter.description || parameter.schema.description }])
+    ),
+    required: parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+  });
+
+const renderOperation = (typedefs, method, path, operation) => {
+  const name = operation.operationId;
+  const typeName = pascalCase(name);
+  const parameters = operation.parameters || [];
+  const pathParameters = parameters.filter((parameter) => parameter.in === "path");
+  const queryParameters = parameters.filter((parameter) => parameter.in === "query");
+  const bodySchema = operation.requestBody?.content["application/json"].schema;
+
+  const success = Object.entries(operation.responses).find(([status]) => status.startsWith("2"))[1];
+  const responseSchema = success.content["application/json"].schema;
+  const responseType = hasProperties(responseSchema)
+    ? typedefs.define(`${typeName}Response`, responseSchema)
+    : typedefs.typeOf(responseSchema, `${typeName}Response`);
+
+  const args = [];
+  const params = [];
+  pathParameters.forEach((parameter) => {
+    args.push(parameter.name);
+    params.push(`@param {${typedefs.typeOf(parameter.schema)}} ${parameter.name}`);
+  });
+  if (bodySchema) {
+    const optional = !bodySchema.required ? "[body]" : "body";
+    args.push("body");
+    params.push(`@param {${typedefs.define(`${typeName}Body`, bodySchema)}} ${optional}`);
+  }
+  if (queryParameters.length > 0) {
+    const optional = queryParameters.some((parameter) => parameter.required) ? "query" : "[query]";
+    args.push("query");
+    params.push(`@param {${parametersTypedef(typedefs, `${typeName}Query`, queryParameters)}} ${optional}`);
+  }
+  args.push("config");
+  params.push('@param {import("axios").AxiosRequestConfig} [config]');
+
+  const url = pathParameters.length
+    ? `\`${path.replace(/\{(\w+)\}/g, (match, parameter) => `\${encodeURIComponent(${parameter})}`)}\``
+    : JSON.stringify(path);
+  const config = queryParameters.length > 0 ? "{ ...config, params: query }" : "config";
+  const hasBody = ["post", "put", "patch"].includes(method);
+  const call = `apiClient.${method}(${[url, ...(hasBody ? [bodySchema ? "body" : "undefined"] : []), config].join(", ")})`;
+
+  return [
+    "  /**",
+    `   * ${operation.summary}`,
+    `   * ${method.toUpperCase()} ${path}${operation["x-permission"] ? ` (${operation["x-permission"]})` : ""}`,
+    ...params.map((line) => `   * ${line}`),
+    `   * @returns {Promise<import("axios").AxiosResponse<${responseType}>>}`,
+    "   */",
+    `  ${name}: (${args.join(", ")}) =>`,
+    `    ${call},`,
+  ].join("\n");
+};
+
+/**
+ * @param {Object} document - From buildOpenApiDocument (services/openapi.js)
+ * @returns {string} Source of frontend/src/api/client.js
+ */
+export const renderApiClient = (document) => {
+  const typedefs = createTypedefs();
+  Object.entries(document.components.schemas).forEach(([name, schema]) => {
+    if (hasProperties(schema)) typedefs.define(name, schema, schema.description);
+  });
+
+  const groups = new Map();
+  Object.entries(document.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      const group = camelCase(operation.tags[0]);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(renderOperation(typedefs, method, path, operation));
+    });
+  });
+
+  const exports = [...groups].map(([group, operations]) => `export const ${group} = {\n${operations.join("\n\n")}\n};`);
+
+  return [
+    HEADER,
+    typedefs.render(),
+    ...exports,
+    `export default {\n${[...groups.keys()].map((group) => `  ${group},`).join("\n")}\n};\n`,
+  ].join("\n\n");
+};
+
+export default {
+  renderApiClient,
+};
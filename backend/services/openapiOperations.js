@@ -0,0 +1,1091 @@
+/**
+ * Summaries and response shapes of the API routes, for services/openapi.js
+ *
+ * Keyed by "METHOD /path" as mounted. Parameters, request bodies, permissions and error
+ * responses are not listed here - they come from the route's middleware. Each entry has:
+ *   operationId - Function name in the generated frontend client (frontend/src/api/client.js)
+ *   summary     - One line for the API docs page
+ *   data        - Schema of `data` in the success response
+ *   fields      - Other top-level fields of the success response
+ *   body        - Whole response schema, for the few routes without the success envelope
+ *   status      - Success status when not 200
+ *   cached      - Served through the report cache (adds updatedAt and X-Cache)
+ *
+ * After changing this file or a route, run `npm run generate:api-client`.
+ */
+import { ROLES } from "../middleware/permissions.js";
+import { ACCOUNT_STATUSES } from "./adminAccounts.js";
+import { ANOMALY_METRICS, ANOMALY_SEVERITY } from "./anomalies.js";
+import { COMPARE_MODES, DATE_PRESET_NAMES } from "./dateRange.js";
+import { CIRCUIT_STATES } from "./gaGuard.js";
+import { DEPENDENCY_STATUS, READINESS } from "./health.js";
+import { INDEX_SYNC_MODES, INDEX_SYNC_STATUS } from "./indexSync.js";
+import { JOB_RUN_STATUS } from "./jobRuns.js";
+import { JOB_TRIGGERS } from "./scheduler.js";
+
+const string = (extra) => ({ type: "string", ...extra });
+const number = (extra) => ({ type: "number", ...extra });
+const integer = (extra) => ({ type: "integer", ...extra });
+const boolean = (extra) => ({ type: "boolean", ...extra });
+const dateTime = (extra) => ({ type: "string", format: "date-time", ...extra });
+// $ref cannot take siblings in OpenAPI 3.0, so a nullable reference goes through allOf
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const list = (items) => ({ type: "array", items });
+const object = (properties, extra) => ({ type: "object", properties, ...extra });
+const map = (values) => ({ type: "object", additionalProperties: values });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const message = { message: string() };
+
+const gaDate = string({ description: "YYYY-MM-DD" });
+// Rates the services work out as percentages, e.g. 2.35 for 2.35%
+const percent = number({ description: "Percentage, rounded to two decimals" });
+
+export const TAGS = [
+  { name: "health", description: "Liveness and readiness" },
+  { name: "openapi", description: "This document" },
+  { name: "auth", description: "Sign-in, sessions and two-factor authentication" },
+  { name: "admin-accounts", description: "Dashboard accounts" },
+  { name: "api-keys", description: "Keys for scripts and integrations" },
+  { name: "audit", description: "Audit log" },
+  { name: "sites", description: "Sites the dashboard reports on" },
+  { name: "analytics", description: "GA4 reports" },
+  { name: "visitors", description: "GA4 visitor-level reports" },
+  { name: "search-console", description: "Search Console reports and index status" },
+  { name: "users", description: "Site users" },
+  { name: "customers", description: "Subscription customers and their boxes" },
+  { name: "cache", description: "Report cache" },
+  { name: "jobs", description: "Scheduled jobs" },
+];
+
+const SOURCE_SESSIONS = list(object({ source: string(), sessions: integer() }));
+
+export const SCHEMAS = {
+  DateRange: object({
+    startDate: gaDate,
+    endDate: gaDate,
+    preset: nullable(string({ enum: DATE_PRESET_NAMES, description: "null when startDate or endDate were given" })),
+    timeZone: string({ description: "The site's GA property time zone; days are counted in it" }),
+    days: integer({ description: "Days in the range, both ends included" }),
+    comparison: nullable(
+      object(
+        {
+          startDate: gaDate,
+          endDate: gaDate,
+          compare: string({ enum: Object.values(COMPARE_MODES) }),
+          days: integer(),
+        },
+        { description: "The range compared with; null without ?compare=" }
+      )
+    ),
+  }),
+  MetricChange: object({
+    current: number(),
+    previous: nullable(number({ description: "null when the row has no match in the comparison range" })),
+    change: nullable(number()),
+    percentChange: nullable(number({ description: "null when previous is 0 or missing" })),
+  }),
+  Comparison: object(
+    {
+      data: { description: "The same report over range.comparison" },
+      changes: {
+        description:
+          "data's shape with each number as a MetricChange; rows are matched by their text fields, and daily rows by day of the range",
+      },
+    },
+    { description: "Only with ?compare=" }
+  ),
+  Anomaly: object({
+    date: gaDate,
+    series: string({ enum: Object.keys(ANOMALY_METRICS) }),
+    metric: string({ enum: Object.values(ANOMALY_METRICS).flat() }),
+    value: number(),
+    expected: number({ description: "Median of the same weekday over the baseline weeks" }),
+    change: number(),
+    percentChange: nullable(number()),
+    score: number({ description: "Robust z-score: change over the baseline's spread" }),
+    severity: string({ enum: Object.values(ANOMALY_SEVERITY) }),
+    direction: string({ enum: ["drop", "spike"] }),
+    driver: nullable(
+      object(
+        {
+          dimension: string(),
+          value: string(),
+          metric: string(),
+          actual: number(),
+          expected: number(),
+          change: number(),
+          share: number({ description: "Part of the move of all slices that moved the same way" }),
+        },
+        { description: "The slice that moved the most; sessions anomalies only, null for the rest" }
+      )
+    ),
+  }),
+  Site: object({
+    id: string(),
+    name: string(),
+    hostname: string(),
+    isDefault: boolean(),
+  }),
+  SessionAccount: object({
+    id: string({ format: "uuid" }),
+    email: string(),
+    name: string(),
+    role: string(),
+    mfaEnabled: boolean(),
+    permissions: list(string()),
+  }),
+  Session: object({
+    id: string({ format: "uuid" }),
+    ip_address: nullable(string()),
+    user_agent: nullable(string()),
+    created_at: dateTime(),
+    last_seen_at: dateTime(),
+    expires_at: dateTime(),
+    revoked_at: nullable(dateTime()),
+    current: boolean({ description: "The session making the request (listing only)" }),
+  }),
+  LoginResult: object(
+    {
+      success: boolean({ enum: [true] }),
+      message: string(),
+      token: string({ description: "Session token; send it as a bearer token" }),
+      expiresAt: dateTime(),
+      account: ref("SessionAccount"),
+      mfaRequired: boolean({ description: "Password accepted; POST /api/auth/login/mfa with the challenge token" }),
+      mfaSetupRequired: boolean({ description: "The role requires two-factor authentication; enroll with the challenge token" }),
+      challengeToken: string(),
+      usedRecoveryCode: boolean(),
+      recoveryCodes: list(string()),
+    },
+    { required: ["success"] }
+  ),
+  MfaStatus: object({
+    enabled: boolean(),
+    enforced: boolean({ description: "The role requires two-factor authentication" }),
+    enrolledAt: nullable(dateTime()),
+    recoveryCodesRemaining: integer(),
+  }),
+  MfaEnrollment: object({
+    secret: string(),
+    otpauthUrl: string(),
+    qrCode: string({ description: "data: URL of the QR code image" }),
+  }),
+  RecoveryCodes: object({ recoveryCodes: list(string()) }),
+  AdminAccount: object({
+    id: string({ format: "uuid" }),
+    email: string(),
+    name: string(),
+    role: string({ enum: ROLES }),
+    status: string({ enum: ACCOUNT_STATUSES }),
+    mfa_enabled: boolean(),
+    last_login_at: nullable(dateTime()),
+    created_at: dateTime(),
+    updated_at: dateTime(),
+  }),
+  ApiKey: object({
+    id: string({ format: "uuid" }),
+    name: string(),
+    key_prefix: string({ description: "First characters of the key, to recognise it" }),
+    scopes: list(string()),
+    created_by: nullable(string({ format: "uuid" })),
+    created_at: dateTime(),
+    expires_at: nullable(dateTime()),
+    last_used_at: nullable(dateTime()),
+    revoked_at: nullable(dateTime()),
+    rotated_from: nullable(string({ format: "uuid" })),
+  }),
+  AuditEvent: object({
+    id: string({ format: "uuid" }),
+    actor_id: nullable(string()),
+    actor_email: nullable(string()),
+    actor_type: string({ enum: ["session", "api_key", "cron", "anonymous"] }),
+    action: string(),
+    target_type: nullable(string()),
+    target_id: nullable(string()),
+    customer_id: nullable(string()),
+    month: nullable(string()),
+    url: nullable(string()),
+    before: nullable(object({})),
+    after: nullable(object({})),
+    metadata: nullable(object({})),
+    ip_address: nullable(string()),
+    user_agent: nullable(string()),
+    created_at: dateTime(),
+  }),
+  JobRun: object({
+    id: string({ format: "uuid" }),
+    job_name: string(),
+    trigger: string({ enum: Object.values(JOB_TRIGGERS) }),
+    triggered_by: nullable(string()),
+    status: string({ enum: Object.values(JOB_RUN_STATUS) }),
+    started_at: dateTime(),
+    finished_at: nullable(dateTime()),
+    duration_ms: nullable(integer()),
+    error: nullable(string()),
+    result: nullable(object({})),
+  }),
+  Job: object({
+    name: string(),
+    description: string(),
+    schedule: nullable(string({ description: "Cron expression; null when disabled" })),
+    enabled: boolean(),
+    running: boolean(),
+    nextRunAt: nullable(dateTime()),
+    lastRun: nullable(ref("JobRun")),
+  }),
+  IndexSyncJob: object({
+    id: string({ format: "uuid" }),
+    site_id: string(),
+    mode: string({ enum: Object.values(INDEX_SYNC_MODES) }),
+    status: string({ enum: Object.values(INDEX_SYNC_STATUS) }),
+    total: integer(),
+    processed: integer(),
+    indexed: integer(),
+    not_indexed: integer(),
+    errors: integer(),
+    started_by: nullable(string()),
+    started_at: dateTime(),
+    updated_at: dateTime(),
+    finished_at: nullable(dateTime()),
+    cancel_requested_at: nullable(dateTime()),
+    error: nullable(string()),
+  }),
+  Readiness: object({
+    status: string({ enum: Object.values(READINESS) }),
+    draining: boolean({ description: "The server is shutting down" }),
+    checkedAt: dateTime(),
+    dependencies: map(
+      object({
+        status: string({ enum: Object.values(DEPENDENCY_STATUS) }),
+        critical: boolean({ description: "Down makes the server unhealthy rather than degraded" }),
+        latencyMs: integer(),
+      })
+    ),
+  }),
+  GaQuotaStatus: object({
+    quotas: map(
+      object({
+        consumed: integer(),
+        remaining: integer(),
+        remainingRatio: nullable(number()),
+      })
+    ),
+    updatedAt: nullable(dateTime()),
+    low: list(string({ description: "Quotas below lowRatio" })),
+    lowRatio: number(),
+    circuit: object({
+      state: string({ enum: Object.values(CIRCUIT_STATES) }),
+      failures: integer(),
+      lastError: nullable(string()),
+      retryAt: nullable(dateTime()),
+    }),
+  }),
+  DailyTrafficBreakdown: object({
+    daily: list(object({ date: gaDate, sources: SOURCE_SESSIONS, totalSessions: integer() })),
+  }),
+  PageEngagement: object({
+    path: string(),
+    title: string(),
+    bounceRate: number(),
+    avgSessionDuration: number(),
+    pageViews: integer(),
+    sessions: integer(),
+    pagesPerSession: number(),
+  }),
+  Visitor: object({
+    id: string(),
+    date: gaDate,
+    hour: string(),
+    landingPage: string(),
+    deviceCategory: string(),
+    browser: string(),
+    country: string(),
+    region: string(),
+    city: string(),
+    newVsReturning: string(),
+    sessionSource: string(),
+    sessions: integer(),
+    pageViews: integer(),
+    avgSessionDuration: number(),
+    totalDuration: number(),
+    engagedSessions: integer(),
+    bounceRate: number(),
+    activeUsers: integer(),
+  }),
+  SearchRow: object({
+    clicks: integer(),
+    impressions: integer(),
+    ctr: number(),
+    position: number(),
+  }),
+  User: object(
+    {
+      id: string({ format: "uuid" }),
+      name: string(),
+      email: string(),
+      status: string({ enum: ["active", "inactive"] }),
+      created_at: dateTime(),
+    },
+    { additionalProperties: true }
+  ),
+  Customer: object(
+    {
+      customerID: string(),
+      fullName: string(),
+      fullAddress: string(),
+    },
+    { additionalProperties: true, description: "Customer document from MongoDB" }
+  ),
+  Draftbox: object(
+    {
+      customerID: string(),
+      month: integer({ description: "MMYY" }),
+      Packed: boolean(),
+      snacks: list(object({ SnackID: string(), productLine: string(), primaryCategory: string() }, { additionalProperties: true })),
+    },
+    { additionalProperties: true }
+  ),
+};
+
+const searchRows = (key) => list({ allOf: [object({ [key]: string() }), ref("SearchRow")] });
+
+export const OPERATIONS = {
+  "GET /api/health": {
+    operationId: "getHealth",
+    summary: "Check the server is up",
+    body: object({ status: string({ enum: ["ok"] }), message: string(), timestamp: dateTime() }),
+  },
+  "GET /api/health/ready": {
+    operationId: "getReadiness",
+    summary: "Check Supabase, MongoDB, GA and Search Console",
+    body: ref("Readiness"),
+    responses: {
+      503: {
+        description: "Supabase is down or the server is shutting down",
+        content: { "application/json": { schema: ref("Readiness") } },
+      },
+    },
+  },
+  "GET /api/openapi.json": {
+    operationId: "getOpenApiDocument",
+    summary: "This OpenAPI document",
+    tag: "openapi",
+    body: object({}, { additionalProperties: true }),
+  },
+
+  // Auth
+  "POST /api/auth/login": {
+    operationId: "login",
+    summary: "Sign in with email and password",
+    body: ref("LoginResult"),
+  },
+  "POST /api/auth/login/mfa": {
+    operationId: "loginWithMfa",
+    summary: "Finish signing in with a one-time or recovery code",
+    body: ref("LoginResult"),
+  },
+  "POST /api/auth/login/mfa/setup": {
+    operationId: "startLoginMfaSetup",
+    summary: "Start two-factor enrollment during sign-in",
+    data: ref("MfaEnrollment"),
+  },
+  "POST /api/auth/login/mfa/activate": {
+    operationId: "activateLoginMfa",
+    summary: "Confirm two-factor enrollment and finish signing in",
+    body: ref("LoginResult"),
+  },
+  "GET /api/auth/verify": {
+    operationId: "verify",
+    summary: "Check the session token and get the signed-in account",
+    fields: { authenticated: boolean(), expiresAt: dateTime(), account: ref("SessionAccount") },
+  },
+  "POST /api/auth/refresh": {
+    operationId: "refresh",
+    summary: "Extend the session",
+    fields: { token: string(), expiresAt: dateTime() },
+  },
+  "POST /api/auth/logout": {
+    operationId: "logout",
+    summary: "End the session",
+    fields: message,
+  },
+  "GET /api/auth/sessions": {
+    operationId: "listSessions",
+    summary: "Active sessions of the signed-in account",
+    data: list(ref("Session")),
+  },
+  "DELETE /api/auth/sessions/:id": {
+    operationId: "revokeSession",
+    summary: "Sign out one of the account's sessions",
+    data: ref("Session"),
+  },
+  "GET /api/auth/mfa": {
+    operationId: "getMfaStatus",
+    summary: "Two-factor status of the signed-in account",
+    data: ref("MfaStatus"),
+  },
+  "POST /api/auth/mfa/setup": {
+    operationId: "startMfaSetup",
+    summary: "Start two-factor enrollment",
+    data: ref("MfaEnrollment"),
+  },
+  "POST /api/auth/mfa/activate": {
+    operationId: "activateMfa",
+    summary: "Confirm two-factor enrollment",
+    data: ref("RecoveryCodes"),
+  },
+  "POST /api/auth/mfa/recovery-codes": {
+    operationId: "regenerateRecoveryCodes",
+    summary: "Replace the recovery codes",
+    data: ref("RecoveryCodes"),
+  },
+  "POST /api/auth/mfa/disable": {
+    operationId: "disableMfa",
+    summary: "Turn two-factor authentication off",
+    fields: message,
+  },
+
+  // Admin accounts
+  "GET /api/admin-accounts": {
+    operationId: "listAccounts",
+    summary: "List dashboard accounts",
+    data: list(ref("AdminAccount")),
+  },
+  "POST /api/admin-accounts": {
+    operationId: "createAccount",
+    summary: "Create a dashboard account",
+    status: 201,
+    data: ref("AdminAccount"),
+  },
+  "PATCH /api/admin-accounts/:id": {
+    operationId: "updateAccount",
+    summary: "Change an account's name, role, status or password",
+    data: ref("AdminAccount"),
+  },
+  "POST /api/admin-accounts/:id/mfa/reset": {
+    operationId: "resetAccountMfa",
+    summary: "Turn off an account's two-factor authentication",
+    data: ref("AdminAccount"),
+  },
+
+  // API keys
+  "GET /api/api-keys": {
+    operationId: "listApiKeys",
+    summary: "List API keys",
+    data: list(ref("ApiKey")),
+    fields: { scopes: list(string({ description: "Scopes a key can be given" })) },
+  },
+  "POST /api/api-keys": {
+    operationId: "createApiKey",
+    summary: "Create an API key",
+    status: 201,
+    data: ref("ApiKey"),
+    fields: { key: string({ description: "The key itself; shown only this once" }) },
+  },
+  "POST /api/api-keys/:id/rotate": {
+    operationId: "rotateApiKey",
+    summary: "Replace an API key with a new one with the same scopes",
+    status: 201,
+    data: ref("ApiKey"),
+    fields: { key: string({ description: "The new key; shown only this once" }) },
+  },
+  "DELETE /api/api-keys/:id": {
+    operationId: "revokeApiKey",
+    summary: "Revoke an API key",
+    data: ref("ApiKey"),
+  },
+
+  // Audit
+  "GET /api/audit": {
+    operationId: "listAuditEvents",
+    summary: "Search the audit log, newest first",
+    data: list(ref("AuditEvent")),
+    fields: {
+      total: integer(),
+      limit: integer(),
+      offset: integer(),
+      actions: list(string({ description: "Actions that can be filtered on" })),
+    },
+  },
+
+  // Sites
+  "GET /api/sites": {
+    operationId: "listSites",
+    summary: "List the sites; pass one's id as ?site= to the report routes",
+    data: list(ref("Site")),
+  },
+
+  // Analytics
+  "GET /api/analytics/quota": {
+    operationId: "getQuota",
+    summary: "GA4 property quota and circuit breaker state",
+    data: ref("GaQuotaStatus"),
+  },
+  "GET /api/analytics/engagement": {
+    operationId: "getEngagement",
+    summary: "Site-wide engagement metrics",
+    cached: true,
+    data: object({
+      bounceRate: number(),
+      averageSessionDuration: number(),
+      pagesPerSession: number(),
+      scrollDepth: map(integer()),
+      ctaClicks: integer(),
+      totalSessions: integer(),
+      totalPageViews: integer(),
+    }),
+  },
+  "GET /api/analytics/engagement/by-page": {
+    operationId: "getEngagementByPage",
+    summary: "Engagement metrics per page",
+    cached: true,
+    data: list(ref("PageEngagement")),
+  },
+  "GET /api/analytics/overview": {
+    operationId: "getOverview",
+    summary: "Headline traffic metrics",
+    cached: true,
+    data: nullable(
+      object({
+        activeUsers: integer(),
+        sessions: integer(),
+        pageViews: integer(),
+        avgSessionDuration: number(),
+        bounceRate: number(),
+        conversions: integer(),
+      })
+    ),
+  },
+  "GET /api/analytics/top-pages": {
+    operationId: "getTopPages",
+    summary: "Most viewed pages",
+    cached: true,
+    data: list(object({ path: string(), title: string(), views: integer(), avgDuration: number() })),
+  },
+  "GET /api/analytics/traffic-sources": {
+    operationId: "getTrafficSources",
+    summary: "Session and first-touch sources and landing pages",
+    cached: true,
+    data: object({
+      sessionSources: list(
+        object({
+          source: string(),
+          medium: string(),
+          channelGroup: string(),
+          sessions: integer(),
+          users: integer(),
+          attribution: string(),
+        })
+      ),
+      firstTouchSources: list(
+        object({
+          source: string(),
+          medium: string(),
+          sessions: integer(),
+          users: integer(),
+          newUsers: integer(),
+          attribution: string(),
+        })
+      ),
+      landingPages: list(
+        object({
+          landingPage: string(),
+          sessions: integer(),
+          users: integer(),
+          newUsers: integer(),
+          bounceRate: number(),
+        })
+      ),
+    }),
+  },
+  "GET /api/analytics/source-analysis": {
+    operationId: "getSourceAnalysis",
+    summary: "Traffic from one AI assistant",
+    cached: true,
+    data: object({
+      summary: object({}, { additionalProperties: true }),
+      topLandingPages: list(object({}, { additionalProperties: true })),
+      sourceId: string({ enum: ["chatgpt", "claude", "perplexity"] }),
+    }),
+  },
+  "GET /api/analytics/daily-traffic-by-source": {
+    operationId: "getDailyTrafficBySource",
+    summary: "Daily sessions by source",
+    cached: true,
+    data: ref("DailyTrafficBreakdown"),
+  },
+  "GET /api/analytics/daily-traffic-by-country": {
+    operationId: "getDailyTrafficByCountry",
+    summary: "Daily sessions by country",
+    cached: true,
+    data: ref("DailyTrafficBreakdown"),
+  },
+  "GET /api/analytics/daily-traffic-by-landing-page": {
+    operationId: "getDailyTrafficByLandingPage",
+    summary: "Daily sessions by landing page",
+    cached: true,
+    data: ref("DailyTrafficBreakdown"),
+  },
+  "GET /api/analytics/daily-traffic-by-hour": {
+    operationId: "getDailyTrafficByHour",
+    summary: "Daily sessions by hour of day",
+    cached: true,
+    data: ref("DailyTrafficBreakdown"),
+  },
+  "GET /api/analytics/daily-traffic-by-duration": {
+    operationId: "getDailyTrafficByDuration",
+    summary: "Daily sessions by session length",
+    cached: true,
+    data: ref("DailyTrafficBreakdown"),
+  },
+  "GET /api/analytics/daily-trend": {
+    operationId: "getDailyTrend",
+    summary: "Users, sessions and page views per day",
+    cached: true,
+    data: list(object({ date: gaDate, users: integer(), sessions: integer(), pageViews: integer() })),
+  },
+  "GET /api/analytics/anomalies": {
+    operationId: "getAnomalies",
+    summary: "Days whose traffic or search numbers stray from the same weekday's baseline",
+    cached: true,
+    data: object({
+      anomalies: list(ref("Anomaly")),
+      baselineWeeks: integer({ description: "Weeks of the same weekday each day is compared with" }),
+      unavailable: list(string({ enum: ["sources", "search"], description: "Series that could not be loaded" })),
+    }),
+  },
+  "GET /api/analytics/conversion": {
+    operationId: "getConversion",
+    summary: "Conversion and ecommerce metrics",
+    cached: true,
+    data: object({
+      conversionRate: percent,
+      totalConversions: integer(),
+      totalSessions: integer(),
+      totalUsers: integer(),
+      formSubmissions: integer(),
+      emailOptIns: integer(),
+      purchases: integer(),
+      revenue: number({ description: "Rounded to two decimals" }),
+      addToCart: integer(),
+      cartAbandonmentRate: percent,
+    }),
+  },
+  "GET /api/analytics/conversion/by-source": {
+    operationId: "getConversionBySource",
+    summary: "Conversions per traffic source",
+    cached: true,
+    data: list(
+      object({
+        source: string(),
+        medium: string(),
+        conversions: integer(),
+        sessions: integer(),
+        users: integer(),
+        conversionRate: percent,
+      })
+    ),
+  },
+  "GET /api/analytics/content": {
+    operationId: "getContent",
+    summary: "Exit pages, engaging pages and page-to-page flows",
+    cached: true,
+    data: object({
+      topExitPages: list(object({}, { additionalProperties: true })),
+      highEngagementPages: list(object({}, { additionalProperties: true })),
+      userFlows: list(
+        object({
+          page: string(),
+          totalViews: integer(),
+          sources: list(object({ from: string(), views: integer() })),
+        })
+      ),
+      contentGrouping: nullable(list(object({}, { additionalProperties: true }))),
+    }),
+  },
+  "GET /api/analytics/technical": {
+    operationId: "getTechnical",
+    summary: "Page load times, error pages and device performance",
+    cached: true,
+    data: object({
+      overallAvgLoadTime: number(),
+      pageLoadTimes: list(object({}, { additionalProperties: true })),
+      errorPages: list(object({}, { additionalProperties: true })),
+      devicePerformance: list(object({}, { additionalProperties: true })),
+      total404Errors: integer(),
+      note: string(),
+    }),
+  },
+  "GET /api/analytics/core-web-vitals": {
+    operationId: "getCoreWebVitals",
+    summary: "Core Web Vitals sent to GA4 as events",
+    cached: true,
+    data: object({ vitals: map(object({}, { additionalProperties: true })), available: boolean(), note: string() }),
+  },
+  "GET /api/analytics/seo": {
+    operationId: "getSeo",
+    summary: "Organic search traffic and keywords",
+    cached: true,
+    data: object({
+      organicSearch: object({
+        totalSessions: integer(),
+        totalUsers: integer(),
+        sources: list(object({}, { additionalProperties: true })),
+      }),
+      keywords: object({ total: integer(), topKeywords: list(object({}, { additionalProperties: true })) }),
+      note: string(),
+    }),
+  },
+  "GET /api/analytics/audience": {
+    operationId: "getAudience",
+    summary: "Audience profile, from the audience cache when fresh",
+    data: object(
+      {
+        overview: object({}, { additionalProperties: true }),
+        pagesWithScroll: list(object({}, { additionalProperties: true })),
+        geographic: object({}, { additionalProperties: true }),
+        device: object({}, { additionalProperties: true }),
+        visitorType: object({}, { additionalProperties: true }),
+        demographics: object({}, { additionalProperties: true }),
+        language: list(object({}, { additionalProperties: true })),
+        timeAnalysis: object({
+          byHour: list(object({}, { additionalProperties: true })),
+          byDayOfWeek: list(object({}, { additionalProperties: true })),
+        }),
+        newReturningMetrics: object({}, { additionalProperties: true }),
+        totals: object({ users: integer(), sessions: integer() }),
+      },
+      { additionalProperties: true }
+    ),
+    fields: {
+      fromCache: boolean(),
+      updatedAt: dateTime({ description: "When the profile was computed" }),
+    },
+  },
+  "POST /api/analytics/audience/refresh": {
+    operationId: "refreshAudience",
+    summary: "Recompute the audience cache for the site",
+    fields: { message: string(), site: string() },
+  },
+  "GET /api/analytics/sessions": {
+    operationId: "getSessions",
+    summary: "Session engagement metrics, with today's figures",
+    cached: true,
+    data: object({
+      activeUsers: integer(),
+      averageSessionDuration: number(),
+      bounceRate: number(),
+      engagedSessions: integer(),
+      engagedUsers: integer(),
+      engagedSessionsPerActiveUser: number(),
+      engagementRate: number(),
+      sessionKeyEventRate: number(),
+      sessions: integer(),
+      sessionsPerActiveUser: number(),
+      today: object({}, { additionalProperties: true }),
+    }),
+  },
+  "GET /api/analytics/shopping-sessions": {
+    operationId: "getShoppingSessions",
+    summary: "Shop-link clicks by brand, flavor and country",
+    cached: true,
+    data: object({
+      events: list(object({}, { additionalProperties: true })),
+      summary: object({
+        totalEvents: integer(),
+        totalUsers: integer(),
+        totalSessions: integer(),
+        byBrand: list(object({}, { additionalProperties: true })),
+        byFlavor: list(object({}, { additionalProperties: true })),
+        byCountry: list(object({}, { additionalProperties: true })),
+      }),
+    }),
+  },
+
+  // Visitors
+  "GET /api/visitors": {
+    operationId: "listVisitors",
+    summary: "Visitor sessions",
+    cached: true,
+    data: list(ref("Visitor")),
+  },
+  "GET /api/visitors/daily-trends": {
+    operationId: "getDailyTrends",
+    summary: "New and returning visitors per day",
+    cached: true,
+    data: list(object({ date: gaDate, new: integer(), returning: integer(), total: integer() })),
+  },
+  "GET /api/visitors/by-page/:pagePath": {
+    operationId: "listVisitorsByPage",
+    summary: "Visitor sessions landing on a page",
+    cached: true,
+    data: list(ref("Visitor")),
+  },
+  "GET /api/visitors/power-users": {
+    operationId: "getPowerUsers",
+    summary: "Most engaged returning visitors",
+    cached: true,
+    data: list(
+      object(
+        {
+          id: string(),
+          landingPage: string(),
+          sessions: integer(),
+          pageViews: integer(),
+          avgSessionDuration: number(),
+          totalEngagementDuration: number(),
+          engagementRate: number(),
+          bounceRate: number(),
+          firstVisit: gaDate,
+          lastVisit: gaDate,
+          uniqueDays: integer(),
+        },
+        { additionalProperties: true }
+      )
+    ),
+  },
+  "GET /api/visitors/:visitorId": {
+    operationId: "getVisitor",
+    summary: "One visitor's sessions, page views and events",
+    cached: true,
+    data: object({
+      visitorId: string(),
+      sessions: list(object({}, { additionalProperties: true })),
+      pageviews: list(object({}, { additionalProperties: true })),
+      events: list(object({}, { additionalProperties: true })),
+      actualLandingPage: nullable(string()),
+      summary: object({
+        totalSessions: integer(),
+        totalPageViews: integer(),
+        totalEvents: integer(),
+        avgSessionDuration: number(),
+      }),
+    }),
+  },
+
+  // Search Console
+  "GET /api/search-console/performance": {
+    operationId: "getPerformance",
+    summary: "Clicks, impressions, CTR and position, with daily figures",
+    cached: true,
+    data: object({
+      totalClicks: integer(),
+      totalImpressions: integer(),
+      averageCTR: number(),
+      averagePosition: number(),
+      dailyData: list({ allOf: [object({ date: gaDate }), ref("SearchRow")] }),
+    }),
+  },
+  "GET /api/search-console/top-queries": {
+    operationId: "getTopQueries",
+    summary: "Top search queries",
+    cached: true,
+    data: list({ allOf: [object({ query: string(), branded: boolean() }), ref("SearchRow")] }),
+  },
+  "GET /api/search-console/top-pages": {
+    operationId: "getTopSearchPages",
+    summary: "Top pages in search",
+    cached: true,
+    data: searchRows("page"),
+  },
+  "GET /api/search-console/top-countries": {
+    operationId: "getTopCountries",
+    summary: "Search performance by country",
+    cached: true,
+    data: searchRows("country"),
+  },
+  "GET /api/search-console/page-index": {
+    operationId: "getPageIndex",
+    summary: "Sitemap pages with index status, search and GA4 metrics",
+    data: object({
+      pages: list(
+        object({
+          url: string(),
+          indexed: nullable(boolean()),
+          google_index_status: nullable(string()),
+          category: string(),
+          clicks: integer(),
+          impressions: integer(),
+          ctr: number(),
+          position: number(),
+          avgDuration: number(),
+          uniqueVisitors: integer(),
+          bounceRate: number(),
+          sessions: integer(),
+        })
+      ),
+      stats: object({
+        totalPages: integer(),
+        indexedCount: integer(),
+        notIndexedCount: integer(),
+        notIndexedPercent: number(),
+        totalUniqueVisitors: integer(),
+        engagementRate: number(),
+        avgDuration: number(),
+      }),
+    }),
+  },
+  "POST /api/search-console/sync-index-status": {
+    operationId: "startIndexSync",
+    summary: "Start an index status sync; 409 with the running sync if one is in progress",
+    status: 202,
+    data: ref("IndexSyncJob"),
+    responses: {
+      409: {
+        description: "A sync is already running",
+        content: {
+          "application/json": {
+            schema: { allOf: [ref("ApiError"), object({ data: ref("IndexSyncJob") })] },
+          },
+        },
+      },
+    },
+  },
+  "GET /api/search-console/sync-index-status": {
+    operationId: "getLatestIndexSync",
+    summary: "The site's latest index status sync",
+    data: nullable(ref("IndexSyncJob")),
+  },
+  "GET /api/search-console/sync-index-status/:id": {
+    operationId: "getIndexSync",
+    summary: "An index status sync's progress",
+    data: ref("IndexSyncJob"),
+  },
+  "POST /api/search-console/sync-index-status/:id/cancel": {
+    operationId: "cancelIndexSync",
+    summary: "Ask a running index status sync to stop",
+    data: ref("IndexSyncJob"),
+  },
+  "GET /api/search-console/page-rankings": {
+    operationId: "getPageRankings",
+    summary: "Query rankings per page",
+    cached: true,
+    data: list(object({}, { additionalProperties: true })),
+  },
+
+  // Users
+  "GET /api/users": {
+    operationId: "listUsers",
+    summary: "List site users",
+    data: list(ref("User")),
+  },
+  "GET /api/users/:id": {
+    operationId: "getUser",
+    summary: "Get a site user",
+    data: ref("User"),
+  },
+  "POST /api/users": {
+    operationId: "createUser",
+    summary: "Create a site user",
+    status: 201,
+    data: list(ref("User")),
+  },
+  "PUT /api/users/:id": {
+    operationId: "updateUser",
+    summary: "Update a site user",
+    data: list(ref("User")),
+  },
+  "DELETE /api/users/:id": {
+    operationId: "deleteUser",
+    summary: "Delete a site user",
+    fields: message,
+  },
+
+  // Customers
+  "GET /api/customers": {
+    operationId: "listCustomers",
+    summary: "Customers with their boxes",
+    data: list(ref("Customer")),
+  },
+  "PATCH /api/customers/:customerId/draftbox/:month/packed": {
+    operationId: "setDraftboxPacked",
+    summary: "Mark a box packed or unpacked",
+    fields: {
+      ...message,
+      data: object({ customerID: string(), month: integer(), Packed: boolean() }),
+    },
+  },
+  "GET /api/customers/:customerId/draftbox": {
+    operationId: "getDraftbox",
+    summary: "A customer's box for a month",
+    data: ref("Draftbox"),
+  },
+  "POST /api/customers/:customerId/create-box": {
+    operationId: "createBox",
+    summary: "Create a customer's box for a month",
+    data: object({}, { additionalProperties: true }),
+    fields: { ...message, monthInt: integer() },
+    responses: { 409: { $ref: "#/components/responses/Error" } },
+  },
+  "POST /api/customers/check-month": {
+    operationId: "checkMonth",
+    summary: "Which customers have boxes, popped or packed boxes for a month",
+    data: object({
+      withBoxes: list(string()),
+      withPopped: list(string()),
+      withPacked: list(string()),
+      boxSizes: map(integer()),
+    }),
+  },
+  "GET /api/customers/:customerId/snack-history": {
+    operationId: "getSnackHistory",
+    summary: "Snacks a customer has received",
+    data: object({
+      snacks: list(object({}, { additionalProperties: true })),
+      snackIDs: list(string()),
+    }),
+  },
+  "POST /api/customers/:customerId/available-snacks": {
+    operationId: "getAvailableSnacks",
+    summary: "Snacks in stock that could replace one in the box",
+    data: object({
+      currentCategory: nullable(string()),
+      sameCategory: list(object({}, { additionalProperties: true })),
+      otherCategories: list(object({}, { additionalProperties: true })),
+      triedSameCategory: list(object({}, { additionalProperties: true })),
+      triedOtherCategories: list(object({}, { additionalProperties: true })),
+      totalAvailable: integer(),
+      totalTried: integer(),
+    }),
+  },
+  "PUT /api/customers/:customerId/draftbox/:month/replace-snack": {
+    operationId: "replaceSnack",
+    summary: "Swap a snack in a customer's box",
+    fields: {
+      ...message,
+      data: object({ oldSnackID: string(), newSnackID: string(), draftbox: ref("Draftbox") }),
+    },
+  },
+
+  // Cache
+  "POST /api/cache/purge": {
+    operationId: "purgeCache",
+    summary: "Drop cached reports so the next request fetches them again",
+    data: object({ prefix: string(), removed: integer() }),
+  },
+
+  // Jobs
+  "GET /api/jobs": {
+    operationId: "listJobs",
+    summary: "Scheduled jobs with their last run",
+    data: list(ref("Job")),
+    fields: { schedulerRunning: boolean() },
+  },
+  "GET /api/jobs/runs": {
+    operationId: "listJobRuns",
+    summary: "Job run history, newest first",
+    data: list(ref("JobRun")),
+  },
+  "POST /api/jobs/:name/run": {
+    operationId: "runJob",
+    summary: "Run a job now",
+    status: 202,
+    data: ref("JobRun"),
+  },
+};
+
+export default {
+  OPERATIONS,
+  SCHEMAS,
+  TAGS,
+};
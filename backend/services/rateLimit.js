@@ -0,0 +1,225 @@
+/**
+ * Fixed-window rate-limit counters shared by every backend instance
+ *
+ * A store implements:
+ *   increment(key, windowMs) -> { count, resetAt }  (starts a new window when the old one ended)
+ *   get(key)                 -> { count, resetAt } | null
+ *   reset(key)
+ *
+ * Backends: Supabase table (default), Redis (REDIS_URL) and in-memory (tests / single dev process).
+ */
+
+import { logger } from "./logger.js";
+
+const KEY_PREFIX = "ratelimit:";
+const SUPABASE_PRUNE_INTERVAL = 10 * 60 * 1000; // delete expired rows at most every 10 minutes
+
+/**
+ * In-memory store. Counters are per process and lost on restart.
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ */
+export const createMemoryRateLimitStore = ({ now = Date.now } = {}) => {
+  const windows = new Map();
+
+  const getLive = (key) => {
+    const entry = windows.get(key);
+    if (entry && entry.resetAt <= now()) {
+      windows.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: "memory",
+    async increment(key, windowMs) {
+      const entry = getLive(key) || { count: 0, resetAt: now() + windowMs };
+      entry.count += 1;
+      windows.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = getLive(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+};
+
+/**
+ * Supabase store backed by the rate_limits table and the increment_rate_limit
+ * function (see README), which increments atomically so concurrent instances agree.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ */
+export const createSupabaseRateLimitStore = (supabaseClient, { now = Date.now } = {}) => {
+  let lastPrune = 0;
+
+  // Expired rows are ignored on read; this just keeps the table small
+  const pruneExpired = () => {
+    if (now() - lastPrune < SUPABASE_PRUNE_INTERVAL) return;
+    lastPrune = now();
+    supabaseClient
+      .from("rate_limits")
+      .delete()
+      .lt("reset_at", new Date(now()).toISOString())
+      .then(({ error }) => {
+        if (error) logger.warn("Could not prune rate limits", { error: error.message });
+      });
+  };
+
+  return {
+    name: "supabase",
+    async increment(key, windowMs) {
+      const { data, error } = await supabaseClient.rpc("increment_rate_limit", {
+        p_key: key,
+        p_window_ms: windowMs,
+      });
+      if (error) throw error;
+
+      pruneExpired();
+      const row = Array.isArray(data) ? data[0] : data;
+      return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+    },
+    async get(key) {
+      const { data, error } = await supabaseClient
+        .from("rate_limits")
+        .select("count, reset_at")
+        .eq("key", key)
+        .maybeSingle();
+      if (error) throw error;
+
+      const resetAt = data ? new Date(data.reset_at).getTime() : 0;
+      if (!data || resetAt <= now()) return null;
+      return { count: data.count, resetAt };
+    },
+    async reset(key) {
+      const { error } = await supabaseClient.from("rate_limits").delete().eq("key", key);
+      if (error) throw error;
+    },
+  };
+};
+
+// INCR + PEXPIRE on the first hit, in one round trip so the window cannot be left without a TTL
+const REDIS_INCREMENT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+/**
+ * Redis store (any server speaking the Redis protocol, e.g. Upstash, Valkey)
+ * @param {Object} redisClient - Connected node-redis v4 client
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ */
+export const createRedisRateLimitStore = (redisClient, { now = Date.now } = {}) => ({
+  name: "redis",
+  async increment(key, windowMs) {
+    const [count, ttl] = await redisClient.eval(REDIS_INCREMENT_SCRIPT, {
+      keys: [`${KEY_PREFIX}${key}`],
+      arguments: [String(windowMs)],
+    });
+    return { count: Number(count), resetAt: now() + Math.max(Number(ttl), 0) };
+  },
+  async get(key) {
+    const [count, ttl] = await redisClient
+      .multi()
+      .get(`${KEY_PREFIX}${key}`)
+      .pTTL(`${KEY_PREFIX}${key}`)
+      .exec();
+    if (count === null || Number(ttl) <= 0) return null;
+    return { count: Number(count), resetAt: now() + Number(ttl) };
+  },
+  async reset(key) {
+    await redisClient.del(`${KEY_PREFIX}${key}`);
+  },
+});
+
+/**
+ * Pick the store from the environment
+ * RATE_LIMIT_STORE=memory|supabase|redis; defaults to redis when REDIS_URL is set, otherwise supabase.
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client instance
+ * @returns {Promise<Object>} Rate-limit store
+ */
+export const createRateLimitStore = async ({ supabase }) => {
+  const backend =
+    process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? "redis" : "supabase");
+
+  if (backend === "memory") {
+    logger.warn("Rate limits are kept in memory - they reset on restart and are not shared");
+    return createMemoryRateLimitStore();
+  }
+
+  if (backend === "redis") {
+    const { createClient } = await import("redis");
+    const redisClient = createClient({ url: process.env.REDIS_URL });
+    redisClient.on("error", (error) => logger.error("Redis error", { error: error.message }));
+    await redisClient.connect();
+    logger.info("Rate limits stored in Redis");
+    return createRedisRateLimitStore(redisClient);
+  }
+
+  if (backend !== "supabase") {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${backend}" (use memory, supabase or redis)`);
+  }
+  return createSupabaseRateLimitStore(supabase);
+};
+
+/**
+ * Failed-attempt lockout on top of a store: after maxAttempts failures within
+ * lockoutMs, the key is locked for lockoutMs.
+ * @param {Object} store - Rate-limit store
+ * @param {Object} options
+ * @param {number} options.maxAttempts
+ * @param {number} options.lockoutMs
+ */
+export const createLockout = (store, { maxAttempts, lockoutMs }) => ({
+  /**
+   * @param {string} key - e.g. "account:jane@example.com"
+   * @returns {Promise<number|null>} Time (ms) the lock ends, or null if not locked
+   */
+  async getLockedUntil(key) {
+    const lock = await store.get(`lock:${key}`);
+    return lock ? lock.resetAt : null;
+  },
+
+  /**
+   * Count a failure, locking the key once it reaches maxAttempts
+   * @param {string} key
+   * @returns {Promise<{ attempts: number, attemptsRemaining: number, lockedUntil: number|null }>}
+   */
+  async recordFailure(key) {
+    const { count } = await store.increment(`fail:${key}`, lockoutMs);
+    if (count < maxAttempts) {
+      return { attempts: count, attemptsRemaining: maxAttempts - count, lockedUntil: null };
+    }
+
+    const lock = await store.increment(`lock:${key}`, lockoutMs);
+    await store.reset(`fail:${key}`);
+    return { attempts: count, attemptsRemaining: 0, lockedUntil: lock.resetAt };
+  },
+
+  /**
+   * Forget failures after a successful attempt
+   * @param {string} key
+   */
+  async clear(key) {
+    await store.reset(`fail:${key}`);
+  },
+});
+
+export default {
+  createMemoryRateLimitStore,
+  createSupabaseRateLimitStore,
+  createRedisRateLimitStore,
+  createRateLimitStore,
+  createLockout,
+};
@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import {
+  createLockout,
+  createMemoryRateLimitStore,
+  createSupabaseRateLimitStore,
+} from "./rateLimit.js";
+
+const createClock = (start = 1_700_000_000_000) => {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+};
+
+// Mirrors the increment_rate_limit SQL function from the README
+const incrementRateLimit = (clock) => ({ p_key, p_window_ms }, tables) => {
+  const rows = tables.rate_limits;
+  let row = rows.find((existing) => existing.key === p_key);
+  if (!row || new Date(row.reset_at).getTime() <= clock.now()) {
+    if (row) rows.splice(rows.indexOf(row), 1);
+    row = { key: p_key, count: 0, reset_at: new Date(clock.now() + p_window_ms).toISOString() };
+    rows.push(row);
+  }
+  row.count += 1;
+  return { ...row };
+};
+
+const stores = {
+  memory: (clock) => createMemoryRateLimitStore({ now: clock.now }),
+  supabase: (clock) =>
+    createSupabaseRateLimitStore(
+      createFakeSupabase(
+        { rate_limits: [] },
+        { increment_rate_limit: incrementRateLimit(clock) }
+      ),
+      { now: clock.now }
+    ),
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  describe(`${name} rate-limit store`, () => {
+    it("counts hits within a window and starts over after it", async () => {
+      const clock = createClock();
+      const store = createStore(clock);
+
+      assert.equal((await store.increment("k", 1000)).count, 1);
+      const second = await store.increment("k", 1000);
+      assert.equal(second.count, 2);
+      assert.equal(second.resetAt, clock.now() + 1000);
+      assert.equal((await store.get("k")).count, 2);
+
+      clock.advance(1000);
+      assert.equal(await store.get("k"), null);
+      assert.equal((await store.increment("k", 1000)).count, 1);
+    });
+
+    it("resets a key", async () => {
+      const store = createStore(createClock());
+      await store.increment("k", 1000);
+      await store.reset("k");
+      assert.equal(await store.get("k"), null);
+    });
+
+    it("locks a key after the maximum failures and clears on success", async () => {
+      const clock = createClock();
+      const lockout = createLockout(createStore(clock), { maxAttempts: 3, lockoutMs: 60000 });
+
+      assert.equal((await lockout.recordFailure("account:a")).attemptsRemaining, 2);
+      await lockout.clear("account:a");
+      assert.equal((await lockout.recordFailure("account:a")).attemptsRemaining, 2);
+      await lockout.recordFailure("account:a");
+      const locked = await lockout.recordFailure("account:a");
+
+      assert.equal(locked.lockedUntil, clock.now() + 60000);
+      assert.equal(await lockout.getLockedUntil("account:a"), clock.now() + 60000);
+      assert.equal(await lockout.getLockedUntil("account:b"), null);
+
+      clock.advance(60000);
+      assert.equal(await lockout.getLockedUntil("account:a"), null);
+    });
+  });
+}
+
+describe("shared store", () => {
+  it("applies a lockout recorded by one instance to another", async () => {
+    const clock = createClock();
+    const supabase = createFakeSupabase(
+      { rate_limits: [] },
+      { increment_rate_limit: incrementRateLimit(clock) }
+    );
+    const options = { maxAttempts: 2, lockoutMs: 60000 };
+    const instanceA = createLockout(createSupabaseRateLimitStore(supabase, { now: clock.now }), options);
+    const instanceB = createLockout(createSupabaseRateLimitStore(supabase, { now: clock.now }), options);
+
+    await instanceA.recordFailure("account:a");
+    await instanceB.recordFailure("account:a");
+
+    assert.ok(await instanceA.getLockedUntil("account:a"));
+  });
+});
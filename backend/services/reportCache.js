@@ -0,0 +1,311 @@
+/**
+ * Shared cache for GA4 and Search Console reports
+ *
+ * Entries are keyed by report name plus the normalized request parameters, e.g.
+ *   analytics:overview?endDate=today&startDate=30daysAgo
+ * Each entry is fresh for the report's TTL, then served stale (and refreshed in the
+ * background) until its stale window ends, after which callers wait for a new fetch.
+ *
+ * A store implements:
+ *   get(key)                 -> { value, updatedAt, freshUntil, staleUntil } | null
+ *   set(key, entry)
+ *   deleteByPrefix(prefix)   -> number of entries removed
+ *
+ * Backends: Supabase table report_cache (default) and in-memory (tests / single dev process).
+ */
+
+import { getLogContext, logger, runWithLogContext } from "./logger.js";
+import { reportCacheLookupsTotal } from "./metrics.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const SUPABASE_PRUNE_INTERVAL = 10 * MINUTE; // delete dead rows at most every 10 minutes
+const MEMORY_MAX_ENTRIES = 1000;
+
+export const DEFAULT_REPORT_TTL = { freshMs: 15 * MINUTE, staleMs: 24 * HOUR };
+
+// Overrides by report-name prefix; the longest matching prefix wins
+export const REPORT_TTLS = {
+  // Include today's numbers, which move through the day
+  "analytics:sessions": { freshMs: 5 * MINUTE },
+  "analytics:shopping-sessions": { freshMs: 5 * MINUTE },
+  // Search Console data lags two to three days
+  "search-console": { freshMs: 6 * HOUR, staleMs: 48 * HOUR },
+  // Fans out to a GA request per user
+  "visitors:power-users": { freshMs: HOUR },
+};
+
+export const CACHE_STATUS = { HIT: "HIT", STALE: "STALE", MISS: "MISS" };
+
+/**
+ * Resolve the TTLs for a report name
+ * @param {string} report - e.g. "analytics:overview"
+ * @param {Object} [ttls] - Prefix overrides, defaults to REPORT_TTLS
+ * @returns {{ freshMs: number, staleMs: number }}
+ */
+export const getReportTtl = (report, ttls = REPORT_TTLS) => {
+  const prefix = Object.keys(ttls)
+    .filter((candidate) => report === candidate || report.startsWith(`${candidate}:`))
+    .sort((a, b) => b.length - a.length)[0];
+  return { ...DEFAULT_REPORT_TTL, ...(prefix && ttls[prefix]) };
+};
+
+/**
+ * Cache key for a report request: parameters are sorted and empty ones dropped,
+ * so the same request always maps to the same key
+ * @param {string} report
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export const buildCacheKey = (report, params = {}) => {
+  const query = Object.keys(params)
+    .filter((name) => params[name] !== undefined && params[name] !== null && params[name] !== "")
+    .sort()
+    .map((name) => `${name}=${encodeURIComponent(String(params[name]))}`)
+    .join("&");
+  return query ? `${report}?${query}` : report;
+};
+
+/**
+ * In-memory store. Entries are per process and lost on restart.
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this
+ */
+export const createMemoryCacheStore = ({ now = Date.now, maxEntries = MEMORY_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry && entry.staleUntil <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry ? { ...entry } : null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, { ...entry });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async deleteByPrefix(prefix) {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+  };
+};
+
+const toTime = (value) => new Date(value).getTime();
+const toIso = (time) => new Date(time).toISOString();
+
+/**
+ * Supabase store backed by the report_cache table (see README)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ */
+export const createSupabaseCacheStore = (supabaseClient, { now = Date.now } = {}) => {
+  let lastPrune = 0;
+
+  // Dead rows are ignored on read; this just keeps the table small
+  const pruneExpired = () => {
+    if (now() - lastPrune < SUPABASE_PRUNE_INTERVAL) return;
+    lastPrune = now();
+    supabaseClient
+      .from("report_cache")
+      .delete()
+      .lt("stale_until", toIso(now()))
+      .then(({ error }) => {
+        if (error) logger.warn("Could not prune report cache", { error: error.message });
+      });
+  };
+
+  return {
+    name: "supabase",
+    async get(key) {
+      const { data, error } = await supabaseClient
+        .from("report_cache")
+        .select("payload, updated_at, fresh_until, stale_until")
+        .eq("cache_key", key)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (!data || toTime(data.stale_until) <= now()) return null;
+      return {
+        value: data.payload,
+        updatedAt: toTime(data.updated_at),
+        freshUntil: toTime(data.fresh_until),
+        staleUntil: toTime(data.stale_until),
+      };
+    },
+    async set(key, entry) {
+      const { error } = await supabaseClient.from("report_cache").upsert(
+        {
+          cache_key: key,
+          payload: entry.value,
+          updated_at: toIso(entry.updatedAt),
+          fresh_until: toIso(entry.freshUntil),
+          stale_until: toIso(entry.staleUntil),
+        },
+        { onConflict: "cache_key" }
+      );
+      if (error) throw error;
+      pruneExpired();
+    },
+    async deleteByPrefix(prefix) {
+      // A key range rather than LIKE, so "_" and "%" in the prefix are not wildcards
+      const { data, error } = await supabaseClient
+        .from("report_cache")
+        .delete()
+        .gte("cache_key", prefix)
+        .lt("cache_key", `${prefix}\uffff`)
+        .select("cache_key");
+      if (error) throw error;
+      return data.length;
+    },
+  };
+};
+
+/**
+ * Pick the store from the environment
+ * REPORT_CACHE_STORE=memory|supabase; defaults to supabase.
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client instance
+ * @returns {Object} Cache store
+ */
+export const createCacheStore = ({ supabase }) => {
+  const backend = process.env.REPORT_CACHE_STORE || "supabase";
+
+  if (backend === "memory") {
+    logger.warn("Report cache is kept in memory - it resets on restart and is not shared");
+    return createMemoryCacheStore();
+  }
+  if (backend !== "supabase") {
+    throw new Error(`Unknown REPORT_CACHE_STORE "${backend}" (use memory or supabase)`);
+  }
+  return createSupabaseCacheStore(supabase);
+};
+
+/**
+ * Report cache on top of a store
+ * Concurrent requests for the same key share one fetch. If the store is unreachable
+ * reports are fetched live rather than failing.
+ * @param {Object} store - Cache store
+ * @param {Object} [options]
+ * @param {Object} [options.ttls] - Prefix TTL overrides, defaults to REPORT_TTLS
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ */
+export const createReportCache = (store, { ttls = REPORT_TTLS, now = Date.now } = {}) => {
+  const inflight = new Map();
+
+  const refresh = (key, report, load) => {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const { freshMs, staleMs } = getReportTtl(report, ttls);
+    const promise = (async () => {
+      // Log lines and Google API metrics of the fetch name the report
+      const value = await runWithLogContext({ ...getLogContext(), report }, load);
+      const updatedAt = now();
+      const entry = {
+        value,
+        updatedAt,
+        freshUntil: updatedAt + freshMs,
+        staleUntil: updatedAt + freshMs + staleMs,
+      };
+      await store.set(key, entry).catch((error) => {
+        logger.error("Could not cache report", { key, error: error.message });
+      });
+      return entry;
+    })().finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  };
+
+  return {
+    store,
+
+    /**
+     * Return a cached report, fetching it with `load` when missing or expired
+     * @param {string} report - Report name, e.g. "analytics:overview"
+     * @param {Object} params - Everything the report depends on
+     * @param {Function} load - () => Promise<value>
+     * @returns {Promise<{ value: *, cache: string, updatedAt: number }>}
+     */
+    async get(report, params, load) {
+      const key = buildCacheKey(report, params);
+
+      let entry = null;
+      try {
+        entry = await store.get(key);
+      } catch (error) {
+        logger.error("Report cache unavailable", { store: store.name, error: error.message });
+      }
+
+      if (entry && entry.freshUntil > now()) {
+        reportCacheLookupsTotal.inc({ report, cache: CACHE_STATUS.HIT });
+        return { value: entry.value, cache: CACHE_STATUS.HIT, updatedAt: entry.updatedAt };
+      }
+
+      if (entry) {
+        refresh(key, report, load).catch((error) => {
+          logger.error("Background refresh of report failed", { key, error: error.message });
+        });
+        reportCacheLookupsTotal.inc({ report, cache: CACHE_STATUS.STALE });
+        return { value: entry.value, cache: CACHE_STATUS.STALE, updatedAt: entry.updatedAt };
+      }
+
+      reportCacheLookupsTotal.inc({ report, cache: CACHE_STATUS.MISS });
+      const fresh = await refresh(key, report, load);
+      return { value: fresh.value, cache: CACHE_STATUS.MISS, updatedAt: fresh.updatedAt };
+    },
+
+    /**
+     * Fetch a report ahead of demand unless the cached copy stays fresh for `aheadMs`
+     * (used by the cache-warmer job so dashboards never wait on GA)
+     * @param {string} report
+     * @param {Object} params
+     * @param {Function} load - () => Promise<value>
+     * @param {Object} [options]
+     * @param {number} [options.aheadMs] - How long the entry must stay fresh to be skipped
+     * @returns {Promise<boolean>} Whether the report was fetched
+     */
+    async warm(report, params, load, { aheadMs = 0 } = {}) {
+      const key = buildCacheKey(report, params);
+
+      const entry = await store.get(key).catch(() => null);
+      if (entry && entry.freshUntil > now() + aheadMs) return false;
+
+      await refresh(key, report, load);
+      return true;
+    },
+
+    /**
+     * Drop every entry whose key starts with the prefix
+     * @param {string} prefix - e.g. "analytics:" or "search-console:top-queries"
+     * @returns {Promise<number>} Entries removed
+     */
+    purge(prefix) {
+      return store.deleteByPrefix(prefix);
+    },
+  };
+};
+
+export default {
+  createCacheStore,
+  createMemoryCacheStore,
+  createSupabaseCacheStore,
+  createReportCache,
+  buildCacheKey,
+  getReportTtl,
+};
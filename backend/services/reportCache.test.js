@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import {
+  buildCacheKey,
+  createMemoryCacheStore,
+  createReportCache,
+  createSupabaseCacheStore,
+  getReportTtl,
+} from "./reportCache.js";
+
+const MINUTE = 60 * 1000;
+
+const setup = (createStore = (options) => createMemoryCacheStore(options)) => {
+  const clock = { time: Date.UTC(2024, 4, 1) };
+  const now = () => clock.time;
+  const ttls = { analytics: { freshMs: 10 * MINUTE, staleMs: 60 * MINUTE } };
+  const cache = createReportCache(createStore({ now }), { ttls, now });
+  let calls = 0;
+  const load = async () => {
+    calls += 1;
+    return { version: calls };
+  };
+  return { clock, cache, load, calls: () => calls };
+};
+
+// Let a background refresh settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("report cache", () => {
+  it("builds the same key regardless of parameter order and empty values", () => {
+    assert.equal(
+      buildCacheKey("analytics:overview", { startDate: "30daysAgo", endDate: "today", limit: undefined }),
+      buildCacheKey("analytics:overview", { endDate: "today", startDate: "30daysAgo" })
+    );
+    assert.equal(buildCacheKey("search-console:page-index"), "search-console:page-index");
+  });
+
+  it("picks the TTL of the longest matching report prefix", () => {
+    const ttls = { analytics: { freshMs: 1 }, "analytics:sessions": { freshMs: 2 } };
+    assert.equal(getReportTtl("analytics:sessions:today", ttls).freshMs, 2);
+    assert.equal(getReportTtl("analytics:overview", ttls).freshMs, 1);
+    assert.equal(getReportTtl("analytics-other", ttls).freshMs, 15 * MINUTE);
+  });
+
+  it("serves hits while fresh, stale while revalidating, then refetches", async () => {
+    const { clock, cache, load, calls } = setup();
+    const params = { startDate: "7daysAgo", endDate: "today" };
+
+    const miss = await cache.get("analytics:overview", params, load);
+    assert.equal(miss.cache, "MISS");
+    assert.equal((await cache.get("analytics:overview", params, load)).cache, "HIT");
+    assert.equal(calls(), 1);
+
+    clock.time += 11 * MINUTE;
+    const stale = await cache.get("analytics:overview", params, load);
+    assert.equal(stale.cache, "STALE");
+    assert.deepEqual(stale.value, { version: 1 });
+    await flush();
+    assert.equal(calls(), 2);
+
+    const refreshed = await cache.get("analytics:overview", params, load);
+    assert.equal(refreshed.cache, "HIT");
+    assert.deepEqual(refreshed.value, { version: 2 });
+
+    clock.time += 2 * 60 * MINUTE;
+    assert.equal((await cache.get("analytics:overview", params, load)).cache, "MISS");
+  });
+
+  it("shares one fetch between concurrent misses", async () => {
+    const { cache, load, calls } = setup();
+    const results = await Promise.all([
+      cache.get("analytics:overview", {}, load),
+      cache.get("analytics:overview", {}, load),
+    ]);
+    assert.equal(calls(), 1);
+    assert.deepEqual(results[0].value, results[1].value);
+  });
+
+  it("warms reports that are missing or about to expire", async () => {
+    const { clock, cache, load, calls } = setup();
+
+    assert.equal(await cache.warm("analytics:overview", {}, load, { aheadMs: 5 * MINUTE }), true);
+    assert.equal(await cache.warm("analytics:overview", {}, load, { aheadMs: 5 * MINUTE }), false);
+
+    clock.time += 6 * MINUTE;
+    assert.equal(await cache.warm("analytics:overview", {}, load, { aheadMs: 5 * MINUTE }), true);
+    assert.equal(calls(), 2);
+    assert.equal((await cache.get("analytics:overview", {}, load)).cache, "HIT");
+  });
+
+  it("stores entries in Supabase and purges them by prefix", async () => {
+    const supabase = createFakeSupabase({ report_cache: [] });
+    const { cache, load } = setup((options) => createSupabaseCacheStore(supabase, options));
+
+    await cache.get("analytics:overview", { startDate: "7daysAgo" }, load);
+    await cache.get("analytics:top-pages", { limit: 10 }, load);
+    await cache.get("search-console:performance", {}, load);
+    assert.equal(supabase.tables.report_cache.length, 3);
+    assert.equal((await cache.get("analytics:overview", { startDate: "7daysAgo" }, load)).cache, "HIT");
+
+    assert.equal(await cache.purge("analytics:"), 2);
+    assert.deepEqual(
+      supabase.tables.report_cache.map((row) => row.cache_key),
+      ["search-console:performance"]
+    );
+  });
+});
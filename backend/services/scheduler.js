@@ -0,0 +1,254 @@
+import { getNextCronTime, parseCron } from "./cron.js";
+import { JOB_RUN_STATUS, finishJobRun, getLatestJobRuns, startJobRun } from "./jobRuns.js";
+import { getLogContext, logger, runWithLogContext } from "./logger.js";
+import { jobDuration } from "./metrics.js";
+
+/**
+ * In-process scheduler for the jobs in services/jobs.js
+ *
+ * One timer is armed for the next due job. Every instance runs the scheduler; when a
+ * shared lock store is given (the rate-limit store) only the first instance to claim a
+ * slot runs it. A job never overlaps itself - a slot that arrives while the previous
+ * run is still going is skipped. Runs are recorded in job_runs (services/jobRuns.js).
+ */
+
+export const JOB_TRIGGERS = { SCHEDULE: "schedule", MANUAL: "manual" };
+
+// Schedule value that switches a job off
+export const SCHEDULE_OFF = "off";
+
+// setTimeout misbehaves past ~24.8 days; re-check at least hourly (also absorbs clock jumps)
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+// How long a claimed slot stays claimed in the lock store
+const SLOT_LOCK_MS = 10 * 60 * 1000;
+
+// Errors carrying an HTTP status for the route handler
+const jobError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Read schedule overrides from JOB_SCHEDULES, a JSON object of job name to cron
+ * expression or "off", e.g. {"weekly-digest":"0 9 * * 1","index-reinspection":"off"}
+ * @param {string} [value] - Defaults to process.env.JOB_SCHEDULES
+ * @returns {Object<string, string>}
+ */
+export const parseJobSchedules = (value = process.env.JOB_SCHEDULES) => {
+  if (!value) return {};
+  let schedules;
+  try {
+    schedules = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`JOB_SCHEDULES is not valid JSON: ${error.message}`);
+  }
+  if (!schedules || typeof schedules !== "object" || Array.isArray(schedules)) {
+    throw new Error("JOB_SCHEDULES must be a JSON object of job name to cron expression");
+  }
+  return schedules;
+};
+
+/**
+ * @param {Object} options
+ * @param {Object[]} options.jobs - Job definitions ({ name, description, schedule, run })
+ * @param {Object} options.context - Passed to every job's run(); must include supabase
+ * @param {Object<string, string>} [options.schedules] - Overrides by job name (cron or "off")
+ * @param {Object} [options.lockStore] - Rate-limit store used to claim slots across instances
+ * @param {Function} [options.now] - Clock (ms), injectable for tests
+ * @throws {Error} On unknown job names or malformed schedules, so bad config fails at boot
+ */
+export const createScheduler = ({ jobs, context, schedules = {}, lockStore = null, now = Date.now }) => {
+  const { supabase } = context;
+
+  const unknown = Object.keys(schedules).filter((name) => !jobs.some((job) => job.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown job(s) in schedule config: ${unknown.join(", ")}`);
+  }
+
+  const entries = new Map(
+    jobs.map((job) => {
+      const schedule = schedules[job.name] ?? job.schedule;
+      const cron = schedule && schedule !== SCHEDULE_OFF ? parseCron(schedule) : null;
+      return [job.name, { job, schedule: cron ? cron.expression : SCHEDULE_OFF, cron, nextRun: null, running: null }];
+    })
+  );
+
+  let started = false;
+  let timer = null;
+
+  const execute = (entry, { trigger, triggeredBy }) => {
+    let announce;
+    const announced = new Promise((resolve) => {
+      announce = resolve;
+    });
+
+    const done = (async () => {
+      const startedAt = new Date(now());
+      let run = { job_name: entry.job.name, trigger, triggered_by: triggeredBy, status: JOB_RUN_STATUS.RUNNING, started_at: startedAt.toISOString() };
+
+      // A missing history table must not stop the jobs themselves
+      try {
+        run = await startJobRun(supabase, { jobName: entry.job.name, trigger, triggeredBy, startedAt });
+      } catch (error) {
+        logger.error("Could not record start of job", { job: entry.job.name, error: error.message });
+      }
+      announce(run);
+
+      let outcome;
+      try {
+        // Log lines of the run (its GA and Search Console calls too) name the job
+        const result = await runWithLogContext({ ...getLogContext(), job: entry.job.name, jobRunId: run.id }, () =>
+          entry.job.run(context)
+        );
+        outcome = { status: JOB_RUN_STATUS.SUCCEEDED, result: result ?? null };
+      } catch (error) {
+        logger.error("Job failed", { job: entry.job.name, error });
+        outcome = { status: JOB_RUN_STATUS.FAILED, error: error.message };
+      }
+
+      const finishedAt = new Date(now());
+      jobDuration.observe(
+        { job: entry.job.name, status: outcome.status },
+        (finishedAt.getTime() - startedAt.getTime()) / 1000
+      );
+      if (run.id) {
+        try {
+          return await finishJobRun(supabase, run.id, { ...outcome, startedAt, finishedAt });
+        } catch (error) {
+          logger.error("Could not record end of job", { job: entry.job.name, error: error.message });
+        }
+      }
+      return {
+        ...run,
+        status: outcome.status,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt.getTime() - startedAt.getTime(),
+        error: outcome.error ?? null,
+        result: outcome.result ?? null,
+      };
+    })().finally(() => {
+      entry.running = null;
+    });
+
+    // Set before any await so a second call sees the job as running
+    entry.running = done;
+    return { announced, done };
+  };
+
+  /**
+   * Start a job now
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {string} [options.trigger] - One of JOB_TRIGGERS
+   * @param {string|null} [options.triggeredBy]
+   * @returns {Promise<{ run: Object, done: Promise<Object> }>} run is the job_runs row as
+   *   started; done resolves with the finished row
+   * @throws {Error} status 404 for unknown jobs, 409 when the job is already running
+   */
+  const runJob = async (name, { trigger = JOB_TRIGGERS.MANUAL, triggeredBy = null } = {}) => {
+    const entry = entries.get(name);
+    if (!entry) throw jobError(`Unknown job "${name}"`, 404);
+    if (entry.running) throw jobError(`Job "${name}" is already running`, 409);
+
+    const { announced, done } = execute(entry, { trigger, triggeredBy });
+    return { run: await announced, done };
+  };
+
+  // Only one instance runs a given slot when the lock store is shared
+  const claimSlot = async (name, slot) => {
+    if (!lockStore) return true;
+    try {
+      const { count } = await lockStore.increment(`job:${name}:${slot.toISOString()}`, SLOT_LOCK_MS);
+      return count === 1;
+    } catch (error) {
+      logger.error("Could not claim job slot, running anyway", { job: name, error: error.message });
+      return true;
+    }
+  };
+
+  const runScheduled = async (entry, slot) => {
+    if (entry.running) {
+      logger.warn("Skipping job: previous run still going", { job: entry.job.name, slot });
+      return;
+    }
+    if (!(await claimSlot(entry.job.name, slot))) return;
+    const { done } = await runJob(entry.job.name, { trigger: JOB_TRIGGERS.SCHEDULE });
+    await done;
+  };
+
+  const arm = () => {
+    if (!started) return;
+    const next = Math.min(
+      ...[...entries.values()].filter((entry) => entry.nextRun).map((entry) => entry.nextRun.getTime())
+    );
+    if (!Number.isFinite(next)) return;
+
+    timer = setTimeout(tick, Math.min(Math.max(next - now(), 0), MAX_TIMER_DELAY));
+    timer.unref?.();
+  };
+
+  const tick = () => {
+    timer = null;
+    for (const entry of entries.values()) {
+      if (!entry.nextRun || entry.nextRun.getTime() > now()) continue;
+      const slot = entry.nextRun;
+      entry.nextRun = getNextCronTime(entry.cron, now());
+      runScheduled(entry, slot).catch((error) => {
+        logger.error("Scheduled run failed to start", { job: entry.job.name, error: error.message });
+      });
+    }
+    arm();
+  };
+
+  return {
+    /** Arm the timers. Call once the app is serving. */
+    start() {
+      if (started) return;
+      started = true;
+      for (const entry of entries.values()) {
+        entry.nextRun = entry.cron ? getNextCronTime(entry.cron, now()) : null;
+      }
+      arm();
+      logger.info("Scheduler started", { scheduledJobs: [...entries.values()].filter((entry) => entry.cron).length });
+    },
+
+    /** Stop scheduling; runs already going are left to finish */
+    stop() {
+      started = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+
+    get started() {
+      return started;
+    },
+
+    runJob,
+
+    /**
+     * Jobs with their schedule, next run and latest recorded run
+     * @returns {Promise<Object[]>}
+     */
+    async listJobs() {
+      let latest = {};
+      try {
+        latest = await getLatestJobRuns(supabase, [...entries.keys()]);
+      } catch (error) {
+        logger.error("Could not load job run history", { error: error.message });
+      }
+
+      return [...entries.values()].map((entry) => {
+        const nextRun = entry.nextRun || (entry.cron && getNextCronTime(entry.cron, now()));
+        return {
+          name: entry.job.name,
+          description: entry.job.description,
+          schedule: entry.schedule,
+          enabled: Boolean(entry.cron),
+          running: Boolean(entry.running),
+          nextRunAt: started && nextRun ? nextRun.toISOString() : null,
+          lastRun: latest[entry.job.name] || null,
+        };
+      });
+    },
+  };
+};
+
+export default createScheduler;
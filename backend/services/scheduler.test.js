@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import { createMemoryRateLimitStore } from "./rateLimit.js";
+import { createScheduler, parseJobSchedules } from "./scheduler.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const setup = ({ jobs, schedules, lockStore, time = Date.UTC(2024, 4, 1, 10, 0) } = {}) => {
+  const clock = { time };
+  const supabase = createFakeSupabase({ job_runs: [] });
+  const scheduler = createScheduler({
+    jobs,
+    schedules,
+    lockStore,
+    context: { supabase },
+    now: () => clock.time,
+  });
+  return { clock, supabase, scheduler };
+};
+
+describe("scheduler", () => {
+  it("records manual runs with their duration, result and error", async () => {
+    let clock;
+    const jobs = [
+      {
+        name: "ok",
+        description: "",
+        schedule: "0 * * * *",
+        run: async () => {
+          clock.time += 1500;
+          return { rows: 3 };
+        },
+      },
+      { name: "broken", description: "", schedule: "0 * * * *", run: async () => { throw new Error("GA quota exhausted"); } },
+    ];
+    const context = setup({ jobs });
+    const { supabase, scheduler } = context;
+    clock = context.clock;
+
+    const { run, done } = await scheduler.runJob("ok", { triggeredBy: "admin@example.com" });
+    assert.equal(run.status, "running");
+    const finished = await done;
+    assert.equal(finished.status, "succeeded");
+    assert.equal(finished.duration_ms, 1500);
+    assert.deepEqual(finished.result, { rows: 3 });
+    assert.equal(finished.triggered_by, "admin@example.com");
+
+    const failed = await (await scheduler.runJob("broken")).done;
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.error, "GA quota exhausted");
+    assert.equal(supabase.tables.job_runs.length, 2);
+
+    const listed = await scheduler.listJobs();
+    assert.equal(listed.find((job) => job.name === "broken").lastRun.status, "failed");
+  });
+
+  it("refuses unknown jobs and a second run of a job still going", async () => {
+    let release;
+    const jobs = [{ name: "slow", schedule: "off", run: () => new Promise((resolve) => { release = resolve; }) }];
+    const { scheduler } = setup({ jobs });
+
+    const { done } = await scheduler.runJob("slow");
+    await assert.rejects(scheduler.runJob("slow"), (error) => error.status === 409);
+    await assert.rejects(scheduler.runJob("missing"), (error) => error.status === 404);
+
+    release();
+    await done;
+    assert.equal((await scheduler.runJob("slow")).run.status, "running");
+    release();
+  });
+
+  it("applies schedule overrides and rejects bad config", async () => {
+    const jobs = [
+      { name: "a", schedule: "0 * * * *", run: async () => null },
+      { name: "b", schedule: "0 * * * *", run: async () => null },
+    ];
+    const { scheduler } = setup({ jobs, schedules: { a: "*/5 * * * *", b: "off" } });
+    scheduler.start();
+    const [a, b] = await scheduler.listJobs();
+    scheduler.stop();
+
+    assert.equal(a.schedule, "*/5 * * * *");
+    assert.equal(a.nextRunAt, "2024-05-01T10:05:00.000Z");
+    assert.equal(b.enabled, false);
+    assert.equal(b.nextRunAt, null);
+
+    assert.throws(() => setup({ jobs, schedules: { c: "@daily" } }), /Unknown job/);
+    assert.throws(() => setup({ jobs, schedules: { a: "every hour" } }), /Invalid cron/);
+    assert.throws(() => parseJobSchedules("{nope"), /not valid JSON/);
+  });
+
+  it("runs a due slot on only one instance when the lock store is shared", async () => {
+    const lockStore = createMemoryRateLimitStore();
+    let runs = 0;
+    const jobs = [{ name: "tick", schedule: "* * * * *", run: async () => { runs += 1; } }];
+    // 50ms before the minute, so the first slot is due almost at once
+    const time = Date.UTC(2024, 4, 1, 10, 0, 59, 950);
+    const instances = [setup({ jobs, lockStore, time }), setup({ jobs, lockStore, time })];
+
+    instances.forEach(({ scheduler }) => scheduler.start());
+    instances.forEach(({ clock }) => { clock.time += 50; });
+    await wait(120);
+    instances.forEach(({ scheduler }) => scheduler.stop());
+
+    assert.equal(runs, 1);
+    const recorded = instances.flatMap(({ supabase }) => supabase.tables.job_runs);
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].trigger, "schedule");
+  });
+});
@@ -1,92 +1,55 @@
-import { getAnalyticsClient } from "./googleAnalytics.js";
+import { NOT_SET, runGaReport } from "./gaReport.js";
 import axios from "axios";
+import { logger } from "./logger.js";
 
 /**
  * Get SEO-specific metrics
  * Note: Backlinks and Domain Authority require external APIs (Moz, Ahrefs, etc.)
  * This provides what we can get from Google Analytics and Search Console
+ * @param {Object} site - Site to report on (services/sites.js)
  */
 export const getSEOMetrics = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
     // Get organic search traffic
-    const organicResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "sessionSource" }, { name: "sessionMedium" }],
-        metrics: [
-          { name: "sessions" },
-          { name: "activeUsers" },
-          { name: "screenPageViews" },
-        ],
-        dimensionFilter: {
-          filter: {
-            fieldName: "sessionMedium",
-            stringFilter: {
-              matchType: "EXACT",
-              value: "organic",
-            },
-          },
-        },
-        orderBys: [
-          {
-            metric: {
-              metricName: "sessions",
-            },
-            desc: true,
-          },
-        ],
-        limit: 20,
-      },
+    const organicRows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["sessionSource", "sessionMedium"],
+      metrics: ["sessions", "activeUsers", "screenPageViews"],
+      filter: { sessionMedium: "organic" },
+      orderBy: ["-sessions"],
+      limit: 20,
+      notSet: NOT_SET,
     });
 
-    const organicSources =
-      organicResponse.data.rows?.map((row) => ({
-        source: row.dimensionValues[0].value,
-        medium: row.dimensionValues[1].value,
-        sessions: parseInt(row.metricValues[0].value),
-        users: parseInt(row.metricValues[1].value),
-        pageViews: parseInt(row.metricValues[2].value),
-      })) || [];
+    const organicSources = organicRows.map((row) => ({
+      source: row.sessionSource,
+      medium: row.sessionMedium,
+      sessions: row.sessions,
+      users: row.activeUsers,
+      pageViews: row.screenPageViews,
+    }));
 
     // Get keyword data (from search queries - limited in GA4)
-    const keywordResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "searchTerm" }],
-        metrics: [
-          { name: "sessions" },
-          { name: "screenPageViews" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "sessions",
-            },
-            desc: true,
-          },
-        ],
-        limit: 50,
-      },
+    const keywordRows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["searchTerm"],
+      metrics: ["sessions", "screenPageViews"],
+      orderBy: ["-sessions"],
+      limit: 50,
+      notSet: "(not provided)",
     });
 
-    const keywords =
-      keywordResponse.data.rows?.map((row) => ({
-        keyword: row.dimensionValues[0].value || "(not provided)",
-        sessions: parseInt(row.metricValues[0].value),
-        pageViews: parseInt(row.metricValues[1].value),
-      })) || [];
+    const keywords = keywordRows.map((row) => ({
+      keyword: row.searchTerm,
+      sessions: row.sessions,
+      pageViews: row.screenPageViews,
+    }));
 
     // Calculate organic search totals
     const totalOrganicSessions = organicSources.reduce(
@@ -111,7 +74,7 @@ export const getSEOMetrics = async (
       note: "Backlinks and Domain Authority require external SEO tools (Moz, Ahrefs, SEMrush). These can be integrated via their APIs.",
     };
   } catch (error) {
-    console.error("Error fetching SEO metrics:", error);
+    logger.error("Error fetching SEO metrics", { error });
     throw error;
   }
 };
@@ -1,49 +1,39 @@
-import { getAnalyticsClient } from "./googleAnalytics.js";
+import { runGaReport } from "./gaReport.js";
+import { logger } from "./logger.js";
 
 /**
  * Get session metrics
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getSessionMetrics = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
     // Get session metrics
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: "averageSessionDuration" },
-          { name: "bounceRate" },
-          { name: "engagedSessions" },
-          { name: "engagementRate" },
-          { name: "sessions" },
-          { name: "activeUsers" },
-        ],
-      },
+    const [row] = await runGaReport(site, {
+      startDate,
+      endDate,
+      metrics: [
+        "averageSessionDuration",
+        "bounceRate",
+        "engagedSessions",
+        "engagementRate",
+        "sessions",
+        "activeUsers",
+      ],
     });
 
-    const row = response.data.rows?.[0];
     if (!row) {
       return null;
     }
 
-    const averageSessionDuration = parseFloat(row.metricValues[0].value) || 0;
-    const bounceRate = parseFloat(row.metricValues[1].value) * 100 || 0;
-    const engagedSessions = parseInt(row.metricValues[2].value) || 0;
-    const engagementRate = parseFloat(row.metricValues[3].value) * 100 || 0;
-    const sessions = parseInt(row.metricValues[4].value) || 0;
-    const activeUsers = parseInt(row.metricValues[5].value) || 0;
+    const { averageSessionDuration, engagedSessions, sessions, activeUsers } = row;
+    const bounceRate = row.bounceRate * 100;
+    const engagementRate = row.engagementRate * 100;
 
     // Get unique engaged users (users with engagement duration > 5 seconds)
     // GA4 doesn't directly support filtering users by engagement duration
@@ -53,59 +43,31 @@ export const getSessionMetrics = async (
     try {
       // Query sessions grouped by user-identifying dimensions
       // Group by country, region, city, browser to identify unique users
-      const engagedUsersResponse = await analyticsDataClient.properties.runReport({
-        property: `properties/${propertyId}`,
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          dimensions: [
-            { name: "country" },
-            { name: "region" },
-            { name: "city" },
-            { name: "browser" },
-          ],
-          metrics: [
-            { name: "activeUsers" },
-            { name: "userEngagementDuration" },
-          ],
-          limit: 10000, // Get up to 10k user groups
-        },
+      const userGroups = await runGaReport(site, {
+        startDate,
+        endDate,
+        dimensions: ["country", "region", "city", "browser"],
+        metrics: ["activeUsers", "userEngagementDuration"],
       });
 
-      // Filter rows where userEngagementDuration > 5 seconds and count unique users
-      if (engagedUsersResponse.data.rows && engagedUsersResponse.data.rows.length > 0) {
-        engagedUsers = engagedUsersResponse.data.rows
-          .filter((row) => {
-            const engagementDuration = parseFloat(row.metricValues[1].value || 0);
-            return engagementDuration > 5.0; // Filter for engagement > 5 seconds
-          })
-          .reduce((sum, row) => {
-            const users = parseInt(row.metricValues[0].value || 0);
-            return sum + users; // Sum activeUsers from filtered rows
-          }, 0);
-      }
+      // Sum activeUsers from the groups engaged for more than 5 seconds
+      engagedUsers = userGroups
+        .filter((group) => group.userEngagementDuration > 5.0)
+        .reduce((sum, group) => sum + group.activeUsers, 0);
     } catch (error) {
-      console.warn("Error fetching engaged users with duration > 5s:", error.message);
+      logger.warn("Error fetching engaged users with duration > 5s", { error: error.message });
       // Fallback: try using engagedUsers metric (users with engaged sessions - 10s+ or 2+ pages)
       try {
-        const engagedUsersResponse = await analyticsDataClient.properties.runReport({
-          property: `properties/${propertyId}`,
-          requestBody: {
-            dateRanges: [{ startDate, endDate }],
-            metrics: [
-              { name: "engagedUsers" },
-            ],
-          },
+        const [engagedUsersRow] = await runGaReport(site, {
+          startDate,
+          endDate,
+          metrics: ["engagedUsers"],
         });
 
-        const engagedUsersRow = engagedUsersResponse.data.rows?.[0];
-        if (engagedUsersRow) {
-          engagedUsers = parseInt(engagedUsersRow.metricValues[0].value) || 0;
-        } else {
-          // If no data, use engagedSessions as approximation
-          engagedUsers = engagedSessions;
-        }
+        // If no data, use engagedSessions as approximation
+        engagedUsers = engagedUsersRow ? engagedUsersRow.engagedUsers : engagedSessions;
       } catch (fallbackError) {
-        console.warn("Error fetching engaged users, using engagedSessions as final fallback:", fallbackError.message);
+        logger.warn("Error fetching engaged users, using engagedSessions as final fallback", { error: fallbackError.message });
         // Final fallback: use engagedSessions if all else fails
         engagedUsers = engagedSessions;
       }
@@ -135,7 +97,7 @@ export const getSessionMetrics = async (
       sessionsPerActiveUser: parseFloat(sessionsPerActiveUser),
     };
   } catch (error) {
-    console.error("Error fetching session metrics:", error);
+    logger.error("Error fetching session metrics", { error });
     throw error;
   }
 };
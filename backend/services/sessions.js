@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import { toPublicAccount } from "./adminAccounts.js";
+import { logger } from "./logger.js";
+
+export const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+export const SESSION_MAX_LIFETIME = 7 * 24 * 60 * 60 * 1000; // refreshable for up to 7 days
+
+// Columns shown on the sessions page (never the token id)
+const SESSION_LIST_COLUMNS = "id, ip_address, user_agent, created_at, last_seen_at, expires_at";
+
+// Avoid a write on every request; "last seen" only needs to be roughly right
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+let generatedSecret = null;
+
+/**
+ * Get the HMAC secret used to sign tokens
+ * Falls back to a per-process random secret (tokens die on restart) when SESSION_SECRET is unset.
+ */
+const getSessionSecret = () => {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (!generatedSecret) {
+    logger.warn("SESSION_SECRET not set - using a random secret, sessions will not survive a restart");
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return generatedSecret;
+};
+
+const hmac = (value) =>
+  crypto.createHmac("sha256", getSessionSecret()).update(value).digest("base64url");
+
+/**
+ * Sign a JSON payload: base64url(payload).base64url(HMAC-SHA256)
+ * @param {Object} payload - Must include exp (ms since epoch)
+ * @returns {string} Signed token
+ */
+export const signToken = (payload) => {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encodedPayload}.${hmac(encodedPayload)}`;
+};
+
+/**
+ * Verify a token produced by signToken
+ * @param {string} token
+ * @returns {Object|null} Decoded payload, or null if the signature is bad or it has expired
+ */
+export const verifySignedToken = (token) => {
+  if (typeof token !== "string") return null;
+
+  const [encodedPayload, signature, ...rest] = token.split(".");
+  if (!encodedPayload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(hmac(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Extract the Bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) return null;
+  return header.slice("Bearer ".length).trim() || null;
+};
+
+const issueToken = (session) =>
+  signToken({
+    sid: session.id,
+    jti: session.token_id,
+    sub: session.account_id,
+    iat: Date.now(),
+    exp: new Date(session.expires_at).getTime(),
+  });
+
+/**
+ * Create a server-side session for an account and mint its token
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} account - Public account ({ id, email, ... })
+ * @param {Object} meta
+ * @param {string} [meta.ip] - Client IP
+ * @param {string} [meta.userAgent] - Client user agent
+ * @returns {Promise<{ token: string, expiresAt: number, session: Object }>}
+ */
+export const createSession = async (supabaseClient, account, { ip = null, userAgent = null } = {}) => {
+  const now = Date.now();
+  const { data: session, error } = await supabaseClient
+    .from("admin_sessions")
+    .insert([
+      {
+        id: crypto.randomUUID(),
+        account_id: account.id,
+        token_id: crypto.randomBytes(16).toString("hex"),
+        ip_address: ip,
+        user_agent: userAgent,
+        created_at: new Date(now).toISOString(),
+        last_seen_at: new Date(now).toISOString(),
+        expires_at: new Date(now + SESSION_TTL).toISOString(),
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    token: issueToken(session),
+    expiresAt: new Date(session.expires_at).getTime(),
+    session,
+  };
+};
+
+/**
+ * Resolve a session token to its live session and account
+ * Checks the signature, expiry, revocation and that the account is still active.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} token
+ * @returns {Promise<{ session: Object, account: Object, expiresAt: number }|null>}
+ */
+export const verifySessionToken = async (supabaseClient, token) => {
+  const payload = verifySignedToken(token);
+  if (!payload?.sid || !payload?.jti) return null;
+
+  const { data: session, error } = await supabaseClient
+    .from("admin_sessions")
+    .select("*")
+    .eq("id", payload.sid)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (
+    !session ||
+    session.revoked_at ||
+    session.token_id !== payload.jti ||
+    new Date(session.expires_at).getTime() < Date.now()
+  ) {
+    return null;
+  }
+
+  const { data: account, error: accountError } = await supabaseClient
+    .from("admin_users")
+    .select("*")
+    .eq("id", session.account_id)
+    .maybeSingle();
+
+  if (accountError) throw accountError;
+  if (!account || account.status !== "active") return null;
+
+  const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+  if (Date.now() - lastSeen > LAST_SEEN_RESOLUTION) {
+    supabaseClient
+      .from("admin_sessions")
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq("id", session.id)
+      .then(({ error: updateError }) => {
+        if (updateError) logger.warn("Could not record session activity", { error: updateError.message });
+      });
+  }
+
+  return {
+    session,
+    account: toPublicAccount(account),
+    expiresAt: new Date(session.expires_at).getTime(),
+  };
+};
+
+/**
+ * Issue a fresh token for a live session and invalidate the previous one
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} session - Session row from verifySessionToken
+ * @returns {Promise<{ token: string, expiresAt: number }|null>} null once the session hits its max lifetime
+ */
+export const refreshSession = async (supabaseClient, session) => {
+  const now = Date.now();
+  const maxExpiry = new Date(session.created_at).getTime() + SESSION_MAX_LIFETIME;
+  if (now >= maxExpiry) return null;
+
+  const { data: updated, error } = await supabaseClient
+    .from("admin_sessions")
+    .update({
+      token_id: crypto.randomBytes(16).toString("hex"),
+      last_seen_at: new Date(now).toISOString(),
+      expires_at: new Date(Math.min(now + SESSION_TTL, maxExpiry)).toISOString(),
+    })
+    .eq("id", session.id)
+    .is("revoked_at", null)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) return null;
+
+  return {
+    token: issueToken(updated),
+    expiresAt: new Date(updated.expires_at).getTime(),
+  };
+};
+
+/**
+ * Revoke a session so its token stops working immediately
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} sessionId
+ */
+export const revokeSession = async (supabaseClient, sessionId) => {
+  const { error } = await supabaseClient
+    .from("admin_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+};
+
+/**
+ * List an account's live sessions, most recently active first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listSessions = async (supabaseClient, accountId) => {
+  const { data, error } = await supabaseClient
+    .from("admin_sessions")
+    .select(SESSION_LIST_COLUMNS)
+    .eq("account_id", accountId)
+    .is("revoked_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .order("last_seen_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Revoke one of an account's own sessions
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} accountId - Owner; other accounts' sessions are never touched
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} The revoked session, or null if it is not a live session of the account
+ */
+export const revokeAccountSession = async (supabaseClient, accountId, sessionId) => {
+  const { data, error } = await supabaseClient
+    .from("admin_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .eq("account_id", accountId)
+    .is("revoked_at", null)
+    .select(SESSION_LIST_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+export default {
+  signToken,
+  verifySignedToken,
+  getBearerToken,
+  createSession,
+  verifySessionToken,
+  refreshSession,
+  revokeSession,
+  listSessions,
+  revokeAccountSession,
+};
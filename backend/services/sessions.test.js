@@ -0,0 +1,55 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeSupabase } from "../testUtils/fakeSupabase.js";
+import {
+  createSession,
+  listSessions,
+  revokeAccountSession,
+  verifySessionToken,
+} from "./sessions.js";
+
+const ACCOUNTS = [
+  { id: "acc-1", email: "a@example.com", role: "admin", status: "active" },
+  { id: "acc-2", email: "b@example.com", role: "packer", status: "active" },
+];
+
+const setup = () => createFakeSupabase({ admin_users: ACCOUNTS, admin_sessions: [] });
+
+describe("session management", () => {
+  it("lists only the account's live sessions without token ids", async () => {
+    const supabase = setup();
+    const laptop = await createSession(supabase, ACCOUNTS[0], { ip: "10.0.0.1", userAgent: "Firefox" });
+    const phone = await createSession(supabase, ACCOUNTS[0], { ip: "10.0.0.2", userAgent: "Safari" });
+    await createSession(supabase, ACCOUNTS[1]);
+    await revokeAccountSession(supabase, "acc-1", phone.session.id);
+
+    const sessions = await listSessions(supabase, "acc-1");
+    assert.deepEqual(sessions.map((session) => session.id), [laptop.session.id]);
+    assert.equal(sessions[0].ip_address, "10.0.0.1");
+    assert.equal(sessions[0].token_id, undefined);
+  });
+
+  it("revokes an own session so its token stops working", async () => {
+    const supabase = setup();
+    const { token, session } = await createSession(supabase, ACCOUNTS[0]);
+
+    assert.equal(await revokeAccountSession(supabase, "acc-2", session.id), null);
+    assert.ok(await verifySessionToken(supabase, token));
+
+    assert.equal((await revokeAccountSession(supabase, "acc-1", session.id)).id, session.id);
+    assert.equal(await verifySessionToken(supabase, token), null);
+    assert.equal(await revokeAccountSession(supabase, "acc-1", session.id), null);
+  });
+
+  it("records activity when a stale session is used", async () => {
+    const supabase = setup();
+    const { token, session } = await createSession(supabase, ACCOUNTS[0]);
+    const row = supabase.tables.admin_sessions.find((existing) => existing.id === session.id);
+    row.last_seen_at = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+
+    await verifySessionToken(supabase, token);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.ok(Date.now() - new Date(row.last_seen_at).getTime() < 1000);
+  });
+});
@@ -1,118 +1,36 @@
-import { google } from "googleapis";
-import { readFileSync } from "fs";
-import { join, dirname } from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Get the analytics client from googleAnalytics.js
-// We'll import it dynamically to avoid circular dependencies
-let analyticsDataClient = null;
-
-/**
- * Get the analytics client
- */
-const getAnalyticsClient = () => {
-  if (analyticsDataClient) {
-    return analyticsDataClient;
-  }
-
-  try {
-    const GA_PROPERTY_ID = process.env.GA_PROPERTY_ID;
-    const GA_SERVICE_ACCOUNT_BASE64 = process.env.GA_SERVICE_ACCOUNT_BASE64;
-    const GA_KEY_FILE = process.env.GA_KEY_FILE_PATH;
-
-    if (!GA_PROPERTY_ID) {
-      throw new Error("GA_PROPERTY_ID not set");
-    }
-
-    let credentials;
-    
-    if (GA_SERVICE_ACCOUNT_BASE64) {
-      const decoded = Buffer.from(GA_SERVICE_ACCOUNT_BASE64, "base64").toString("utf8");
-      credentials = JSON.parse(decoded);
-    } else if (GA_KEY_FILE) {
-      const keyFilePath = join(__dirname, "..", GA_KEY_FILE);
-      credentials = JSON.parse(readFileSync(keyFilePath, "utf8"));
-    } else {
-      throw new Error("No GA credentials available");
-    }
-
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ["https://www.googleapis.com/auth/analytics.readonly"],
-    });
-
-    analyticsDataClient = google.analyticsdata({
-      version: "v1beta",
-      auth,
-    });
-
-    return analyticsDataClient;
-  } catch (error) {
-    console.error("Error initializing analytics client:", error);
-    return null;
-  }
-};
+import { NOT_SET, runGaReport } from "./gaReport.js";
+import { logger } from "./logger.js";
 
 /**
  * Get shopping referral events (Shop button clicks)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format or relative like "30daysAgo"
  * @param {string} endDate - End date in YYYY-MM-DD format or "today"
  * @returns {Object} Shopping sessions data with events and summary
  */
 export const getShoppingSessions = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
     // Query for "Shopping Referral" events with detailed dimensions
-    const response = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [
-          { name: "date" },
-          { name: "eventName" },
-          { name: "pagePath" },
-          { name: "pageTitle" },
-          { name: "country" },
-          { name: "deviceCategory" },
-          { name: "sessionSource" },
-          { name: "sessionMedium" },
-        ],
-        metrics: [
-          { name: "eventCount" },
-          { name: "activeUsers" },
-          { name: "sessions" },
-        ],
-        dimensionFilter: {
-          filter: {
-            fieldName: "eventName",
-            stringFilter: {
-              matchType: "EXACT",
-              value: "Shopping Referral",
-            },
-          },
-        },
-        orderBys: [
-          {
-            dimension: {
-              dimensionName: "date",
-            },
-            desc: true,
-          },
-        ],
-        limit: 10000, // Get up to 10,000 events
-      },
+    const rows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: [
+        "date",
+        "eventName",
+        "pagePath",
+        "pageTitle",
+        "country",
+        "deviceCategory",
+        "sessionSource",
+        "sessionMedium",
+      ],
+      metrics: ["eventCount", "activeUsers", "sessions"],
+      filter: { eventName: "Shopping Referral" },
+      orderBy: ["-date"],
     });
 
     // Process the response
@@ -121,65 +39,52 @@ export const getShoppingSessions = async (
     let totalUsers = 0;
     let totalSessions = 0;
 
-    if (response.data.rows) {
-      response.data.rows.forEach((row) => {
-        const date = row.dimensionValues[0].value;
-        const eventName = row.dimensionValues[1].value;
-        const pagePath = row.dimensionValues[2].value;
-        const pageTitle = row.dimensionValues[3].value;
-        const country = row.dimensionValues[4].value;
-        const deviceCategory = row.dimensionValues[5].value;
-        const sessionSource = row.dimensionValues[6].value;
-        const sessionMedium = row.dimensionValues[7].value;
-
-        const eventCount = parseInt(row.metricValues[0].value) || 0;
-        const activeUsers = parseInt(row.metricValues[1].value) || 0;
-        const sessions = parseInt(row.metricValues[2].value) || 0;
-
-        // Try to extract brand and flavor from pagePath or pageTitle
-        // Page paths are like: /reviews/brand-name/flavor-name
-        let brandName = "";
-        let flavorName = "";
-        
-        if (pagePath) {
-          const pathParts = pagePath.split("/").filter(Boolean);
-          if (pathParts.length >= 3 && pathParts[0] === "reviews") {
-            brandName = pathParts[1]?.replace(/-/g, " ") || "";
-            flavorName = pathParts[2]?.replace(/-/g, " ") || "";
-          }
+    rows.forEach((row) => {
+      const { date, eventName, pagePath, pageTitle, eventCount, activeUsers, sessions } = row;
+
+      // Try to extract brand and flavor from pagePath or pageTitle
+      // Page paths are like: /reviews/brand-name/flavor-name
+      let brandName = "";
+      let flavorName = "";
+      
+      if (pagePath) {
+        const pathParts = pagePath.split("/").filter(Boolean);
+        if (pathParts.length >= 3 && pathParts[0] === "reviews") {
+          brandName = pathParts[1]?.replace(/-/g, " ") || "";
+          flavorName = pathParts[2]?.replace(/-/g, " ") || "";
         }
+      }
 
-        // If we can't extract from path, try pageTitle
-        if (!brandName && pageTitle) {
-          // Page titles might be like "Brand Name Flavor Name Review"
-          const titleParts = pageTitle.split(" ");
-          if (titleParts.length >= 2) {
-            brandName = titleParts[0] || "";
-            flavorName = titleParts.slice(1, -1).join(" ") || ""; // Remove "Review" at the end
-          }
+      // If we can't extract from path, try pageTitle
+      if (!brandName && pageTitle) {
+        // Page titles might be like "Brand Name Flavor Name Review"
+        const titleParts = pageTitle.split(" ");
+        if (titleParts.length >= 2) {
+          brandName = titleParts[0] || "";
+          flavorName = titleParts.slice(1, -1).join(" ") || ""; // Remove "Review" at the end
         }
+      }
 
-        events.push({
-          date,
-          eventName,
-          pagePath,
-          pageTitle,
-          brandName: brandName || "Unknown",
-          flavorName: flavorName || "Unknown",
-          country,
-          deviceCategory,
-          sessionSource,
-          sessionMedium,
-          eventCount,
-          activeUsers,
-          sessions,
-        });
-
-        totalEvents += eventCount;
-        totalUsers += activeUsers;
-        totalSessions += sessions;
+      events.push({
+        date,
+        eventName,
+        pagePath: pagePath ?? NOT_SET,
+        pageTitle: pageTitle ?? NOT_SET,
+        brandName: brandName || "Unknown",
+        flavorName: flavorName || "Unknown",
+        country: row.country ?? NOT_SET,
+        deviceCategory: row.deviceCategory ?? NOT_SET,
+        sessionSource: row.sessionSource ?? NOT_SET,
+        sessionMedium: row.sessionMedium ?? NOT_SET,
+        eventCount,
+        activeUsers,
+        sessions,
       });
-    }
+
+      totalEvents += eventCount;
+      totalUsers += activeUsers;
+      totalSessions += sessions;
+    });
 
     // Get summary statistics by different dimensions
     const summaryByBrand = {};
@@ -281,7 +186,7 @@ export const getShoppingSessions = async (
       },
     };
   } catch (error) {
-    console.error("Error fetching shopping sessions:", error);
+    logger.error("Error fetching shopping sessions", { error });
     throw error;
   }
 };
@@ -0,0 +1,78 @@
+/**
+ * Graceful shutdown on SIGTERM / SIGINT
+ *
+ * 1. Readiness turns unhealthy, so the load balancer stops sending requests.
+ * 2. The scheduler stops starting jobs.
+ * 3. The server stops accepting connections and waits for requests in flight.
+ *    Those still running after `timeoutMs` have their connections closed.
+ * 4. The closers run (MongoDB client) and the process exits.
+ */
+import { logger } from "./logger.js";
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * @param {Object} options
+ * @param {import("http").Server} options.server
+ * @param {Object} [options.readiness] - From services/health.js createReadinessCheck
+ * @param {Object} [options.scheduler] - From services/scheduler.js createScheduler
+ * @param {Function[]} [options.closers] - () => Promise, run once requests have drained
+ * @param {number} [options.timeoutMs] - How long requests in flight get to finish
+ * @param {Function} [options.exit] - Defaults to process.exit
+ * @param {Object} [options.log] - Defaults to the shared logger
+ * @returns {Function} (signal) => Promise, resolving once shut down; repeat calls share it
+ */
+export const createGracefulShutdown = ({
+  server,
+  readiness,
+  scheduler,
+  closers = [],
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  exit = (code) => process.exit(code),
+  log = logger,
+}) => {
+  let shuttingDown = null;
+
+  const drain = () =>
+    new Promise((resolve) => {
+      let forced = false;
+      const timer = setTimeout(() => {
+        forced = true;
+        log.warn("Requests still running at shutdown timeout, closing their connections", { timeoutMs });
+        server.closeAllConnections();
+      }, timeoutMs);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(forced);
+      });
+      // Keep-alive connections with no request in flight would otherwise hold close() open
+      server.closeIdleConnections();
+    });
+
+  return (signal) => {
+    if (shuttingDown) return shuttingDown;
+
+    shuttingDown = (async () => {
+      log.info("Shutting down gracefully", { signal, timeoutMs });
+      readiness?.startDraining();
+      scheduler?.stop();
+
+      const forced = await drain();
+
+      for (const close of closers) {
+        try {
+          await close();
+        } catch (error) {
+          log.error("Error closing during shutdown", { error });
+        }
+      }
+
+      log.info("Process terminated", { forced });
+      exit(forced ? 1 : 0);
+    })();
+    return shuttingDown;
+  };
+};
+
+export default createGracefulShutdown;
@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createLogger } from "./logger.js";
+import { createGracefulShutdown } from "./shutdown.js";
+
+const silent = createLogger({ level: "silent", write: () => {} });
+
+const listen = async (handler) => {
+  const server = http.createServer(handler);
+  server.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+describe("graceful shutdown", () => {
+  it("drains requests in flight before closing dependencies and exiting", async () => {
+    let finish;
+    const { server, url } = await listen((req, res) => {
+      finish = () => res.end("done");
+    });
+    const steps = [];
+    const shutdown = createGracefulShutdown({
+      server,
+      readiness: { startDraining: () => steps.push("draining") },
+      scheduler: { stop: () => steps.push("scheduler stopped") },
+      closers: [async () => steps.push("mongo closed")],
+      exit: (code) => steps.push(`exit ${code}`),
+      log: silent,
+    });
+
+    const inFlight = fetch(url).then((response) => response.text());
+    while (!finish) await new Promise((resolve) => setImmediate(resolve));
+
+    const done = shutdown("SIGTERM");
+    assert.equal(shutdown("SIGINT"), done);
+    assert.deepEqual(steps, ["draining", "scheduler stopped"]);
+
+    finish();
+    assert.equal(await inFlight, "done");
+    await done;
+    assert.deepEqual(steps, ["draining", "scheduler stopped", "mongo closed", "exit 0"]);
+  });
+
+  it("closes connections still open at the timeout and exits with 1", async () => {
+    const { server, url } = await listen(() => {});
+    let exitCode;
+    const shutdown = createGracefulShutdown({ server, timeoutMs: 20, exit: (code) => (exitCode = code), log: silent });
+
+    const hung = fetch(url).catch((error) => error);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await shutdown("SIGTERM");
+
+    assert.equal(exitCode, 1);
+    assert.ok((await hung) instanceof Error);
+  });
+});
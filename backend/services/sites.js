@@ -0,0 +1,158 @@
+/**
+ * Registry of the sites the dashboard reports on
+ *
+ * Each site has its own GA4 property, Search Console property and sitemaps:
+ *
+ *   { id: "proteinbarnerd", name: "Protein Bar Nerd", gaPropertyId: "123456789",
+ *     searchConsoleSiteUrl: "sc-domain:proteinbarnerd.com",
+ *     sitemapUrls: ["https://www.proteinbarnerd.com/sitemap.xml"],
+ *     hostname: "proteinbarnerd.com", brandTerms: ["protein bar nerd", "pbn"],
+ *     timeZone: "America/New_York" }
+ *
+ * Sites come from SITES, a JSON array of those objects. Without it there is one site,
+ * Protein Bar Nerd, reading GA_PROPERTY_ID, SEARCH_CONSOLE_SITE_URL and GA_TIMEZONE as
+ * before. The first site is the default for requests that do not name one. timeZone is
+ * the GA property's reporting time zone (UTC when unset): report date ranges count days
+ * in it (services/dateRange.js).
+ */
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "./dateRange.js";
+
+// Rows stored before sites existed belong to this site (see the README migration)
+export const DEFAULT_SITE_ID = "proteinbarnerd";
+
+const SITE_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * The single site used when SITES is not set
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object}
+ */
+export const getLegacySite = (env = process.env) => ({
+  id: DEFAULT_SITE_ID,
+  name: "Protein Bar Nerd",
+  gaPropertyId: env.GA_PROPERTY_ID || null,
+  searchConsoleSiteUrl: env.SEARCH_CONSOLE_SITE_URL || null,
+  sitemapUrls: ["https://www.proteinbarnerd.com/sitemap.xml"],
+  hostname: "proteinbarnerd.com",
+  brandTerms: ["protein bar nerd", "proteinbarnerd"],
+  timeZone: env.GA_TIMEZONE || DEFAULT_TIME_ZONE,
+});
+
+const normalizeSite = (site, index) => {
+  const where = `SITES[${index}]`;
+  if (!site || typeof site !== "object" || Array.isArray(site)) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (typeof site.id !== "string" || !SITE_ID.test(site.id)) {
+    throw new Error(`${where}.id must be lowercase letters, digits and dashes`);
+  }
+  ["gaPropertyId", "searchConsoleSiteUrl"].forEach((key) => {
+    if (!site[key]) throw new Error(`${where}.${key} is required`);
+  });
+  if (typeof site.hostname !== "string" || site.hostname.trim() === "") {
+    throw new Error(`${where}.hostname is required`);
+  }
+  const sitemapUrls = site.sitemapUrls ?? [];
+  if (!Array.isArray(sitemapUrls) || sitemapUrls.some((url) => typeof url !== "string")) {
+    throw new Error(`${where}.sitemapUrls must be a list of URLs`);
+  }
+  const brandTerms = site.brandTerms ?? [];
+  if (!Array.isArray(brandTerms) || brandTerms.some((term) => typeof term !== "string")) {
+    throw new Error(`${where}.brandTerms must be a list of strings`);
+  }
+  const timeZone = site.timeZone ?? DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`${where}.timeZone must be an IANA time zone, e.g. America/New_York`);
+  }
+
+  return {
+    id: site.id,
+    name: site.name || site.id,
+    gaPropertyId: String(site.gaPropertyId),
+    searchConsoleSiteUrl: site.searchConsoleSiteUrl,
+    sitemapUrls,
+    hostname: site.hostname.trim().toLowerCase().replace(/^www\./, ""),
+    brandTerms: brandTerms.map((term) => term.trim().toLowerCase()).filter(Boolean),
+    timeZone,
+  };
+};
+
+/**
+ * Read the site list from SITES
+ * @param {string} [value] - Defaults to process.env.SITES
+ * @returns {Object[]}
+ * @throws {Error} On malformed JSON, invalid sites or duplicate ids, so bad config fails at boot
+ */
+export const parseSites = (value = process.env.SITES) => {
+  if (!value) return [getLegacySite()];
+
+  let sites;
+  try {
+    sites = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`SITES is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(sites) || sites.length === 0) {
+    throw new Error("SITES must be a non-empty JSON array of sites");
+  }
+
+  const normalized = sites.map(normalizeSite);
+  const ids = new Set();
+  normalized.forEach(({ id }) => {
+    if (ids.has(id)) throw new Error(`SITES lists "${id}" more than once`);
+    ids.add(id);
+  });
+  return normalized;
+};
+
+/**
+ * @param {Object[]} sites - From parseSites; the first is the default
+ * @returns {{ all: Object[], defaultSite: Object, get: Function }}
+ */
+export const createSiteRegistry = (sites) => {
+  const byId = new Map(sites.map((site) => [site.id, site]));
+
+  return {
+    all: sites,
+    defaultSite: sites[0],
+
+    /**
+     * @param {string} [id] - Omitted for the default site
+     * @returns {Object|null} null for unknown ids
+     */
+    get(id) {
+      if (id === undefined || id === null || id === "") return sites[0];
+      return byId.get(id) || null;
+    },
+  };
+};
+
+/**
+ * Whether a hostname is the site's own (www and other subdomains included)
+ * @param {Object} site
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export const isSiteHostname = (site, hostname) => {
+  const host = hostname.toLowerCase();
+  return host === site.hostname || host.endsWith(`.${site.hostname}`);
+};
+
+/**
+ * Whether a search query mentions one of the site's brand terms
+ * @param {Object} site
+ * @param {string} query
+ * @returns {boolean}
+ */
+export const isBrandedQuery = (site, query) => {
+  const text = query.toLowerCase();
+  return site.brandTerms.some((term) => text.includes(term));
+};
+
+export default {
+  parseSites,
+  createSiteRegistry,
+  getLegacySite,
+  isSiteHostname,
+  isBrandedQuery,
+};
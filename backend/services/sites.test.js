@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createSiteRegistry, getLegacySite, isBrandedQuery, isSiteHostname, parseSites } from "./sites.js";
+
+const SISTER = {
+  id: "snack-nerd",
+  name: "Snack Nerd",
+  gaPropertyId: 654321,
+  searchConsoleSiteUrl: "sc-domain:snacknerd.com",
+  sitemapUrls: ["https://www.snacknerd.com/sitemap.xml"],
+  hostname: "WWW.SnackNerd.com",
+  brandTerms: ["Snack Nerd"],
+};
+
+describe("sites", () => {
+  it("falls back to the single Protein Bar Nerd site without SITES", () => {
+    const [site] = parseSites("");
+    assert.equal(site.id, "proteinbarnerd");
+
+    const legacy = getLegacySite({ GA_PROPERTY_ID: "123456", SEARCH_CONSOLE_SITE_URL: "sc-domain:proteinbarnerd.com" });
+    assert.equal(legacy.gaPropertyId, "123456");
+    assert.deepEqual(legacy.sitemapUrls, ["https://www.proteinbarnerd.com/sitemap.xml"]);
+  });
+
+  it("parses and normalises SITES", () => {
+    const [site] = parseSites(JSON.stringify([SISTER]));
+    assert.equal(site.gaPropertyId, "654321");
+    assert.equal(site.hostname, "snacknerd.com");
+    assert.deepEqual(site.brandTerms, ["snack nerd"]);
+    assert.equal(site.timeZone, "UTC");
+    assert.equal(parseSites(JSON.stringify([{ ...SISTER, timeZone: "America/New_York" }]))[0].timeZone, "America/New_York");
+  });
+
+  it("rejects bad SITES at boot", () => {
+    assert.throws(() => parseSites("{"), /not valid JSON/);
+    assert.throws(() => parseSites("[]"), /non-empty/);
+    assert.throws(() => parseSites(JSON.stringify([{ ...SISTER, id: "Snack Nerd" }])), /\.id must be/);
+    assert.throws(() => parseSites(JSON.stringify([{ ...SISTER, gaPropertyId: "" }])), /gaPropertyId is required/);
+    assert.throws(() => parseSites(JSON.stringify([{ ...SISTER, timeZone: "Mars/Olympus" }])), /timeZone must be/);
+    assert.throws(() => parseSites(JSON.stringify([SISTER, SISTER])), /more than once/);
+  });
+
+  it("looks sites up by id, defaulting to the first", () => {
+    const sites = createSiteRegistry([getLegacySite({}), parseSites(JSON.stringify([SISTER]))[0]]);
+    assert.equal(sites.get().id, "proteinbarnerd");
+    assert.equal(sites.get("snack-nerd").name, "Snack Nerd");
+    assert.equal(sites.get("missing"), null);
+  });
+
+  it("recognises the site's own hostnames and brand queries", () => {
+    const site = getLegacySite({});
+    assert.equal(isSiteHostname(site, "www.proteinbarnerd.com"), true);
+    assert.equal(isSiteHostname(site, "notproteinbarnerd.com"), false);
+    assert.equal(isBrandedQuery(site, "Protein Bar Nerd reviews"), true);
+    assert.equal(isBrandedQuery(site, "best protein bars"), false);
+  });
+});
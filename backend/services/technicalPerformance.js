@@ -1,109 +1,72 @@
 import { getAnalyticsClient } from "./googleAnalytics.js";
+import { NOT_SET, runGaReport } from "./gaReport.js";
+import { logger } from "./logger.js";
 
 /**
  * Get technical performance metrics (Core Web Vitals, page load time, 404 errors)
+ * @param {Object} site - Site to report on (services/sites.js)
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
 export const getTechnicalPerformance = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
-    throw new Error("Analytics client not initialized");
-  }
-
-  const propertyId = process.env.GA_PROPERTY_ID;
+  const range = { startDate, endDate };
 
   try {
     // Get page performance data
     // Note: GA4 doesn't have averagePageLoadTime metric
     // We'll use averageSessionDuration as a proxy for page performance
-    const vitalsResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }],
-        metrics: [
-          { name: "averageSessionDuration" },
-          { name: "screenPageViews" },
-          { name: "bounceRate" },
-        ],
-        orderBys: [
-          {
-            metric: {
-              metricName: "screenPageViews",
-            },
-            desc: true,
-          },
-        ],
-        limit: 50,
-      },
+    const vitalsRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["pagePath"],
+      metrics: ["averageSessionDuration", "screenPageViews", "bounceRate"],
+      orderBy: ["-screenPageViews"],
+      limit: 50,
+      notSet: NOT_SET,
     });
 
-    const pageLoadData =
-      vitalsResponse.data.rows?.map((row) => ({
-        path: row.dimensionValues[0].value,
-        avgLoadTime: parseFloat(row.metricValues[0].value), // Using session duration as proxy
-        views: parseInt(row.metricValues[1].value),
-        bounceRate: parseFloat(row.metricValues[2].value) * 100,
-      })) || [];
+    const pageLoadData = vitalsRows.map((row) => ({
+      path: row.pagePath,
+      avgLoadTime: row.averageSessionDuration, // Using session duration as proxy
+      views: row.screenPageViews,
+      bounceRate: row.bounceRate * 100,
+    }));
 
     // Get 404 errors (pages with low engagement or error events)
-    const errorResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "pagePath" }, { name: "pageTitle" }],
-        metrics: [
-          { name: "screenPageViews" },
-          { name: "bounceRate" },
-          { name: "averageSessionDuration" },
-        ],
-        dimensionFilter: {
-          filter: {
-            fieldName: "pagePath",
-            stringFilter: {
-              matchType: "CONTAINS",
-              value: "404",
-            },
-          },
-        },
-        limit: 50,
-      },
+    const errorRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["pagePath", "pageTitle"],
+      metrics: ["screenPageViews", "bounceRate", "averageSessionDuration"],
+      filter: { pagePath: { contains: "404" } },
+      limit: 50,
+      notSet: NOT_SET,
     });
 
-    const errorPages =
-      errorResponse.data.rows?.map((row) => ({
-        path: row.dimensionValues[0].value,
-        title: row.dimensionValues[1].value,
-        views: parseInt(row.metricValues[0].value),
-        bounceRate: parseFloat(row.metricValues[1].value) * 100,
-        avgDuration: parseFloat(row.metricValues[2].value),
-      })) || [];
+    const errorPages = errorRows.map((row) => ({
+      path: row.pagePath,
+      title: row.pageTitle,
+      views: row.screenPageViews,
+      bounceRate: row.bounceRate * 100,
+      avgDuration: row.averageSessionDuration,
+    }));
 
     // Get mobile vs desktop performance
-    const deviceResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "deviceCategory" }],
-        metrics: [
-          { name: "averageSessionDuration" },
-          { name: "screenPageViews" },
-          { name: "bounceRate" },
-        ],
-      },
+    const deviceRows = await runGaReport(site, {
+      ...range,
+      dimensions: ["deviceCategory"],
+      metrics: ["averageSessionDuration", "screenPageViews", "bounceRate"],
+      notSet: NOT_SET,
     });
 
-    const devicePerformance =
-      deviceResponse.data.rows?.map((row) => ({
-        device: row.dimensionValues[0].value,
-        avgLoadTime: parseFloat(row.metricValues[0].value), // Using session duration as proxy
-        views: parseInt(row.metricValues[1].value),
-        bounceRate: parseFloat(row.metricValues[2].value) * 100,
-      })) || [];
+    const devicePerformance = deviceRows.map((row) => ({
+      device: row.deviceCategory,
+      avgLoadTime: row.averageSessionDuration, // Using session duration as proxy
+      views: row.screenPageViews,
+      bounceRate: row.bounceRate * 100,
+    }));
 
     // Calculate overall averages
     const totalLoadTime = pageLoadData.reduce(
@@ -123,7 +86,7 @@ export const getTechnicalPerformance = async (
       note: "Page load time is approximated using average session duration. For accurate load times, implement Core Web Vitals tracking.",
     };
   } catch (error) {
-    console.error("Error fetching technical performance:", error);
+    logger.error("Error fetching technical performance", { error });
     throw error;
   }
 };
@@ -131,76 +94,32 @@ export const getTechnicalPerformance = async (
 /**
  * Get Core Web Vitals metrics (LCP, CLS, INP)
  * Note: These require specific event tracking in GA4
+ * @param {Object} site - Site to report on (services/sites.js)
  */
 export const getCoreWebVitals = async (
+  site,
   startDate = "30daysAgo",
   endDate = "today"
 ) => {
-  const analyticsDataClient = getAnalyticsClient();
-  if (!analyticsDataClient) {
+  // Checked up front: a missing client is an error, not missing vitals
+  if (!getAnalyticsClient()) {
     throw new Error("Analytics client not initialized");
   }
 
-  const propertyId = process.env.GA_PROPERTY_ID;
-
   try {
     // Try to get Core Web Vitals events if they're tracked
-    const vitalsResponse = await analyticsDataClient.properties.runReport({
-      property: `properties/${propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: "eventName" }],
-        metrics: [{ name: "eventCount" }],
-        dimensionFilter: {
-          orGroup: {
-            expressions: [
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "LCP",
-                  },
-                },
-              },
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "CLS",
-                  },
-                },
-              },
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "INP",
-                  },
-                },
-              },
-              {
-                filter: {
-                  fieldName: "eventName",
-                  stringFilter: {
-                    matchType: "CONTAINS",
-                    value: "FID",
-                  },
-                },
-              },
-            ],
-          },
-        },
-      },
+    const vitalsRows = await runGaReport(site, {
+      startDate,
+      endDate,
+      dimensions: ["eventName"],
+      metrics: ["eventCount"],
+      filter: { eventName: { contains: ["LCP", "CLS", "INP", "FID"] } },
+      notSet: NOT_SET,
     });
 
     const vitals = {};
-    vitalsResponse.data.rows?.forEach((row) => {
-      const eventName = row.dimensionValues[0].value;
-      const count = parseInt(row.metricValues[0].value);
-      vitals[eventName] = count;
+    vitalsRows.forEach(({ eventName, eventCount }) => {
+      vitals[eventName] = eventCount;
     });
 
     return {
@@ -209,7 +128,7 @@ export const getCoreWebVitals = async (
       note: "Core Web Vitals require custom event tracking in GA4",
     };
   } catch (error) {
-    console.warn("Core Web Vitals not available:", error.message);
+    logger.warn("Core Web Vitals not available", { error: error.message });
     return {
       vitals: {},
       available: false,
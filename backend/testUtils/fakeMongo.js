@@ -0,0 +1,59 @@
+/**
+ * In-memory stand-in for the subset of the MongoDB driver the backend uses.
+ * Collections are plain arrays of documents; filters support equality and $in,
+ * updates support $set and $inc.
+ */
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition && typeof condition === "object" && "$in" in condition) {
+      return condition.$in.includes(doc[field]);
+    }
+    return doc[field] === condition;
+  });
+
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set || {});
+  for (const [field, amount] of Object.entries(update.$inc || {})) {
+    doc[field] = (doc[field] || 0) + amount;
+  }
+};
+
+const copy = (doc) => (doc ? structuredClone(doc) : null);
+
+const createCollection = (docs) => ({
+  find(filter) {
+    const found = docs.filter((doc) => matches(doc, filter)).map(copy);
+    return { toArray: async () => found };
+  },
+  async findOne(filter) {
+    return copy(docs.find((doc) => matches(doc, filter)));
+  },
+  async insertOne(doc) {
+    docs.push(copy(doc));
+    return { acknowledged: true };
+  },
+  async updateOne(filter, update) {
+    const doc = docs.find((candidate) => matches(candidate, filter));
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  },
+});
+
+/**
+ * @param {Object<string, Object[]>} collections - Initial documents per collection
+ * @returns {Object} Fake Db; `collections` exposes the live arrays for assertions
+ */
+export const createFakeMongo = (collections = {}) => ({
+  collections,
+  async command(cmd) {
+    if (!("ping" in cmd)) throw new Error(`Unsupported command: ${Object.keys(cmd)[0]}`);
+    return { ok: 1 };
+  },
+  collection(name) {
+    if (!collections[name]) collections[name] = [];
+    return createCollection(collections[name]);
+  },
+});
+
+export default createFakeMongo;
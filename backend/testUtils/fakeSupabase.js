@@ -0,0 +1,282 @@
+/**
+ * In-memory stand-in for the subset of the Supabase query builder the backend uses.
+ * Tables are plain arrays of row objects; every query resolves to { data, error, count }
+ * like supabase-js does.
+ */
+import crypto from "crypto";
+
+const pickColumns = (row, columns) => {
+  if (!columns || columns.trim() === "*") return { ...row };
+  const picked = {};
+  columns
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean)
+    .forEach((column) => {
+      picked[column] = row[column] ?? null;
+    });
+  return picked;
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = "select";
+    this.columns = "*";
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.limitCount = null;
+    this.payload = null;
+    this.options = {};
+    this.returning = false;
+    this.singleMode = null;
+  }
+
+  get rows() {
+    if (!this.db.tables[this.table]) this.db.tables[this.table] = [];
+    return this.db.tables[this.table];
+  }
+
+  select(columns = "*", { count = null, head = false } = {}) {
+    if (this.action === "select") {
+      this.columns = columns;
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = "upsert";
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.options = options;
+    return this;
+  }
+
+  update(patch) {
+    this.action = "update";
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push((row) => row[column] === value);
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push((row) => row[column] !== value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push((row) => (row[column] ?? null) === value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push((row) => values.includes(row[column]));
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push((row) => compare(row[column], value) > 0);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push((row) => compare(row[column], value) >= 0);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push((row) => compare(row[column], value) < 0);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push((row) => compare(row[column], value) <= 0);
+    return this;
+  }
+
+  like(column, pattern) {
+    const regex = new RegExp(
+      `^${pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*")}$`
+    );
+    this.filters.push((row) => regex.test(String(row[column] ?? "")));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybeSingle";
+    return this;
+  }
+
+  matching() {
+    return this.rows.filter((row) => this.filters.every((f) => f(row)));
+  }
+
+  execute() {
+    if (this.db.failures[this.table]) {
+      return { data: null, error: this.db.failures[this.table], count: null };
+    }
+
+    let result;
+    switch (this.action) {
+      case "insert":
+        result = this.payload.map((row) => {
+          const stored = { id: crypto.randomUUID(), ...row };
+          this.rows.push(stored);
+          return stored;
+        });
+        break;
+      case "upsert": {
+        const conflictColumns = (this.options.onConflict || "id")
+          .split(",")
+          .map((c) => c.trim());
+        result = this.payload.map((row) => {
+          const existing = this.rows.find((r) =>
+            conflictColumns.every((c) => r[c] === row[c])
+          );
+          if (existing) {
+            if (!this.options.ignoreDuplicates) Object.assign(existing, row);
+            return existing;
+          }
+          const stored = { id: crypto.randomUUID(), ...row };
+          this.rows.push(stored);
+          return stored;
+        });
+        break;
+      }
+      case "update":
+        result = this.matching();
+        result.forEach((row) => Object.assign(row, this.payload));
+        break;
+      case "delete": {
+        result = this.matching();
+        this.db.tables[this.table] = this.rows.filter((row) => !result.includes(row));
+        break;
+      }
+      default:
+        result = this.matching();
+    }
+
+    const count = result.length;
+
+    if (this.action === "select") {
+      this.orders
+        .slice()
+        .reverse()
+        .forEach(({ column, ascending }) => {
+          result = [...result].sort(
+            (a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1)
+          );
+        });
+      if (this.rangeFrom !== null) {
+        result = result.slice(this.rangeFrom, this.rangeTo + 1);
+      }
+      if (this.limitCount !== null) {
+        result = result.slice(0, this.limitCount);
+      }
+    } else if (!this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    let data = this.head ? null : result.map((row) => pickColumns(row, this.columns));
+
+    if (this.singleMode) {
+      if (data.length > 1 || (this.singleMode === "single" && data.length === 0)) {
+        return {
+          data: null,
+          error: { message: "JSON object requested, multiple (or no) rows returned" },
+          count: null,
+        };
+      }
+      data = data[0] || null;
+    }
+
+    return { data, error: null, count: this.countMode ? count : null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+}
+
+/**
+ * Create a fake Supabase client
+ * @param {Object} [tables] - Initial rows by table name
+ * @param {Object} [rpcHandlers] - Functions by RPC name: (args, tables) => data
+ */
+export const createFakeSupabase = (tables = {}, rpcHandlers = {}) => {
+  const db = {
+    tables: JSON.parse(JSON.stringify(tables)),
+    failures: {},
+  };
+
+  return {
+    tables: db.tables,
+    from: (table) => new QueryBuilder(db, table),
+    rpc: async (name, args) => {
+      if (!rpcHandlers[name]) {
+        return { data: null, error: { message: `Unknown function ${name}` } };
+      }
+      return { data: await rpcHandlers[name](args, db.tables), error: null };
+    },
+    /** Make every query against a table fail with the given error */
+    failTable: (table, error = { message: `${table} unavailable` }) => {
+      db.failures[table] = error;
+    },
+  };
+};
+
+export default createFakeSupabase;
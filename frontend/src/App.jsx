@@ -4,9 +4,11 @@ import {
   Routes,
   Route,
   Navigate,
+  useLocation,
 } from "react-router-dom";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import Layout from "./components/Layout";
+import SessionPrompt from "./components/SessionPrompt";
 import Visitors from "./pages/Visitors";
 import PageIndex from "./pages/PageIndex";
 import EngagementMetrics from "./pages/EngagementMetrics";
@@ -15,59 +17,141 @@ import TechnicalPerformance from "./pages/TechnicalPerformance";
 import ContentInsights from "./pages/ContentInsights";
 import SEOMetrics from "./pages/SEOMetrics";
 import ShoppingSessions from "./pages/ShoppingSessions";
+import Orders from "./pages/Orders";
+import Audit from "./pages/Audit";
+import ApiKeys from "./pages/ApiKeys";
+import Jobs from "./pages/Jobs";
+import ApiDocs from "./pages/ApiDocs";
+import Accounts from "./pages/Accounts";
+import Security from "./pages/Security";
+import ActiveSessions from "./pages/ActiveSessions";
 import Login from "./pages/Login";
-import apiClient from "./api/axios";
+import { setUnauthorizedHandler } from "./api/axios";
+import api from "./api/client";
+import {
+  clearSession,
+  getStoredExpiresAt,
+  logout,
+  scheduleSessionRefresh,
+  subscribeToSessionChanges,
+} from "./api/session";
+import { PERMISSIONS, getHomePath, hasPermission } from "./utils/permissions";
 import "./App.css";
 
+// Send signed-out visitors to the login page, remembering where they were headed
+const RedirectToLogin = () => {
+  const location = useLocation();
+  return <Navigate to="/login" state={{ from: location }} replace />;
+};
+
+// Check if user is authenticated
+const checkAuth = async () => {
+  const token = localStorage.getItem("admin_token");
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const response = await api.auth.verify({
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    if (response.data.success && response.data.authenticated) {
+      return response.data;
+    }
+  } catch (error) {
+    // Token expired or invalid
+  }
+  clearSession();
+  return null;
+};
+
 function App() {
   const [authenticated, setAuthenticated] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [account, setAccount] = useState(null);
+  // { reason: "expiring" | "expired", expiresAt } while the sign-in prompt is up
+  const [sessionPrompt, setSessionPrompt] = useState(null);
+  // Requests that got a 401 wait here until the user signs back in (or logs out)
+  const pendingReauth = useRef([]);
+
+  const applyAuth = (auth) => {
+    setAuthenticated(Boolean(auth));
+    setExpiresAt(auth?.expiresAt || null);
+    setAccount(auth?.account || null);
+  };
+
+  const settleReauth = useCallback((reauthenticated) => {
+    pendingReauth.current.forEach((resolve) => resolve(reauthenticated));
+    pendingReauth.current = [];
+    setSessionPrompt(null);
+  }, []);
+
+  const signOut = useCallback(() => {
+    settleReauth(false);
+    applyAuth(null);
+  }, [settleReauth]);
 
   useEffect(() => {
-    // Check if user is authenticated
-    const checkAuth = async () => {
-      const token = localStorage.getItem("admin_token");
-      
-      if (!token) {
-        setAuthenticated(false);
-        setLoading(false);
-        return;
-      }
-
-      try {
-        const response = await apiClient.get("/api/auth/verify", {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-        
-        if (response.data.success && response.data.authenticated) {
-          setAuthenticated(true);
-          
-          // Check if token is about to expire (within 1 hour)
-          if (response.data.expiresAt) {
-            const expiresAt = response.data.expiresAt;
-            const oneHourFromNow = Date.now() + (60 * 60 * 1000);
-            if (expiresAt < oneHourFromNow) {
-              console.warn("Token expiring soon, user will need to re-login");
-            }
-          }
-        } else {
-          localStorage.removeItem("admin_token");
-          setAuthenticated(false);
-        }
-      } catch (error) {
-        // Token expired or invalid
-        localStorage.removeItem("admin_token");
-        setAuthenticated(false);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    checkAuth();
+    checkAuth().then((auth) => {
+      applyAuth(auth);
+      setLoading(false);
+    });
   }, []);
 
+  // Renew the session before the 24h expiry; past the 7-day limit, ask the user to sign in again
+  useEffect(() => {
+    if (!authenticated || !expiresAt) return undefined;
+
+    return scheduleSessionRefresh(expiresAt, {
+      onExpiring: (at) => setSessionPrompt({ reason: "expiring", expiresAt: at }),
+      onExpired: () => setSessionPrompt({ reason: "expired", expiresAt }),
+    });
+  }, [authenticated, expiresAt]);
+
+  // A 401 means the session ended underneath us: prompt instead of redirecting
+  useEffect(() => {
+    if (!authenticated) return undefined;
+
+    setUnauthorizedHandler(
+      () =>
+        new Promise((resolve) => {
+          pendingReauth.current.push(resolve);
+          setSessionPrompt({ reason: "expired", expiresAt });
+        })
+    );
+    return () => setUnauthorizedHandler(null);
+  }, [authenticated, expiresAt]);
+
+  // Keep every open tab on the same session
+  useEffect(
+    () =>
+      subscribeToSessionChanges({
+        onLogout: signOut,
+        onTokenChange: async () => {
+          const auth = await checkAuth();
+          if (!auth) return;
+          applyAuth(auth);
+          settleReauth(true);
+        },
+      }),
+    [signOut, settleReauth]
+  );
+
+  const handleReauthenticated = () => {
+    setExpiresAt(getStoredExpiresAt());
+    settleReauth(true);
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    signOut();
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -77,36 +161,82 @@ function App() {
     );
   }
 
+  const homePath = getHomePath(account);
+
+  // Only render a page if the account's role may use it
+  const guard = (permission, element) =>
+    hasPermission(account, permission) ? (
+      element
+    ) : (
+      <Navigate to={homePath || "/"} replace />
+    );
+
   return (
     <Router>
       <Routes>
         <Route
           path="/login"
-          element={!authenticated ? <Login /> : <Navigate to="/" />}
+          element={!authenticated ? <Login /> : <Navigate to="/" replace />}
         />
 
         <Route
           path="/"
-          element={authenticated ? <Layout /> : <Navigate to="/login" />}
+          element={
+            authenticated ? (
+              <Layout account={account} onLogout={handleLogout} />
+            ) : (
+              <RedirectToLogin />
+            )
+          }
         >
-          <Route index element={<Navigate to="/visitors" replace />} />
-          <Route path="visitors" element={<Visitors />} />
+          <Route
+            index
+            element={
+              homePath ? (
+                <Navigate to={homePath} replace />
+              ) : (
+                <div className="alert alert-info">
+                  Your account does not have access to any dashboard pages yet.
+                </div>
+              )
+            }
+          />
+          <Route path="visitors" element={guard(PERMISSIONS.ANALYTICS_READ, <Visitors />)} />
           <Route path="traffic-sources" element={<Navigate to="/visitors" replace />} />
-          <Route path="engagement" element={<EngagementMetrics />} />
-          <Route path="conversion" element={<ConversionMetrics />} />
-          <Route path="technical" element={<TechnicalPerformance />} />
-          <Route path="content" element={<ContentInsights />} />
-          <Route path="seo" element={<SEOMetrics />} />
+          <Route path="engagement" element={guard(PERMISSIONS.ANALYTICS_READ, <EngagementMetrics />)} />
+          <Route path="conversion" element={guard(PERMISSIONS.ANALYTICS_READ, <ConversionMetrics />)} />
+          <Route path="technical" element={guard(PERMISSIONS.ANALYTICS_READ, <TechnicalPerformance />)} />
+          <Route path="content" element={guard(PERMISSIONS.ANALYTICS_READ, <ContentInsights />)} />
+          <Route path="seo" element={guard(PERMISSIONS.ANALYTICS_READ, <SEOMetrics />)} />
           <Route path="power-users" element={<Navigate to="/visitors?view=audience" replace />} />
           <Route path="audience" element={<Navigate to="/visitors" replace />} />
-          <Route path="page-index" element={<PageIndex />} />
+          <Route path="page-index" element={guard(PERMISSIONS.SEARCH_CONSOLE_READ, <PageIndex />)} />
           <Route path="page-rankings" element={<Navigate to="/visitors" replace />} />
           <Route path="top-pages" element={<Navigate to="/visitors" replace />} />
           <Route path="llm" element={<Navigate to="/visitors" replace />} />
           <Route path="socials" element={<Navigate to="/visitors" replace />} />
-          <Route path="shopping-sessions" element={<ShoppingSessions />} />
+          <Route path="shopping-sessions" element={guard(PERMISSIONS.ANALYTICS_READ, <ShoppingSessions />)} />
+          <Route path="orders" element={guard(PERMISSIONS.ORDERS_READ, <Orders />)} />
+          <Route path="audit" element={guard(PERMISSIONS.AUDIT_READ, <Audit />)} />
+          <Route path="accounts" element={guard(PERMISSIONS.ACCOUNTS_MANAGE, <Accounts />)} />
+          <Route path="api-keys" element={guard(PERMISSIONS.API_KEYS_MANAGE, <ApiKeys />)} />
+          <Route path="jobs" element={guard(PERMISSIONS.JOBS_MANAGE, <Jobs />)} />
+          <Route path="api-docs" element={guard(PERMISSIONS.API_KEYS_MANAGE, <ApiDocs />)} />
+          <Route path="security" element={<Security />} />
+          <Route path="sessions" element={<ActiveSessions />} />
         </Route>
       </Routes>
+
+      {authenticated && sessionPrompt && (
+        <SessionPrompt
+          account={account}
+          reason={sessionPrompt.reason}
+          expiresAt={sessionPrompt.expiresAt}
+          onReauthenticated={handleReauthenticated}
+          onDismiss={() => setSessionPrompt(null)}
+          onLogout={handleLogout}
+        />
+      )}
     </Router>
   );
 }
@@ -8,13 +8,33 @@ const apiClient = axios.create({
   withCredentials: true,
 });
 
-// Add request interceptor for auth tokens
+const SITE_KEY = "admin_site";
+
+// Report endpoints answer for one site, picked with ?site=
+const SITE_SCOPED_PATHS = ["/api/analytics", "/api/search-console", "/api/visitors"];
+
+// Site chosen in the sidebar switcher; null means the server's default site
+export const getSelectedSite = () => localStorage.getItem(SITE_KEY);
+
+export const setSelectedSite = (siteId) => {
+  if (siteId) {
+    localStorage.setItem(SITE_KEY, siteId);
+  } else {
+    localStorage.removeItem(SITE_KEY);
+  }
+};
+
+// Add request interceptor for auth tokens and the selected site
 apiClient.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem("admin_token");
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const site = getSelectedSite();
+    if (site && SITE_SCOPED_PATHS.some((path) => config.url?.startsWith(path))) {
+      config.params = { site, ...config.params };
+    }
     return config;
   },
   (error) => {
@@ -22,18 +42,37 @@ apiClient.interceptors.request.use(
   }
 );
 
+// A 401 from these means bad credentials or a dead session, not something re-auth can retry
+const NO_REAUTH_PATHS = ["/api/auth/login", "/api/auth/refresh", "/api/auth/logout"];
+
+let unauthorizedHandler = null;
+
+/**
+ * Register what happens when a request comes back 401 (the app shows a sign-in prompt).
+ * The handler resolves true once the user has signed back in, and the request is retried;
+ * false rejects it as before. Pass null to let 401s through untouched.
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
 // Add response interceptor to handle auth errors
 apiClient.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    // If unauthorized, clear token and redirect to login
-    if (error.response?.status === 401) {
-      localStorage.removeItem("admin_token");
-      if (window.location.pathname !== "/login") {
-        window.location.href = "/login";
-      }
+  async (error) => {
+    const { config, response } = error;
+    const canReauthenticate =
+      response?.status === 401 &&
+      unauthorizedHandler &&
+      config &&
+      !config._retried &&
+      !NO_REAUTH_PATHS.some((path) => config.url?.startsWith(path));
+
+    // Keep the current page mounted (and its unsaved state) while the user signs back in
+    if (canReauthenticate && (await unauthorizedHandler())) {
+      return apiClient({ ...config, _retried: true });
     }
     return Promise.reject(error);
   }
@@ -47,7 +86,12 @@ apiClient.interceptors.response.use(
   (error) => {
     if (error.response) {
       // Server responded with error status
-      console.error("API Error:", error.response.data);
+      const { data, status } = error.response;
+      // Pages show data.error; on server failures it carries the ID to look the request up in the logs
+      if (status >= 500 && data?.requestId && typeof data.error === "string" && !data.error.includes(data.requestId)) {
+        data.error = `${data.error} (request ID ${data.requestId})`;
+      }
+      console.error("API Error:", data);
     } else if (error.request) {
       // Request made but no response received
       console.error("Network Error:", error.request);
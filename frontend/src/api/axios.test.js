@@ -0,0 +1,70 @@
+/**
+ * The 401 interceptor must never navigate away: it asks the registered handler to
+ * re-authenticate and retries the request, so the page keeps its unsaved state.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import apiClient, { setUnauthorizedHandler } from "./axios";
+
+// Replies 401 unless the request carries the "fresh" token
+const adapter = vi.fn((config) => {
+  const authorized = config.headers.Authorization === "Bearer fresh";
+  const response = {
+    data: authorized ? { success: true } : { success: false, error: "Invalid or expired session" },
+    status: authorized ? 200 : 401,
+    statusText: "",
+    headers: {},
+    config,
+  };
+  if (authorized) return Promise.resolve(response);
+  return Promise.reject(Object.assign(new Error("Unauthorized"), { config, response }));
+});
+
+describe("apiClient 401 handling", () => {
+  beforeEach(() => {
+    apiClient.defaults.adapter = adapter;
+    localStorage.setItem("admin_token", "stale");
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setUnauthorizedHandler(null);
+    localStorage.clear();
+    vi.restoreAllMocks();
+    adapter.mockClear();
+  });
+
+  it("retries the request once the user has signed back in", async () => {
+    setUnauthorizedHandler(async () => {
+      localStorage.setItem("admin_token", "fresh");
+      return true;
+    });
+
+    const response = await apiClient.post("/api/customers/cus_1/draftbox/1024/packed", {
+      packed: true,
+    });
+
+    expect(response.status).toBe(200);
+    expect(adapter).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(adapter.mock.calls[1][0].data)).toEqual({ packed: true });
+  });
+
+  it("rejects when the user does not sign back in", async () => {
+    const handler = vi.fn(async () => false);
+    setUnauthorizedHandler(handler);
+
+    await expect(apiClient.get("/api/customers")).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves failed logins to the login form", async () => {
+    const handler = vi.fn(async () => true);
+    setUnauthorizedHandler(handler);
+
+    await expect(apiClient.post("/api/auth/login", {})).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
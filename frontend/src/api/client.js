@@ -0,0 +1,2728 @@
+/**
+ * Typed client for the admin API - generated from the OpenAPI document, do not edit
+ * Regenerate with `npm run generate:api-client` in backend/ after changing a route.
+ */
+import apiClient from "./axios";
+
+/**
+ * @typedef {Object} ApiErrorErrors
+ * @property {"params"|"query"|"body"} location
+ * @property {string} field
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ApiError
+ * @property {false} success
+ * @property {string} error
+ * @property {string} [requestId] - ID of the request, also in the X-Request-Id header; every log line of the request carries it
+ * @property {Array<ApiErrorErrors>} [errors] - One entry per invalid field (400 only)
+ */
+
+/**
+ * @typedef {Object} DateRangeComparison
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {string} endDate - YYYY-MM-DD
+ * @property {"previous_period"|"previous_year"|"custom"} compare
+ * @property {number} days
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {string} endDate - YYYY-MM-DD
+ * @property {("today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate")|null} preset - null when startDate or endDate were given
+ * @property {string} timeZone - The site's GA property time zone; days are counted in it
+ * @property {number} days - Days in the range, both ends included
+ * @property {DateRangeComparison|null} comparison - The range compared with; null without ?compare=
+ */
+
+/**
+ * @typedef {Object} MetricChange
+ * @property {number} current
+ * @property {number|null} previous - null when the row has no match in the comparison range
+ * @property {number|null} change
+ * @property {number|null} percentChange - null when previous is 0 or missing
+ */
+
+/**
+ * Only with ?compare=
+ * @typedef {Object} Comparison
+ * @property {*} data - The same report over range.comparison
+ * @property {*} changes - data's shape with each number as a MetricChange; rows are matched by their text fields, and daily rows by day of the range
+ */
+
+/**
+ * @typedef {Object} AnomalyDriver
+ * @property {string} dimension
+ * @property {string} value
+ * @property {string} metric
+ * @property {number} actual
+ * @property {number} expected
+ * @property {number} change
+ * @property {number} share - Part of the move of all slices that moved the same way
+ */
+
+/**
+ * @typedef {Object} Anomaly
+ * @property {string} date - YYYY-MM-DD
+ * @property {"traffic"|"search"} series
+ * @property {"sessions"|"users"|"pageViews"|"clicks"|"impressions"} metric
+ * @property {number} value
+ * @property {number} expected - Median of the same weekday over the baseline weeks
+ * @property {number} change
+ * @property {number|null} percentChange
+ * @property {number} score - Robust z-score: change over the baseline's spread
+ * @property {"warning"|"critical"} severity
+ * @property {"drop"|"spike"} direction
+ * @property {AnomalyDriver|null} driver - The slice that moved the most; sessions anomalies only, null for the rest
+ */
+
+/**
+ * @typedef {Object} Site
+ * @property {string} id
+ * @property {string} name
+ * @property {string} hostname
+ * @property {boolean} isDefault
+ */
+
+/**
+ * @typedef {Object} SessionAccount
+ * @property {string} id
+ * @property {string} email
+ * @property {string} name
+ * @property {string} role
+ * @property {boolean} mfaEnabled
+ * @property {Array<string>} permissions
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {string|null} ip_address
+ * @property {string|null} user_agent
+ * @property {string} created_at
+ * @property {string} last_seen_at
+ * @property {string} expires_at
+ * @property {string|null} revoked_at
+ * @property {boolean} current - The session making the request (listing only)
+ */
+
+/**
+ * @typedef {Object} LoginResult
+ * @property {true} success
+ * @property {string} [message]
+ * @property {string} [token] - Session token; send it as a bearer token
+ * @property {string} [expiresAt]
+ * @property {SessionAccount} [account]
+ * @property {boolean} [mfaRequired] - Password accepted; POST /api/auth/login/mfa with the challenge token
+ * @property {boolean} [mfaSetupRequired] - The role requires two-factor authentication; enroll with the challenge token
+ * @property {string} [challengeToken]
+ * @property {boolean} [usedRecoveryCode]
+ * @property {Array<string>} [recoveryCodes]
+ */
+
+/**
+ * @typedef {Object} MfaStatus
+ * @property {boolean} enabled
+ * @property {boolean} enforced - The role requires two-factor authentication
+ * @property {string|null} enrolledAt
+ * @property {number} recoveryCodesRemaining
+ */
+
+/**
+ * @typedef {Object} MfaEnrollment
+ * @property {string} secret
+ * @property {string} otpauthUrl
+ * @property {string} qrCode - data: URL of the QR code image
+ */
+
+/**
+ * @typedef {Object} RecoveryCodes
+ * @property {Array<string>} recoveryCodes
+ */
+
+/**
+ * @typedef {Object} AdminAccount
+ * @property {string} id
+ * @property {string} email
+ * @property {string} name
+ * @property {"admin"|"analyst"|"packer"} role
+ * @property {"active"|"disabled"} status
+ * @property {boolean} mfa_enabled
+ * @property {string|null} last_login_at
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} id
+ * @property {string} name
+ * @property {string} key_prefix - First characters of the key, to recognise it
+ * @property {Array<string>} scopes
+ * @property {string|null} created_by
+ * @property {string} created_at
+ * @property {string|null} expires_at
+ * @property {string|null} last_used_at
+ * @property {string|null} revoked_at
+ * @property {string|null} rotated_from
+ */
+
+/**
+ * @typedef {Object} AuditEvent
+ * @property {string} id
+ * @property {string|null} actor_id
+ * @property {string|null} actor_email
+ * @property {"session"|"api_key"|"cron"|"anonymous"} actor_type
+ * @property {string} action
+ * @property {string|null} target_type
+ * @property {string|null} target_id
+ * @property {string|null} customer_id
+ * @property {string|null} month
+ * @property {string|null} url
+ * @property {Object|null} before
+ * @property {Object|null} after
+ * @property {Object|null} metadata
+ * @property {string|null} ip_address
+ * @property {string|null} user_agent
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} JobRun
+ * @property {string} id
+ * @property {string} job_name
+ * @property {"schedule"|"manual"} trigger
+ * @property {string|null} triggered_by
+ * @property {"running"|"succeeded"|"failed"} status
+ * @property {string} started_at
+ * @property {string|null} finished_at
+ * @property {number|null} duration_ms
+ * @property {string|null} error
+ * @property {Object|null} result
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} name
+ * @property {string} description
+ * @property {string|null} schedule - Cron expression; null when disabled
+ * @property {boolean} enabled
+ * @property {boolean} running
+ * @property {string|null} nextRunAt
+ * @property {JobRun|null} lastRun
+ */
+
+/**
+ * @typedef {Object} IndexSyncJob
+ * @property {string} id
+ * @property {string} site_id
+ * @property {"not_indexed"|"full"} mode
+ * @property {"running"|"completed"|"failed"|"cancelled"} status
+ * @property {number} total
+ * @property {number} processed
+ * @property {number} indexed
+ * @property {number} not_indexed
+ * @property {number} errors
+ * @property {string|null} started_by
+ * @property {string} started_at
+ * @property {string} updated_at
+ * @property {string|null} finished_at
+ * @property {string|null} cancel_requested_at
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} ReadinessDependencies
+ * @property {"up"|"down"} status
+ * @property {boolean} critical - Down makes the server unhealthy rather than degraded
+ * @property {number} latencyMs
+ */
+
+/**
+ * @typedef {Object} Readiness
+ * @property {"healthy"|"degraded"|"unhealthy"} status
+ * @property {boolean} draining - The server is shutting down
+ * @property {string} checkedAt
+ * @property {Object<string, ReadinessDependencies>} dependencies
+ */
+
+/**
+ * @typedef {Object} GaQuotaStatusQuotas
+ * @property {number} consumed
+ * @property {number} remaining
+ * @property {number|null} remainingRatio
+ */
+
+/**
+ * @typedef {Object} GaQuotaStatusCircuit
+ * @property {"closed"|"open"|"half-open"} state
+ * @property {number} failures
+ * @property {string|null} lastError
+ * @property {string|null} retryAt
+ */
+
+/**
+ * @typedef {Object} GaQuotaStatus
+ * @property {Object<string, GaQuotaStatusQuotas>} quotas
+ * @property {string|null} updatedAt
+ * @property {Array<string>} low
+ * @property {number} lowRatio
+ * @property {GaQuotaStatusCircuit} circuit
+ */
+
+/**
+ * @typedef {Object} DailyTrafficBreakdownDailySources
+ * @property {string} source
+ * @property {number} sessions
+ */
+
+/**
+ * @typedef {Object} DailyTrafficBreakdownDaily
+ * @property {string} date - YYYY-MM-DD
+ * @property {Array<DailyTrafficBreakdownDailySources>} sources
+ * @property {number} totalSessions
+ */
+
+/**
+ * @typedef {Object} DailyTrafficBreakdown
+ * @property {Array<DailyTrafficBreakdownDaily>} daily
+ */
+
+/**
+ * @typedef {Object} PageEngagement
+ * @property {string} path
+ * @property {string} title
+ * @property {number} bounceRate
+ * @property {number} avgSessionDuration
+ * @property {number} pageViews
+ * @property {number} sessions
+ * @property {number} pagesPerSession
+ */
+
+/**
+ * @typedef {Object} Visitor
+ * @property {string} id
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} hour
+ * @property {string} landingPage
+ * @property {string} deviceCategory
+ * @property {string} browser
+ * @property {string} country
+ * @property {string} region
+ * @property {string} city
+ * @property {string} newVsReturning
+ * @property {string} sessionSource
+ * @property {number} sessions
+ * @property {number} pageViews
+ * @property {number} avgSessionDuration
+ * @property {number} totalDuration
+ * @property {number} engagedSessions
+ * @property {number} bounceRate
+ * @property {number} activeUsers
+ */
+
+/**
+ * @typedef {Object} SearchRow
+ * @property {number} clicks
+ * @property {number} impressions
+ * @property {number} ctr
+ * @property {number} position
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {string} email
+ * @property {"active"|"inactive"} status
+ * @property {string} created_at
+ */
+
+/**
+ * Customer document from MongoDB
+ * @typedef {Object} Customer
+ * @property {string} customerID
+ * @property {string} fullName
+ * @property {string} fullAddress
+ */
+
+/**
+ * @typedef {Object} DraftboxSnacks
+ * @property {string} SnackID
+ * @property {string} productLine
+ * @property {string} primaryCategory
+ */
+
+/**
+ * @typedef {Object} Draftbox
+ * @property {string} customerID
+ * @property {number} month - MMYY
+ * @property {boolean} Packed
+ * @property {Array<DraftboxSnacks>} snacks
+ */
+
+/**
+ * @typedef {Object} GetHealthResponse
+ * @property {"ok"} status
+ * @property {string} message
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} LoginBody
+ * @property {string} email
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} LoginWithMfaBody
+ * @property {string} challengeToken
+ * @property {string} [code]
+ * @property {string} [recoveryCode]
+ */
+
+/**
+ * @typedef {Object} StartLoginMfaSetupResponse
+ * @property {true} success
+ * @property {MfaEnrollment} data
+ */
+
+/**
+ * @typedef {Object} StartLoginMfaSetupBody
+ * @property {string} challengeToken
+ */
+
+/**
+ * @typedef {Object} ActivateLoginMfaBody
+ * @property {string} challengeToken
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} VerifyResponse
+ * @property {true} success
+ * @property {boolean} authenticated
+ * @property {string} expiresAt
+ * @property {SessionAccount} account
+ */
+
+/**
+ * @typedef {Object} RefreshResponse
+ * @property {true} success
+ * @property {string} token
+ * @property {string} expiresAt
+ */
+
+/**
+ * @typedef {Object} LogoutResponse
+ * @property {true} success
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ListSessionsResponse
+ * @property {true} success
+ * @property {Array<Session>} data
+ */
+
+/**
+ * @typedef {Object} RevokeSessionResponse
+ * @property {true} success
+ * @property {Session} data
+ */
+
+/**
+ * @typedef {Object} GetMfaStatusResponse
+ * @property {true} success
+ * @property {MfaStatus} data
+ */
+
+/**
+ * @typedef {Object} StartMfaSetupResponse
+ * @property {true} success
+ * @property {MfaEnrollment} data
+ */
+
+/**
+ * @typedef {Object} ActivateMfaResponse
+ * @property {true} success
+ * @property {RecoveryCodes} data
+ */
+
+/**
+ * @typedef {Object} ActivateMfaBody
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} RegenerateRecoveryCodesResponse
+ * @property {true} success
+ * @property {RecoveryCodes} data
+ */
+
+/**
+ * @typedef {Object} RegenerateRecoveryCodesBody
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} DisableMfaResponse
+ * @property {true} success
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} DisableMfaBody
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} ListAccountsResponse
+ * @property {true} success
+ * @property {Array<AdminAccount>} data
+ */
+
+/**
+ * @typedef {Object} CreateAccountResponse
+ * @property {true} success
+ * @property {AdminAccount} data
+ */
+
+/**
+ * @typedef {Object} CreateAccountBody
+ * @property {string} email
+ * @property {string} password
+ * @property {string} [name]
+ * @property {"admin"|"analyst"|"packer"} [role]
+ */
+
+/**
+ * @typedef {Object} UpdateAccountResponse
+ * @property {true} success
+ * @property {AdminAccount} data
+ */
+
+/**
+ * @typedef {Object} UpdateAccountBody
+ * @property {string} name
+ * @property {"admin"|"analyst"|"packer"} role
+ * @property {"active"|"disabled"} status
+ */
+
+/**
+ * @typedef {Object} ResetAccountMfaResponse
+ * @property {true} success
+ * @property {AdminAccount} data
+ */
+
+/**
+ * @typedef {Object} ListApiKeysResponse
+ * @property {true} success
+ * @property {Array<ApiKey>} data
+ * @property {Array<string>} scopes
+ */
+
+/**
+ * @typedef {Object} CreateApiKeyResponse
+ * @property {true} success
+ * @property {ApiKey} data
+ * @property {string} key - The key itself; shown only this once
+ */
+
+/**
+ * @typedef {Object} CreateApiKeyBody
+ * @property {string} name
+ * @property {Array<"cache:refresh"|"index:sync"|"orders:read"|"analytics:read"|"search-console:read">} scopes
+ * @property {string} [expiresAt]
+ */
+
+/**
+ * @typedef {Object} RotateApiKeyResponse
+ * @property {true} success
+ * @property {ApiKey} data
+ * @property {string} key - The new key; shown only this once
+ */
+
+/**
+ * @typedef {Object} RevokeApiKeyResponse
+ * @property {true} success
+ * @property {ApiKey} data
+ */
+
+/**
+ * @typedef {Object} ListAuditEventsResponse
+ * @property {true} success
+ * @property {Array<AuditEvent>} data
+ * @property {number} total
+ * @property {number} limit
+ * @property {number} offset
+ * @property {Array<string>} actions
+ */
+
+/**
+ * @typedef {Object} ListAuditEventsQuery
+ * @property {string} [actor]
+ * @property {string} [action]
+ * @property {string} [targetType]
+ * @property {string} [targetId]
+ * @property {string} [customerId]
+ * @property {number} [month]
+ * @property {string} [url]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {number} [limit]
+ * @property {number} [offset]
+ */
+
+/**
+ * @typedef {Object} GetQuotaResponse
+ * @property {true} success
+ * @property {GaQuotaStatus} data
+ */
+
+/**
+ * @typedef {Object} GetQuotaQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} GetEngagementResponseData
+ * @property {number} bounceRate
+ * @property {number} averageSessionDuration
+ * @property {number} pagesPerSession
+ * @property {Object<string, number>} scrollDepth
+ * @property {number} ctaClicks
+ * @property {number} totalSessions
+ * @property {number} totalPageViews
+ */
+
+/**
+ * @typedef {Object} GetEngagementResponse
+ * @property {true} success
+ * @property {GetEngagementResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetEngagementQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetEngagementByPageResponse
+ * @property {true} success
+ * @property {Array<PageEngagement>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetEngagementByPageQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetOverviewResponseData
+ * @property {number} activeUsers
+ * @property {number} sessions
+ * @property {number} pageViews
+ * @property {number} avgSessionDuration
+ * @property {number} bounceRate
+ * @property {number} conversions
+ */
+
+/**
+ * @typedef {Object} GetOverviewResponse
+ * @property {true} success
+ * @property {GetOverviewResponseData|null} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetOverviewQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetTopPagesResponseData
+ * @property {string} path
+ * @property {string} title
+ * @property {number} views
+ * @property {number} avgDuration
+ */
+
+/**
+ * @typedef {Object} GetTopPagesResponse
+ * @property {true} success
+ * @property {Array<GetTopPagesResponseData>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetTopPagesQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetTrafficSourcesResponseDataSessionSources
+ * @property {string} source
+ * @property {string} medium
+ * @property {string} channelGroup
+ * @property {number} sessions
+ * @property {number} users
+ * @property {string} attribution
+ */
+
+/**
+ * @typedef {Object} GetTrafficSourcesResponseDataFirstTouchSources
+ * @property {string} source
+ * @property {string} medium
+ * @property {number} sessions
+ * @property {number} users
+ * @property {number} newUsers
+ * @property {string} attribution
+ */
+
+/**
+ * @typedef {Object} GetTrafficSourcesResponseDataLandingPages
+ * @property {string} landingPage
+ * @property {number} sessions
+ * @property {number} users
+ * @property {number} newUsers
+ * @property {number} bounceRate
+ */
+
+/**
+ * @typedef {Object} GetTrafficSourcesResponseData
+ * @property {Array<GetTrafficSourcesResponseDataSessionSources>} sessionSources
+ * @property {Array<GetTrafficSourcesResponseDataFirstTouchSources>} firstTouchSources
+ * @property {Array<GetTrafficSourcesResponseDataLandingPages>} landingPages
+ */
+
+/**
+ * @typedef {Object} GetTrafficSourcesResponse
+ * @property {true} success
+ * @property {GetTrafficSourcesResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetTrafficSourcesQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetSourceAnalysisResponseData
+ * @property {Object} summary
+ * @property {Array<Object>} topLandingPages
+ * @property {"chatgpt"|"claude"|"perplexity"} sourceId
+ */
+
+/**
+ * @typedef {Object} GetSourceAnalysisResponse
+ * @property {true} success
+ * @property {GetSourceAnalysisResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetSourceAnalysisQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"chatgpt"|"claude"|"perplexity"} sourceId
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficBySourceResponse
+ * @property {true} success
+ * @property {DailyTrafficBreakdown} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficBySourceQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByCountryResponse
+ * @property {true} success
+ * @property {DailyTrafficBreakdown} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByCountryQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByLandingPageResponse
+ * @property {true} success
+ * @property {DailyTrafficBreakdown} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByLandingPageQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByHourResponse
+ * @property {true} success
+ * @property {DailyTrafficBreakdown} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByHourQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByDurationResponse
+ * @property {true} success
+ * @property {DailyTrafficBreakdown} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrafficByDurationQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetDailyTrendResponseData
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} users
+ * @property {number} sessions
+ * @property {number} pageViews
+ */
+
+/**
+ * @typedef {Object} GetDailyTrendResponse
+ * @property {true} success
+ * @property {Array<GetDailyTrendResponseData>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrendQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetAnomaliesResponseData
+ * @property {Array<Anomaly>} anomalies
+ * @property {number} baselineWeeks - Weeks of the same weekday each day is compared with
+ * @property {Array<"sources"|"search">} unavailable
+ */
+
+/**
+ * @typedef {Object} GetAnomaliesResponse
+ * @property {true} success
+ * @property {GetAnomaliesResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetAnomaliesQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetConversionResponseData
+ * @property {number} conversionRate - Percentage, rounded to two decimals
+ * @property {number} totalConversions
+ * @property {number} totalSessions
+ * @property {number} totalUsers
+ * @property {number} formSubmissions
+ * @property {number} emailOptIns
+ * @property {number} purchases
+ * @property {number} revenue - Rounded to two decimals
+ * @property {number} addToCart
+ * @property {number} cartAbandonmentRate - Percentage, rounded to two decimals
+ */
+
+/**
+ * @typedef {Object} GetConversionResponse
+ * @property {true} success
+ * @property {GetConversionResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetConversionQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetConversionBySourceResponseData
+ * @property {string} source
+ * @property {string} medium
+ * @property {number} conversions
+ * @property {number} sessions
+ * @property {number} users
+ * @property {number} conversionRate - Percentage, rounded to two decimals
+ */
+
+/**
+ * @typedef {Object} GetConversionBySourceResponse
+ * @property {true} success
+ * @property {Array<GetConversionBySourceResponseData>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetConversionBySourceQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetContentResponseDataUserFlowsSources
+ * @property {string} from
+ * @property {number} views
+ */
+
+/**
+ * @typedef {Object} GetContentResponseDataUserFlows
+ * @property {string} page
+ * @property {number} totalViews
+ * @property {Array<GetContentResponseDataUserFlowsSources>} sources
+ */
+
+/**
+ * @typedef {Object} GetContentResponseData
+ * @property {Array<Object>} topExitPages
+ * @property {Array<Object>} highEngagementPages
+ * @property {Array<GetContentResponseDataUserFlows>} userFlows
+ * @property {Array<Object>|null} contentGrouping
+ */
+
+/**
+ * @typedef {Object} GetContentResponse
+ * @property {true} success
+ * @property {GetContentResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetContentQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetTechnicalResponseData
+ * @property {number} overallAvgLoadTime
+ * @property {Array<Object>} pageLoadTimes
+ * @property {Array<Object>} errorPages
+ * @property {Array<Object>} devicePerformance
+ * @property {number} total404Errors
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} GetTechnicalResponse
+ * @property {true} success
+ * @property {GetTechnicalResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetTechnicalQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetCoreWebVitalsResponseData
+ * @property {Object<string, Object>} vitals
+ * @property {boolean} available
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} GetCoreWebVitalsResponse
+ * @property {true} success
+ * @property {GetCoreWebVitalsResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetCoreWebVitalsQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetSeoResponseDataOrganicSearch
+ * @property {number} totalSessions
+ * @property {number} totalUsers
+ * @property {Array<Object>} sources
+ */
+
+/**
+ * @typedef {Object} GetSeoResponseDataKeywords
+ * @property {number} total
+ * @property {Array<Object>} topKeywords
+ */
+
+/**
+ * @typedef {Object} GetSeoResponseData
+ * @property {GetSeoResponseDataOrganicSearch} organicSearch
+ * @property {GetSeoResponseDataKeywords} keywords
+ * @property {string} note
+ */
+
+/**
+ * @typedef {Object} GetSeoResponse
+ * @property {true} success
+ * @property {GetSeoResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetSeoQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetAudienceResponseDataTimeAnalysis
+ * @property {Array<Object>} byHour
+ * @property {Array<Object>} byDayOfWeek
+ */
+
+/**
+ * @typedef {Object} GetAudienceResponseDataTotals
+ * @property {number} users
+ * @property {number} sessions
+ */
+
+/**
+ * @typedef {Object} GetAudienceResponseData
+ * @property {Object} overview
+ * @property {Array<Object>} pagesWithScroll
+ * @property {Object} geographic
+ * @property {Object} device
+ * @property {Object} visitorType
+ * @property {Object} demographics
+ * @property {Array<Object>} language
+ * @property {GetAudienceResponseDataTimeAnalysis} timeAnalysis
+ * @property {Object} newReturningMetrics
+ * @property {GetAudienceResponseDataTotals} totals
+ */
+
+/**
+ * @typedef {Object} GetAudienceResponse
+ * @property {true} success
+ * @property {GetAudienceResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {boolean} fromCache
+ * @property {string} updatedAt - When the profile was computed
+ */
+
+/**
+ * @typedef {Object} GetAudienceQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} RefreshAudienceResponse
+ * @property {true} success
+ * @property {string} message
+ * @property {string} site
+ */
+
+/**
+ * @typedef {Object} RefreshAudienceQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} GetSessionsResponseData
+ * @property {number} activeUsers
+ * @property {number} averageSessionDuration
+ * @property {number} bounceRate
+ * @property {number} engagedSessions
+ * @property {number} engagedUsers
+ * @property {number} engagedSessionsPerActiveUser
+ * @property {number} engagementRate
+ * @property {number} sessionKeyEventRate
+ * @property {number} sessions
+ * @property {number} sessionsPerActiveUser
+ * @property {Object} today
+ */
+
+/**
+ * @typedef {Object} GetSessionsResponse
+ * @property {true} success
+ * @property {GetSessionsResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetSessionsQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetShoppingSessionsResponseDataSummary
+ * @property {number} totalEvents
+ * @property {number} totalUsers
+ * @property {number} totalSessions
+ * @property {Array<Object>} byBrand
+ * @property {Array<Object>} byFlavor
+ * @property {Array<Object>} byCountry
+ */
+
+/**
+ * @typedef {Object} GetShoppingSessionsResponseData
+ * @property {Array<Object>} events
+ * @property {GetShoppingSessionsResponseDataSummary} summary
+ */
+
+/**
+ * @typedef {Object} GetShoppingSessionsResponse
+ * @property {true} success
+ * @property {GetShoppingSessionsResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetShoppingSessionsQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetPerformanceResponseDataDailyData
+ * @property {string} date - YYYY-MM-DD
+ */
+
+/**
+ * @typedef {Object} GetPerformanceResponseData
+ * @property {number} totalClicks
+ * @property {number} totalImpressions
+ * @property {number} averageCTR
+ * @property {number} averagePosition
+ * @property {Array<GetPerformanceResponseDataDailyData & SearchRow>} dailyData
+ */
+
+/**
+ * @typedef {Object} GetPerformanceResponse
+ * @property {true} success
+ * @property {GetPerformanceResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetPerformanceQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} GetTopQueriesResponseData
+ * @property {string} query
+ * @property {boolean} branded
+ */
+
+/**
+ * @typedef {Object} GetTopQueriesResponse
+ * @property {true} success
+ * @property {Array<GetTopQueriesResponseData & SearchRow>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetTopQueriesQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetTopSearchPagesResponseData
+ * @property {string} page
+ */
+
+/**
+ * @typedef {Object} GetTopSearchPagesResponse
+ * @property {true} success
+ * @property {Array<GetTopSearchPagesResponseData & SearchRow>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetTopSearchPagesQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetTopCountriesResponseData
+ * @property {string} country
+ */
+
+/**
+ * @typedef {Object} GetTopCountriesResponse
+ * @property {true} success
+ * @property {Array<GetTopCountriesResponseData & SearchRow>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetTopCountriesQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetPageIndexResponseDataPages
+ * @property {string} url
+ * @property {boolean|null} indexed
+ * @property {string|null} google_index_status
+ * @property {string} category
+ * @property {number} clicks
+ * @property {number} impressions
+ * @property {number} ctr
+ * @property {number} position
+ * @property {number} avgDuration
+ * @property {number} uniqueVisitors
+ * @property {number} bounceRate
+ * @property {number} sessions
+ */
+
+/**
+ * @typedef {Object} GetPageIndexResponseDataStats
+ * @property {number} totalPages
+ * @property {number} indexedCount
+ * @property {number} notIndexedCount
+ * @property {number} notIndexedPercent
+ * @property {number} totalUniqueVisitors
+ * @property {number} engagementRate
+ * @property {number} avgDuration
+ */
+
+/**
+ * @typedef {Object} GetPageIndexResponseData
+ * @property {Array<GetPageIndexResponseDataPages>} pages
+ * @property {GetPageIndexResponseDataStats} stats
+ */
+
+/**
+ * @typedef {Object} GetPageIndexResponse
+ * @property {true} success
+ * @property {GetPageIndexResponseData} data
+ */
+
+/**
+ * @typedef {Object} GetPageIndexQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} StartIndexSyncResponse
+ * @property {true} success
+ * @property {IndexSyncJob} data
+ */
+
+/**
+ * @typedef {Object} StartIndexSyncBody
+ * @property {"not_indexed"|"full"} mode
+ */
+
+/**
+ * @typedef {Object} StartIndexSyncQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} GetLatestIndexSyncResponse
+ * @property {true} success
+ * @property {IndexSyncJob|null} data
+ */
+
+/**
+ * @typedef {Object} GetLatestIndexSyncQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} GetIndexSyncResponse
+ * @property {true} success
+ * @property {IndexSyncJob} data
+ */
+
+/**
+ * @typedef {Object} GetIndexSyncQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} CancelIndexSyncResponse
+ * @property {true} success
+ * @property {IndexSyncJob} data
+ */
+
+/**
+ * @typedef {Object} CancelIndexSyncQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ */
+
+/**
+ * @typedef {Object} GetPageRankingsResponse
+ * @property {true} success
+ * @property {Array<Object>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetPageRankingsQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} ListVisitorsResponse
+ * @property {true} success
+ * @property {Array<Visitor>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} ListVisitorsQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetDailyTrendsResponseData
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} new
+ * @property {number} returning
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} GetDailyTrendsResponse
+ * @property {true} success
+ * @property {Array<GetDailyTrendsResponseData>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetDailyTrendsQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} ListVisitorsByPageResponse
+ * @property {true} success
+ * @property {Array<Visitor>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} ListVisitorsByPageQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetPowerUsersResponseData
+ * @property {string} id
+ * @property {string} landingPage
+ * @property {number} sessions
+ * @property {number} pageViews
+ * @property {number} avgSessionDuration
+ * @property {number} totalEngagementDuration
+ * @property {number} engagementRate
+ * @property {number} bounceRate
+ * @property {string} firstVisit - YYYY-MM-DD
+ * @property {string} lastVisit - YYYY-MM-DD
+ * @property {number} uniqueDays
+ */
+
+/**
+ * @typedef {Object} GetPowerUsersResponse
+ * @property {true} success
+ * @property {Array<GetPowerUsersResponseData>} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetPowerUsersQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {number} [minSessions]
+ */
+
+/**
+ * @typedef {Object} GetVisitorResponseDataSummary
+ * @property {number} totalSessions
+ * @property {number} totalPageViews
+ * @property {number} totalEvents
+ * @property {number} avgSessionDuration
+ */
+
+/**
+ * @typedef {Object} GetVisitorResponseData
+ * @property {string} visitorId
+ * @property {Array<Object>} sessions
+ * @property {Array<Object>} pageviews
+ * @property {Array<Object>} events
+ * @property {string|null} actualLandingPage
+ * @property {GetVisitorResponseDataSummary} summary
+ */
+
+/**
+ * @typedef {Object} GetVisitorResponse
+ * @property {true} success
+ * @property {GetVisitorResponseData} data
+ * @property {DateRange} range
+ * @property {Comparison} comparison
+ * @property {string} updatedAt - When the oldest report in the response was fetched from Google
+ */
+
+/**
+ * @typedef {Object} GetVisitorQuery
+ * @property {string} [site] - Site to report on (GET /api/sites); the default site when omitted
+ * @property {"today"|"yesterday"|"last7Days"|"last28Days"|"last30Days"|"last90Days"|"monthToDate"|"lastMonth"|"lastFullWeek"|"yearToDate"} [preset]
+ * @property {string} [startDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [endDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {"previous_period"|"previous_year"|"custom"} [compare]
+ * @property {string} [compareStartDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ * @property {string} [compareEndDate] - YYYY-MM-DD, today, yesterday or NdaysAgo
+ */
+
+/**
+ * @typedef {Object} ListUsersResponse
+ * @property {true} success
+ * @property {Array<User>} data
+ */
+
+/**
+ * @typedef {Object} CreateUserResponse
+ * @property {true} success
+ * @property {Array<User>} data
+ */
+
+/**
+ * @typedef {Object} CreateUserBody
+ * @property {string} [name]
+ * @property {string} email
+ * @property {"active"|"inactive"} [status]
+ */
+
+/**
+ * @typedef {Object} GetUserResponse
+ * @property {true} success
+ * @property {User} data
+ */
+
+/**
+ * @typedef {Object} UpdateUserResponse
+ * @property {true} success
+ * @property {Array<User>} data
+ */
+
+/**
+ * @typedef {Object} UpdateUserBody
+ * @property {string} name
+ * @property {string} email
+ * @property {"active"|"inactive"} status
+ */
+
+/**
+ * @typedef {Object} DeleteUserResponse
+ * @property {true} success
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ListCustomersResponse
+ * @property {true} success
+ * @property {Array<Customer>} data
+ */
+
+/**
+ * @typedef {Object} SetDraftboxPackedResponseData
+ * @property {string} customerID
+ * @property {number} month
+ * @property {boolean} Packed
+ */
+
+/**
+ * @typedef {Object} SetDraftboxPackedResponse
+ * @property {true} success
+ * @property {string} message
+ * @property {SetDraftboxPackedResponseData} data
+ */
+
+/**
+ * @typedef {Object} SetDraftboxPackedBody
+ * @property {boolean} packed
+ */
+
+/**
+ * @typedef {Object} GetDraftboxResponse
+ * @property {true} success
+ * @property {Draftbox} data
+ */
+
+/**
+ * @typedef {Object} GetDraftboxQuery
+ * @property {number} month
+ * @property {number} year
+ */
+
+/**
+ * @typedef {Object} CreateBoxResponse
+ * @property {true} success
+ * @property {Object} data
+ * @property {string} message
+ * @property {number} monthInt
+ */
+
+/**
+ * @typedef {Object} CreateBoxBody
+ * @property {number} month
+ * @property {number} year
+ */
+
+/**
+ * @typedef {Object} CheckMonthResponseData
+ * @property {Array<string>} withBoxes
+ * @property {Array<string>} withPopped
+ * @property {Array<string>} withPacked
+ * @property {Object<string, number>} boxSizes
+ */
+
+/**
+ * @typedef {Object} CheckMonthResponse
+ * @property {true} success
+ * @property {CheckMonthResponseData} data
+ */
+
+/**
+ * @typedef {Object} CheckMonthBody
+ * @property {number} month
+ * @property {number} year
+ * @property {Array<string>} customerIDs
+ */
+
+/**
+ * @typedef {Object} GetSnackHistoryResponseData
+ * @property {Array<Object>} snacks
+ * @property {Array<string>} snackIDs
+ */
+
+/**
+ * @typedef {Object} GetSnackHistoryResponse
+ * @property {true} success
+ * @property {GetSnackHistoryResponseData} data
+ */
+
+/**
+ * @typedef {Object} GetAvailableSnacksResponseData
+ * @property {string|null} currentCategory
+ * @property {Array<Object>} sameCategory
+ * @property {Array<Object>} otherCategories
+ * @property {Array<Object>} triedSameCategory
+ * @property {Array<Object>} triedOtherCategories
+ * @property {number} totalAvailable
+ * @property {number} totalTried
+ */
+
+/**
+ * @typedef {Object} GetAvailableSnacksResponse
+ * @property {true} success
+ * @property {GetAvailableSnacksResponseData} data
+ */
+
+/**
+ * @typedef {Object} GetAvailableSnacksBody
+ * @property {string|number} currentSnackID
+ */
+
+/**
+ * @typedef {Object} ReplaceSnackResponseData
+ * @property {string} oldSnackID
+ * @property {string} newSnackID
+ * @property {Draftbox} draftbox
+ */
+
+/**
+ * @typedef {Object} ReplaceSnackResponse
+ * @property {true} success
+ * @property {string} message
+ * @property {ReplaceSnackResponseData} data
+ */
+
+/**
+ * @typedef {Object} ReplaceSnackBody
+ * @property {string|number} oldSnackID
+ * @property {string|number} newSnackID
+ * @property {number} [replaceCount]
+ */
+
+/**
+ * @typedef {Object} PurgeCacheResponseData
+ * @property {string} prefix
+ * @property {number} removed
+ */
+
+/**
+ * @typedef {Object} PurgeCacheResponse
+ * @property {true} success
+ * @property {PurgeCacheResponseData} data
+ */
+
+/**
+ * @typedef {Object} PurgeCacheBody
+ * @property {string} prefix
+ */
+
+/**
+ * @typedef {Object} ListJobsResponse
+ * @property {true} success
+ * @property {Array<Job>} data
+ * @property {boolean} schedulerRunning
+ */
+
+/**
+ * @typedef {Object} ListJobRunsResponse
+ * @property {true} success
+ * @property {Array<JobRun>} data
+ */
+
+/**
+ * @typedef {Object} ListJobRunsQuery
+ * @property {string} [job]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} RunJobResponse
+ * @property {true} success
+ * @property {JobRun} data
+ */
+
+/**
+ * @typedef {Object} ListSitesResponse
+ * @property {true} success
+ * @property {Array<Site>} data
+ */
+
+export const health = {
+  /**
+   * Check the server is up
+   * GET /api/health
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetHealthResponse>>}
+   */
+  getHealth: (config) =>
+    apiClient.get("/api/health", config),
+
+  /**
+   * Check Supabase, MongoDB, GA and Search Console
+   * GET /api/health/ready
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<Readiness>>}
+   */
+  getReadiness: (config) =>
+    apiClient.get("/api/health/ready", config),
+};
+
+export const auth = {
+  /**
+   * Sign in with email and password
+   * POST /api/auth/login
+   * @param {LoginBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<LoginResult>>}
+   */
+  login: (body, config) =>
+    apiClient.post("/api/auth/login", body, config),
+
+  /**
+   * Finish signing in with a one-time or recovery code
+   * POST /api/auth/login/mfa
+   * @param {LoginWithMfaBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<LoginResult>>}
+   */
+  loginWithMfa: (body, config) =>
+    apiClient.post("/api/auth/login/mfa", body, config),
+
+  /**
+   * Start two-factor enrollment during sign-in
+   * POST /api/auth/login/mfa/setup
+   * @param {StartLoginMfaSetupBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<StartLoginMfaSetupResponse>>}
+   */
+  startLoginMfaSetup: (body, config) =>
+    apiClient.post("/api/auth/login/mfa/setup", body, config),
+
+  /**
+   * Confirm two-factor enrollment and finish signing in
+   * POST /api/auth/login/mfa/activate
+   * @param {ActivateLoginMfaBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<LoginResult>>}
+   */
+  activateLoginMfa: (body, config) =>
+    apiClient.post("/api/auth/login/mfa/activate", body, config),
+
+  /**
+   * Check the session token and get the signed-in account
+   * GET /api/auth/verify
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<VerifyResponse>>}
+   */
+  verify: (config) =>
+    apiClient.get("/api/auth/verify", config),
+
+  /**
+   * Extend the session
+   * POST /api/auth/refresh
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RefreshResponse>>}
+   */
+  refresh: (config) =>
+    apiClient.post("/api/auth/refresh", undefined, config),
+
+  /**
+   * End the session
+   * POST /api/auth/logout
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<LogoutResponse>>}
+   */
+  logout: (config) =>
+    apiClient.post("/api/auth/logout", undefined, config),
+
+  /**
+   * Active sessions of the signed-in account
+   * GET /api/auth/sessions
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListSessionsResponse>>}
+   */
+  listSessions: (config) =>
+    apiClient.get("/api/auth/sessions", config),
+
+  /**
+   * Sign out one of the account's sessions
+   * DELETE /api/auth/sessions/{id}
+   * @param {string} id
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RevokeSessionResponse>>}
+   */
+  revokeSession: (id, config) =>
+    apiClient.delete(`/api/auth/sessions/${encodeURIComponent(id)}`, config),
+
+  /**
+   * Two-factor status of the signed-in account
+   * GET /api/auth/mfa
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetMfaStatusResponse>>}
+   */
+  getMfaStatus: (config) =>
+    apiClient.get("/api/auth/mfa", config),
+
+  /**
+   * Start two-factor enrollment
+   * POST /api/auth/mfa/setup
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<StartMfaSetupResponse>>}
+   */
+  startMfaSetup: (config) =>
+    apiClient.post("/api/auth/mfa/setup", undefined, config),
+
+  /**
+   * Confirm two-factor enrollment
+   * POST /api/auth/mfa/activate
+   * @param {ActivateMfaBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ActivateMfaResponse>>}
+   */
+  activateMfa: (body, config) =>
+    apiClient.post("/api/auth/mfa/activate", body, config),
+
+  /**
+   * Replace the recovery codes
+   * POST /api/auth/mfa/recovery-codes
+   * @param {RegenerateRecoveryCodesBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RegenerateRecoveryCodesResponse>>}
+   */
+  regenerateRecoveryCodes: (body, config) =>
+    apiClient.post("/api/auth/mfa/recovery-codes", body, config),
+
+  /**
+   * Turn two-factor authentication off
+   * POST /api/auth/mfa/disable
+   * @param {DisableMfaBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<DisableMfaResponse>>}
+   */
+  disableMfa: (body, config) =>
+    apiClient.post("/api/auth/mfa/disable", body, config),
+};
+
+export const adminAccounts = {
+  /**
+   * List dashboard accounts
+   * GET /api/admin-accounts (accounts:manage)
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListAccountsResponse>>}
+   */
+  listAccounts: (config) =>
+    apiClient.get("/api/admin-accounts", config),
+
+  /**
+   * Create a dashboard account
+   * POST /api/admin-accounts (accounts:manage)
+   * @param {CreateAccountBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<CreateAccountResponse>>}
+   */
+  createAccount: (body, config) =>
+    apiClient.post("/api/admin-accounts", body, config),
+
+  /**
+   * Change an account's name, role, status or password
+   * PATCH /api/admin-accounts/{id} (accounts:manage)
+   * @param {string} id
+   * @param {UpdateAccountBody} [body]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<UpdateAccountResponse>>}
+   */
+  updateAccount: (id, body, config) =>
+    apiClient.patch(`/api/admin-accounts/${encodeURIComponent(id)}`, body, config),
+
+  /**
+   * Turn off an account's two-factor authentication
+   * POST /api/admin-accounts/{id}/mfa/reset (accounts:manage)
+   * @param {string} id
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ResetAccountMfaResponse>>}
+   */
+  resetAccountMfa: (id, config) =>
+    apiClient.post(`/api/admin-accounts/${encodeURIComponent(id)}/mfa/reset`, undefined, config),
+};
+
+export const apiKeys = {
+  /**
+   * List API keys
+   * GET /api/api-keys (api-keys:manage)
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListApiKeysResponse>>}
+   */
+  listApiKeys: (config) =>
+    apiClient.get("/api/api-keys", config),
+
+  /**
+   * Create an API key
+   * POST /api/api-keys (api-keys:manage)
+   * @param {CreateApiKeyBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<CreateApiKeyResponse>>}
+   */
+  createApiKey: (body, config) =>
+    apiClient.post("/api/api-keys", body, config),
+
+  /**
+   * Replace an API key with a new one with the same scopes
+   * POST /api/api-keys/{id}/rotate (api-keys:manage)
+   * @param {string} id
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RotateApiKeyResponse>>}
+   */
+  rotateApiKey: (id, config) =>
+    apiClient.post(`/api/api-keys/${encodeURIComponent(id)}/rotate`, undefined, config),
+
+  /**
+   * Revoke an API key
+   * DELETE /api/api-keys/{id} (api-keys:manage)
+   * @param {string} id
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RevokeApiKeyResponse>>}
+   */
+  revokeApiKey: (id, config) =>
+    apiClient.delete(`/api/api-keys/${encodeURIComponent(id)}`, config),
+};
+
+export const audit = {
+  /**
+   * Search the audit log, newest first
+   * GET /api/audit (audit:read)
+   * @param {ListAuditEventsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListAuditEventsResponse>>}
+   */
+  listAuditEvents: (query, config) =>
+    apiClient.get("/api/audit", { ...config, params: query }),
+};
+
+export const analytics = {
+  /**
+   * GA4 property quota and circuit breaker state
+   * GET /api/analytics/quota (analytics:read)
+   * @param {GetQuotaQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetQuotaResponse>>}
+   */
+  getQuota: (query, config) =>
+    apiClient.get("/api/analytics/quota", { ...config, params: query }),
+
+  /**
+   * Site-wide engagement metrics
+   * GET /api/analytics/engagement (analytics:read)
+   * @param {GetEngagementQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetEngagementResponse>>}
+   */
+  getEngagement: (query, config) =>
+    apiClient.get("/api/analytics/engagement", { ...config, params: query }),
+
+  /**
+   * Engagement metrics per page
+   * GET /api/analytics/engagement/by-page (analytics:read)
+   * @param {GetEngagementByPageQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetEngagementByPageResponse>>}
+   */
+  getEngagementByPage: (query, config) =>
+    apiClient.get("/api/analytics/engagement/by-page", { ...config, params: query }),
+
+  /**
+   * Headline traffic metrics
+   * GET /api/analytics/overview (analytics:read)
+   * @param {GetOverviewQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetOverviewResponse>>}
+   */
+  getOverview: (query, config) =>
+    apiClient.get("/api/analytics/overview", { ...config, params: query }),
+
+  /**
+   * Most viewed pages
+   * GET /api/analytics/top-pages (analytics:read)
+   * @param {GetTopPagesQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetTopPagesResponse>>}
+   */
+  getTopPages: (query, config) =>
+    apiClient.get("/api/analytics/top-pages", { ...config, params: query }),
+
+  /**
+   * Session and first-touch sources and landing pages
+   * GET /api/analytics/traffic-sources (analytics:read)
+   * @param {GetTrafficSourcesQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetTrafficSourcesResponse>>}
+   */
+  getTrafficSources: (query, config) =>
+    apiClient.get("/api/analytics/traffic-sources", { ...config, params: query }),
+
+  /**
+   * Traffic from one AI assistant
+   * GET /api/analytics/source-analysis (analytics:read)
+   * @param {GetSourceAnalysisQuery} query
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetSourceAnalysisResponse>>}
+   */
+  getSourceAnalysis: (query, config) =>
+    apiClient.get("/api/analytics/source-analysis", { ...config, params: query }),
+
+  /**
+   * Daily sessions by source
+   * GET /api/analytics/daily-traffic-by-source (analytics:read)
+   * @param {GetDailyTrafficBySourceQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrafficBySourceResponse>>}
+   */
+  getDailyTrafficBySource: (query, config) =>
+    apiClient.get("/api/analytics/daily-traffic-by-source", { ...config, params: query }),
+
+  /**
+   * Daily sessions by country
+   * GET /api/analytics/daily-traffic-by-country (analytics:read)
+   * @param {GetDailyTrafficByCountryQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrafficByCountryResponse>>}
+   */
+  getDailyTrafficByCountry: (query, config) =>
+    apiClient.get("/api/analytics/daily-traffic-by-country", { ...config, params: query }),
+
+  /**
+   * Daily sessions by landing page
+   * GET /api/analytics/daily-traffic-by-landing-page (analytics:read)
+   * @param {GetDailyTrafficByLandingPageQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrafficByLandingPageResponse>>}
+   */
+  getDailyTrafficByLandingPage: (query, config) =>
+    apiClient.get("/api/analytics/daily-traffic-by-landing-page", { ...config, params: query }),
+
+  /**
+   * Daily sessions by hour of day
+   * GET /api/analytics/daily-traffic-by-hour (analytics:read)
+   * @param {GetDailyTrafficByHourQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrafficByHourResponse>>}
+   */
+  getDailyTrafficByHour: (query, config) =>
+    apiClient.get("/api/analytics/daily-traffic-by-hour", { ...config, params: query }),
+
+  /**
+   * Daily sessions by session length
+   * GET /api/analytics/daily-traffic-by-duration (analytics:read)
+   * @param {GetDailyTrafficByDurationQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrafficByDurationResponse>>}
+   */
+  getDailyTrafficByDuration: (query, config) =>
+    apiClient.get("/api/analytics/daily-traffic-by-duration", { ...config, params: query }),
+
+  /**
+   * Users, sessions and page views per day
+   * GET /api/analytics/daily-trend (analytics:read)
+   * @param {GetDailyTrendQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrendResponse>>}
+   */
+  getDailyTrend: (query, config) =>
+    apiClient.get("/api/analytics/daily-trend", { ...config, params: query }),
+
+  /**
+   * Days whose traffic or search numbers stray from the same weekday's baseline
+   * GET /api/analytics/anomalies (analytics:read)
+   * @param {GetAnomaliesQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetAnomaliesResponse>>}
+   */
+  getAnomalies: (query, config) =>
+    apiClient.get("/api/analytics/anomalies", { ...config, params: query }),
+
+  /**
+   * Conversion and ecommerce metrics
+   * GET /api/analytics/conversion (analytics:read)
+   * @param {GetConversionQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetConversionResponse>>}
+   */
+  getConversion: (query, config) =>
+    apiClient.get("/api/analytics/conversion", { ...config, params: query }),
+
+  /**
+   * Conversions per traffic source
+   * GET /api/analytics/conversion/by-source (analytics:read)
+   * @param {GetConversionBySourceQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetConversionBySourceResponse>>}
+   */
+  getConversionBySource: (query, config) =>
+    apiClient.get("/api/analytics/conversion/by-source", { ...config, params: query }),
+
+  /**
+   * Exit pages, engaging pages and page-to-page flows
+   * GET /api/analytics/content (analytics:read)
+   * @param {GetContentQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetContentResponse>>}
+   */
+  getContent: (query, config) =>
+    apiClient.get("/api/analytics/content", { ...config, params: query }),
+
+  /**
+   * Page load times, error pages and device performance
+   * GET /api/analytics/technical (analytics:read)
+   * @param {GetTechnicalQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetTechnicalResponse>>}
+   */
+  getTechnical: (query, config) =>
+    apiClient.get("/api/analytics/technical", { ...config, params: query }),
+
+  /**
+   * Core Web Vitals sent to GA4 as events
+   * GET /api/analytics/core-web-vitals (analytics:read)
+   * @param {GetCoreWebVitalsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetCoreWebVitalsResponse>>}
+   */
+  getCoreWebVitals: (query, config) =>
+    apiClient.get("/api/analytics/core-web-vitals", { ...config, params: query }),
+
+  /**
+   * Organic search traffic and keywords
+   * GET /api/analytics/seo (analytics:read)
+   * @param {GetSeoQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetSeoResponse>>}
+   */
+  getSeo: (query, config) =>
+    apiClient.get("/api/analytics/seo", { ...config, params: query }),
+
+  /**
+   * Audience profile, from the audience cache when fresh
+   * GET /api/analytics/audience (analytics:read)
+   * @param {GetAudienceQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetAudienceResponse>>}
+   */
+  getAudience: (query, config) =>
+    apiClient.get("/api/analytics/audience", { ...config, params: query }),
+
+  /**
+   * Recompute the audience cache for the site
+   * POST /api/analytics/audience/refresh (cache:refresh)
+   * @param {RefreshAudienceQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RefreshAudienceResponse>>}
+   */
+  refreshAudience: (query, config) =>
+    apiClient.post("/api/analytics/audience/refresh", undefined, { ...config, params: query }),
+
+  /**
+   * Session engagement metrics, with today's figures
+   * GET /api/analytics/sessions (analytics:read)
+   * @param {GetSessionsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetSessionsResponse>>}
+   */
+  getSessions: (query, config) =>
+    apiClient.get("/api/analytics/sessions", { ...config, params: query }),
+
+  /**
+   * Shop-link clicks by brand, flavor and country
+   * GET /api/analytics/shopping-sessions (analytics:read)
+   * @param {GetShoppingSessionsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetShoppingSessionsResponse>>}
+   */
+  getShoppingSessions: (query, config) =>
+    apiClient.get("/api/analytics/shopping-sessions", { ...config, params: query }),
+};
+
+export const searchConsole = {
+  /**
+   * Clicks, impressions, CTR and position, with daily figures
+   * GET /api/search-console/performance (search-console:read)
+   * @param {GetPerformanceQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetPerformanceResponse>>}
+   */
+  getPerformance: (query, config) =>
+    apiClient.get("/api/search-console/performance", { ...config, params: query }),
+
+  /**
+   * Top search queries
+   * GET /api/search-console/top-queries (search-console:read)
+   * @param {GetTopQueriesQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetTopQueriesResponse>>}
+   */
+  getTopQueries: (query, config) =>
+    apiClient.get("/api/search-console/top-queries", { ...config, params: query }),
+
+  /**
+   * Top pages in search
+   * GET /api/search-console/top-pages (search-console:read)
+   * @param {GetTopSearchPagesQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetTopSearchPagesResponse>>}
+   */
+  getTopSearchPages: (query, config) =>
+    apiClient.get("/api/search-console/top-pages", { ...config, params: query }),
+
+  /**
+   * Search performance by country
+   * GET /api/search-console/top-countries (search-console:read)
+   * @param {GetTopCountriesQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetTopCountriesResponse>>}
+   */
+  getTopCountries: (query, config) =>
+    apiClient.get("/api/search-console/top-countries", { ...config, params: query }),
+
+  /**
+   * Sitemap pages with index status, search and GA4 metrics
+   * GET /api/search-console/page-index (search-console:read)
+   * @param {GetPageIndexQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetPageIndexResponse>>}
+   */
+  getPageIndex: (query, config) =>
+    apiClient.get("/api/search-console/page-index", { ...config, params: query }),
+
+  /**
+   * Start an index status sync; 409 with the running sync if one is in progress
+   * POST /api/search-console/sync-index-status (index:sync)
+   * @param {StartIndexSyncBody} [body]
+   * @param {StartIndexSyncQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<StartIndexSyncResponse>>}
+   */
+  startIndexSync: (body, query, config) =>
+    apiClient.post("/api/search-console/sync-index-status", body, { ...config, params: query }),
+
+  /**
+   * The site's latest index status sync
+   * GET /api/search-console/sync-index-status (search-console:read)
+   * @param {GetLatestIndexSyncQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetLatestIndexSyncResponse>>}
+   */
+  getLatestIndexSync: (query, config) =>
+    apiClient.get("/api/search-console/sync-index-status", { ...config, params: query }),
+
+  /**
+   * An index status sync's progress
+   * GET /api/search-console/sync-index-status/{id} (search-console:read)
+   * @param {string} id
+   * @param {GetIndexSyncQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetIndexSyncResponse>>}
+   */
+  getIndexSync: (id, query, config) =>
+    apiClient.get(`/api/search-console/sync-index-status/${encodeURIComponent(id)}`, { ...config, params: query }),
+
+  /**
+   * Ask a running index status sync to stop
+   * POST /api/search-console/sync-index-status/{id}/cancel (index:sync)
+   * @param {string} id
+   * @param {CancelIndexSyncQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<CancelIndexSyncResponse>>}
+   */
+  cancelIndexSync: (id, query, config) =>
+    apiClient.post(`/api/search-console/sync-index-status/${encodeURIComponent(id)}/cancel`, undefined, { ...config, params: query }),
+
+  /**
+   * Query rankings per page
+   * GET /api/search-console/page-rankings (search-console:read)
+   * @param {GetPageRankingsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetPageRankingsResponse>>}
+   */
+  getPageRankings: (query, config) =>
+    apiClient.get("/api/search-console/page-rankings", { ...config, params: query }),
+};
+
+export const visitors = {
+  /**
+   * Visitor sessions
+   * GET /api/visitors (analytics:read)
+   * @param {ListVisitorsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListVisitorsResponse>>}
+   */
+  listVisitors: (query, config) =>
+    apiClient.get("/api/visitors", { ...config, params: query }),
+
+  /**
+   * New and returning visitors per day
+   * GET /api/visitors/daily-trends (analytics:read)
+   * @param {GetDailyTrendsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDailyTrendsResponse>>}
+   */
+  getDailyTrends: (query, config) =>
+    apiClient.get("/api/visitors/daily-trends", { ...config, params: query }),
+
+  /**
+   * Visitor sessions landing on a page
+   * GET /api/visitors/by-page/{pagePath} (analytics:read)
+   * @param {string} pagePath
+   * @param {ListVisitorsByPageQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListVisitorsByPageResponse>>}
+   */
+  listVisitorsByPage: (pagePath, query, config) =>
+    apiClient.get(`/api/visitors/by-page/${encodeURIComponent(pagePath)}`, { ...config, params: query }),
+
+  /**
+   * Most engaged returning visitors
+   * GET /api/visitors/power-users (analytics:read)
+   * @param {GetPowerUsersQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetPowerUsersResponse>>}
+   */
+  getPowerUsers: (query, config) =>
+    apiClient.get("/api/visitors/power-users", { ...config, params: query }),
+
+  /**
+   * One visitor's sessions, page views and events
+   * GET /api/visitors/{visitorId} (analytics:read)
+   * @param {string} visitorId
+   * @param {GetVisitorQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetVisitorResponse>>}
+   */
+  getVisitor: (visitorId, query, config) =>
+    apiClient.get(`/api/visitors/${encodeURIComponent(visitorId)}`, { ...config, params: query }),
+};
+
+export const users = {
+  /**
+   * List site users
+   * GET /api/users (users:manage)
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListUsersResponse>>}
+   */
+  listUsers: (config) =>
+    apiClient.get("/api/users", config),
+
+  /**
+   * Create a site user
+   * POST /api/users (users:manage)
+   * @param {CreateUserBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<CreateUserResponse>>}
+   */
+  createUser: (body, config) =>
+    apiClient.post("/api/users", body, config),
+
+  /**
+   * Get a site user
+   * GET /api/users/{id} (users:manage)
+   * @param {string} id
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetUserResponse>>}
+   */
+  getUser: (id, config) =>
+    apiClient.get(`/api/users/${encodeURIComponent(id)}`, config),
+
+  /**
+   * Update a site user
+   * PUT /api/users/{id} (users:manage)
+   * @param {string} id
+   * @param {UpdateUserBody} [body]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<UpdateUserResponse>>}
+   */
+  updateUser: (id, body, config) =>
+    apiClient.put(`/api/users/${encodeURIComponent(id)}`, body, config),
+
+  /**
+   * Delete a site user
+   * DELETE /api/users/{id} (users:manage)
+   * @param {string} id
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<DeleteUserResponse>>}
+   */
+  deleteUser: (id, config) =>
+    apiClient.delete(`/api/users/${encodeURIComponent(id)}`, config),
+};
+
+export const customers = {
+  /**
+   * Customers with their boxes
+   * GET /api/customers (orders:read)
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListCustomersResponse>>}
+   */
+  listCustomers: (config) =>
+    apiClient.get("/api/customers", config),
+
+  /**
+   * Mark a box packed or unpacked
+   * PATCH /api/customers/{customerId}/draftbox/{month}/packed (orders:pack)
+   * @param {string} customerId
+   * @param {number} month
+   * @param {SetDraftboxPackedBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<SetDraftboxPackedResponse>>}
+   */
+  setDraftboxPacked: (customerId, month, body, config) =>
+    apiClient.patch(`/api/customers/${encodeURIComponent(customerId)}/draftbox/${encodeURIComponent(month)}/packed`, body, config),
+
+  /**
+   * A customer's box for a month
+   * GET /api/customers/{customerId}/draftbox (orders:read)
+   * @param {string} customerId
+   * @param {GetDraftboxQuery} query
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetDraftboxResponse>>}
+   */
+  getDraftbox: (customerId, query, config) =>
+    apiClient.get(`/api/customers/${encodeURIComponent(customerId)}/draftbox`, { ...config, params: query }),
+
+  /**
+   * Create a customer's box for a month
+   * POST /api/customers/{customerId}/create-box (orders:write)
+   * @param {string} customerId
+   * @param {CreateBoxBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<CreateBoxResponse>>}
+   */
+  createBox: (customerId, body, config) =>
+    apiClient.post(`/api/customers/${encodeURIComponent(customerId)}/create-box`, body, config),
+
+  /**
+   * Which customers have boxes, popped or packed boxes for a month
+   * POST /api/customers/check-month (orders:read)
+   * @param {CheckMonthBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<CheckMonthResponse>>}
+   */
+  checkMonth: (body, config) =>
+    apiClient.post("/api/customers/check-month", body, config),
+
+  /**
+   * Snacks a customer has received
+   * GET /api/customers/{customerId}/snack-history (orders:read)
+   * @param {string} customerId
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetSnackHistoryResponse>>}
+   */
+  getSnackHistory: (customerId, config) =>
+    apiClient.get(`/api/customers/${encodeURIComponent(customerId)}/snack-history`, config),
+
+  /**
+   * Snacks in stock that could replace one in the box
+   * POST /api/customers/{customerId}/available-snacks (orders:write)
+   * @param {string} customerId
+   * @param {GetAvailableSnacksBody} [body]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<GetAvailableSnacksResponse>>}
+   */
+  getAvailableSnacks: (customerId, body, config) =>
+    apiClient.post(`/api/customers/${encodeURIComponent(customerId)}/available-snacks`, body, config),
+
+  /**
+   * Swap a snack in a customer's box
+   * PUT /api/customers/{customerId}/draftbox/{month}/replace-snack (orders:write)
+   * @param {string} customerId
+   * @param {number} month
+   * @param {ReplaceSnackBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ReplaceSnackResponse>>}
+   */
+  replaceSnack: (customerId, month, body, config) =>
+    apiClient.put(`/api/customers/${encodeURIComponent(customerId)}/draftbox/${encodeURIComponent(month)}/replace-snack`, body, config),
+};
+
+export const cache = {
+  /**
+   * Drop cached reports so the next request fetches them again
+   * POST /api/cache/purge (cache:refresh)
+   * @param {PurgeCacheBody} body
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<PurgeCacheResponse>>}
+   */
+  purgeCache: (body, config) =>
+    apiClient.post("/api/cache/purge", body, config),
+};
+
+export const jobs = {
+  /**
+   * Scheduled jobs with their last run
+   * GET /api/jobs (jobs:manage)
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListJobsResponse>>}
+   */
+  listJobs: (config) =>
+    apiClient.get("/api/jobs", config),
+
+  /**
+   * Job run history, newest first
+   * GET /api/jobs/runs (jobs:manage)
+   * @param {ListJobRunsQuery} [query]
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListJobRunsResponse>>}
+   */
+  listJobRuns: (query, config) =>
+    apiClient.get("/api/jobs/runs", { ...config, params: query }),
+
+  /**
+   * Run a job now
+   * POST /api/jobs/{name}/run (jobs:manage)
+   * @param {string} name
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<RunJobResponse>>}
+   */
+  runJob: (name, config) =>
+    apiClient.post(`/api/jobs/${encodeURIComponent(name)}/run`, undefined, config),
+};
+
+export const sites = {
+  /**
+   * List the sites; pass one's id as ?site= to the report routes
+   * GET /api/sites
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<ListSitesResponse>>}
+   */
+  listSites: (config) =>
+    apiClient.get("/api/sites", config),
+};
+
+export const openapi = {
+  /**
+   * This OpenAPI document
+   * GET /api/openapi.json
+   * @param {import("axios").AxiosRequestConfig} [config]
+   * @returns {Promise<import("axios").AxiosResponse<Object>>}
+   */
+  getOpenApiDocument: (config) =>
+    apiClient.get("/api/openapi.json", config),
+};
+
+export default {
+  health,
+  auth,
+  adminAccounts,
+  apiKeys,
+  audit,
+  analytics,
+  searchConsole,
+  visitors,
+  users,
+  customers,
+  cache,
+  jobs,
+  sites,
+  openapi,
+};
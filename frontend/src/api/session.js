@@ -0,0 +1,111 @@
+import api from "./client";
+
+const TOKEN_KEY = "admin_token";
+const EXPIRES_AT_KEY = "admin_token_expires_at";
+// Written on logout so other open tabs sign out too
+const LOGOUT_KEY = "admin_logout";
+
+// Renew the session this long before it expires
+const REFRESH_BEFORE_EXPIRY = 10 * 60 * 1000; // 10 minutes
+
+export const getStoredExpiresAt = () => {
+  const value = parseInt(localStorage.getItem(EXPIRES_AT_KEY), 10);
+  return Number.isNaN(value) ? null : value;
+};
+
+export const storeSession = ({ token, expiresAt }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (expiresAt) {
+    localStorage.setItem(EXPIRES_AT_KEY, String(expiresAt));
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(EXPIRES_AT_KEY);
+};
+
+/**
+ * Exchange the current token for a new one with a fresh expiry.
+ * Returns the new expiry, or null if the session can no longer be renewed.
+ */
+export const refreshSession = async () => {
+  try {
+    const response = await api.auth.refresh();
+    if (response.data.success) {
+      storeSession(response.data);
+      return response.data.expiresAt;
+    }
+  } catch (error) {
+    console.warn("Session refresh failed:", error.response?.data?.error || error.message);
+  }
+  return null;
+};
+
+/**
+ * Revoke the session on the server, then forget it locally.
+ */
+export const logout = async () => {
+  try {
+    await api.auth.logout();
+  } catch (error) {
+    // Still clear the local session if the server is unreachable
+    console.warn("Logout request failed:", error.message);
+  } finally {
+    clearSession();
+    localStorage.setItem(LOGOUT_KEY, String(Date.now()));
+  }
+};
+
+/**
+ * Follow session changes made in other tabs (storage events only fire in the other tabs).
+ * onLogout: another tab logged out. onTokenChange: another tab signed in, re-authenticated
+ * or refreshed the token.
+ * Returns a cleanup function.
+ */
+export const subscribeToSessionChanges = ({ onLogout, onTokenChange }) => {
+  const handleStorage = (event) => {
+    if (event.key === LOGOUT_KEY && event.newValue) {
+      onLogout?.();
+    } else if (event.key === TOKEN_KEY && event.newValue) {
+      onTokenChange?.(event.newValue);
+    }
+  };
+
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
+
+/**
+ * Keep the session alive by refreshing shortly before it expires.
+ * If it cannot be renewed (7-day limit), calls onExpiring(expiresAt) so the user can
+ * sign in again, then onExpired when the token runs out.
+ * Returns a cleanup function.
+ */
+export const scheduleSessionRefresh = (expiresAt, { onExpiring, onExpired } = {}) => {
+  let timer = null;
+
+  const schedule = (at) => {
+    const delay = Math.max(at - Date.now() - REFRESH_BEFORE_EXPIRY, 0);
+    timer = setTimeout(async () => {
+      const nextExpiresAt = await refreshSession();
+      // Another tab may have renewed the shared token first
+      const storedExpiresAt = getStoredExpiresAt();
+      if (nextExpiresAt) {
+        schedule(nextExpiresAt);
+      } else if (storedExpiresAt > at) {
+        schedule(storedExpiresAt);
+      } else {
+        // Could not renew - the current token is still good until it expires
+        onExpiring?.(at);
+        timer = setTimeout(() => onExpired?.(), Math.max(at - Date.now(), 0));
+      }
+    }, delay);
+  };
+
+  if (expiresAt) {
+    schedule(expiresAt);
+  }
+
+  return () => clearTimeout(timer);
+};
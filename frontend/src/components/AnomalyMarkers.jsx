@@ -0,0 +1,62 @@
+import React from "react";
+import "./AnomalyMarkers.css";
+
+const METRIC_LABELS = {
+  sessions: "Sessions",
+  users: "Users",
+  pageViews: "Page views",
+  clicks: "Clicks",
+  impressions: "Impressions",
+};
+
+// 20240501 and 2024-05-01 alike
+const dayKey = (date) => String(date || "").replace(/-/g, "");
+
+const describe = (anomaly) => {
+  const percent = anomaly.percentChange == null ? "" : ` (${anomaly.percentChange > 0 ? "+" : ""}${anomaly.percentChange}%)`;
+  const driver = anomaly.driver
+    ? `, mostly ${anomaly.driver.value} (${anomaly.driver.change > 0 ? "+" : ""}${anomaly.driver.change} ${anomaly.driver.metric})`
+    : "";
+  return `${METRIC_LABELS[anomaly.metric] || anomaly.metric}: ${anomaly.value.toLocaleString()} vs ${anomaly.expected.toLocaleString()} expected${percent}${driver}`;
+};
+
+/**
+ * Markers along the top of a chart on days flagged by /api/analytics/anomalies
+ * @param {string[]} dates - The chart's days, left to right
+ * @param {Object[]} anomalies - For the chart's series
+ * @param {"bars"|"points"} layout - Bars sit in the middle of their slot; line points on the edges
+ */
+const AnomalyMarkers = ({ dates, anomalies, layout = "points" }) => {
+  if (!dates?.length || !anomalies?.length) return null;
+
+  const byDay = new Map();
+  for (const anomaly of anomalies) {
+    const key = dayKey(anomaly.date);
+    byDay.set(key, [...(byDay.get(key) || []), anomaly]);
+  }
+
+  return (
+    <div className={`anomaly-markers anomaly-markers-${layout}`}>
+      {dates.map((date, index) => {
+        const found = byDay.get(dayKey(date));
+        if (!found) return null;
+        // The most severe of the day's anomalies sets the marker
+        const [worst] = [...found].sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+        const left =
+          layout === "bars" ? ((index + 0.5) / dates.length) * 100 : (index / Math.max(1, dates.length - 1)) * 100;
+        return (
+          <span
+            key={date}
+            className={`anomaly-marker anomaly-marker-${worst.severity} anomaly-marker-${worst.direction}`}
+            style={{ left: `${left}%` }}
+            title={`${worst.direction === "drop" ? "Drop" : "Spike"} on ${worst.date}\n${found.map(describe).join("\n")}`}
+          >
+            {worst.direction === "drop" ? "▼" : "▲"}
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AnomalyMarkers;
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { render } from "@testing-library/react";
+import AnomalyMarkers from "./AnomalyMarkers";
+
+const anomaly = (date, overrides = {}) => ({
+  series: "traffic",
+  metric: "sessions",
+  date,
+  value: 300,
+  expected: 100,
+  percentChange: 200,
+  score: 4,
+  severity: "critical",
+  direction: "spike",
+  ...overrides,
+});
+
+const DATES = ["20240501", "20240502", "20240503", "20240504", "20240505"];
+
+describe("AnomalyMarkers", () => {
+  it("renders nothing without dates or anomalies", () => {
+    expect(render(<AnomalyMarkers dates={DATES} anomalies={[]} />).container).toBeEmptyDOMElement();
+    expect(render(<AnomalyMarkers dates={[]} anomalies={[anomaly("2024-05-02")]} />).container).toBeEmptyDOMElement();
+  });
+
+  it("marks flagged days on line points, matching ISO and GA dates", () => {
+    const { container } = render(
+      <AnomalyMarkers dates={DATES} anomalies={[anomaly("2024-05-01"), anomaly("2024-05-05", { direction: "drop", severity: "warning" })]} />
+    );
+    const markers = container.querySelectorAll(".anomaly-marker");
+    expect(markers).toHaveLength(2);
+    expect(markers[0]).toHaveStyle({ left: "0%" });
+    expect(markers[0]).toHaveClass("anomaly-marker-critical", "anomaly-marker-spike");
+    expect(markers[0]).toHaveTextContent("▲");
+    expect(markers[1]).toHaveStyle({ left: "100%" });
+    expect(markers[1]).toHaveClass("anomaly-marker-drop", "anomaly-marker-warning");
+    expect(markers[1]).toHaveTextContent("▼");
+  });
+
+  it("centres markers in bar slots and lets the most severe anomaly of a day set the marker", () => {
+    const { container } = render(
+      <AnomalyMarkers
+        layout="bars"
+        dates={DATES}
+        anomalies={[
+          anomaly("20240502", { metric: "users", score: 2, severity: "warning" }),
+          anomaly("20240502", { score: -5, direction: "drop", driver: { value: "google", change: -120, metric: "sessions" } }),
+        ]}
+      />
+    );
+    const [marker] = container.querySelectorAll(".anomaly-markers-bars .anomaly-marker");
+    expect(marker).toHaveStyle({ left: "30%" });
+    expect(marker).toHaveClass("anomaly-marker-critical", "anomaly-marker-drop");
+    expect(marker.title).toContain("Drop on 20240502");
+    expect(marker.title).toContain("Users: 300 vs 100 expected (+200%)");
+    expect(marker.title).toContain("mostly google (-120 sessions)");
+  });
+});
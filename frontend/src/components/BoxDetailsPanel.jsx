@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import { IoAddCircle, IoCloseCircleOutline } from "react-icons/io5";
 import SnackReplacementModal from "./SnackReplacementModal";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./BoxDetailsPanel.css";
 
 const BoxDetailsPanel = ({
@@ -13,12 +13,14 @@ const BoxDetailsPanel = ({
   selectedMonth,
   selectedYear,
   onRefresh,
+  canEdit = true,
 }) => {
   const [selectedSnack, setSelectedSnack] = useState(null);
   const [showReplacementModal, setShowReplacementModal] = useState(false);
   const [replacing, setReplacing] = useState(false);
 
   const handleSnackClick = (snack) => {
+    if (!canEdit) return;
     setSelectedSnack(snack);
     setShowReplacementModal(true);
   };
@@ -45,14 +47,11 @@ const BoxDetailsPanel = ({
       );
       console.log(`     Replacing ${replaceCount || "all"} of ${oldSnackID}`);
 
-      const response = await apiClient.put(
-        `/api/customers/${customerId}/draftbox/${monthInt}/replace-snack`,
-        {
-          oldSnackID,
-          newSnackID,
-          replaceCount: replaceCount || undefined, // Only send if specified
-        }
-      );
+      const response = await api.customers.replaceSnack(customerId, monthInt, {
+        oldSnackID,
+        newSnackID,
+        replaceCount: replaceCount || undefined, // Only send if specified
+      });
 
       if (response.data.success) {
         console.log("✅ Snack replaced successfully:", response.data);
@@ -127,16 +126,20 @@ const BoxDetailsPanel = ({
         </div>
         <div className="panel-content create-box-container">
           <div className="create-box-empty">
-            <div className="plus-icon" onClick={onCreateBox}>
-              <IoAddCircle />
-            </div>
-            <h3>Create Box</h3>
+            {canEdit && (
+              <div className="plus-icon" onClick={onCreateBox}>
+                <IoAddCircle />
+              </div>
+            )}
+            <h3>{canEdit ? "Create Box" : "No Box Yet"}</h3>
             <p>
               No box exists for this customer for {getMonthName(selectedMonth)}{" "}
               {selectedYear}.
             </p>
             <p className="create-hint">
-              Click the + icon to generate a new box
+              {canEdit
+                ? "Click the + icon to generate a new box"
+                : "Ask an admin to create this box"}
             </p>
           </div>
         </div>
@@ -353,7 +356,7 @@ const BoxDetailsPanel = ({
                       <tr
                         key={index}
                         onClick={() => handleSnackClick(snack)}
-                        className={`snack-row-clickable ${
+                        className={`${canEdit ? "snack-row-clickable" : ""} ${
                           isRepeatMonthly ? "repeat-monthly-row" : ""
                         }`}
                       >
@@ -1,18 +1,107 @@
-import React from "react";
-import { Outlet, NavLink, useNavigate } from "react-router-dom";
-import { BsHandIndexThumb, BsGear, BsFileText } from "react-icons/bs";
+import React, { useState, useEffect } from "react";
+import { Outlet, NavLink } from "react-router-dom";
+import {
+  BsHandIndexThumb,
+  BsGear,
+  BsFileText,
+  BsBoxSeam,
+  BsClockHistory,
+  BsCodeSlash,
+  BsJournalText,
+  BsKey,
+  BsLaptop,
+  BsPeople,
+  BsShieldLock,
+} from "react-icons/bs";
 import { MdPeopleAlt } from "react-icons/md";
 import { FaShoppingCart } from "react-icons/fa";
+import { getSelectedSite, setSelectedSite } from "../api/axios";
+import api from "../api/client";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
+import QuotaBanner from "./QuotaBanner";
 import "./Layout.css";
 
-const Layout = () => {
-  const navigate = useNavigate();
+// Sidebar sections; links the current role cannot use are hidden
+const NAV_SECTIONS = [
+  {
+    label: "Traffic",
+    links: [
+      { to: "/visitors", label: "Visitors", icon: <MdPeopleAlt />, permission: PERMISSIONS.ANALYTICS_READ },
+      { to: "/shopping-sessions", label: "Monetization", icon: <FaShoppingCart />, permission: PERMISSIONS.ANALYTICS_READ },
+    ],
+  },
+  {
+    label: "Site",
+    links: [
+      { to: "/page-index", label: "Sitemap", icon: <BsHandIndexThumb />, permission: PERMISSIONS.SEARCH_CONSOLE_READ },
+      { to: "/technical", label: "Technical", icon: <BsGear />, permission: PERMISSIONS.ANALYTICS_READ },
+      { to: "/content", label: "Content", icon: <BsFileText />, permission: PERMISSIONS.ANALYTICS_READ },
+    ],
+  },
+  {
+    label: "Fulfillment",
+    links: [
+      { to: "/orders", label: "Orders", icon: <BsBoxSeam />, permission: PERMISSIONS.ORDERS_READ },
+    ],
+  },
+  {
+    label: "Admin",
+    links: [
+      { to: "/accounts", label: "Accounts", icon: <BsPeople />, permission: PERMISSIONS.ACCOUNTS_MANAGE },
+      { to: "/api-keys", label: "API Keys", icon: <BsKey />, permission: PERMISSIONS.API_KEYS_MANAGE },
+      { to: "/api-docs", label: "API Docs", icon: <BsCodeSlash />, permission: PERMISSIONS.API_KEYS_MANAGE },
+      { to: "/jobs", label: "Jobs", icon: <BsClockHistory />, permission: PERMISSIONS.JOBS_MANAGE },
+      { to: "/audit", label: "Audit Log", icon: <BsJournalText />, permission: PERMISSIONS.AUDIT_READ },
+    ],
+  },
+  {
+    label: "Account",
+    links: [
+      // Every signed-in account manages its own 2FA and sessions
+      { to: "/security", label: "Security", icon: <BsShieldLock /> },
+      { to: "/sessions", label: "Sessions", icon: <BsLaptop /> },
+    ],
+  },
+];
 
-  const handleLogout = () => {
-    localStorage.removeItem("admin_token");
-    navigate("/login");
+const Layout = ({ account, onLogout }) => {
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState(getSelectedSite);
+
+  useEffect(() => {
+    const fetchSites = async () => {
+      try {
+        const response = await api.sites.listSites();
+        if (!response.data.success) return;
+        const list = response.data.data;
+        setSites(list);
+        // Forget a stored site that has since been removed; the server then uses its default
+        const stored = getSelectedSite();
+        if (stored && !list.some((site) => site.id === stored)) {
+          setSelectedSite(null);
+          setSiteId(null);
+        }
+      } catch (err) {
+        console.error("Error fetching sites:", err);
+      }
+    };
+
+    fetchSites();
+  }, []);
+
+  // Remount the page (and the quota banner) so they refetch for the new site
+  const handleSiteChange = (e) => {
+    setSelectedSite(e.target.value);
+    setSiteId(e.target.value);
   };
 
+  const visibleSections = NAV_SECTIONS.map((section) => ({
+    ...section,
+    links: section.links.filter(
+      (link) => !link.permission || hasPermission(account, link.permission)
+    ),
+  })).filter((section) => section.links.length > 0);
+
   return (
     <div className="layout">
       <aside className="sidebar">
@@ -22,48 +111,40 @@ const Layout = () => {
           </div>
           <h2>PROTEIN BAR NERD</h2>
         </div>
-        <nav className="sidebar-nav">
-          <div className="nav-section">
-            <div className="nav-section-label">Traffic</div>
-            <NavLink to="/visitors" className="nav-link">
-              <span className="nav-icon">
-                <MdPeopleAlt />
-              </span>
-              Visitors
-            </NavLink>
-            <NavLink to="/shopping-sessions" className="nav-link">
-              <span className="nav-icon">
-                <FaShoppingCart />
-              </span>
-              Monetization
-            </NavLink>
-          </div>
-
-          <div className="nav-section">
-            <div className="nav-section-label">Site</div>
-            <NavLink to="/page-index" className="nav-link">
-              <span className="nav-icon">
-                <BsHandIndexThumb />
-              </span>
-              Sitemap
-            </NavLink>
-            <NavLink to="/technical" className="nav-link">
-              <span className="nav-icon">
-                <BsGear />
-              </span>
-              Technical
-            </NavLink>
-            <NavLink to="/content" className="nav-link">
-              <span className="nav-icon">
-                <BsFileText />
-              </span>
-              Content
-            </NavLink>
+        {sites.length > 1 && (
+          <div className="sidebar-site">
+            <label htmlFor="site-switcher" className="nav-section-label">Site</label>
+            <select id="site-switcher" value={siteId || sites.find((site) => site.isDefault)?.id} onChange={handleSiteChange}>
+              {sites.map((site) => (
+                <option key={site.id} value={site.id}>
+                  {site.name}
+                </option>
+              ))}
+            </select>
           </div>
+        )}
+        <nav className="sidebar-nav">
+          {visibleSections.map((section) => (
+            <div className="nav-section" key={section.label}>
+              <div className="nav-section-label">{section.label}</div>
+              {section.links.map((link) => (
+                <NavLink key={link.to} to={link.to} className="nav-link">
+                  <span className="nav-icon">{link.icon}</span>
+                  {link.label}
+                </NavLink>
+              ))}
+            </div>
+          ))}
         </nav>
         <div className="sidebar-footer">
+          {account && (
+            <div className="sidebar-account">
+              <span className="sidebar-account-email">{account.email}</span>
+              <span className="sidebar-account-role">{account.role}</span>
+            </div>
+          )}
           <button
-            onClick={handleLogout}
+            onClick={onLogout}
             className="btn btn-secondary logout-btn"
           >
             Logout
@@ -72,7 +153,8 @@ const Layout = () => {
       </aside>
 
       <main className="main-content">
-        <Outlet />
+        {hasPermission(account, PERMISSIONS.ANALYTICS_READ) && <QuotaBanner key={siteId} />}
+        <Outlet key={siteId} context={{ account }} />
       </main>
     </div>
   );
@@ -0,0 +1,58 @@
+import React from "react";
+import { COMPARE_OPTIONS } from "../utils/comparison";
+import "./PeriodComparison.css";
+
+// "Compare:" select sitting next to a page's period selector
+export const CompareSelect = ({ value, onChange }) => (
+  <div className="compare-selector">
+    <label htmlFor="compare-period">Compare:</label>
+    <select id="compare-period" value={value} onChange={(e) => onChange(e.target.value)} className="compare-select">
+      {COMPARE_OPTIONS.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+/**
+ * Up/down badge for one metric of a response's `comparison.changes`
+ * `inverse` marks metrics where lower is better (bounce rate, exits).
+ */
+export const DeltaBadge = ({ change, inverse = false }) => {
+  if (!change || change.percentChange == null) return null;
+  const { percentChange, previous } = change;
+  const direction = percentChange > 0 ? "up" : percentChange < 0 ? "down" : "flat";
+  const good = direction === "flat" ? null : (direction === "up") !== inverse;
+  const arrow = direction === "up" ? "▲" : direction === "down" ? "▼" : "•";
+  return (
+    <span
+      className={`delta-badge delta-badge-${good === null ? "flat" : good ? "good" : "bad"}`}
+      title={`Previous period: ${previous.toLocaleString()}`}
+    >
+      {arrow} {Math.abs(percentChange).toFixed(1)}%
+    </span>
+  );
+};
+
+/**
+ * Dashed line of the previous period drawn over a bar chart, one point per bar
+ * @param {Array<number|null>} values - Previous-period value for each bar, in bar order
+ * @param {number} max - The value at the top of the chart
+ */
+export const PreviousPeriodLine = ({ values, max }) => {
+  if (!values?.length || !max) return null;
+  const points = values
+    .map((value, index) =>
+      value == null ? null : `${((index + 0.5) / values.length) * 100},${100 - Math.min(100, (value / max) * 100)}`
+    )
+    .filter(Boolean)
+    .join(" ");
+  if (!points) return null;
+  return (
+    <svg className="previous-period-line" viewBox="0 0 100 100" preserveAspectRatio="none" aria-label="Previous period">
+      <polyline points={points} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
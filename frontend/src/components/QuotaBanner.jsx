@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from "react";
+import api from "../api/client";
+
+// How often to re-check the GA quota
+const POLL_INTERVAL = 5 * 60 * 1000;
+
+const QUOTA_LABELS = {
+  tokensPerDay: "daily",
+  tokensPerHour: "hourly",
+  tokensPerProjectPerHour: "hourly project",
+};
+
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// Warns when the GA property quota runs low or GA calls are being held off
+const QuotaBanner = () => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchQuota = async () => {
+      try {
+        const response = await api.analytics.getQuota();
+        if (!cancelled && response.data.success) setStatus(response.data.data);
+      } catch (err) {
+        console.error("Error fetching GA quota:", err);
+      }
+    };
+
+    fetchQuota();
+    const timer = setInterval(fetchQuota, POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  if (!status) return null;
+
+  if (status.circuit.state !== "closed") {
+    return (
+      <div className="alert alert-error">
+        Google Analytics is not responding, so reports show cached data where there is some.
+        {status.circuit.retryAt && ` Next attempt at ${new Date(status.circuit.retryAt).toLocaleTimeString()}.`}
+      </div>
+    );
+  }
+
+  if (status.low.length > 0) {
+    const left = status.low
+      .map((name) => `${formatPercent(status.quotas[name].remainingRatio)} of the ${QUOTA_LABELS[name]} quota`)
+      .join(", ");
+    return (
+      <div className="alert alert-info">
+        Google Analytics quota is running low: {left} left. Reports are served from the cache where possible.
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default QuotaBanner;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef } from "react";
+import api from "../api/client";
+import { storeSession } from "../api/session";
+import "./SessionPrompt.css";
+
+/**
+ * Sign-in prompt shown over the current page when the session is about to end or has ended.
+ * The page underneath stays mounted, so the route and anything unsaved survive re-authentication.
+ *
+ * reason "expiring": a dismissible notice, expanding into the sign-in form on request.
+ * reason "expired": the sign-in form straight away; requests wait until it completes.
+ */
+const SessionPrompt = ({ account, reason, expiresAt, onReauthenticated, onDismiss, onLogout }) => {
+  const [showForm, setShowForm] = useState(reason === "expired");
+  const [password, setPassword] = useState("");
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (reason === "expired") setShowForm(true);
+  }, [reason]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [showForm, challengeToken, useRecoveryCode]);
+
+  const complete = (session) => {
+    storeSession(session);
+    onReauthenticated(session);
+  };
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await api.auth.login({
+        email: account.email,
+        password,
+      });
+
+      if (!response.data.success) return;
+
+      if (response.data.mfaRequired) {
+        setChallengeToken(response.data.challengeToken);
+      } else if (response.data.mfaSetupRequired) {
+        setError("Two-factor setup is required. Log out and sign in from the login page.");
+      } else {
+        complete(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Invalid password. Please try again.");
+    } finally {
+      setPassword("");
+      setLoading(false);
+    }
+  };
+
+  const handleCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await api.auth.loginWithMfa({
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }),
+      });
+
+      if (response.data.success) {
+        complete(response.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Invalid verification code");
+      // The challenge is dead once attempts run out - start over with the password
+      if (err.response?.status === 401 && !err.response?.data?.attemptsRemaining) {
+        setChallengeToken(null);
+      }
+    } finally {
+      setCode("");
+      setLoading(false);
+    }
+  };
+
+  if (!showForm) {
+    return (
+      <div className="session-notice" role="status">
+        <p>
+          Your session ends at{" "}
+          {new Date(expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}.
+          Sign in again to keep working without interruption.
+        </p>
+        <div className="session-prompt-actions">
+          <button type="button" className="btn btn-secondary" onClick={onDismiss}>
+            Later
+          </button>
+          <button type="button" className="btn btn-primary" onClick={() => setShowForm(true)}>
+            Sign In Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="session-prompt-overlay">
+      <div className="session-prompt" role="dialog" aria-modal="true">
+        <h2>{reason === "expired" ? "Your session has expired" : "Sign in again"}</h2>
+        <p className="session-prompt-subtitle">
+          Signed in as <strong>{account.email}</strong>. You will stay on this page and keep any
+          unsaved changes.
+        </p>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {challengeToken ? (
+          <form onSubmit={handleCode}>
+            <div className="form-group">
+              <label htmlFor="session-prompt-code">
+                {useRecoveryCode ? "Recovery code" : "Code from your authenticator app"}
+              </label>
+              <input
+                id="session-prompt-code"
+                ref={inputRef}
+                type="text"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+            <button
+              type="button"
+              className="session-prompt-link"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode("");
+                setError(null);
+              }}
+            >
+              {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+            </button>
+            <div className="session-prompt-actions">
+              <button type="button" className="btn btn-secondary" onClick={onLogout}>
+                Log Out
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading || !code.trim()}>
+                {loading ? "Verifying..." : "Verify"}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handlePassword}>
+            <div className="form-group">
+              <label htmlFor="session-prompt-password">Password</label>
+              <input
+                id="session-prompt-password"
+                ref={inputRef}
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+            <div className="session-prompt-actions">
+              {reason === "expired" ? (
+                <button type="button" className="btn btn-secondary" onClick={onLogout}>
+                  Log Out
+                </button>
+              ) : (
+                <button type="button" className="btn btn-secondary" onClick={onDismiss}>
+                  Later
+                </button>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={loading || !password}>
+                {loading ? "Signing in..." : "Sign In"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionPrompt;
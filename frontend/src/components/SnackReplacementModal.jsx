@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./SnackReplacementModal.css";
 
 const SnackReplacementModal = ({
@@ -35,12 +35,9 @@ const SnackReplacementModal = ({
       setLoading(true);
       const customerId = customer.customerID || customer._id?.toString();
 
-      const response = await apiClient.post(
-        `/api/customers/${customerId}/available-snacks`,
-        {
-          currentSnackID: snack.SnackID,
-        }
-      );
+      const response = await api.customers.getAvailableSnacks(customerId, {
+        currentSnackID: snack.SnackID,
+      });
 
       if (response.data.success) {
         setAvailableSnacks({
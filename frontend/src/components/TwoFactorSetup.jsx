@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import "./TwoFactorSetup.css";
+
+/**
+ * Authenticator enrollment: QR code + manual secret + first code.
+ * `enrollment` is the { secret, qrCode } returned by a .../mfa/setup endpoint;
+ * `onActivate(code)` should throw (with the API error) if the code is rejected.
+ */
+const TwoFactorSetup = ({ enrollment, onActivate, inputClassName = "" }) => {
+  const [code, setCode] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onActivate(code.trim());
+    } catch (err) {
+      setError(err.response?.data?.error || "Could not verify the code");
+      setCode("");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="two-factor-setup" onSubmit={handleSubmit}>
+      <p>
+        Scan this QR code with an authenticator app (Google Authenticator, 1Password,
+        Authy...), then enter the 6-digit code it shows.
+      </p>
+      <img src={enrollment.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+      <p className="two-factor-secret-label">Or enter this key manually:</p>
+      <code className="two-factor-secret">{enrollment.secret}</code>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="form-group">
+        <label htmlFor="two-factor-code">Verification code</label>
+        <input
+          id="two-factor-code"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+          className={inputClassName}
+          disabled={submitting}
+        />
+      </div>
+      <button
+        type="submit"
+        className="btn btn-primary"
+        disabled={submitting || code.length !== 6}
+      >
+        {submitting ? "Verifying..." : "Turn On Two-Factor"}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Recovery codes are only returned once - make the user acknowledge them
+ */
+export const RecoveryCodes = ({ codes, onDone, doneLabel = "I've saved these codes" }) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(codes.join("\n"));
+  };
+
+  return (
+    <div className="recovery-codes">
+      <p>
+        Save these recovery codes somewhere safe. Each one can be used once to sign in
+        if you lose your authenticator. They will not be shown again.
+      </p>
+      <ul className="recovery-codes-list">
+        {codes.map((recoveryCode) => (
+          <li key={recoveryCode}>
+            <code>{recoveryCode}</code>
+          </li>
+        ))}
+      </ul>
+      <div className="recovery-codes-actions">
+        <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+          Copy
+        </button>
+        <button type="button" className="btn btn-primary" onClick={onDone}>
+          {doneLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
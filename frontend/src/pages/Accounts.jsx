@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from "react";
+import api from "../api/client";
+import "./Accounts.css";
+
+const Accounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.adminAccounts.listAccounts();
+      if (response.data.success) {
+        setAccounts(response.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load accounts");
+      console.error("Error fetching admin accounts:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetMfa = async (account) => {
+    if (
+      !window.confirm(
+        `Remove two-factor authentication for ${account.email}? They will need to set it up again.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await api.adminAccounts.resetAccountMfa(account.id);
+      if (response.data.success) {
+        setAccounts(
+          accounts.map((existing) =>
+            existing.id === account.id ? { ...existing, mfa_enabled: false } : existing
+          )
+        );
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to reset two-factor authentication");
+      console.error("Error resetting MFA:", err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading accounts...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="accounts-page">
+      <div className="page-header">
+        <div>
+          <h1>Accounts</h1>
+          <p>Dashboard logins, their roles and two-factor status</p>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Two-Factor</th>
+              <th>Last Login</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map((account) => (
+              <tr key={account.id}>
+                <td>{account.email}</td>
+                <td>{account.name || "—"}</td>
+                <td className="accounts-role">{account.role}</td>
+                <td>
+                  <span className={`accounts-pill ${account.status === "active" ? "accounts-pill-on" : ""}`}>
+                    {account.status}
+                  </span>
+                </td>
+                <td>
+                  <span className={`accounts-pill ${account.mfa_enabled ? "accounts-pill-on" : ""}`}>
+                    {account.mfa_enabled ? "On" : "Off"}
+                  </span>
+                </td>
+                <td>
+                  {account.last_login_at
+                    ? new Date(account.last_login_at).toLocaleString()
+                    : "Never"}
+                </td>
+                <td>
+                  {account.mfa_enabled && (
+                    <button
+                      className="btn btn-secondary accounts-action"
+                      onClick={() => handleResetMfa(account)}
+                    >
+                      Reset 2FA
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Accounts;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from "react";
+import api from "../api/client";
+import { describeUserAgent } from "../utils/userAgent";
+import "./ActiveSessions.css";
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.auth.listSessions();
+      if (response.data.success) {
+        setSessions(response.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load sessions");
+      console.error("Error fetching sessions:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${describeUserAgent(session.user_agent)}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.auth.revokeSession(session.id);
+      if (response.data.success) {
+        setSessions(sessions.filter((existing) => existing.id !== session.id));
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to sign out session");
+      console.error("Error revoking session:", err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading sessions...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="active-sessions-page">
+      <div className="page-header">
+        <div>
+          <h1>Sessions</h1>
+          <p>Devices signed in to your account. Sign out any you don&apos;t recognize.</p>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Device</th>
+              <th>IP Address</th>
+              <th>Signed In</th>
+              <th>Last Seen</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map((session) => (
+              <tr key={session.id}>
+                <td title={session.user_agent || ""}>
+                  {describeUserAgent(session.user_agent)}
+                  {session.current && <span className="active-sessions-current">This device</span>}
+                </td>
+                <td>{session.ip_address || "—"}</td>
+                <td>{new Date(session.created_at).toLocaleString()}</td>
+                <td>
+                  {session.last_seen_at ? new Date(session.last_seen_at).toLocaleString() : "—"}
+                </td>
+                <td>
+                  {!session.current && (
+                    <button
+                      className="btn btn-secondary active-sessions-action"
+                      onClick={() => handleRevoke(session)}
+                    >
+                      Sign Out
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
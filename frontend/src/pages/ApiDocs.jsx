@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from "react";
+import api from "../api/client";
+import "./ApiDocs.css";
+
+const refName = (ref) => ref.split("/").pop();
+
+// One-line type of a schema, e.g. "Array<ApiKey>" or "string|null"
+const typeLabel = (schema) => {
+  if (!schema) return "any";
+  let label;
+  if (schema.$ref) label = refName(schema.$ref);
+  else if (schema.allOf) label = schema.allOf.map(typeLabel).join(" & ");
+  else if (schema.oneOf) label = schema.oneOf.map(typeLabel).join(" | ");
+  else if (schema.enum) label = schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  else if (schema.type === "array") label = `Array<${typeLabel(schema.items)}>`;
+  else if (schema.type === "integer") label = "number";
+  else if (schema.type === "object" && !schema.properties && typeof schema.additionalProperties === "object") {
+    label = `Map<string, ${typeLabel(schema.additionalProperties)}>`;
+  } else label = schema.format ? `${schema.type} (${schema.format})` : schema.type || "any";
+  return schema.nullable ? `${label} | null` : label;
+};
+
+// Object fields of a schema, looking through arrays and allOf
+const fieldsOf = (schema) => {
+  if (!schema) return [];
+  if (schema.type === "array") return fieldsOf(schema.items);
+  if (schema.allOf) return schema.allOf.flatMap(fieldsOf);
+  return Object.entries(schema.properties || {});
+};
+
+const Schema = ({ schema }) => {
+  const fields = fieldsOf(schema);
+  if (fields.length === 0) return <code>{typeLabel(schema)}</code>;
+  const required = new Set(schema.required || []);
+
+  return (
+    <ul className="api-docs-schema">
+      {fields.map(([name, field]) => (
+        <li key={name}>
+          <code className="api-docs-field">{name}</code>
+          {required.has(name) && <span className="api-docs-required">required</span>}{" "}
+          <code className="api-docs-type">{typeLabel(field)}</code>
+          {field.description && <span className="api-docs-description"> - {field.description}</span>}
+          {fieldsOf(field).length > 0 && !field.$ref && <Schema schema={field} />}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const Operation = ({ method, path, operation }) => {
+  const success = Object.entries(operation.responses).find(([status]) => status.startsWith("2"));
+  const [status, response] = success || [];
+  const body = operation.requestBody?.content["application/json"].schema;
+  const parameters = operation.parameters || [];
+
+  return (
+    <details className="api-docs-operation">
+      <summary>
+        <span className={`api-docs-method api-docs-method-${method}`}>{method.toUpperCase()}</span>
+        <code className="api-docs-path">{path}</code>
+        <span className="api-docs-summary">{operation.summary}</span>
+      </summary>
+      <div className="api-docs-body">
+        <p className="api-docs-meta">
+          {operation.security?.length === 0
+            ? "No sign-in needed"
+            : operation["x-permission"]
+              ? <>Needs <code>{operation["x-permission"]}</code></>
+              : "Any signed-in account"}
+          {operation["x-rate-limit"] &&
+            ` · Limited to ${operation["x-rate-limit"].max} requests per ${Math.round(operation["x-rate-limit"].windowMs / 60000)} min`}
+          {operation.operationId && <> · <code>{operation.operationId}</code> in the client</>}
+        </p>
+
+        {parameters.length > 0 && (
+          <>
+            <h4>Parameters</h4>
+            <ul className="api-docs-schema">
+              {parameters.map((parameter) => (
+                <li key={`${parameter.in}-${parameter.name}`}>
+                  <code className="api-docs-field">{parameter.name}</code>
+                  <span className="api-docs-in">{parameter.in}</span>
+                  {parameter.required && <span className="api-docs-required">required</span>}{" "}
+                  <code className="api-docs-type">{typeLabel(parameter.schema)}</code>
+                  {(parameter.description || parameter.schema?.description) && (
+                    <span className="api-docs-description">
+                      {" "}- {parameter.description || parameter.schema.description}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {body && (
+          <>
+            <h4>Request body</h4>
+            <Schema schema={body} />
+          </>
+        )}
+
+        {response && (
+          <>
+            <h4>Response {status}</h4>
+            <Schema schema={response.content?.["application/json"].schema} />
+          </>
+        )}
+      </div>
+    </details>
+  );
+};
+
+const ApiDocs = () => {
+  const [spec, setSpec] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState("");
+
+  useEffect(() => {
+    const fetchDocument = async () => {
+      try {
+        const response = await api.openapi.getOpenApiDocument();
+        setSpec(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || "Failed to load the API document");
+        console.error("Error fetching OpenAPI document:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchDocument();
+  }, []);
+
+  // The document needs a token, so it is downloaded from memory rather than linked
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(spec, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "openapi.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading API docs...</p>
+      </div>
+    );
+  }
+
+  const query = filter.trim().toLowerCase();
+  const operations = spec
+    ? Object.entries(spec.paths).flatMap(([path, methods]) =>
+        Object.entries(methods).map(([method, operation]) => ({ path, method, operation }))
+      )
+    : [];
+  const matching = operations.filter(
+    ({ path, operation }) =>
+      !query || path.toLowerCase().includes(query) || operation.summary?.toLowerCase().includes(query)
+  );
+
+  return (
+    <div className="api-docs-page">
+      <div className="page-header">
+        <div>
+          <h1>API Docs</h1>
+          <p>{spec?.info.description}</p>
+        </div>
+        {spec && (
+          <button className="btn btn-secondary" onClick={handleDownload}>
+            Download openapi.json
+          </button>
+        )}
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {spec && (
+        <>
+          <input
+            type="search"
+            className="api-docs-filter"
+            placeholder="Filter by path or summary"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+          />
+
+          {spec.tags.map((tag) => {
+            const tagged = matching.filter(({ operation }) => operation.tags[0] === tag.name);
+            if (tagged.length === 0) return null;
+            return (
+              <section key={tag.name} className="api-docs-tag">
+                <h2>
+                  {tag.name} <span className="api-docs-description">{tag.description}</span>
+                </h2>
+                {tagged.map(({ path, method, operation }) => (
+                  <Operation key={`${method} ${path}`} method={method} path={path} operation={operation} />
+                ))}
+              </section>
+            );
+          })}
+
+          <section className="api-docs-tag">
+            <h2>Schemas</h2>
+            {Object.entries(spec.components.schemas).map(([name, schema]) => (
+              <details key={name} className="api-docs-operation">
+                <summary>
+                  <code className="api-docs-path">{name}</code>
+                  <span className="api-docs-summary">{schema.description}</span>
+                </summary>
+                <div className="api-docs-body">
+                  <Schema schema={schema} />
+                </div>
+              </details>
+            ))}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ApiDocs;
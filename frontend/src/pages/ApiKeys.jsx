@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from "react";
+import api from "../api/client";
+import "./ApiKeys.css";
+
+const SCOPE_LABELS = {
+  "cache:refresh": "Refresh cached reports",
+  "index:sync": "Sync index status",
+  "orders:read": "Read orders",
+  "analytics:read": "Read analytics",
+  "search-console:read": "Read Search Console",
+};
+
+// Expiry choices in days (null = never)
+const EXPIRY_OPTIONS = [
+  { label: "30 days", days: 30 },
+  { label: "90 days", days: 90 },
+  { label: "1 year", days: 365 },
+  { label: "Never", days: null },
+];
+
+const EMPTY_FORM = { name: "", scopes: [], expiryDays: 90 };
+
+const getKeyStatus = (apiKey) => {
+  if (apiKey.revoked_at) return "revoked";
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) return "expired";
+  return "active";
+};
+
+const formatDate = (value, fallback = "—") =>
+  value ? new Date(value).toLocaleString() : fallback;
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState(Object.keys(SCOPE_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  // The plain key from a create/rotate; the server never returns it again
+  const [newKey, setNewKey] = useState(null);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const fetchApiKeys = async () => {
+    try {
+      const response = await api.apiKeys.listApiKeys();
+      if (response.data.success) {
+        setApiKeys(response.data.data);
+        setScopes(response.data.scopes);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load API keys");
+      console.error("Error fetching API keys:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter((existing) => existing !== scope)
+        : [...form.scopes, scope],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const expiresAt = form.expiryDays
+        ? new Date(Date.now() + form.expiryDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+      const response = await api.apiKeys.createApiKey({
+        name: form.name,
+        scopes: form.scopes,
+        expiresAt,
+      });
+      if (response.data.success) {
+        setApiKeys([response.data.data, ...apiKeys]);
+        setNewKey({ name: response.data.data.name, key: response.data.key });
+        setForm(EMPTY_FORM);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to create API key");
+      console.error("Error creating API key:", err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    if (
+      !window.confirm(
+        `Rotate "${apiKey.name}"? The current key stops working immediately, so update the job that uses it.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await api.apiKeys.rotateApiKey(apiKey.id);
+      if (response.data.success) {
+        const revokedAt = new Date().toISOString();
+        setApiKeys([
+          response.data.data,
+          ...apiKeys.map((existing) =>
+            existing.id === apiKey.id ? { ...existing, revoked_at: revokedAt } : existing
+          ),
+        ]);
+        setNewKey({ name: response.data.data.name, key: response.data.key });
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to rotate API key");
+      console.error("Error rotating API key:", err);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await api.apiKeys.revokeApiKey(apiKey.id);
+      if (response.data.success) {
+        setApiKeys(
+          apiKeys.map((existing) => (existing.id === apiKey.id ? response.data.data : existing))
+        );
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to revoke API key");
+      console.error("Error revoking API key:", err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading API keys...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="api-keys-page">
+      <div className="page-header">
+        <div>
+          <h1>API Keys</h1>
+          <p>Scoped keys for cron jobs and scripts</p>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {newKey && (
+        <div className="api-keys-new">
+          <p>
+            Copy the key for <strong>{newKey.name}</strong> now. It will not be shown again.
+          </p>
+          <code className="api-keys-secret">{newKey.key}</code>
+          <div className="api-keys-new-actions">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => navigator.clipboard?.writeText(newKey.key)}
+            >
+              Copy
+            </button>
+            <button type="button" className="btn btn-primary" onClick={() => setNewKey(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form className="card api-keys-form" onSubmit={handleCreate}>
+        <h2>New Key</h2>
+        <div className="form-group">
+          <label htmlFor="api-key-name">Name</label>
+          <input
+            id="api-key-name"
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. Railway audience cron"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Scopes</label>
+          <div className="api-keys-scopes">
+            {scopes.map((scope) => (
+              <label key={scope} className="api-keys-scope">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                {SCOPE_LABELS[scope] || scope}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="form-group">
+          <label htmlFor="api-key-expiry">Expires</label>
+          <select
+            id="api-key-expiry"
+            value={form.expiryDays ?? ""}
+            onChange={(e) =>
+              setForm({ ...form, expiryDays: e.target.value ? Number(e.target.value) : null })
+            }
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.days ?? ""}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={submitting || !form.name.trim() || form.scopes.length === 0}
+        >
+          {submitting ? "Creating..." : "Create Key"}
+        </button>
+      </form>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Scopes</th>
+              <th>Status</th>
+              <th>Created</th>
+              <th>Last Used</th>
+              <th>Expires</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiKeys.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="api-keys-empty">
+                  No API keys yet
+                </td>
+              </tr>
+            ) : (
+              apiKeys.map((apiKey) => {
+                const status = getKeyStatus(apiKey);
+                return (
+                  <tr key={apiKey.id}>
+                    <td>{apiKey.name}</td>
+                    <td>
+                      <code>{apiKey.key_prefix}…</code>
+                    </td>
+                    <td>
+                      {apiKey.scopes.map((scope) => (
+                        <span key={scope} className="api-keys-pill">
+                          {scope}
+                        </span>
+                      ))}
+                    </td>
+                    <td>
+                      <span
+                        className={`api-keys-pill ${status === "active" ? "api-keys-pill-on" : ""}`}
+                      >
+                        {status}
+                      </span>
+                    </td>
+                    <td>{formatDate(apiKey.created_at)}</td>
+                    <td>{formatDate(apiKey.last_used_at, "Never")}</td>
+                    <td>{formatDate(apiKey.expires_at, "Never")}</td>
+                    <td className="api-keys-actions">
+                      {status === "active" && (
+                        <>
+                          <button
+                            className="btn btn-secondary api-keys-action"
+                            onClick={() => handleRotate(apiKey)}
+                          >
+                            Rotate
+                          </button>
+                          <button
+                            className="btn btn-danger api-keys-action"
+                            onClick={() => handleRevoke(apiKey)}
+                          >
+                            Revoke
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import GeographyHeatmap from "../components/GeographyHeatmap";
 import "./AudienceProfile.css";
 
@@ -27,11 +27,9 @@ const AudienceProfile = () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get("/api/analytics/audience", {
-        params: {
-          startDate: dateRange,
-          endDate: "today",
-        },
+      const response = await api.analytics.getAudience({
+        startDate: dateRange,
+        endDate: "today",
       });
 
       setProfile(response.data.data);
@@ -219,9 +217,9 @@ const AudienceProfile = () => {
                         <td>{device.device}</td>
                         <td>{device.screenResolution || "N/A"}</td>
                         <td>{device.users?.toLocaleString()}</td>
-                        <td>{device.userPercentage}%</td>
+                        <td>{Number(device.userPercentage ?? 0).toFixed(1)}%</td>
                         <td>{device.sessions?.toLocaleString()}</td>
-                        <td>{device.sessionPercentage}%</td>
+                        <td>{Number(device.sessionPercentage ?? 0).toFixed(1)}%</td>
                         <td>{device.pageViews?.toLocaleString()}</td>
                       </tr>
                     ))}
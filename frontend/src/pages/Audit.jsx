@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from "react";
+import api from "../api/client";
+import "./Audit.css";
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  actor: "",
+  action: "",
+  customerId: "",
+  month: "",
+  from: "",
+  to: "",
+};
+
+const ACTION_LABELS = {
+  "admin_account.create": "Account created",
+  "admin_account.update": "Account updated",
+  "admin_account.mfa_reset": "2FA reset by admin",
+  "mfa.enable": "2FA enabled",
+  "mfa.disable": "2FA disabled",
+  "mfa.recovery_codes": "Recovery codes regenerated",
+  "session.revoke": "Session revoked",
+  "api_key.create": "API key created",
+  "api_key.rotate": "API key rotated",
+  "api_key.revoke": "API key revoked",
+  "user.create": "User created",
+  "user.update": "User updated",
+  "user.delete": "User deleted",
+  "draftbox.packed": "Packed toggled",
+  "draftbox.create": "Box created",
+  "draftbox.replace_snack": "Snack replaced",
+  "index_sync.start": "Index sync started",
+  "index_sync.cancel": "Index sync cancelled",
+  "report_cache.purge": "Report cache purged",
+  "audience_cache.refresh": "Audience cache refreshed",
+  "job.run": "Job run started",
+};
+
+// One-line description of what an event changed
+const describeEvent = (event) => {
+  const { action, before, after, metadata } = event;
+
+  if (action === "draftbox.replace_snack" && metadata) {
+    const count = metadata.replaceCount ? ` (${metadata.replaceCount}x)` : "";
+    return `${metadata.oldSnackID} → ${metadata.newSnackID}${count}`;
+  }
+  if (action === "draftbox.packed") {
+    return `Packed: ${before?.Packed ?? "unset"} → ${after?.Packed}`;
+  }
+  if (action === "audience_cache.refresh" && metadata?.ranges) {
+    return `Ranges: ${metadata.ranges.join(", ")}`;
+  }
+  if (action === "session.revoke") {
+    return metadata?.reason === "logout" ? "Logged out" : "Signed out from another device";
+  }
+  if (action === "admin_account.update" && before && after) {
+    const changed = ["name", "role", "status"].filter(
+      (field) => before[field] !== after[field]
+    );
+    return changed
+      .map((field) => `${field}: ${before[field]} → ${after[field]}`)
+      .join(", ");
+  }
+  return "";
+};
+
+const describeTarget = (event) => {
+  if (event.customer_id) {
+    return event.month
+      ? `${event.customer_id} · month ${event.month}`
+      : event.customer_id;
+  }
+  if (event.url) return event.url;
+  if (event.target_id) return `${event.target_type} ${event.target_id}`;
+  return event.target_type || "—";
+};
+
+const Audit = () => {
+  const [events, setEvents] = useState([]);
+  const [actions, setActions] = useState(Object.keys(ACTION_LABELS));
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = { limit: PAGE_SIZE, offset };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      // Date inputs give whole days; include all of the "to" day
+      if (params.from) params.from = new Date(`${params.from}T00:00:00`).toISOString();
+      if (params.to) params.to = new Date(`${params.to}T23:59:59.999`).toISOString();
+
+      const response = await api.audit.listAuditEvents(params);
+      if (response.data.success) {
+        setEvents(response.data.data);
+        setTotal(response.data.total);
+        if (response.data.actions) setActions(response.data.actions);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load audit log");
+      console.error("Error fetching audit log:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, offset]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleFilterChange = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const lastShown = Math.min(offset + events.length, total);
+
+  return (
+    <div className="audit-page">
+      <div className="page-header">
+        <div>
+          <h1>Audit Log</h1>
+          <p>Every change made from the dashboard, newest first</p>
+        </div>
+      </div>
+
+      <form className="audit-filters card" onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="audit-actor">Actor email</label>
+          <input
+            id="audit-actor"
+            type="email"
+            value={filters.actor}
+            onChange={handleFilterChange("actor")}
+            placeholder="jane@example.com"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-action">Action</label>
+          <select
+            id="audit-action"
+            value={filters.action}
+            onChange={handleFilterChange("action")}
+          >
+            <option value="">All actions</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>
+                {ACTION_LABELS[action] || action}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-customer">Customer ID</label>
+          <input
+            id="audit-customer"
+            type="text"
+            value={filters.customerId}
+            onChange={handleFilterChange("customerId")}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-month">Month (MYY)</label>
+          <input
+            id="audit-month"
+            type="number"
+            value={filters.month}
+            onChange={handleFilterChange("month")}
+            placeholder="1125"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-from">From</label>
+          <input
+            id="audit-from"
+            type="date"
+            value={filters.from}
+            onChange={handleFilterChange("from")}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="audit-to">To</label>
+          <input
+            id="audit-to"
+            type="date"
+            value={filters.to}
+            onChange={handleFilterChange("to")}
+          />
+        </div>
+        <div className="audit-filter-actions">
+          <button type="submit" className="btn btn-primary">
+            Filter
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={handleReset}>
+            Reset
+          </button>
+        </div>
+      </form>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading audit log...</p>
+        </div>
+      ) : events.length === 0 ? (
+        <div className="card audit-empty">No audit events match these filters.</div>
+      ) : (
+        <>
+          <div className="table-container">
+            <table className="audit-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Actor</th>
+                  <th>Action</th>
+                  <th>Target</th>
+                  <th>Change</th>
+                  <th>IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <React.Fragment key={event.id}>
+                    <tr
+                      className="audit-row"
+                      onClick={() =>
+                        setExpandedId(expandedId === event.id ? null : event.id)
+                      }
+                    >
+                      <td>{new Date(event.created_at).toLocaleString()}</td>
+                      <td>{event.actor_email || event.actor_type}</td>
+                      <td>
+                        <span className="audit-action">
+                          {ACTION_LABELS[event.action] || event.action}
+                        </span>
+                      </td>
+                      <td>{describeTarget(event)}</td>
+                      <td>{describeEvent(event)}</td>
+                      <td>{event.ip_address || "—"}</td>
+                    </tr>
+                    {expandedId === event.id && (
+                      <tr className="audit-details-row">
+                        <td colSpan={6}>
+                          <div className="audit-details">
+                            <div>
+                              <h4>Before</h4>
+                              <pre>{JSON.stringify(event.before, null, 2)}</pre>
+                            </div>
+                            <div>
+                              <h4>After</h4>
+                              <pre>{JSON.stringify(event.after, null, 2)}</pre>
+                            </div>
+                            {event.metadata && (
+                              <div>
+                                <h4>Details</h4>
+                                <pre>{JSON.stringify(event.metadata, null, 2)}</pre>
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="audit-pagination">
+            <span>
+              {offset + 1}–{lastShown} of {total}
+            </span>
+            <button
+              className="btn btn-secondary"
+              disabled={offset === 0}
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            >
+              Previous
+            </button>
+            <button
+              className="btn btn-secondary"
+              disabled={lastShown >= total}
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Audit;
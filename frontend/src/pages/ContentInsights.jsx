@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
+import { CompareSelect, DeltaBadge } from "../components/PeriodComparison";
+import { compareParams } from "../utils/comparison";
 import "./ContentInsights.css";
 
 const ContentInsights = () => {
@@ -8,23 +10,26 @@ const ContentInsights = () => {
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState("30daysAgo");
   const [activeTab, setActiveTab] = useState("exits");
+  const [compare, setCompare] = useState("");
+  // Period-over-period changes, in the shape of `insights` (null without a comparison)
+  const [changes, setChanges] = useState(null);
 
   useEffect(() => {
     fetchData();
-  }, [dateRange]);
+  }, [dateRange, compare]);
 
   const fetchData = async () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get("/api/analytics/content", {
-        params: {
-          startDate: dateRange,
-          endDate: "today",
-        },
+      const response = await api.analytics.getContent({
+        startDate: dateRange,
+        endDate: "today",
+        ...compareParams(compare),
       });
 
       setInsights(response.data.data);
+      setChanges(response.data.comparison?.changes || null);
     } catch (err) {
       setError(err.response?.data?.error || "Failed to load content insights");
       console.error("Error fetching content insights:", err);
@@ -77,6 +82,7 @@ const ContentInsights = () => {
             <option value="90daysAgo">Last 90 Days</option>
           </select>
         </div>
+        <CompareSelect value={compare} onChange={setCompare} />
       </div>
 
       {insights && (
@@ -133,9 +139,18 @@ const ContentInsights = () => {
                             <div className="page-path">{page.path}</div>
                           </div>
                         </td>
-                        <td>{page.exits?.toLocaleString()}</td>
-                        <td>{page.views?.toLocaleString()}</td>
-                        <td>{page.exitRate}%</td>
+                        <td>
+                          {page.exits?.toLocaleString()}
+                          <DeltaBadge change={changes?.topExitPages?.[index]?.exits} inverse />
+                        </td>
+                        <td>
+                          {page.views?.toLocaleString()}
+                          <DeltaBadge change={changes?.topExitPages?.[index]?.views} />
+                        </td>
+                        <td>
+                          {Number(page.exitRate ?? 0).toFixed(2)}%
+                          <DeltaBadge change={changes?.topExitPages?.[index]?.exitRate} inverse />
+                        </td>
                         <td>{formatDuration(page.avgDuration)}</td>
                       </tr>
                     ))}
@@ -169,8 +184,14 @@ const ContentInsights = () => {
                             <div className="page-path">{page.path}</div>
                           </div>
                         </td>
-                        <td>{page.views?.toLocaleString()}</td>
-                        <td>{page.sessions?.toLocaleString()}</td>
+                        <td>
+                          {page.views?.toLocaleString()}
+                          <DeltaBadge change={changes?.highEngagementPages?.[index]?.views} />
+                        </td>
+                        <td>
+                          {page.sessions?.toLocaleString()}
+                          <DeltaBadge change={changes?.highEngagementPages?.[index]?.sessions} />
+                        </td>
                         <td>{formatDuration(page.avgDuration)}</td>
                         <td>{formatDuration(page.totalEngagement)}</td>
                         <td>{formatDuration(page.engagementPerView)}</td>
@@ -202,7 +223,10 @@ const ContentInsights = () => {
                             <div className="page-path">{flow.page}</div>
                           </div>
                         </td>
-                        <td>{flow.totalViews?.toLocaleString()}</td>
+                        <td>
+                          {flow.totalViews?.toLocaleString()}
+                          <DeltaBadge change={changes?.userFlows?.[index]?.totalViews} />
+                        </td>
                         <td>
                           <div className="sources-list">
                             {flow.sources?.map((source, sIndex) => (
@@ -245,7 +269,10 @@ const ContentInsights = () => {
                       <tr key={index}>
                         <td>{group.group1}</td>
                         <td>{group.group2}</td>
-                        <td>{group.pageViews?.toLocaleString()}</td>
+                        <td>
+                          {group.pageViews?.toLocaleString()}
+                          <DeltaBadge change={changes?.contentGrouping?.[index]?.pageViews} />
+                        </td>
                         <td>{group.sessions?.toLocaleString()}</td>
                         <td>{group.users?.toLocaleString()}</td>
                       </tr>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./ConversionMetrics.css";
 
 const ConversionMetrics = () => {
@@ -18,17 +18,13 @@ const ConversionMetrics = () => {
     setError(null);
     try {
       const [metricsRes, sourcesRes] = await Promise.all([
-        apiClient.get("/api/analytics/conversion", {
-          params: {
-            startDate: dateRange,
-            endDate: "today",
-          },
+        api.analytics.getConversion({
+          startDate: dateRange,
+          endDate: "today",
         }),
-        apiClient.get("/api/analytics/conversion/by-source", {
-          params: {
-            startDate: dateRange,
-            endDate: "today",
-          },
+        api.analytics.getConversionBySource({
+          startDate: dateRange,
+          endDate: "today",
         }),
       ]);
 
@@ -85,7 +81,7 @@ const ConversionMetrics = () => {
         <div className="metrics-grid">
           <div className="metric-card">
             <div className="metric-label">Conversion Rate</div>
-            <div className="metric-value">{metrics.conversionRate}%</div>
+            <div className="metric-value">{Number(metrics.conversionRate ?? 0).toFixed(2)}%</div>
             <div className="metric-description">
               {metrics.totalConversions} conversions from {metrics.totalSessions} sessions
             </div>
@@ -126,14 +122,14 @@ const ConversionMetrics = () => {
           <div className="metric-card">
             <div className="metric-label">Revenue</div>
             <div className="metric-value">
-              ${metrics.revenue?.toLocaleString() || "0.00"}
+              ${Number(metrics.revenue ?? 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
             </div>
             <div className="metric-description">Total revenue</div>
           </div>
 
           <div className="metric-card">
             <div className="metric-label">Cart Abandonment Rate</div>
-            <div className="metric-value">{metrics.cartAbandonmentRate}%</div>
+            <div className="metric-value">{Number(metrics.cartAbandonmentRate ?? 0).toFixed(2)}%</div>
             <div className="metric-description">
               {metrics.addToCart} add to cart events
             </div>
@@ -164,7 +160,7 @@ const ConversionMetrics = () => {
                     <td>{source.conversions?.toLocaleString()}</td>
                     <td>{source.sessions?.toLocaleString()}</td>
                     <td>{source.users?.toLocaleString()}</td>
-                    <td>{source.conversionRate}%</td>
+                    <td>{Number(source.conversionRate ?? 0).toFixed(2)}%</td>
                   </tr>
                 ))}
               </tbody>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./EngagementMetrics.css";
 
 const EngagementMetrics = () => {
@@ -18,18 +18,14 @@ const EngagementMetrics = () => {
     setError(null);
     try {
       const [metricsRes, pagesRes] = await Promise.all([
-        apiClient.get("/api/analytics/engagement", {
-          params: {
-            startDate: dateRange,
-            endDate: "today",
-          },
+        api.analytics.getEngagement({
+          startDate: dateRange,
+          endDate: "today",
         }),
-        apiClient.get("/api/analytics/engagement/by-page", {
-          params: {
-            startDate: dateRange,
-            endDate: "today",
-            limit: 20,
-          },
+        api.analytics.getEngagementByPage({
+          startDate: dateRange,
+          endDate: "today",
+          limit: 20,
         }),
       ]);
 
@@ -109,7 +105,7 @@ const EngagementMetrics = () => {
 
           <div className="metric-card">
             <div className="metric-label">Pages per Session</div>
-            <div className="metric-value">{metrics.pagesPerSession}</div>
+            <div className="metric-value">{Number(metrics.pagesPerSession ?? 0).toFixed(2)}</div>
             <div className="metric-description">Average pages viewed per session</div>
           </div>
 
@@ -167,7 +163,7 @@ const EngagementMetrics = () => {
                     <td>{page.sessions?.toLocaleString()}</td>
                     <td>{page.bounceRate?.toFixed(1)}%</td>
                     <td>{formatDuration(page.avgSessionDuration)}</td>
-                    <td>{page.pagesPerSession}</td>
+                    <td>{Number(page.pagesPerSession ?? 0).toFixed(2)}</td>
                   </tr>
                 ))}
               </tbody>
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from "react";
+import api from "../api/client";
+import "./Jobs.css";
+
+// How often to refresh while a run is in progress
+const POLL_INTERVAL = 5000;
+
+const formatDate = (value, fallback = "—") =>
+  value ? new Date(value).toLocaleString() : fallback;
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "—";
+  if (ms < 1000) return `${ms} ms`;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+const StatusPill = ({ status }) => (
+  <span className={`jobs-pill jobs-pill-${status}`}>{status}</span>
+);
+
+const Jobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [schedulerRunning, setSchedulerRunning] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [starting, setStarting] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const [jobsResponse, runsResponse] = await Promise.all([
+        api.jobs.listJobs(),
+        api.jobs.listJobRuns({ limit: 20 }),
+      ]);
+      if (jobsResponse.data.success) {
+        setJobs(jobsResponse.data.data);
+        setSchedulerRunning(jobsResponse.data.schedulerRunning);
+      }
+      if (runsResponse.data.success) setRuns(runsResponse.data.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load jobs");
+      console.error("Error fetching jobs:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const anyRunning = jobs.some((job) => job.running);
+
+  useEffect(() => {
+    if (!anyRunning) return undefined;
+    const timer = setInterval(fetchJobs, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [anyRunning, fetchJobs]);
+
+  const handleRun = async (job) => {
+    setStarting(job.name);
+    try {
+      await api.jobs.runJob(job.name);
+      await fetchJobs();
+    } catch (err) {
+      alert(err.response?.data?.error || `Failed to start ${job.name}`);
+      console.error("Error starting job:", err);
+    } finally {
+      setStarting(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading jobs...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="jobs-page">
+      <div className="page-header">
+        <div>
+          <h1>Jobs</h1>
+          <p>Scheduled background work and its run history (times are shown in your timezone; schedules are UTC)</p>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {!schedulerRunning && (
+        <div className="alert alert-info">
+          The scheduler is not running on this server, so jobs only run when started here.
+        </div>
+      )}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Job</th>
+              <th>Schedule</th>
+              <th>Last Run</th>
+              <th>Duration</th>
+              <th>Next Run</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map((job) => (
+              <tr key={job.name}>
+                <td>
+                  <div className="jobs-name">{job.name}</div>
+                  <div className="jobs-description">{job.description}</div>
+                </td>
+                <td>
+                  <code>{job.schedule}</code>
+                </td>
+                <td>
+                  {job.running ? (
+                    <StatusPill status="running" />
+                  ) : job.lastRun ? (
+                    <>
+                      <StatusPill status={job.lastRun.status} />
+                      <div className="jobs-description">{formatDate(job.lastRun.started_at)}</div>
+                    </>
+                  ) : (
+                    "Never"
+                  )}
+                </td>
+                <td>{formatDuration(job.lastRun?.duration_ms)}</td>
+                <td>{job.enabled ? formatDate(job.nextRunAt) : "Off"}</td>
+                <td>
+                  <button
+                    className="btn btn-secondary jobs-action"
+                    onClick={() => handleRun(job)}
+                    disabled={job.running || starting === job.name}
+                  >
+                    {starting === job.name ? "Starting..." : "Run now"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h2 className="jobs-heading">Recent Runs</h2>
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Job</th>
+              <th>Status</th>
+              <th>Trigger</th>
+              <th>Started</th>
+              <th>Duration</th>
+              <th>Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="jobs-empty">
+                  No runs yet
+                </td>
+              </tr>
+            ) : (
+              runs.map((run) => (
+                <tr key={run.id}>
+                  <td>{run.job_name}</td>
+                  <td>
+                    <StatusPill status={run.status} />
+                  </td>
+                  <td>{run.trigger === "manual" ? run.triggered_by || "manual" : "schedule"}</td>
+                  <td>{formatDate(run.started_at)}</td>
+                  <td>{formatDuration(run.duration_ms)}</td>
+                  <td className="jobs-error">{run.error || ""}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Jobs;
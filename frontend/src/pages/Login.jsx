@@ -1,57 +1,64 @@
 import React, { useState, useRef, useEffect } from "react";
-import apiClient from "../api/axios";
+import { useLocation } from "react-router-dom";
+import api from "../api/client";
+import { storeSession } from "../api/session";
+import TwoFactorSetup, { RecoveryCodes } from "../components/TwoFactorSetup";
 import "./Login.css";
 
+// Login steps: password -> (code | enroll -> recovery codes) -> signed in
+const STEPS = {
+  PASSWORD: "password",
+  CODE: "code",
+  ENROLL: "enroll",
+  RECOVERY_CODES: "recovery-codes",
+};
+
 const Login = () => {
-  const [code, setCode] = useState(["", "", "", ""]);
+  const location = useLocation();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [step, setStep] = useState(STEPS.PASSWORD);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const inputRefs = [useRef(null), useRef(null), useRef(null), useRef(null)];
+  const emailRef = useRef(null);
+  const passwordRef = useRef(null);
+  const codeRef = useRef(null);
 
-  // Auto-focus first input on mount
+  // Auto-focus email input on mount
   useEffect(() => {
-    inputRefs[0].current?.focus();
+    emailRef.current?.focus();
   }, []);
 
-  const handleChange = (index, value) => {
-    // Only allow digits
-    if (value && !/^\d$/.test(value)) return;
-
-    const newCode = [...code];
-    newCode[index] = value;
-    setCode(newCode);
+  useEffect(() => {
+    if (step === STEPS.CODE) codeRef.current?.focus();
+  }, [step, useRecoveryCode]);
 
-    // Auto-focus next input
-    if (value && index < 3) {
-      inputRefs[index + 1].current?.focus();
-    }
+  const completeLogin = (session) => {
+    // Store token and expiry in localStorage
+    storeSession(session);
+    // Reload to trigger auth check, back on the page that sent us here
+    const from = location.state?.from;
+    window.location.href = from ? `${from.pathname}${from.search}` : "/";
   };
 
-  const handleKeyDown = (index, e) => {
-    // Handle backspace
-    if (e.key === "Backspace" && !code[index] && index > 0) {
-      inputRefs[index - 1].current?.focus();
-    }
-  };
-
-  const handlePaste = (e) => {
-    e.preventDefault();
-    const pastedData = e.clipboardData.getData("text").slice(0, 4);
-    if (/^\d+$/.test(pastedData)) {
-      const newCode = pastedData.split("").concat(["", "", "", ""]).slice(0, 4);
-      setCode(newCode);
-      // Focus the last filled input or the first empty one
-      const lastIndex = Math.min(pastedData.length - 1, 3);
-      inputRefs[lastIndex].current?.focus();
-    }
+  const backToPassword = (message) => {
+    setStep(STEPS.PASSWORD);
+    setChallengeToken(null);
+    setCode("");
+    setPassword("");
+    setError(message);
   };
 
   const handleLogin = async (e) => {
     e.preventDefault();
-    const fullCode = code.join("");
-    
-    if (fullCode.length !== 4) {
-      setError("Please enter a 4-digit code");
+
+    if (!email.trim() || !password) {
+      setError("Please enter your email and password");
       return;
     }
 
@@ -59,62 +66,202 @@ const Login = () => {
     setError(null);
 
     try {
-      const response = await apiClient.post("/api/auth/login", {
-        code: fullCode,
+      const response = await api.auth.login({
+        email: email.trim(),
+        password,
       });
 
-      if (response.data.success) {
-        // Store token in localStorage
-        localStorage.setItem("admin_token", response.data.token);
-        // Reload to trigger auth check
-        window.location.href = "/";
+      if (!response.data.success) return;
+
+      if (response.data.mfaRequired) {
+        setChallengeToken(response.data.challengeToken);
+        setStep(STEPS.CODE);
+      } else if (response.data.mfaSetupRequired) {
+        const setup = await api.auth.startLoginMfaSetup({
+          challengeToken: response.data.challengeToken,
+        });
+        setChallengeToken(response.data.challengeToken);
+        setEnrollment(setup.data.data);
+        setStep(STEPS.ENROLL);
+      } else {
+        completeLogin(response.data);
       }
     } catch (error) {
       setError(
-        error.response?.data?.error || "Invalid code. Please try again."
+        error.response?.data?.error || "Invalid email or password. Please try again."
       );
-      // Clear code on error
-      setCode(["", "", "", ""]);
-      inputRefs[0].current?.focus();
+      // Clear password on error
+      setPassword("");
+      passwordRef.current?.focus();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await api.auth.loginWithMfa({
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }),
+      });
+
+      if (response.data.success) {
+        completeLogin(response.data);
+      }
+    } catch (error) {
+      if (error.response?.status === 401 && !error.response?.data?.attemptsRemaining) {
+        backToPassword(error.response.data.error);
+      } else {
+        setError(error.response?.data?.error || "Invalid verification code");
+        setCode("");
+        codeRef.current?.focus();
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const handleActivate = async (activationCode) => {
+    try {
+      const response = await api.auth.activateLoginMfa({
+        challengeToken,
+        code: activationCode,
+      });
+      setPendingSession(response.data);
+      setStep(STEPS.RECOVERY_CODES);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        backToPassword(error.response.data.error);
+        return;
+      }
+      throw error;
+    }
+  };
+
+  if (step === STEPS.ENROLL) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h2 className="login-step-title">Set up two-factor authentication</h2>
+          <TwoFactorSetup
+            enrollment={enrollment}
+            onActivate={handleActivate}
+            inputClassName="login-input"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (step === STEPS.RECOVERY_CODES) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h2 className="login-step-title">Two-factor authentication is on</h2>
+          <RecoveryCodes
+            codes={pendingSession.recoveryCodes}
+            onDone={() => completeLogin(pendingSession)}
+            doneLabel="Continue"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (step === STEPS.CODE) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h2 className="login-step-title">Two-factor authentication</h2>
+          {error && <div className="alert alert-error">{error}</div>}
+
+          <form onSubmit={handleVerifyCode}>
+            <div className="form-group">
+              <label htmlFor="code">
+                {useRecoveryCode ? "Recovery code" : "Code from your authenticator app"}
+              </label>
+              <input
+                id="code"
+                ref={codeRef}
+                type="text"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="login-input"
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || !code.trim()}
+            >
+              {loading ? "Verifying..." : "Verify"}
+            </button>
+          </form>
+
+          <button
+            type="button"
+            className="login-link"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode("");
+              setError(null);
+            }}
+          >
+            {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
         {error && <div className="alert alert-error">{error}</div>}
 
         <form onSubmit={handleLogin}>
-          <div className="form-group code-input-group">
-            <label htmlFor="code">Access Code</label>
-            <div className="code-inputs">
-              {code.map((digit, index) => (
-                <input
-                  key={index}
-                  ref={inputRefs[index]}
-                  type="text"
-                  inputMode="numeric"
-                  maxLength={1}
-                  value={digit}
-                  onChange={(e) => handleChange(index, e.target.value)}
-                  onKeyDown={(e) => handleKeyDown(index, e)}
-                  onPaste={index === 0 ? handlePaste : undefined}
-                  className="code-input"
-                  disabled={loading}
-                  autoComplete="off"
-                />
-              ))}
-            </div>
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              id="email"
+              ref={emailRef}
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="login-input"
+              disabled={loading}
+              autoComplete="username"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              id="password"
+              ref={passwordRef}
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="login-input"
+              disabled={loading}
+              autoComplete="current-password"
+            />
           </div>
 
           <button
             type="submit"
             className="btn btn-primary"
-            disabled={loading || code.join("").length !== 4}
+            disabled={loading || !email.trim() || !password}
           >
-            {loading ? "Verifying..." : "Access Dashboard"}
+            {loading ? "Signing in..." : "Sign In"}
           </button>
         </form>
       </div>
@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from "react";
+import { useOutletContext } from "react-router-dom";
 import { FaCircleCheck } from "react-icons/fa6";
 import { IoRefreshCircleSharp } from "react-icons/io5";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import BoxDetailsPanel from "../components/BoxDetailsPanel";
+import { PERMISSIONS, hasPermission } from "../utils/permissions";
 import "./Orders.css";
 
 const Orders = () => {
+  const { account } = useOutletContext() || {};
+  // Packers can view boxes and toggle Packed; creating boxes and swapping snacks is admin-only
+  const canEditBoxes = hasPermission(account, PERMISSIONS.ORDERS_WRITE);
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -32,7 +37,7 @@ const Orders = () => {
 
   const fetchCustomers = async () => {
     try {
-      const response = await apiClient.get("/api/customers");
+      const response = await api.customers.listCustomers();
       if (response.data.success) {
         setCustomers(response.data.data);
       }
@@ -65,15 +70,10 @@ const Orders = () => {
         return;
       }
 
-      const response = await apiClient.get(
-        `/api/customers/${customerId}/draftbox`,
-        {
-          params: {
-            month: selectedMonth,
-            year: selectedYear,
-          },
-        }
-      );
+      const response = await api.customers.getDraftbox(customerId, {
+        month: selectedMonth,
+        year: selectedYear,
+      });
       if (response.data.success) {
         setDraftbox(response.data.data);
       }
@@ -107,13 +107,10 @@ const Orders = () => {
 
       console.log("🚀 Creating box for customer:", customerId);
 
-      const response = await apiClient.post(
-        `/api/customers/${customerId}/create-box`,
-        {
-          month: selectedMonth,
-          year: selectedYear,
-        }
-      );
+      const response = await api.customers.createBox(customerId, {
+        month: selectedMonth,
+        year: selectedYear,
+      });
 
       if (response.data.success) {
         console.log("✅ Box created successfully:", response.data);
@@ -142,7 +139,7 @@ const Orders = () => {
   const checkMonthBoxes = async () => {
     try {
       const customerIDs = customers.map((c) => c.customerID).filter(Boolean);
-      const response = await apiClient.post("/api/customers/check-month", {
+      const response = await api.customers.checkMonth({
         month: selectedMonth,
         year: selectedYear,
         customerIDs,
@@ -254,10 +251,9 @@ const Orders = () => {
       const yearShort = selectedYear.toString().slice(-2);
       const monthInt = parseInt(`${selectedMonth}${yearShort}`);
 
-      const response = await apiClient.patch(
-        `/api/customers/${customerID}/draftbox/${monthInt}/packed`,
-        { packed: willBePacked }
-      );
+      const response = await api.customers.setDraftboxPacked(customerID, monthInt, {
+        packed: willBePacked,
+      });
 
       if (response.data.success) {
         console.log(
@@ -456,6 +452,7 @@ const Orders = () => {
           selectedMonth={selectedMonth}
           selectedYear={selectedYear}
           onRefresh={() => handleRowClick(selectedCustomer)}
+          canEdit={canEditBoxes}
         />
       )}
     </div>
@@ -1,10 +1,24 @@
 import React, { useState, useEffect, useRef } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import { IoIosCheckmarkCircle, IoIosArrowUp } from "react-icons/io";
 import { GoArrowSwitch } from "react-icons/go";
 import { LuRefreshCcw } from "react-icons/lu";
 import "./PageIndex.css";
 
+// How often to refresh the progress of a running index sync
+const SYNC_POLL_INTERVAL = 2000;
+
+const SYNC_MODE_OPTIONS = [
+  { value: "not_indexed", label: "Not indexed only" },
+  { value: "full", label: "Full sitemap" },
+];
+
+const SYNC_RESULT_MESSAGES = {
+  completed: "Sync finished",
+  cancelled: "Sync cancelled",
+  failed: "Sync failed",
+};
+
 const PageIndex = () => {
   const [pages, setPages] = useState([]);
   const [stats, setStats] = useState(null);
@@ -17,13 +31,35 @@ const PageIndex = () => {
     direction: "desc",
   });
   const [isSortDropdownOpen, setIsSortDropdownOpen] = useState(false);
-  const [syncing, setSyncing] = useState(false);
+  const [syncJob, setSyncJob] = useState(null);
+  const [syncMode, setSyncMode] = useState("not_indexed");
+  const [syncRequestPending, setSyncRequestPending] = useState(false);
   const sortDropdownRef = useRef(null);
 
+  const syncing = syncJob?.status === "running";
+
   useEffect(() => {
     fetchPages();
+    fetchLatestSync();
   }, []);
 
+  // Follow a running sync until it ends, then reload the pages it updated
+  useEffect(() => {
+    if (!syncing) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        const response = await api.searchConsole.getIndexSync(syncJob.id);
+        if (response.data.success) {
+          setSyncJob(response.data.data);
+          if (response.data.data.status !== "running") fetchPages();
+        }
+      } catch (err) {
+        console.error("Error fetching sync progress:", err);
+      }
+    }, SYNC_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [syncing, syncJob?.id]);
+
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (
@@ -48,9 +84,7 @@ const PageIndex = () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get("/api/search-console/page-index", {
-        params: { limit: 10000 },
-      });
+      const response = await api.searchConsole.getPageIndex();
       if (response.data.success) {
         const fetchedPages = response.data.data.pages || response.data.data;
         setPages(fetchedPages);
@@ -79,33 +113,61 @@ const PageIndex = () => {
     }
   };
 
+  // Pick up a sync started elsewhere (another tab, another admin or the scheduler)
+  const fetchLatestSync = async () => {
+    try {
+      const response = await api.searchConsole.getLatestIndexSync();
+      if (response.data.success && response.data.data?.status === "running") {
+        setSyncJob(response.data.data);
+      }
+    } catch (err) {
+      console.error("Error fetching sync status:", err);
+    }
+  };
+
   const handleSync = async () => {
-    setSyncing(true);
+    setSyncRequestPending(true);
     setError(null);
     try {
-      const response = await apiClient.post(
-        "/api/search-console/sync-index-status"
-      );
+      const response = await api.searchConsole.startIndexSync({
+        mode: syncMode,
+      });
       if (response.data.success) {
-        alert(
-          "Sync started in background. This may take a while. The page will refresh automatically when complete."
-        );
-        // Refresh after a delay to show updated data
-        setTimeout(() => {
-          fetchPages();
-        }, 5000);
+        setSyncJob(response.data.data);
       }
     } catch (err) {
-      console.error("Error starting sync:", err);
-      setError(
-        err.response?.data?.error ||
-          "Error starting sync. Check console for details."
-      );
+      // Already running: follow that sync instead
+      if (err.response?.status === 409 && err.response.data?.data) {
+        setSyncJob(err.response.data.data);
+      } else {
+        console.error("Error starting sync:", err);
+        setError(
+          err.response?.data?.error ||
+            "Error starting sync. Check console for details."
+        );
+      }
     } finally {
-      setSyncing(false);
+      setSyncRequestPending(false);
     }
   };
 
+  const handleCancelSync = async () => {
+    if (!syncJob) return;
+    try {
+      const response = await api.searchConsole.cancelIndexSync(syncJob.id);
+      if (response.data.success) {
+        setSyncJob(response.data.data);
+      }
+    } catch (err) {
+      console.error("Error cancelling sync:", err);
+      setError(err.response?.data?.error || "Error cancelling sync.");
+    }
+  };
+
+  const syncChecked = syncJob ? (syncJob.processed || 0) + (syncJob.errors || 0) : 0;
+  const syncPercent =
+    syncJob?.total > 0 ? Math.min(100, Math.round((syncChecked / syncJob.total) * 100)) : 0;
+
   const formatNumber = (num) => {
     if (!num && num !== 0) return "N/A";
     return new Intl.NumberFormat("en-US").format(num);
@@ -500,10 +562,23 @@ const PageIndex = () => {
                   }`}
                 />
               </button>
+              <select
+                className="sync-mode-select"
+                value={syncMode}
+                onChange={(e) => setSyncMode(e.target.value)}
+                disabled={syncing}
+                title="Pages to re-inspect"
+              >
+                {SYNC_MODE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
               <button
                 className="sync-button"
                 onClick={handleSync}
-                disabled={syncing}
+                disabled={syncing || syncRequestPending}
                 title={syncing ? "Syncing..." : "Sync Index Status"}
               >
                 <LuRefreshCcw
@@ -513,6 +588,42 @@ const PageIndex = () => {
             </div>
           </div>
 
+          {syncJob && (
+            <div className={`sync-progress sync-progress-${syncJob.status}`}>
+              <div className="sync-progress-header">
+                <span>
+                  {syncing
+                    ? syncJob.cancel_requested_at
+                      ? "Cancelling after this batch..."
+                      : `Syncing ${syncJob.mode === "full" ? "full sitemap" : "not-indexed pages"}`
+                    : SYNC_RESULT_MESSAGES[syncJob.status] || syncJob.status}
+                </span>
+                {syncing ? (
+                  <button
+                    className="sync-progress-action"
+                    onClick={handleCancelSync}
+                    disabled={Boolean(syncJob.cancel_requested_at)}
+                  >
+                    Cancel
+                  </button>
+                ) : (
+                  <button className="sync-progress-action" onClick={() => setSyncJob(null)}>
+                    Dismiss
+                  </button>
+                )}
+              </div>
+              <div className="sync-progress-track">
+                <div className="sync-progress-bar" style={{ width: `${syncPercent}%` }} />
+              </div>
+              <div className="sync-progress-counts">
+                {syncJob.total === null || syncJob.total === undefined
+                  ? "Collecting URLs..."
+                  : `${formatNumber(syncChecked)} / ${formatNumber(syncJob.total)} checked · ${formatNumber(syncJob.indexed)} indexed · ${formatNumber(syncJob.not_indexed)} not indexed · ${formatNumber(syncJob.errors)} errors`}
+                {syncJob.error && <span className="sync-progress-error"> · {syncJob.error}</span>}
+              </div>
+            </div>
+          )}
+
           {stats && (
             <div className="index-stats-inline">
               <div className="stat-box">
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import { IoIosArrowUp } from "react-icons/io";
 import "./PageRankings.css";
 
@@ -52,12 +52,11 @@ const PageRankings = () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get(
-        "/api/search-console/page-rankings",
-        {
-          params: { startDate: dateRange, endDate: "today", limit: 1000 },
-        }
-      );
+      const response = await api.searchConsole.getPageRankings({
+        startDate: dateRange,
+        endDate: "today",
+        limit: 1000,
+      });
       if (response.data.success) {
         setRankings(response.data.data);
       }
@@ -81,9 +80,7 @@ const PageRankings = () => {
         endDate: "today",
       };
 
-      const response = await apiClient.get("/api/search-console/performance", {
-        params,
-      });
+      const response = await api.searchConsole.getPerformance(params);
 
       if (response?.data?.success) {
         setSearchPerformance(response.data.data);
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./PowerUsers.css";
 
 const PowerUsers = () => {
@@ -16,12 +16,10 @@ const PowerUsers = () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get("/api/visitors/power-users", {
-        params: {
-          startDate: dateRange,
-          endDate: "today",
-          minSessions: 3,
-        },
+      const response = await api.visitors.getPowerUsers({
+        startDate: dateRange,
+        endDate: "today",
+        minSessions: 3,
       });
 
       if (response.data.success) {
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./SEOMetrics.css";
 
 const SEOMetrics = () => {
@@ -16,11 +16,9 @@ const SEOMetrics = () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get("/api/analytics/seo", {
-        params: {
-          startDate: dateRange,
-          endDate: "today",
-        },
+      const response = await api.analytics.getSeo({
+        startDate: dateRange,
+        endDate: "today",
       });
 
       setMetrics(response.data.data);
@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import React, { useState, useEffect, useCallback } from "react";
+import api from "../api/client";
 import { VscGraphLine } from "react-icons/vsc";
 import { MdOutlineFindInPage } from "react-icons/md";
+import AnomalyMarkers from "../components/AnomalyMarkers";
 import "./SearchPerformance.css";
 
 const SearchPerformance = () => {
@@ -9,11 +10,29 @@ const SearchPerformance = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState("30daysAgo");
+  // Days flagged by /api/analytics/anomalies, marked on the chart
+  const [searchAnomalies, setSearchAnomalies] = useState([]);
+
+  const fetchAnomalies = useCallback(async () => {
+    try {
+      const response = await api.analytics.getAnomalies({ startDate: dateRange, endDate: "today" });
+      if (response?.data?.success) {
+        setSearchAnomalies((response.data.data?.anomalies ?? []).filter((anomaly) => anomaly.series === "search"));
+      }
+    } catch (error) {
+      console.error("Error fetching anomalies:", error);
+      setSearchAnomalies([]);
+    }
+  }, [dateRange]);
 
   useEffect(() => {
     fetchSearchPerformance();
   }, [dateRange]);
 
+  useEffect(() => {
+    fetchAnomalies();
+  }, [fetchAnomalies]);
+
   const fetchSearchPerformance = async () => {
     setLoading(true);
     setError(null);
@@ -23,7 +42,7 @@ const SearchPerformance = () => {
         endDate: "today",
       };
 
-      const response = await apiClient.get("/api/search-console/performance", { params });
+      const response = await api.searchConsole.getPerformance(params);
 
       if (response?.data?.success) {
         setSearchPerformance(response.data.data);
@@ -250,6 +269,8 @@ const SearchPerformance = () => {
                   />
                 </svg>
 
+                <AnomalyMarkers dates={recentData.map((d) => d.date)} anomalies={searchAnomalies} />
+
                 {/* X-axis labels */}
                 <div className="x-axis-labels">
                   {recentData.map((d, i) => {
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from "react";
+import api from "../api/client";
+import TwoFactorSetup, { RecoveryCodes } from "../components/TwoFactorSetup";
+import "./Security.css";
+
+const Security = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.auth.getMfaStatus();
+      if (response.data.success) {
+        setStatus(response.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load two-factor status");
+      console.error("Error fetching MFA status:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    setWorking(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || "Something went wrong");
+    } finally {
+      setWorking(false);
+      setCode("");
+    }
+  };
+
+  const handleStartSetup = () =>
+    runAction(async () => {
+      const response = await api.auth.startMfaSetup();
+      setEnrollment(response.data.data);
+    });
+
+  const handleActivate = async (activationCode) => {
+    const response = await api.auth.activateMfa({
+      code: activationCode,
+    });
+    setEnrollment(null);
+    setRecoveryCodes(response.data.data.recoveryCodes);
+  };
+
+  const handleRegenerate = () =>
+    runAction(async () => {
+      const response = await api.auth.regenerateRecoveryCodes({ code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+    });
+
+  const handleDisable = () =>
+    runAction(async () => {
+      await api.auth.disableMfa({ code });
+      setMessage("Two-factor authentication has been turned off.");
+      await fetchStatus();
+    });
+
+  const handleRecoveryCodesSaved = async () => {
+    setRecoveryCodes(null);
+    await fetchStatus();
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading security settings...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="security-page">
+      <div className="page-header">
+        <div>
+          <h1>Security</h1>
+          <p>Protect your dashboard login with an authenticator app</p>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      <div className="card security-card">
+        <div className="security-card-header">
+          <h2>Two-factor authentication</h2>
+          <span className={`security-status ${status?.enabled ? "security-status-on" : ""}`}>
+            {status?.enabled ? "On" : "Off"}
+          </span>
+        </div>
+
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={handleRecoveryCodesSaved} />
+        ) : enrollment ? (
+          <TwoFactorSetup enrollment={enrollment} onActivate={handleActivate} />
+        ) : status?.enabled ? (
+          <>
+            <p>
+              Enabled {status.enrolledAt ? new Date(status.enrolledAt).toLocaleDateString() : ""}.{" "}
+              {status.recoveryCodesRemaining} recovery code(s) left.
+            </p>
+            <div className="form-group">
+              <label htmlFor="security-code">Current code from your authenticator app</label>
+              <input
+                id="security-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+                disabled={working}
+              />
+            </div>
+            <div className="security-actions">
+              <button
+                className="btn btn-secondary"
+                onClick={handleRegenerate}
+                disabled={working || code.length !== 6}
+              >
+                New recovery codes
+              </button>
+              {!status.enforced && (
+                <button
+                  className="btn btn-danger"
+                  onClick={handleDisable}
+                  disabled={working || code.length !== 6}
+                >
+                  Turn off
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            <p>
+              {status?.enforced
+                ? "Two-factor authentication is required for every account."
+                : "Add a second step to your login: a 6-digit code from your phone."}
+            </p>
+            <button className="btn btn-primary" onClick={handleStartSetup} disabled={working}>
+              Set up two-factor
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Security;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./Sessions.css";
 
 const Sessions = () => {
@@ -16,11 +16,9 @@ const Sessions = () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await apiClient.get("/api/analytics/sessions", {
-        params: {
-          startDate: dateRange,
-          endDate: "today",
-        },
+      const response = await api.analytics.getSessions({
+        startDate: dateRange,
+        endDate: "today",
       });
 
       setMetrics(response.data.data);
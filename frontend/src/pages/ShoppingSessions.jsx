@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import { IoIosArrowUp } from "react-icons/io";
+import { CompareSelect, DeltaBadge } from "../components/PeriodComparison";
+import { compareParams } from "../utils/comparison";
 import "./ShoppingSessions.css";
 
 const ShoppingSessions = () => {
@@ -10,11 +12,14 @@ const ShoppingSessions = () => {
   const [dateRange, setDateRange] = useState("30daysAgo");
   const [activeTab, setActiveTab] = useState("events");
   const [isPeriodDropdownOpen, setIsPeriodDropdownOpen] = useState(false);
+  const [compare, setCompare] = useState("");
+  // Period-over-period changes, in the shape of `shoppingData` (null without a comparison)
+  const [changes, setChanges] = useState(null);
   const periodDropdownRef = useRef(null);
 
   useEffect(() => {
     fetchShoppingSessions();
-  }, [dateRange]);
+  }, [dateRange, compare]);
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -44,14 +49,14 @@ const ShoppingSessions = () => {
       const params = {
         startDate: dateRange,
         endDate: "today",
+        ...compareParams(compare),
       };
 
-      const response = await apiClient.get("/api/analytics/shopping-sessions", {
-        params,
-      });
+      const response = await api.analytics.getShoppingSessions(params);
 
       if (response.data.success) {
         setShoppingData(response.data.data);
+        setChanges(response.data.comparison?.changes || null);
       }
     } catch (error) {
       console.error("Error fetching shopping sessions:", error);
@@ -183,21 +188,31 @@ const ShoppingSessions = () => {
             )}
           </div>
         </div>
+        <CompareSelect value={compare} onChange={setCompare} />
 
         {/* Summary Stats */}
         {shoppingData && (
           <div className="shopping-sessions-summary-stats">
             <div className="shopping-summary-card">
               <div className="shopping-summary-label">Total Clicks</div>
-              <div className="shopping-summary-value">{formatNumber(summary.totalEvents)}</div>
+              <div className="shopping-summary-value">
+                {formatNumber(summary.totalEvents)}
+                <DeltaBadge change={changes?.summary?.totalEvents} />
+              </div>
             </div>
             <div className="shopping-summary-card">
               <div className="shopping-summary-label">Unique Users</div>
-              <div className="shopping-summary-value">{formatNumber(summary.totalUsers)}</div>
+              <div className="shopping-summary-value">
+                {formatNumber(summary.totalUsers)}
+                <DeltaBadge change={changes?.summary?.totalUsers} />
+              </div>
             </div>
             <div className="shopping-summary-card">
               <div className="shopping-summary-label">Sessions</div>
-              <div className="shopping-summary-value">{formatNumber(summary.totalSessions)}</div>
+              <div className="shopping-summary-value">
+                {formatNumber(summary.totalSessions)}
+                <DeltaBadge change={changes?.summary?.totalSessions} />
+              </div>
             </div>
           </div>
         )}
@@ -312,7 +327,10 @@ const ShoppingSessions = () => {
                     summary.byBrand?.map((item, index) => (
                       <tr key={index}>
                         <td>{item.brandName}</td>
-                        <td>{formatNumber(item.eventCount)}</td>
+                        <td>
+                          {formatNumber(item.eventCount)}
+                          <DeltaBadge change={changes?.summary?.byBrand?.[index]?.eventCount} />
+                        </td>
                         <td>{formatNumber(item.users)}</td>
                         <td>{formatNumber(item.sessions)}</td>
                       </tr>
@@ -347,7 +365,10 @@ const ShoppingSessions = () => {
                       <tr key={index}>
                         <td>{item.brandName}</td>
                         <td>{item.flavorName}</td>
-                        <td>{formatNumber(item.eventCount)}</td>
+                        <td>
+                          {formatNumber(item.eventCount)}
+                          <DeltaBadge change={changes?.summary?.byFlavor?.[index]?.eventCount} />
+                        </td>
                         <td>{formatNumber(item.users)}</td>
                         <td>{formatNumber(item.sessions)}</td>
                       </tr>
@@ -380,7 +401,10 @@ const ShoppingSessions = () => {
                     summary.byCountry?.map((item, index) => (
                       <tr key={index}>
                         <td>{item.country}</td>
-                        <td>{formatNumber(item.eventCount)}</td>
+                        <td>
+                          {formatNumber(item.eventCount)}
+                          <DeltaBadge change={changes?.summary?.byCountry?.[index]?.eventCount} />
+                        </td>
                         <td>{formatNumber(item.users)}</td>
                         <td>{formatNumber(item.sessions)}</td>
                       </tr>
@@ -413,7 +437,10 @@ const ShoppingSessions = () => {
                     summary.byDevice?.map((item, index) => (
                       <tr key={index}>
                         <td>{item.deviceCategory}</td>
-                        <td>{formatNumber(item.eventCount)}</td>
+                        <td>
+                          {formatNumber(item.eventCount)}
+                          <DeltaBadge change={changes?.summary?.byDevice?.[index]?.eventCount} />
+                        </td>
                         <td>{formatNumber(item.users)}</td>
                         <td>{formatNumber(item.sessions)}</td>
                       </tr>
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
+import { CompareSelect, DeltaBadge } from "../components/PeriodComparison";
+import { compareParams } from "../utils/comparison";
 import "./TechnicalPerformance.css";
 
 const TechnicalPerformance = () => {
@@ -8,31 +10,32 @@ const TechnicalPerformance = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState("30daysAgo");
+  const [compare, setCompare] = useState("");
+  // Period-over-period changes, in the shape of `performance` (null without a comparison)
+  const [changes, setChanges] = useState(null);
 
   useEffect(() => {
     fetchData();
-  }, [dateRange]);
+  }, [dateRange, compare]);
 
   const fetchData = async () => {
     setLoading(true);
     setError(null);
     try {
       const [perfRes, vitalsRes] = await Promise.all([
-        apiClient.get("/api/analytics/technical", {
-          params: {
-            startDate: dateRange,
-            endDate: "today",
-          },
+        api.analytics.getTechnical({
+          startDate: dateRange,
+          endDate: "today",
+          ...compareParams(compare),
         }),
-        apiClient.get("/api/analytics/core-web-vitals", {
-          params: {
-            startDate: dateRange,
-            endDate: "today",
-          },
+        api.analytics.getCoreWebVitals({
+          startDate: dateRange,
+          endDate: "today",
         }),
       ]);
 
       setPerformance(perfRes.data.data);
+      setChanges(perfRes.data.comparison?.changes || null);
       setCoreWebVitals(vitalsRes.data.data);
     } catch (err) {
       setError(err.response?.data?.error || "Failed to load technical performance");
@@ -84,6 +87,7 @@ const TechnicalPerformance = () => {
             <option value="90daysAgo">Last 90 Days</option>
           </select>
         </div>
+        <CompareSelect value={compare} onChange={setCompare} />
       </div>
 
       {performance && (
@@ -93,6 +97,7 @@ const TechnicalPerformance = () => {
               <div className="metric-label">Avg. Session Duration</div>
               <div className="metric-value">
                 {formatLoadTime(performance.overallAvgLoadTime)}
+                <DeltaBadge change={changes?.overallAvgLoadTime} />
               </div>
               <div className="metric-description">
                 Approximated from session duration
@@ -108,6 +113,7 @@ const TechnicalPerformance = () => {
               <div className="metric-label">404 Errors</div>
               <div className="metric-value">
                 {performance.total404Errors?.toLocaleString() || 0}
+                <DeltaBadge change={changes?.total404Errors} inverse />
               </div>
               <div className="metric-description">Total 404 page views</div>
             </div>
@@ -152,8 +158,14 @@ const TechnicalPerformance = () => {
                       <tr key={index}>
                         <td>{device.device}</td>
                         <td>{formatLoadTime(device.avgLoadTime)}</td>
-                        <td>{device.views?.toLocaleString()}</td>
-                        <td>{device.bounceRate?.toFixed(1)}%</td>
+                        <td>
+                          {device.views?.toLocaleString()}
+                          <DeltaBadge change={changes?.devicePerformance?.[index]?.views} />
+                        </td>
+                        <td>
+                          {device.bounceRate?.toFixed(1)}%
+                          <DeltaBadge change={changes?.devicePerformance?.[index]?.bounceRate} inverse />
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -182,7 +194,10 @@ const TechnicalPerformance = () => {
                           <div className="page-path">{page.path}</div>
                         </td>
                         <td>{formatLoadTime(page.avgLoadTime)}</td>
-                        <td>{page.views?.toLocaleString()}</td>
+                        <td>
+                          {page.views?.toLocaleString()}
+                          <DeltaBadge change={changes?.pageLoadTimes?.[index]?.views} />
+                        </td>
                         <td>{page.bounceRate?.toFixed(1)}%</td>
                       </tr>
                     ))}
@@ -214,7 +229,10 @@ const TechnicalPerformance = () => {
                             <div className="page-path">{page.path}</div>
                           </div>
                         </td>
-                        <td>{page.views?.toLocaleString()}</td>
+                        <td>
+                          {page.views?.toLocaleString()}
+                          <DeltaBadge change={changes?.errorPages?.[index]?.views} inverse />
+                        </td>
                         <td>{page.bounceRate?.toFixed(1)}%</td>
                         <td>{formatLoadTime(page.avgDuration)}</td>
                       </tr>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import { detectDeviceModel } from "../utils/deviceDetection";
 import "./TopPages.css";
 
@@ -29,9 +29,7 @@ const TopPages = () => {
         limit: 100,
       };
 
-      const response = await apiClient.get("/api/analytics/top-pages", {
-        params,
-      });
+      const response = await api.analytics.getTopPages(params);
 
       if (response.data.success) {
         setTopPages(response.data.data);
@@ -62,13 +60,7 @@ const TopPages = () => {
         limit: 100,
       };
 
-      const encodedPath = encodeURIComponent(pagePath);
-      const response = await apiClient.get(
-        `/api/visitors/by-page/${encodedPath}`,
-        {
-          params,
-        }
-      );
+      const response = await api.visitors.listVisitorsByPage(pagePath, params);
 
       if (response.data.success) {
         setPageVisitors(response.data.data);
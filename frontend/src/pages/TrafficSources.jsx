@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import { IoIosArrowUp } from "react-icons/io";
 import "./TrafficSources.css";
 
@@ -46,9 +46,7 @@ const TrafficSources = () => {
         endDate: "today",
       };
 
-      const response = await apiClient.get("/api/analytics/traffic-sources", {
-        params,
-      });
+      const response = await api.analytics.getTrafficSources(params);
 
       if (response.data.success) {
         setTrafficData(response.data.data);
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import "./Users.css";
 
 const Users = () => {
@@ -13,7 +13,7 @@ const Users = () => {
 
   const fetchUsers = async () => {
     try {
-      const response = await apiClient.get("/api/users");
+      const response = await api.users.listUsers();
       if (response.data.success) {
         setUsers(response.data.data);
       }
@@ -31,7 +31,7 @@ const Users = () => {
     }
 
     try {
-      const response = await apiClient.delete(`/api/users/${id}`);
+      const response = await api.users.deleteUser(id);
       if (response.data.success) {
         setUsers(users.filter((user) => user.id !== id));
       }
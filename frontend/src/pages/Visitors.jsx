@@ -1,8 +1,11 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import { useSearchParams } from "react-router-dom";
-import apiClient from "../api/axios";
+import api from "../api/client";
 import VisitorDetailsPanel from "../components/VisitorDetailsPanel";
 import GeographyHeatmap from "../components/GeographyHeatmap";
+import AnomalyMarkers from "../components/AnomalyMarkers";
+import { CompareSelect, DeltaBadge, PreviousPeriodLine } from "../components/PeriodComparison";
+import { compareParams } from "../utils/comparison";
 import { detectDeviceModel } from "../utils/deviceDetection";
 import { HiDownload } from "react-icons/hi";
 import * as XLSX from "xlsx";
@@ -25,6 +28,13 @@ const Visitors = () => {
   const [selectedVisitor, setSelectedVisitor] = useState(null);
   const [isPanelOpen, setIsPanelOpen] = useState(false);
   const [dateRange, setDateRange] = useState("30daysAgo");
+  // Period-over-period comparison of the metric cards and the Traffic chart
+  const [compare, setCompare] = useState("");
+  const [metricsChanges, setMetricsChanges] = useState(null);
+  const [dailyTrendsChanges, setDailyTrendsChanges] = useState(null);
+  const [overviewDailySourcesChanges, setOverviewDailySourcesChanges] = useState(null);
+  // Days flagged by /api/analytics/anomalies, marked on the Traffic chart
+  const [trafficAnomalies, setTrafficAnomalies] = useState([]);
   const [hoveredBar, setHoveredBar] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(50);
@@ -165,35 +175,149 @@ const Visitors = () => {
     },
   ];
 
+  const fetchDailyTrends = useCallback(async () => {
+    try {
+      const params = {
+        startDate: dateRange,
+        endDate: "today",
+      };
+
+      const response = await api.visitors.getDailyTrends({ ...params, ...compareParams(compare) });
+
+      if (response.data.success) {
+        setDailyTrends(response.data.data);
+        setDailyTrendsChanges(response.data.comparison?.changes || null);
+      }
+    } catch (error) {
+      console.error("Error fetching daily trends:", error);
+    }
+  }, [dateRange, compare]);
+
+  const fetchMetrics = useCallback(async () => {
+    try {
+      const params = {
+        startDate: dateRange,
+        endDate: "today",
+      };
+
+      const response = await api.analytics.getSessions({ ...params, ...compareParams(compare) });
+
+      if (response.data.success) {
+        setMetrics(response.data.data);
+        setMetricsChanges(response.data.comparison?.changes || null);
+      }
+    } catch (error) {
+      console.error("Error fetching metrics:", error);
+    }
+  }, [dateRange, compare]);
+
+  const fetchAnomalies = useCallback(async () => {
+    try {
+      const response = await api.analytics.getAnomalies({ startDate: dateRange, endDate: "today" });
+      if (response.data.success) {
+        setTrafficAnomalies((response.data.data?.anomalies ?? []).filter((anomaly) => anomaly.series === "traffic"));
+      }
+    } catch (error) {
+      console.error("Error fetching anomalies:", error);
+      setTrafficAnomalies([]);
+    }
+  }, [dateRange]);
+
+  const fetchVisitors = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = {
+        startDate: dateRange,
+        endDate: "today",
+        limit: 10000, // Increased limit to support export of all visitors
+      };
+
+      const response = await api.visitors.listVisitors(params);
+
+      if (response.data.success) {
+        setVisitors(response.data.data);
+      }
+    } catch (error) {
+      console.error("Error fetching visitors:", error);
+      setError(error.response?.data?.error || error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [dateRange]);
+
+  const fetchTopPages = useCallback(async () => {
+    setTopPagesLoading(true);
+    try {
+      const response = await api.analytics.getTopPages({ startDate: dateRange, endDate: "today", limit: 200 });
+      if (response.data.success) setTopPagesData(response.data.data || []);
+    } catch (err) {
+      setTopPagesData([]);
+    } finally {
+      setTopPagesLoading(false);
+    }
+  }, [dateRange]);
+
+  const fetchDailyTrendsAllTime = useCallback(async () => {
+    try {
+      const response = await api.visitors.getDailyTrends({ startDate: "90daysAgo", endDate: "today" });
+      if (response.data.success) {
+        setDailyTrendsAllTime(response.data.data || []);
+      } else {
+        setDailyTrendsAllTime([]);
+      }
+    } catch (error) {
+      console.error("Error fetching all-time daily trends:", error);
+      setDailyTrendsAllTime([]);
+    }
+  }, []);
+
   useEffect(() => {
     fetchVisitors();
-    fetchDailyTrends();
-    fetchDailyTrendsAllTime();
-    fetchMetrics();
+  }, [fetchVisitors]);
+
+  useEffect(() => {
     fetchTopPages();
+  }, [fetchTopPages]);
+
+  useEffect(() => {
+    fetchDailyTrendsAllTime();
     setCurrentPage(1);
-  }, [dateRange]);
+  }, [dateRange, fetchDailyTrendsAllTime]);
+
+  useEffect(() => {
+    fetchDailyTrends();
+    fetchMetrics();
+  }, [fetchDailyTrends, fetchMetrics]);
+
+  useEffect(() => {
+    fetchAnomalies();
+  }, [fetchAnomalies]);
 
   useEffect(() => {
     if (visitorsView !== "overview") return;
     setOverviewDailySourcesLoading(true);
-    apiClient
-      .get("/api/analytics/daily-traffic-by-source", { params: { startDate: dateRange, endDate: "today" } })
+    api.analytics
+      .getDailyTrafficBySource({ startDate: dateRange, endDate: "today", ...compareParams(compare) })
       .then((res) => {
-        if (res.data.success) setOverviewDailySources(res.data.data);
+        if (res.data.success) {
+          setOverviewDailySources(res.data.data);
+          setOverviewDailySourcesChanges(res.data.comparison?.changes || null);
+        }
       })
       .catch(() => setOverviewDailySources(null))
       .finally(() => setOverviewDailySourcesLoading(false));
-  }, [visitorsView, dateRange]);
+  }, [visitorsView, dateRange, compare]);
 
   useEffect(() => {
     if (visitorsView !== "overview") return;
     const params = { startDate: dateRange, endDate: "today" };
     Promise.all([
-      apiClient.get("/api/analytics/daily-traffic-by-country", { params }).then((r) => r.data.success ? r.data.data : null).catch(() => null),
-      apiClient.get("/api/analytics/daily-traffic-by-landing-page", { params }).then((r) => r.data.success ? r.data.data : null).catch(() => null),
-      apiClient.get("/api/analytics/daily-traffic-by-hour", { params }).then((r) => r.data.success ? r.data.data : null).catch(() => null),
-      apiClient.get("/api/analytics/daily-traffic-by-duration", { params }).then((r) => r.data.success ? r.data.data : null).catch(() => null),
+      api.analytics.getDailyTrafficByCountry(params).then((r) => r.data.success ? r.data.data : null).catch(() => null),
+      api.analytics.getDailyTrafficByLandingPage(params).then((r) => r.data.success ? r.data.data : null).catch(() => null),
+      api.analytics.getDailyTrafficByHour(params).then((r) => r.data.success ? r.data.data : null).catch(() => null),
+      api.analytics.getDailyTrafficByDuration(params).then((r) => r.data.success ? r.data.data : null).catch(() => null),
     ]).then(([country, landing, hour, duration]) => {
       setOverviewByCountry(country);
       setOverviewByLandingPage(landing);
@@ -202,20 +326,6 @@ const Visitors = () => {
     });
   }, [visitorsView, dateRange]);
 
-  const fetchTopPages = async () => {
-    setTopPagesLoading(true);
-    try {
-      const response = await apiClient.get("/api/analytics/top-pages", {
-        params: { startDate: dateRange, endDate: "today", limit: 200 },
-      });
-      if (response.data.success) setTopPagesData(response.data.data || []);
-    } catch (err) {
-      setTopPagesData([]);
-    } finally {
-      setTopPagesLoading(false);
-    }
-  };
-
   const categorizePageFromPath = (path) => {
     if (!path) return "other";
     const p = (path.startsWith("/") ? path : `/${path}`).toLowerCase();
@@ -365,6 +475,15 @@ const Visitors = () => {
     return { byDate, sourceOrder, getSourceColor };
   }, [overviewDailySources]);
 
+  // Previous-period total behind each Traffic bar, by date: sessions when the bars show
+  // sources, else visitors (rows of comparison.changes line up with the current days)
+  const previousTrafficByDate = useMemo(() => {
+    const rows = overviewDailySourcesChanges?.daily?.length
+      ? overviewDailySourcesChanges.daily.map((day) => [day.date, day.totalSessions?.previous])
+      : (dailyTrendsChanges || []).map((day) => [day.date, day.total?.previous]);
+    return Object.fromEntries(rows);
+  }, [overviewDailySourcesChanges, dailyTrendsChanges]);
+
   const buildSegmentData = (dailyData) => {
     const daily = dailyData?.daily || [];
     const byDate = Object.fromEntries(daily.map((d) => [d.date, d]));
@@ -407,8 +526,10 @@ const Visitors = () => {
     setPowerUsersLoading(true);
     setPowerUsersError(null);
     try {
-      const response = await apiClient.get("/api/visitors/power-users", {
-        params: { startDate: powerUsersDateRange, endDate: "today", minSessions: 3 },
+      const response = await api.visitors.getPowerUsers({
+        startDate: powerUsersDateRange,
+        endDate: "today",
+        minSessions: 3,
       });
       if (response.data.success) setPowerUsers(response.data.data || []);
     } catch (err) {
@@ -430,10 +551,8 @@ const Visitors = () => {
     if (visitorsView === "sources" && selectedSource === "chatgpt") {
       setSourceAnalysisError(null);
       setSourceAnalysisLoading(true);
-      apiClient
-        .get("/api/analytics/source-analysis", {
-          params: { sourceId: "chatgpt", startDate: dateRange, endDate: "today" },
-        })
+      api.analytics
+        .getSourceAnalysis({ sourceId: "chatgpt", startDate: dateRange, endDate: "today" })
         .then((res) => {
           if (res.data.success) setSourceAnalysis(res.data.data);
           else setSourceAnalysisError(res.data.error || "Failed to load");
@@ -452,9 +571,7 @@ const Visitors = () => {
     setTrafficSourcesLoading(true);
     setTrafficSourcesError(null);
     try {
-      const response = await apiClient.get("/api/analytics/traffic-sources", {
-        params: { startDate: dateRange, endDate: "today" },
-      });
+      const response = await api.analytics.getTrafficSources({ startDate: dateRange, endDate: "today" });
       if (response.data.success) setTrafficSourcesData(response.data.data);
     } catch (err) {
       setTrafficSourcesError(err.response?.data?.error || err.message);
@@ -469,7 +586,7 @@ const Visitors = () => {
       const periods = ["7daysAgo", "30daysAgo", "90daysAgo"];
       const results = await Promise.all(
         periods.map((startDate) =>
-          apiClient.get("/api/analytics/traffic-sources", { params: { startDate, endDate: "today" } }).then((r) => r.data.success ? r.data.data : null)
+          api.analytics.getTrafficSources({ startDate, endDate: "today" }).then((r) => r.data.success ? r.data.data : null)
         )
       );
       setTrafficSourcesByPeriod({
@@ -488,9 +605,7 @@ const Visitors = () => {
     setAudienceLoading(true);
     setAudienceError(null);
     try {
-      const response = await apiClient.get("/api/analytics/audience", {
-        params: { startDate: dateRange, endDate: "today" },
-      });
+      const response = await api.analytics.getAudience({ startDate: dateRange, endDate: "today" });
       setAudienceProfile(response.data.data);
     } catch (err) {
       setAudienceError(err.response?.data?.error || "Failed to load audience data");
@@ -499,80 +614,6 @@ const Visitors = () => {
     }
   };
 
-  const fetchVisitors = async () => {
-    setLoading(true);
-    setError(null);
-
-    try {
-      const params = {
-        startDate: dateRange,
-        endDate: "today",
-        limit: 10000, // Increased limit to support export of all visitors
-      };
-
-      const response = await apiClient.get("/api/visitors", { params });
-
-      if (response.data.success) {
-        setVisitors(response.data.data);
-      }
-    } catch (error) {
-      console.error("Error fetching visitors:", error);
-      setError(error.response?.data?.error || error.message);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const fetchDailyTrends = async () => {
-    try {
-      const params = {
-        startDate: dateRange,
-        endDate: "today",
-      };
-
-      const response = await apiClient.get("/api/visitors/daily-trends", { params });
-
-      if (response.data.success) {
-        setDailyTrends(response.data.data);
-      }
-    } catch (error) {
-      console.error("Error fetching daily trends:", error);
-    }
-  };
-
-  const fetchDailyTrendsAllTime = async () => {
-    try {
-      const response = await apiClient.get("/api/visitors/daily-trends", {
-        params: { startDate: "90daysAgo", endDate: "today" },
-      });
-      if (response.data.success) {
-        setDailyTrendsAllTime(response.data.data || []);
-      } else {
-        setDailyTrendsAllTime([]);
-      }
-    } catch (error) {
-      console.error("Error fetching all-time daily trends:", error);
-      setDailyTrendsAllTime([]);
-    }
-  };
-
-  const fetchMetrics = async () => {
-    try {
-      const params = {
-        startDate: dateRange,
-        endDate: "today",
-      };
-
-      const response = await apiClient.get("/api/analytics/sessions", { params });
-
-      if (response.data.success) {
-        setMetrics(response.data.data);
-      }
-    } catch (error) {
-      console.error("Error fetching metrics:", error);
-    }
-  };
-
 
   const handleRowClick = async (visitor) => {
     try {
@@ -583,9 +624,7 @@ const Visitors = () => {
       };
 
       console.log("Fetching visitor details for ID:", visitor.id);
-      const response = await apiClient.get(`/api/visitors/${encodeURIComponent(visitor.id)}`, {
-        params,
-      });
+      const response = await api.visitors.getVisitor(visitor.id, params);
 
       console.log("Visitor details response:", response.data);
       if (response.data.success) {
@@ -1039,28 +1078,33 @@ const Visitors = () => {
                 <span className="metric-unique">{formatNumber(metrics.activeUsers)}</span>
                 <span className="metric-separator">|</span>
                 <span className="metric-engaged">{formatNumber(metrics.engagedUsers || 0)}</span>
+                <DeltaBadge change={metricsChanges?.activeUsers} />
               </div>
             </div>
             <div className="visitor-metric-card">
               <div className="visitor-metric-label">Engagement Rate</div>
               <div className="visitor-metric-value">
                 {metrics.engagementRate ? metrics.engagementRate.toFixed(1) : "N/A"}%
+                <DeltaBadge change={metricsChanges?.engagementRate} />
               </div>
             </div>
             <div className="visitor-metric-card">
               <div className="visitor-metric-label">Bounce Rate</div>
               <div className="visitor-metric-value">
                 {metrics.bounceRate ? metrics.bounceRate.toFixed(1) : "N/A"}%
+                <DeltaBadge change={metricsChanges?.bounceRate} inverse />
               </div>
             </div>
             <div className="visitor-metric-card">
               <div className="visitor-metric-label">Average Duration</div>
               <div className="visitor-metric-value">
                 {formatDuration(metrics.averageSessionDuration)}
+                <DeltaBadge change={metricsChanges?.averageSessionDuration} />
               </div>
             </div>
           </div>
         )}
+        <CompareSelect value={compare} onChange={setCompare} />
       </div>
 
       <div className="visitors-view-tabs">
@@ -1220,6 +1264,16 @@ const Visitors = () => {
                     });
                   })()}
                 </div>
+                {/* Previous period (?compare=) as a dashed line over the bars */}
+                <PreviousPeriodLine
+                  values={dailyTrends.slice(-30).map((day) => previousTrafficByDate[day.date])}
+                  max={300}
+                />
+                <AnomalyMarkers
+                  dates={dailyTrends.slice(-30).map((day) => day.date)}
+                  anomalies={trafficAnomalies}
+                  layout="bars"
+                />
                 {/* Traffic bar tooltip fixed to top right */}
                 {hoveredBar != null && (() => {
                   const bars = dailyTrends.slice(-30);
@@ -20,6 +20,7 @@ vi.mock("../api/axios", () => {
     else if (u.includes("audience")) data = { geographic: [], device: [], hourly: [] };
     else if (u.includes("daily-traffic-by-source")) data = { daily: [] };
     else if (u.includes("source-analysis")) data = { summary: {}, topLandingPages: [] };
+    else if (u.includes("anomalies")) data = { anomalies: [] };
     return Promise.resolve({ data: { success: true, data } });
   };
   return { default: { get: vi.fn(mockGet) } };
@@ -0,0 +1,9 @@
+// ?compare= values the analytics endpoints accept (see backend services/dateRange.js)
+export const COMPARE_OPTIONS = [
+  { value: "", label: "No comparison" },
+  { value: "previous_period", label: "Previous period" },
+  { value: "previous_year", label: "Previous year" },
+];
+
+// Request params for a compare choice: nothing when comparison is off
+export const compareParams = (compare) => (compare ? { compare } : {});
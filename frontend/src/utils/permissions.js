@@ -0,0 +1,34 @@
+/**
+ * Permission names granted by the backend (see backend/middleware/permissions.js).
+ * The account returned by /api/auth/verify carries its role's permission list.
+ */
+export const PERMISSIONS = {
+  ANALYTICS_READ: "analytics:read",
+  SEARCH_CONSOLE_READ: "search-console:read",
+  INDEX_SYNC: "index:sync",
+  ORDERS_READ: "orders:read",
+  ORDERS_PACK: "orders:pack",
+  ORDERS_WRITE: "orders:write",
+  ACCOUNTS_MANAGE: "accounts:manage",
+  AUDIT_READ: "audit:read",
+  API_KEYS_MANAGE: "api-keys:manage",
+  JOBS_MANAGE: "jobs:manage",
+};
+
+export const hasPermission = (account, permission) =>
+  Boolean(account?.permissions?.includes(permission));
+
+// Landing page per permission, in order of preference
+const HOME_PATHS = [
+  [PERMISSIONS.ANALYTICS_READ, "/visitors"],
+  [PERMISSIONS.SEARCH_CONSOLE_READ, "/page-index"],
+  [PERMISSIONS.ORDERS_READ, "/orders"],
+];
+
+/**
+ * First page the account is allowed to see (null if none)
+ */
+export const getHomePath = (account) => {
+  const match = HOME_PATHS.find(([permission]) => hasPermission(account, permission));
+  return match ? match[1] : null;
+};
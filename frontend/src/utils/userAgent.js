@@ -0,0 +1,32 @@
+/**
+ * Readable device names for the sessions page, e.g. "Chrome on macOS".
+ * Order matters: Edge and Opera UAs also mention Chrome, Chrome's mentions Safari,
+ * and iOS/Android UAs mention macOS/Linux.
+ */
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const findName = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = findName(BROWSERS, userAgent);
+  const system = findName(SYSTEMS, userAgent);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent;
+};